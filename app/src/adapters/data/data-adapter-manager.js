@@ -8,6 +8,8 @@
  * - Switch active adapter
  * - Coordinate authentication, fetch, and mapping
  * - Validate data before ingestion
+ * - Check that the schema pack an adapter maps to (adapter.pack) is registered,
+ *   and keep it from being unloaded while the adapter is
  * 
  * See: doc/arch/data.md
  * See: SCHEMA_QUICK_REFERENCE.md (data adapters section)
@@ -16,10 +18,19 @@
 import { EventEmitter } from '../../utils/event-emitter.js';
 
 class DataAdapterManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Schema} schema - Schema whose packs adapters depend on (optional)
+   */
+  constructor(schema = null) {
     super();
+    this.schema = schema;
     this.adapters = new Map();
     this.activeAdapter = null;
+
+    // Keep the packs registered adapters map to from being unloaded under them
+    if (schema && typeof schema.registerPackGuard === 'function') {
+      schema.registerPackGuard((pack) => this._packUsers(pack));
+    }
   }
 
   /**
@@ -36,6 +47,31 @@ class DataAdapterManager extends EventEmitter {
         throw new Error(`DataAdapter must implement ${method}() method`);
       }
     }
+
+    if (adapter.pack !== undefined && typeof adapter.pack !== 'string') {
+      throw new Error('DataAdapter pack must be the name of a schema pack');
+    }
+  }
+
+  /**
+   * Check that the schema has the pack an adapter depends on
+   * @private
+   */
+  _assertPack(name, adapter, schema) {
+    if (!adapter.pack || !schema || typeof schema.hasPack !== 'function') return;
+    if (!schema.hasPack(adapter.pack)) {
+      throw new Error(`Adapter '${name}' depends on schema pack '${adapter.pack}', which is not registered`);
+    }
+  }
+
+  /**
+   * Describe the adapters that depend on a schema pack
+   * @private
+   */
+  _packUsers(pack) {
+    const names = Array.from(this.adapters).filter(([, adapter]) => adapter.pack === pack).map(([name]) => `'${name}'`);
+    if (names.length === 0) return null;
+    return names.length === 1 ? `adapter ${names[0]} depends on it` : `adapters ${names.join(', ')} depend on it`;
   }
 
   /**
@@ -50,6 +86,8 @@ class DataAdapterManager extends EventEmitter {
       throw new Error(`Adapter '${name}' is already registered`);
     }
 
+    this._assertPack(name, adapter, this.schema);
+
     this.adapters.set(name, adapter);
     this.emit('adapter.registered', { name, adapter });
   }
@@ -82,6 +120,14 @@ class DataAdapterManager extends EventEmitter {
     return Array.from(this.adapters.keys());
   }
 
+  /**
+   * Get the schema packs registered adapters depend on
+   */
+  getRequiredPacks() {
+    const packs = Array.from(this.adapters.values()).map((adapter) => adapter.pack).filter(Boolean);
+    return Array.from(new Set(packs));
+  }
+
   /**
    * Authenticate with active adapter
    */
@@ -154,6 +200,8 @@ class DataAdapterManager extends EventEmitter {
       throw new Error('No active adapter selected');
     }
 
+    this._assertPack(this.activeAdapter.name, this.activeAdapter, schema || this.schema);
+
     try {
       // Perform mapping
       const mapped = await this.activeAdapter.map(rawData, schema);
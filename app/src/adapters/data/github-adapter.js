@@ -17,6 +17,8 @@
 class GitHubAdapter {
   constructor(token) {
     this.name = 'github';
+    // Schema pack defining the types this adapter maps to
+    this.pack = 'github';
     this.token = token;
     this.apiBase = 'https://api.github.com';
     this.rateLimit = { remaining: 5000, reset: null };
@@ -151,7 +153,7 @@ class GitHubAdapter {
               id: `rel-${ownerEntity.id}-owns-${repoEntity.id}`,
               from: ownerEntity.id,
               to: repoEntity.id,
-              type: 'OWNS',
+              type: 'github:OWNS',
               metadata: { source: 'github', timestamp: new Date().toISOString() }
             };
             relations.set(relation.id, relation);
@@ -174,7 +176,7 @@ class GitHubAdapter {
                 id: `rel-${orgEntity.id}-owns-${repoEntity.id}`,
                 from: orgEntity.id,
                 to: repoEntity.id,
-                type: 'OWNS',
+                type: 'github:OWNS',
                 metadata: { source: 'github' }
               };
               relations.set(relation.id, relation);
@@ -200,7 +202,7 @@ class GitHubAdapter {
   _mapOrgEntity(org) {
     return {
       id: `org-${org.login}`,
-      type: 'organization',
+      type: 'github:organization',
       name: org.name || org.login,
       login: org.login,
       description: org.description,
@@ -220,7 +222,7 @@ class GitHubAdapter {
   _mapUserEntity(user) {
     return {
       id: `user-${user.login}`,
-      type: 'user',
+      type: 'github:user',
       name: user.name || user.login,
       login: user.login,
       avatar: user.avatar_url,
@@ -241,7 +243,7 @@ class GitHubAdapter {
     const owner = typeof repo.owner === 'string' ? repo.owner : repo.owner?.login;
     return {
       id: `repo-${owner}/${repo.name}`,
-      type: 'repository',
+      type: 'github:repository',
       name: repo.name,
       fullName: repo.full_name,
       description: repo.description,
@@ -0,0 +1,350 @@
+/**
+ * BatchOperation - Bulk graph mutations with a per-item report
+ *
+ * Queues add/update/remove operations and applies them inside a single
+ * Graph transaction, so subscribers see one 'graph.transaction.committed'
+ * event and one 'graph.batch.executed' summary instead of an event per item.
+ *
+ * See: ../../doc/api/batch.js
+ * See: ../../doc/arch/core.md
+ */
+
+const OPERATION_TYPES = ['add', 'update', 'remove'];
+const TARGET_TYPES = ['entity', 'relation'];
+
+/**
+ * Error handling strategies:
+ * - 'fail': stop at the first rejected item (fail-fast)
+ * - 'skip': leave rejected items out and apply the rest (continue-on-error)
+ * - 'log':  like 'skip', and also warn on the console for each rejection
+ */
+const ERROR_MODES = ['fail', 'skip', 'log'];
+
+/**
+ * BatchOperation - A queue of graph mutations executed together
+ *
+ * @example
+ * const result = await new BatchOperation(graph, { onError: 'skip' })
+ *   .add('add', 'entity', { id: 'repo-1', type: 'repository' })
+ *   .add('add', 'relation', { id: 'r1', from: 'org-1', to: 'repo-1', type: 'OWNS' })
+ *   .execute();
+ * // result.report → [{ index: 0, status: 'accepted', ... }, ...]
+ */
+export class BatchOperation {
+  /**
+   * @param {Graph} graph - Graph to mutate
+   * @param {Object} options - Batch options
+   * @param {string} options.onError - 'fail' | 'skip' | 'log' (default: 'fail')
+   * @param {boolean} options.validate - Check items against the schema (default: true)
+   * @param {string} options.label - Label for the transaction and undo history
+   * @throws {Error} If onError is unknown
+   */
+  constructor(graph, options = {}) {
+    const { onError = 'fail', validate = true, label = 'Batch' } = options;
+    if (!ERROR_MODES.includes(onError)) {
+      throw new Error(
+        `Unknown onError mode '${onError}' (expected one of: ${ERROR_MODES.join(', ')})`
+      );
+    }
+
+    this.graph = graph;
+    this.eventBus = graph.eventBus;
+    this.onError = onError;
+    this.validateItems = validate;
+    this.label = label;
+
+    /** Array<{ type, targetType, data }> */
+    this.operations = [];
+
+    /** 'pending' | 'executed' | 'cancelled' */
+    this.state = 'pending';
+  }
+
+  /**
+   * Queue an operation
+   *
+   * Updates take `{ id, ...patch }`; removals take an ID or `{ id }`.
+   *
+   * @param {string} type - 'add' | 'update' | 'remove'
+   * @param {string} targetType - 'entity' | 'relation'
+   * @param {Object|string} data - Operation data
+   * @returns {BatchOperation} For chaining
+   * @throws {Error} If the batch is no longer pending or the operation is unknown
+   */
+  add(type, targetType, data) {
+    this._assertPending();
+    if (!OPERATION_TYPES.includes(type)) {
+      throw new Error(`Unknown batch operation type '${type}'`);
+    }
+    if (!TARGET_TYPES.includes(targetType)) {
+      throw new Error(`Unknown batch target type '${targetType}'`);
+    }
+
+    this.operations.push({ type, targetType, data });
+    return this;
+  }
+
+  /**
+   * Queue several operations
+   *
+   * @param {Array<Object>} operations - Array of { type, targetType, data }
+   * @returns {BatchOperation} For chaining
+   */
+  addAll(operations) {
+    operations.forEach(({ type, targetType, data }) => this.add(type, targetType, data));
+    return this;
+  }
+
+  /**
+   * Get the number of queued operations
+   *
+   * @returns {number}
+   */
+  count() {
+    return this.operations.length;
+  }
+
+  /**
+   * Get the current state of the batch
+   *
+   * @returns {Object} { state, label, onError, pending, operations }
+   */
+  getState() {
+    return {
+      state: this.state,
+      label: this.label,
+      onError: this.onError,
+      pending: this.state === 'pending' ? this.operations.length : 0,
+      operations: this.operations.map(op => ({ ...op })),
+    };
+  }
+
+  /**
+   * Check every queued operation against the current graph without applying it
+   *
+   * All items are checked regardless of the onError mode.
+   *
+   * @returns {Object} { isValid, errors: [{ index, type, targetType, id, message }] }
+   */
+  validate() {
+    const { report } = this._run({ dryRun: true, failFast: false });
+    const errors = this._errors(report);
+
+    this.eventBus.emit(
+      'graph.batch.validate',
+      { label: this.label, count: this.operations.length, errors: errors.length },
+      { source: 'Graph', actor: this.graph.getActor() }
+    );
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Show what execute() would change without modifying the graph
+   *
+   * @returns {Object} { entities: { added, updated, removed }, relations: { ... }, report }
+   */
+  preview() {
+    const { report, changes } = this._run({ dryRun: true });
+    const preview = {
+      entities: { added: [], updated: [], removed: [] },
+      relations: { added: [], updated: [], removed: [] },
+      report,
+    };
+
+    changes.forEach(({ type, data }) => {
+      const [, target, action] = type.split('.');
+      const bucket = preview[target === 'entity' ? 'entities' : 'relations'];
+      if (!bucket || !bucket[action]) return;
+
+      if (action === 'updated') {
+        bucket.updated.push(data.after);
+      } else {
+        bucket[action].push(data[target]);
+      }
+    });
+
+    return preview;
+  }
+
+  /**
+   * Apply the queued operations
+   *
+   * With onError 'fail' the batch stops at the first rejected item and, when
+   * `atomic` (the default), reverts everything it already applied; the
+   * items after it are reported as 'aborted'. With 'skip' or 'log' failing
+   * items are reported as 'skipped' and the rest is committed.
+   *
+   * @param {Object} options - Execution options
+   * @param {boolean} options.atomic - Revert accepted items on fail-fast (default: true)
+   * @returns {Promise<Object>} BatchResult with per-item `report`
+   * @throws {Error} If the batch was already executed or cancelled
+   */
+  async execute(options = {}) {
+    this._assertPending();
+    const { atomic = true } = options;
+    const startedAt = Date.now();
+
+    const { report, committed } = this._run({ atomic });
+    this.state = 'executed';
+
+    const count = (status) => report.filter(item => item.status === status).length;
+    const applied = (type, targetType) => committed
+      ? report.filter(item => item.status === 'accepted' && item.type === type && item.targetType === targetType).length
+      : 0;
+
+    const result = {
+      committed,
+      successful: committed ? count('accepted') : 0,
+      failed: count('rejected'),
+      skipped: count('skipped'),
+      errors: this._errors(report),
+      report,
+      changes: {
+        entitiesAdded: applied('add', 'entity'),
+        entitiesUpdated: applied('update', 'entity'),
+        entitiesRemoved: applied('remove', 'entity'),
+        relationsAdded: applied('add', 'relation'),
+        relationsUpdated: applied('update', 'relation'),
+        relationsRemoved: applied('remove', 'relation'),
+      },
+      executionTimeMs: Date.now() - startedAt,
+    };
+
+    // The summary event leaves out the per-item report
+    const summary = { ...result };
+    delete summary.report;
+    this.eventBus.emit(
+      'graph.batch.executed',
+      { label: this.label, ...summary },
+      { source: 'Graph', actor: this.graph.getActor() }
+    );
+
+    return result;
+  }
+
+  /**
+   * Discard the queued operations without applying them
+   *
+   * @throws {Error} If the batch was already executed
+   */
+  cancel() {
+    this._assertPending();
+    this.state = 'cancelled';
+
+    this.eventBus.emit(
+      'graph.batch.cancel',
+      { label: this.label, count: this.operations.length },
+      { source: 'Graph', actor: this.graph.getActor() }
+    );
+  }
+
+  /**
+   * Run all operations inside one transaction
+   *
+   * Each item runs in its own nested transaction so a rejected item leaves
+   * nothing half-applied behind. Items are 'accepted', 'rejected' (fail
+   * mode), 'skipped' (skip/log mode) or 'aborted' (not run after a fail-fast stop).
+   *
+   * @private
+   * @param {Object} options - Run options
+   * @param {boolean} options.dryRun - Revert everything afterwards
+   * @param {boolean} options.failFast - Stop at the first rejection (default: onError === 'fail')
+   * @param {boolean} options.atomic - Revert accepted items when stopping early
+   * @returns {Object} { report, changes, committed }
+   */
+  _run({ dryRun = false, failFast = this.onError === 'fail', atomic = true } = {}) {
+    const report = this.operations.map((op, index) => ({
+      index,
+      type: op.type,
+      targetType: op.targetType,
+      id: typeof op.data === 'string' ? op.data : op.data?.id,
+      status: 'aborted',
+    }));
+
+    let failure = null;
+    const applyAll = () => {
+      for (const item of report) {
+        if (failure) break;
+
+        try {
+          this.graph.transaction(() => this._apply(this.operations[item.index]));
+          item.status = 'accepted';
+        } catch (error) {
+          item.status = this.onError === 'fail' ? 'rejected' : 'skipped';
+          item.error = error.message || error.detail;
+
+          if (failFast) {
+            failure = error;
+          } else if (this.onError === 'log') {
+            console.warn(`Batch item ${item.index} rejected:`, error.message);
+          }
+        }
+      }
+
+      if (failure && atomic) {
+        throw failure;
+      }
+    };
+
+    const run = () => this.graph.transaction(applyAll, { label: this.label, dryRun });
+    try {
+      const outcome = this.validateItems ? run() : this.graph.withoutValidation(run);
+      return { report, changes: dryRun ? outcome.changes : [], committed: true };
+    } catch (error) {
+      if (error !== failure) throw error;
+      return { report, changes: [], committed: false };
+    }
+  }
+
+  /**
+   * Apply a single operation to the graph
+   *
+   * @private
+   * @param {Object} op - { type, targetType, data }
+   */
+  _apply({ type, targetType, data }) {
+    const graph = this.graph;
+    const isEntity = targetType === 'entity';
+
+    if (type === 'add') {
+      if (isEntity) graph.addEntity(data);
+      else graph.addRelation(data);
+    } else if (type === 'update') {
+      const { id, ...patch } = data;
+      if (isEntity) graph.updateEntity(id, patch);
+      else graph.updateRelation(id, patch);
+    } else {
+      const id = typeof data === 'string' ? data : data.id;
+      if (isEntity) graph.removeEntity(id);
+      else graph.removeRelation(id);
+    }
+  }
+
+  /**
+   * Collect rejected and skipped items from a report
+   *
+   * @private
+   * @param {Array<Object>} report - Per-item report
+   * @returns {Array<Object>} [{ index, type, targetType, id, message }]
+   */
+  _errors(report) {
+    return report
+      .filter(item => item.error !== undefined)
+      .map(({ index, type, targetType, id, error }) => ({ index, type, targetType, id, message: error }));
+  }
+
+  /**
+   * Ensure the batch can still be changed or run
+   *
+   * @private
+   * @throws {Error} If the batch was executed or cancelled
+   */
+  _assertPending() {
+    if (this.state !== 'pending') {
+      throw new Error(`Batch has already been ${this.state}`);
+    }
+  }
+}
+
+export default BatchOperation;
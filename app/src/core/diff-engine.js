@@ -9,6 +9,9 @@
  * See: ../../doc/ADR.md (ADR-021: UUID Everywhere, critical for diffing)
  */
 
+import { AUDIT_FIELDS } from './entity.js';
+import { isRef } from './schema.js';
+
 /**
  * DiffEngine - Compare two graph states
  */
@@ -16,11 +19,18 @@ export class DiffEngine {
   /**
    * Compare two graph states and generate a diff
    *
+   * Entities whose nested subgraph changed carry a recursive diff of that
+   * subgraph under `subgraph` in their `updated` entry.
+   *
    * @param {Object} oldGraph - Old graph state (from Graph.serialize())
    * @param {Object} newGraph - New graph state (from Graph.serialize())
-   * @returns {Object} Diff object with entities, relations, annotations, and summary
+   * @param {Object} options - Diff options
+   * @param {boolean} options.ignoreAudit - Don't count changes to createdAt/updatedAt/createdBy/updatedBy (default: false)
+   * @param {string} options.graphId - ID of the compared graph; references into it are checked against newGraph
+   * @param {Function} options.resolveRef - (ref) => entity or null, for references into other graphs
+   * @returns {Object} Diff object with entities, relations, annotations, brokenRefs, and summary
    */
-  diff(oldGraph, newGraph) {
+  diff(oldGraph, newGraph, options = {}) {
     const oldEntities = new Map((oldGraph.entities || []).map(e => [e.id, e]));
     const newEntities = new Map((newGraph.entities || []).map(e => [e.id, e]));
 
@@ -28,10 +38,10 @@ export class DiffEngine {
     const newRelations = new Map((newGraph.relations || []).map(r => [r.id, r]));
 
     // Diff entities
-    const entityDiff = this._diffCollections(oldEntities, newEntities);
+    const entityDiff = this._diffCollections(oldEntities, newEntities, options);
 
     // Diff relations
-    const relationDiff = this._diffCollections(oldRelations, newRelations);
+    const relationDiff = this._diffCollections(oldRelations, newRelations, options);
 
     // Build summary
     const summary = {
@@ -47,6 +57,7 @@ export class DiffEngine {
         preserved: [],
         archived: [],
       },
+      brokenRefs: this._findBrokenRefs(newEntities, options),
       summary,
     };
   }
@@ -112,12 +123,18 @@ export class DiffEngine {
       entities: {
         added: diff.entities.removed,
         removed: diff.entities.added,
-        updated: diff.entities.updated.map(u => ({
-          id: u.id,
-          before: u.after,
-          after: u.before,
-          changedFields: u.changedFields,
-        })),
+        updated: diff.entities.updated.map(u => {
+          const reversed = {
+            id: u.id,
+            before: u.after,
+            after: u.before,
+            changedFields: u.changedFields,
+          };
+          if (u.subgraph) {
+            reversed.subgraph = this.reverse(u.subgraph);
+          }
+          return reversed;
+        }),
       },
       relations: {
         added: diff.relations.removed,
@@ -183,9 +200,10 @@ export class DiffEngine {
    * @private
    * @param {Map} oldCollection - Old items by ID
    * @param {Map} newCollection - New items by ID
+   * @param {Object} options - Diff options (see diff())
    * @returns {Object} Diff with added, removed, updated
    */
-  _diffCollections(oldCollection, newCollection) {
+  _diffCollections(oldCollection, newCollection, options = {}) {
     const added = [];
     const removed = [];
     const updated = [];
@@ -200,7 +218,23 @@ export class DiffEngine {
         removed.push(serialized);
       } else {
         const newItem = newCollection.get(id);
-        const changes = this._detectChanges(oldItem, newItem);
+        let changes = this._detectChanges(oldItem, newItem, options);
+
+        // Nested subgraphs get their own structural diff
+        let subgraphDiff = null;
+        if (changes.includes('subgraph')) {
+          const oldData = oldItem && typeof oldItem.serialize === 'function' ? oldItem.serialize() : oldItem;
+          const newData = newItem && typeof newItem.serialize === 'function' ? newItem.serialize() : newItem;
+          subgraphDiff = this.diff(oldData.subgraph || {}, newData.subgraph || {}, options);
+
+          // A subgraph that differs only in ignored fields is unchanged
+          const { totalAdded, totalRemoved, totalModified } = subgraphDiff.summary;
+          if (options.ignoreAudit && totalAdded + totalRemoved + totalModified === 0) {
+            changes = changes.filter(field => field !== 'subgraph');
+            subgraphDiff = null;
+          }
+        }
+
         if (changes.length > 0) {
           // Serialize before/after
           const before = oldItem && typeof oldItem.serialize === 'function'
@@ -209,12 +243,18 @@ export class DiffEngine {
           const after = newItem && typeof newItem.serialize === 'function'
             ? newItem.serialize()
             : newItem;
-          updated.push({
+          const entry = {
             id,
             before,
             after,
             changedFields: changes,
-          });
+          };
+
+          if (subgraphDiff) {
+            entry.subgraph = subgraphDiff;
+          }
+
+          updated.push(entry);
         }
       }
     }
@@ -239,9 +279,10 @@ export class DiffEngine {
    * @private
    * @param {Object|Entity|Relation} oldItem - Old item (instance or plain object)
    * @param {Object|Entity|Relation} newItem - New item (instance or plain object)
+   * @param {Object} options - Diff options (see diff())
    * @returns {string[]} Array of changed field names
    */
-  _detectChanges(oldItem, newItem) {
+  _detectChanges(oldItem, newItem, options = {}) {
     // Handle instances by using their equals method if available
     if (oldItem && typeof oldItem.equals === 'function') {
       if (oldItem.equals(newItem)) {
@@ -261,6 +302,8 @@ export class DiffEngine {
     const allKeys = new Set([...Object.keys(oldData), ...Object.keys(newData)]);
 
     for (const key of allKeys) {
+      if (options.ignoreAudit && AUDIT_FIELDS.includes(key)) continue;
+
       const oldVal = oldData[key];
       const newVal = newData[key];
 
@@ -325,4 +368,38 @@ export class DiffEngine {
 
     return Array.from(map.values());
   }
+
+  /**
+   * Find references in the new state that point at a missing entity
+   *
+   * References are only reported when they can be checked: into the
+   * compared graph itself (options.graphId) or through options.resolveRef.
+   *
+   * @private
+   * @param {Map} entities - New entities by ID
+   * @param {Object} options - Diff options
+   * @returns {Object[]} [{ entityId, field, ref }]
+   */
+  _findBrokenRefs(entities, options = {}) {
+    const broken = [];
+    for (const entity of entities.values()) {
+      for (const [field, ref] of Object.entries(entity)) {
+        if (field === 'metadata' || !isRef(ref)) continue;
+
+        let resolves;
+        if (options.graphId && ref.graphId === options.graphId) {
+          resolves = entities.has(ref.entityId);
+        } else if (options.resolveRef) {
+          resolves = Boolean(options.resolveRef(ref));
+        } else {
+          continue;
+        }
+
+        if (!resolves) {
+          broken.push({ entityId: entity.id, field, ref });
+        }
+      }
+    }
+    return broken;
+  }
 }
@@ -8,6 +8,16 @@
  * See: ../../doc/ADR.md (ADR-002: Recursive Graph, ADR-021: UUID Everywhere)
  */
 
+/** Fields managed by Entity itself rather than by the schema */
+const RESERVED_FIELDS = ['id', 'type', 'metadata', 'subgraph'];
+
+/**
+ * Audit fields stamped by Graph on every mutation (entities and relations)
+ *
+ * They are stored and serialized like other fields but cannot be set directly.
+ */
+export const AUDIT_FIELDS = ['createdAt', 'updatedAt', 'createdBy', 'updatedBy'];
+
 /**
  * Entity - Generic graph node
  *
@@ -15,9 +25,13 @@
  * - id: Unique identifier (UUID)
  * - type: Entity type name (from schema)
  * - metadata: Custom user-generated metadata (notes, tags, etc.)
+ * - subgraph: Optional nested graph owned by this entity
+ * - createdAt/updatedAt/createdBy/updatedBy: Audit fields set by Graph
  * - [other fields]: Any schema-defined fields
  *
- * Entities can be nested (sub-graphs) or standalone.
+ * Entities can be nested (sub-graphs) or standalone. The subgraph is either
+ * serialized data ({ entities, relations }) or a live Graph once the entity
+ * has been added to a graph.
  */
 export class Entity {
   /**
@@ -27,6 +41,7 @@ export class Entity {
    * @param {string} data.id - Unique identifier (required)
    * @param {string} data.type - Entity type (required)
    * @param {Object} data.metadata - Optional metadata (notes, tags, flags)
+   * @param {Object|Graph} data.subgraph - Optional nested graph (serialized or live)
    * @param {...*} - Any other properties defined by schema
    *
    * @example
@@ -53,9 +68,14 @@ export class Entity {
     // Optional metadata
     this.metadata = data.metadata || {};
 
+    // Optional nested graph
+    if (data.subgraph) {
+      this.subgraph = data.subgraph;
+    }
+
     // Copy all other properties (schema-defined fields)
     for (const [key, value] of Object.entries(data)) {
-      if (key !== 'id' && key !== 'type' && key !== 'metadata') {
+      if (!RESERVED_FIELDS.includes(key)) {
         this[key] = value;
       }
     }
@@ -82,6 +102,9 @@ export class Entity {
     if (key === 'id' || key === 'type') {
       throw new Error(`Cannot change ${key} after entity creation`);
     }
+    if (AUDIT_FIELDS.includes(key)) {
+      throw new Error(`Cannot set ${key}: audit fields are managed by the graph`);
+    }
     this[key] = value;
   }
 
@@ -118,14 +141,32 @@ export class Entity {
   }
 
   /**
-   * Get all custom fields (excluding core id, type, metadata)
+   * Check if entity owns a nested subgraph
+   *
+   * @returns {boolean} True if a subgraph is attached
+   */
+  hasSubgraph() {
+    return Boolean(this.subgraph);
+  }
+
+  /**
+   * Get the nested subgraph
+   *
+   * @returns {Graph|Object|null} Live Graph, serialized subgraph, or null
+   */
+  getSubgraph() {
+    return this.subgraph || null;
+  }
+
+  /**
+   * Get all custom fields (excluding core id, type, metadata, subgraph)
    *
    * @returns {Object} Object with all custom fields
    */
   getCustomFields() {
     const fields = {};
     for (const [key, value] of Object.entries(this)) {
-      if (key !== 'id' && key !== 'type' && key !== 'metadata') {
+      if (!RESERVED_FIELDS.includes(key)) {
         fields[key] = value;
       }
     }
@@ -148,6 +189,13 @@ export class Entity {
       result.metadata = this.metadata;
     }
 
+    // Include nested subgraph as plain data
+    if (this.subgraph) {
+      result.subgraph = typeof this.subgraph.serialize === 'function'
+        ? this.subgraph.serialize()
+        : this.subgraph;
+    }
+
     // Include all custom fields
     const customFields = this.getCustomFields();
     return { ...result, ...customFields };
@@ -193,6 +241,13 @@ export class Entity {
     }
 
     for (const key of thisKeys) {
+      if (key === 'subgraph') {
+        // Compare nested graphs by content, not by instance
+        if (!this._deepEquals(this.serialize().subgraph, other.serialize().subgraph)) {
+          return false;
+        }
+        continue;
+      }
       if (!this._deepEquals(this[key], other[key])) {
         return false;
       }
@@ -35,22 +35,25 @@ export class EventReplayEngine {
   /**
    * Create a fresh Graph and replay events from the start.
    * Only processes graph.* events and skips non-replayable events (replayable:false).
+   *
+   * Events recorded under an older schema version (the schemaVersion a
+   * Graph stamps on their meta, or options.schemaVersion) are replayed
+   * without the schema and the result migrated, see _replay().
    */
-  replayFromStart(events = []) {
-    const graph = new Graph(this.eventBus, this.schema);
-    return this._applyEventsToGraph(graph, events);
+  replayFromStart(events = [], options = {}) {
+    return this._replay(null, events, options);
   }
 
-  replayFromSnapshot(snapshot = null, events = []) {
-    const graph = new Graph(this.eventBus, this.schema);
-    if (snapshot) {
-      graph.load(snapshot);
-    }
-    return this._applyEventsToGraph(graph, events);
+  /**
+   * Load a snapshot, then replay the events recorded after it.
+   * The events are taken to share the snapshot's schema version
+   * (its schemaVersion, or 1) unless options.schemaVersion says otherwise.
+   */
+  replayFromSnapshot(snapshot = null, events = [], options = {}) {
+    return this._replay(snapshot, events, options);
   }
 
-  replayUntil(events = [], until) {
-    const graph = new Graph(this.eventBus, this.schema);
+  replayUntil(events = [], until, options = {}) {
     // Accept either timestamp string/number or numeric index
     const isIndex = typeof until === 'number';
     const filtered = [];
@@ -67,7 +70,55 @@ export class EventReplayEngine {
       filtered.push(ev);
     }
 
-    return this._applyEventsToGraph(graph, filtered);
+    return this._replay(null, filtered, options);
+  }
+
+  /**
+   * Replay onto a fresh Graph, migrating data of an older schema version.
+   *
+   * Old events may not validate against the current schema, so they are
+   * replayed into a schemaless graph first; its data is then migrated and
+   * loaded. The result carries the migration report ({ from, to, steps }),
+   * or null if nothing was migrated.
+   */
+  _replay(snapshot, events, options) {
+    const current = this.schema ? this.schema.version : 1;
+    const version = options.schemaVersion
+      || (snapshot ? snapshot.schemaVersion || 1 : this._recordedVersion(events) || current);
+
+    if (!this.schema || version === current) {
+      const graph = new Graph(this.eventBus, this.schema);
+      if (snapshot) {
+        graph.load(snapshot);
+      }
+      return { ...this._applyEventsToGraph(graph, events), migration: null };
+    }
+
+    const staging = new Graph(new EventBus(), null);
+    if (snapshot) {
+      staging.load(snapshot);
+    }
+    const { errors } = this._applyEventsToGraph(staging, events);
+    const { data, report } = this.schema.migrate({ ...staging.serialize(), schemaVersion: version });
+
+    const graph = new Graph(this.eventBus, this.schema);
+    graph.load(data);
+    return { graph, errors, migration: report };
+  }
+
+  /**
+   * Schema version the events were recorded under, from their meta.
+   * Returns null if none carries one; throws if they disagree, as the
+   * migrations can only bring a whole graph forward from one version.
+   */
+  _recordedVersion(events) {
+    const versions = new Set(events
+      .filter((e) => e && e.meta && e.meta.schemaVersion)
+      .map((e) => e.meta.schemaVersion));
+    if (versions.size > 1) {
+      throw new Error(`Events span schema versions ${[...versions].join(', ')}; replay them from a snapshot per version`);
+    }
+    return versions.size === 1 ? [...versions][0] : null;
   }
 
   _applyEventsToGraph(graph, events) {
@@ -86,15 +137,21 @@ export class EventReplayEngine {
     return { graph, errors };
   }
 
-  _applyEvent(graph, ev) {
+  _applyEvent(root, ev) {
     const type = ev.type;
     const data = ev.data || {};
 
+    // Events from nested subgraphs carry the entity path from the root graph
+    const graph = data.path ? root.resolvePath(data.path) : root;
+    if (!graph) {
+      throw new Error(`Subgraph '${data.path.join('/')}' not found`);
+    }
+
     // Very small, explicit mapping for known graph events
     switch (type) {
       case 'graph.entity.added':
       case 'graph.entity.add':
-        if (data.entity) graph.addEntity(data.entity);
+        if (data.entity) graph._readdEntity(data.entity);
         break;
       case 'graph.entity.updated':
       case 'graph.entity.update':
@@ -102,11 +159,17 @@ export class EventReplayEngine {
         break;
       case 'graph.entity.removed':
       case 'graph.entity.remove':
-        if (data.entityId) graph.removeEntity(data.entityId);
+        // Cascaded removals are repeated by the removal that caused them
+        if (data.entityId && !data.cascadeOf) {
+          graph.removeEntity(data.entityId, { policy: data.policy, soft: data.soft });
+        }
+        break;
+      case 'graph.entity.restored':
+        if (data.entityId) graph.trash.restore(data.entityId);
         break;
       case 'graph.relation.added':
       case 'graph.relation.add':
-        if (data.relation) graph.addRelation(data.relation);
+        if (data.relation) graph._readdRelation(data.relation);
         break;
       case 'graph.relation.updated':
       case 'graph.relation.update':
@@ -114,7 +177,26 @@ export class EventReplayEngine {
         break;
       case 'graph.relation.removed':
       case 'graph.relation.remove':
-        if (data.relationId) graph.removeRelation(data.relationId);
+        if (data.relationId && !data.cascadeOf) {
+          graph.removeRelation(data.relationId, { soft: data.soft });
+        }
+        break;
+      case 'graph.relation.restored':
+        if (data.relationId) graph.trash.restore(data.relationId);
+        break;
+      case 'graph.trash.purged':
+        (data.ids || []).filter((id) => graph.trash.has(id)).forEach((id) => graph.trash.purge(id));
+        break;
+      case 'graph.transaction.committed':
+        // Re-apply the whole change set atomically
+        if (Array.isArray(data.changes)) {
+          root.transaction(() => {
+            data.changes.forEach((change) => this._applyEvent(root, change));
+          }, { label: data.label });
+        }
+        break;
+      case 'graph.subgraph.created':
+        if (data.entityId) graph.createSubgraph(data.entityId);
         break;
       case 'graph.loaded':
       case 'graph.serialize':
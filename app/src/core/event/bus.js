@@ -61,7 +61,7 @@ export class EventBus {
    *
    * @param {string} type - Namespaced event type (e.g., 'graph.entity.added')
    * @param {Object} data - Event-specific payload
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (source, actor, schemaVersion)
    */
   emit(type, data = {}, options = {}) {
     const event = {
@@ -73,6 +73,7 @@ export class EventBus {
         source: options.source || 'unknown',
         traceId: this._currentTraceId,
         correlationId: this._currentCorrelationId,
+        ...(options.schemaVersion && { schemaVersion: options.schemaVersion }),
       },
       actor: options.actor || { type: 'system', id: 'EventBus' },
       data,
@@ -9,37 +9,179 @@
  * See: ../../doc/modules/event/Bus.md for events
  */
 
-import { Entity } from './entity.js';
+import { Entity, AUDIT_FIELDS } from './entity.js';
 import { Relation } from './relation.js';
+import { Trash } from './trash.js';
+import { EventBus } from './event/bus.js';
+import { GSError } from './error-handler.js';
+import { isRef, NAMESPACE_SEPARATOR } from './schema.js';
+
+/**
+ * Policies accepted by removeEntity() for relations that reference the entity:
+ * - 'detach':   remove the entity and every relation incident to it
+ * - 'cascade':  like 'detach', and also remove entities that only the removed
+ *               entity pointed at (targets left without any other inbound relation)
+ * - 'restrict': refuse to remove an entity that still has relations
+ */
+const DELETE_POLICIES = ['detach', 'cascade', 'restrict'];
+
+/**
+ * Strategies accepted by upsert() when an imported value conflicts with a
+ * field that was edited locally:
+ * - 'source-wins':      the imported value replaces the local edit
+ * - 'local-wins':       the local edit is kept
+ * - 'newest-timestamp': whichever is newer wins (local edit time vs. the
+ *                       item's timestamp field, or the fetch time)
+ */
+const MERGE_STRATEGIES = ['source-wins', 'local-wins', 'newest-timestamp'];
+
+/**
+ * Relation scopes accepted by extract():
+ * - 'induced':  only relations between selected entities
+ * - 'incident': every relation touching a selected entity, together with
+ *               the entity at its other end
+ */
+const RELATION_SCOPES = ['induced', 'incident'];
+
+/**
+ * Modes accepted by load() for validating data against the schema:
+ * - 'strict':  refuse to load data with errors
+ * - 'lenient': load it anyway and return the report
+ */
+const VALIDATION_MODES = ['strict', 'lenient'];
+
+/** Fields upsert() never merges value-by-value */
+const NON_MERGE_FIELDS = ['id', 'type', 'metadata', 'subgraph', 'provenance', ...AUDIT_FIELDS];
+
+/** Fields that identify what an item is; upsert() refuses to change them */
+const IDENTITY_FIELDS = { entity: ['type'], relation: ['type', 'from', 'to'] };
+
+/** Mutations that middleware can hook with before<Mutation> / after<Mutation> */
+const MUTATIONS = [
+  'AddEntity', 'UpdateEntity', 'RemoveEntity',
+  'AddRelation', 'UpdateRelation', 'RemoveRelation',
+];
+const MIDDLEWARE_HOOKS = MUTATIONS.flatMap((mutation) => [`before${mutation}`, `after${mutation}`]);
+
+/** Actor recorded for mutations when none has been set */
+const SYSTEM_ACTOR = { type: 'system', id: 'system' };
 
 export class Graph {
   /**
    * @param {EventBus} eventBus - Event bus for emitting mutations
    * @param {Schema} schema - Schema for validation (optional)
+   * @param {Object} options - Configuration options
+   * @param {string} options.deletePolicy - Default removeEntity policy (default: 'detach')
+   * @param {boolean} options.softDelete - Move removed items to the trash by default (default: false)
+   * @param {Object} options.actor - Who is making changes, as { type, id } (default: system)
+   * @param {string} options.graphId - ID that references from other graphs use for this graph
+   * @param {Function} options.resolveGraph - Looks up another graph by ID, for resolving references
+   * @param {Graph} options.parent - Owning graph when this graph is a subgraph
+   * @param {string} options.parentEntityId - Entity that owns this subgraph
    */
-  constructor(eventBus, schema = null) {
+  constructor(eventBus, schema = null, options = {}) {
+    const {
+      deletePolicy = 'detach',
+      softDelete = false,
+      actor = SYSTEM_ACTOR,
+      graphId = null,
+      resolveGraph = null,
+      parent = null,
+      parentEntityId = null,
+    } = options;
+    this._assertDeletePolicy(deletePolicy);
+
     this.eventBus = eventBus;
     this.schema = schema;
 
+    /** Default policy for relations referencing a removed entity */
+    this.deletePolicy = deletePolicy;
+
+    /** Whether removals are soft (tombstoned in this.trash) unless told otherwise */
+    this.softDelete = softDelete;
+
+    /** Actor stamped into audit fields and events (read from the root graph) */
+    this._actor = actor;
+
+    /** Identity and graph lookup for cross-graph references (read from the root graph) */
+    this.graphId = graphId;
+    this._resolveGraph = resolveGraph;
+
+    /** Soft-deleted entities and relations */
+    this.trash = new Trash(this);
+
     /** Map<entityId, Entity> */
     this.entities = new Map();
 
     /** Map<relationId, Relation> */
     this.relations = new Map();
 
+    /** Adjacency indexes: Map<entityId, Map<relationType, Set<relationId>>> */
+    this._outgoing = new Map();
+    this._incoming = new Map();
+
+    /** Owning graph and entity when nested (null for the root graph) */
+    this.parent = parent;
+    this.parentEntityId = parentEntityId;
+
     /** Current subgraph context (for drill-down) */
     this.currentSubgraph = null;
+
+    /** Entity IDs drilled into from this graph, outermost first */
+    this._drillPath = [];
+
+    /** Open transaction ({ label, journal, changes }) on the root graph, or null */
+    this._transaction = null;
+
+    /** Registered middleware (used from the root graph) */
+    this._middleware = [];
+
+    /** Depth of withoutMiddleware() calls in progress */
+    this._middlewarePaused = 0;
+
+    /** Depth of withoutValidation() calls in progress */
+    this._validationPaused = 0;
   }
 
   /**
    * Add an entity to the graph
    *
+   * Schema defaults fill in fields the entity leaves out. The entity is
+   * stamped with createdAt/updatedAt and createdBy/updatedBy (the current
+   * actor); audit fields passed in are ignored.
+   *
    * @param {Object} entity - Entity data to add
    * @throws {Error} If entity is invalid
    */
   addEntity(entity) {
+    this._mutate('AddEntity', entity, entity?.id, (data) => this._addEntity(this._omitAudit(data)));
+  }
+
+  /**
+   * Add an entity as it was recorded, keeping the audit fields it carries
+   *
+   * Used by undo/redo and event replay to bring back an entity that
+   * existed before. Fields it lacks are stamped as in addEntity().
+   *
+   * @private
+   * @param {Object} entity - Serialized entity
+   */
+  _readdEntity(entity) {
+    this._mutate('AddEntity', entity, entity?.id, (data) => this._addEntity(data));
+  }
+
+  /**
+   * @private
+   * @param {Object} entity - Entity data, as left by beforeAddEntity hooks
+   * @returns {Object} Payload of the emitted event
+   */
+  _addEntity(entity) {
+    if (this.schema && typeof this.schema.applyDefaults === 'function') {
+      entity = this.schema.applyDefaults(entity, 'entity');
+    }
+
     // Validate if schema is present
-    if (this.schema && !this.schema.validate(entity, 'entity')) {
+    if (this._validates() && !this.schema.validate(entity, 'entity')) {
       throw new Error(`Invalid entity: ${this.schema.lastError}`);
     }
 
@@ -49,79 +191,195 @@ export class Graph {
     }
 
     // Create Entity instance
-    const entityInstance = new Entity(entity);
+    const entityInstance = this._adopt(new Entity({ ...entity, ...this._created(entity) }));
 
     // Add to graph
     this.entities.set(entityInstance.id, entityInstance);
+    this._record(() => this.entities.delete(entityInstance.id));
 
     // Emit event with serialized entity
-    this.eventBus.emit(
-      'graph.entity.added',
-      { entity: entityInstance.serialize() },
-      { source: 'Graph' }
-    );
+    return this._emit('graph.entity.added', { entity: entityInstance.serialize() });
   }
 
   /**
    * Update an entity
    *
+   * If the entity was imported through upsert(), the patched fields are
+   * recorded as local edits in its `provenance` (unless the patch sets
+   * `provenance` itself). updatedAt/updatedBy are stamped.
+   *
    * @param {string} entityId - Entity ID
    * @param {Object} patch - Fields to update
-   * @throws {Error} If entity not found or patch is invalid
+   * @throws {Error} If entity not found, or the patch is invalid or changes an audit field
    */
   updateEntity(entityId, patch) {
+    this._mutate('UpdateEntity', patch, entityId, (data) => this._updateEntity(entityId, data));
+  }
+
+  /**
+   * @private
+   * @param {string} entityId - Entity ID
+   * @param {Object} patch - Fields to update, as left by beforeUpdateEntity hooks
+   * @returns {Object} Payload of the emitted event
+   */
+  _updateEntity(entityId, patch) {
     const entity = this.entities.get(entityId);
     if (!entity) {
       throw new Error(`Entity '${entityId}' not found`);
     }
 
     const before = entity.serialize();
-    
+    patch = this._omitAudit(patch, before, `entity '${entityId}'`);
+
+    // Imported entities remember which fields were edited locally
+    if (entity.provenance && !('provenance' in patch)) {
+      patch = { ...patch, provenance: this._markLocal(entity.provenance, patch) };
+    }
+
     // Update entity instance with patch
     const serialized = entity.serialize();
-    const updated = { ...serialized, ...patch };
+    const updated = { ...serialized, ...patch, ...this._updated() };
     const newEntity = new Entity(updated);
 
     // Validate if schema is present
-    if (this.schema && !this.schema.validate(updated, 'entity')) {
+    if (this._validates() && !this.schema.validate(updated, 'entity')) {
       throw new Error(`Invalid entity: ${this.schema.lastError}`);
     }
 
+    // Keep the live subgraph unless the patch replaces it
+    if (!('subgraph' in patch) && entity.subgraph) {
+      newEntity.subgraph = entity.subgraph;
+    }
+
     // Update in graph
-    this.entities.set(entityId, newEntity);
+    this.entities.set(entityId, this._adopt(newEntity));
+    this._record(() => this.entities.set(entityId, entity));
 
     const after = newEntity.serialize();
 
     // Emit event
-    this.eventBus.emit(
-      'graph.entity.updated',
-      { entityId, patch, before, after },
-      { source: 'Graph' }
-    );
+    return this._emit('graph.entity.updated', { entityId, patch, before, after });
   }
 
   /**
    * Remove an entity
    *
+   * Relations referencing the entity are handled according to the delete
+   * policy, so the graph never keeps relations pointing at missing entities.
+   * Everything removed alongside the entity is emitted first with a
+   * `cascadeOf` marker; the final 'graph.entity.removed' event lists it under
+   * `cascaded` so the whole removal can be undone as one step.
+   *
+   * A soft removal keeps all of it as one tombstone in `this.trash`, from
+   * where `trash.restore(entityId)` brings it back.
+   *
+   * @param {string} entityId - Entity ID
+   * @param {Object} options - Removal options
+   * @param {string} options.policy - 'detach' | 'cascade' | 'restrict' (default: graph deletePolicy)
+   * @param {boolean} options.soft - Tombstone instead of deleting (default: graph softDelete)
+   * @throws {Error} If entity not found, or policy is 'restrict' and relations exist
+   */
+  removeEntity(entityId, options = {}) {
+    this._mutate('RemoveEntity', options, entityId, (data) => this._removeEntity(entityId, data));
+  }
+
+  /**
+   * @private
    * @param {string} entityId - Entity ID
-   * @throws {Error} If entity not found
+   * @param {Object} options - Removal options, as left by beforeRemoveEntity hooks
+   * @returns {Object} Payload of the final emitted event
    */
-  removeEntity(entityId) {
+  _removeEntity(entityId, options = {}) {
     if (!this.entities.has(entityId)) {
       throw new Error(`Entity '${entityId}' not found`);
     }
 
+    const policy = options.policy || this.deletePolicy;
+    const soft = options.soft !== undefined ? options.soft : this.softDelete;
+    this._assertDeletePolicy(policy);
+
+    const incident = this._getIncidentRelationIds(entityId);
+    if (policy === 'restrict' && incident.length > 0) {
+      throw new Error(
+        `Cannot remove entity '${entityId}': ${incident.length} relation(s) still reference it`
+      );
+    }
+
+    // Collect everything that goes away with this entity
+    const entityIds = policy === 'cascade'
+      ? this._collectCascade(entityId)
+      : [entityId];
+    const relationIds = new Set();
+    for (const id of entityIds) {
+      this._getIncidentRelationIds(id).forEach((relId) => relationIds.add(relId));
+    }
+
+    const removedRelations = [];
+    const relationInstances = [];
+    for (const relId of relationIds) {
+      const relation = this.relations.get(relId);
+      relationInstances.push(relation);
+      removedRelations.push(relation.serialize());
+      this.relations.delete(relId);
+      this._unindex(relation);
+    }
+
     const entity = this.entities.get(entityId);
-    this.entities.delete(entityId);
+    const removedEntities = [];
+    const instances = [];
+    for (const id of entityIds) {
+      if (id !== entityId) {
+        removedEntities.push(this.entities.get(id).serialize());
+      }
+      instances.push(this.entities.get(id));
+      this.entities.delete(id);
+    }
+
+    this._record(() => {
+      instances.forEach((instance) => this.entities.set(instance.id, instance));
+      relationInstances.forEach((relation) => {
+        this.relations.set(relation.id, relation);
+        this._index(relation);
+      });
+    });
 
-    // TODO: Handle cascading deletions (relations referencing this entity)
+    if (soft) {
+      this.trash._bury({
+        id: entityId,
+        kind: 'entity',
+        deletedAt: new Date().toISOString(),
+        item: entity.serialize(),
+        entities: removedEntities,
+        relations: removedRelations,
+      });
+    }
+
+    // Emit cascaded removals first so subscribers see a consistent order
+    for (const relation of removedRelations) {
+      this._emit('graph.relation.removed', {
+        relationId: relation.id,
+        relation,
+        cascadeOf: entityId,
+        soft,
+      });
+    }
+    for (const removed of removedEntities) {
+      this._emit('graph.entity.removed', {
+        entityId: removed.id,
+        entity: removed,
+        cascadeOf: entityId,
+        soft,
+      });
+    }
 
     // Emit event
-    this.eventBus.emit(
-      'graph.entity.removed',
-      { entityId, entity },
-      { source: 'Graph' }
-    );
+    return this._emit('graph.entity.removed', {
+      entityId,
+      entity: entity.serialize(),
+      policy,
+      soft,
+      cascaded: { entities: removedEntities, relations: removedRelations },
+    });
   }
 
   /**
@@ -138,12 +396,38 @@ export class Graph {
   /**
    * Add a relation to the graph
    *
+   * Schema defaults and audit fields are applied as in addEntity().
+   *
    * @param {Object} relation - Relation data to add
    * @throws {Error} If relation is invalid
    */
   addRelation(relation) {
+    this._mutate('AddRelation', relation, relation?.id, (data) => this._addRelation(this._omitAudit(data)));
+  }
+
+  /**
+   * Add a relation as it was recorded, keeping the audit fields it carries
+   * (see _readdEntity())
+   *
+   * @private
+   * @param {Object} relation - Serialized relation
+   */
+  _readdRelation(relation) {
+    this._mutate('AddRelation', relation, relation?.id, (data) => this._addRelation(data));
+  }
+
+  /**
+   * @private
+   * @param {Object} relation - Relation data, as left by beforeAddRelation hooks
+   * @returns {Object} Payload of the emitted event
+   */
+  _addRelation(relation) {
+    if (this.schema && typeof this.schema.applyDefaults === 'function') {
+      relation = this.schema.applyDefaults(relation, 'relation');
+    }
+
     // Validate if schema is present
-    if (this.schema && !this.schema.validate(relation, 'relation')) {
+    if (this._validates() && !this.schema.validate(relation, 'relation')) {
       throw new Error(`Invalid relation: ${this.schema.lastError}`);
     }
 
@@ -160,18 +444,136 @@ export class Graph {
       throw new Error(`Relation with ID '${relation.id}' already exists`);
     }
 
+    this._assertRelationFits(relation);
+
     // Create Relation instance
-    const relationInstance = new Relation(relation);
+    const relationInstance = new Relation({ ...relation, ...this._created(relation) });
 
     // Add to graph
     this.relations.set(relationInstance.id, relationInstance);
+    this._index(relationInstance);
+    this._record(() => {
+      this.relations.delete(relationInstance.id);
+      this._unindex(relationInstance);
+    });
 
     // Emit event with serialized relation
-    this.eventBus.emit(
-      'graph.relation.added',
-      { relation: relationInstance.serialize() },
-      { source: 'Graph' }
-    );
+    return this._emit('graph.relation.added', { relation: relationInstance.serialize() });
+  }
+
+  /**
+   * Update a relation
+   *
+   * updatedAt/updatedBy are stamped as in updateEntity().
+   *
+   * @param {string} relationId - Relation ID
+   * @param {Object} patch - Fields to update
+   * @throws {Error} If relation not found, or the patch is invalid or changes an audit field
+   */
+  updateRelation(relationId, patch) {
+    this._mutate('UpdateRelation', patch, relationId, (data) => this._updateRelation(relationId, data));
+  }
+
+  /**
+   * @private
+   * @param {string} relationId - Relation ID
+   * @param {Object} patch - Fields to update, as left by beforeUpdateRelation hooks
+   * @returns {Object} Payload of the emitted event
+   */
+  _updateRelation(relationId, patch) {
+    const relation = this.relations.get(relationId);
+    if (!relation) {
+      throw new Error(`Relation '${relationId}' not found`);
+    }
+    if ('id' in patch && patch.id !== relationId) {
+      throw new Error(`Cannot change id of relation '${relationId}'`);
+    }
+
+    const before = relation.serialize();
+    patch = this._omitAudit(patch, before, `relation '${relationId}'`);
+
+    if (relation.provenance && !('provenance' in patch)) {
+      patch = { ...patch, provenance: this._markLocal(relation.provenance, patch) };
+    }
+
+    const updated = { ...before, ...patch, ...this._updated() };
+
+    // Validate if schema is present
+    if (this._validates() && !this.schema.validate(updated, 'relation')) {
+      throw new Error(`Invalid relation: ${this.schema.lastError}`);
+    }
+
+    // Re-pointed relations must still reference existing entities
+    if (!this.entities.has(updated.from)) {
+      throw new Error(`Source entity '${updated.from}' not found`);
+    }
+    if (!this.entities.has(updated.to)) {
+      throw new Error(`Target entity '${updated.to}' not found`);
+    }
+    this._assertRelationFits(updated);
+
+    const newRelation = new Relation(updated);
+    this._unindex(relation);
+    this.relations.set(relationId, newRelation);
+    this._index(newRelation);
+    this._record(() => {
+      this._unindex(newRelation);
+      this.relations.set(relationId, relation);
+      this._index(relation);
+    });
+
+    const after = newRelation.serialize();
+
+    // Emit event
+    return this._emit('graph.relation.updated', { relationId, patch, before, after });
+  }
+
+  /**
+   * Remove a relation
+   *
+   * @param {string} relationId - Relation ID
+   * @param {Object} options - Removal options
+   * @param {boolean} options.soft - Tombstone instead of deleting (default: graph softDelete)
+   * @throws {Error} If relation not found
+   */
+  removeRelation(relationId, options = {}) {
+    this._mutate('RemoveRelation', options, relationId, (data) => this._removeRelation(relationId, data));
+  }
+
+  /**
+   * @private
+   * @param {string} relationId - Relation ID
+   * @param {Object} options - Removal options, as left by beforeRemoveRelation hooks
+   * @returns {Object} Payload of the emitted event
+   */
+  _removeRelation(relationId, options = {}) {
+    const relation = this.relations.get(relationId);
+    if (!relation) {
+      throw new Error(`Relation '${relationId}' not found`);
+    }
+
+    const soft = options.soft !== undefined ? options.soft : this.softDelete;
+
+    this.relations.delete(relationId);
+    this._unindex(relation);
+    this._record(() => {
+      this.relations.set(relationId, relation);
+      this._index(relation);
+    });
+
+    if (soft) {
+      this.trash._bury({
+        id: relationId,
+        kind: 'relation',
+        deletedAt: new Date().toISOString(),
+        item: relation.serialize(),
+        entities: [],
+        relations: [],
+      });
+    }
+
+    // Emit event
+    return this._emit('graph.relation.removed', { relationId, relation: relation.serialize(), soft });
   }
 
   /**
@@ -185,31 +587,260 @@ export class Graph {
     return relation ? relation.serialize() : null;
   }
 
+  /**
+   * Get relations leaving an entity
+   *
+   * Served from the adjacency index, so the cost is proportional to the
+   * entity's degree rather than the size of the graph.
+   *
+   * @param {string} entityId - Source entity ID
+   * @param {string} type - Relation type to restrict to (optional)
+   * @returns {Object[]} Serialized relations
+   */
+  getOutgoing(entityId, type = null) {
+    return this._lookup(this._outgoing, entityId, type).map(id => this.relations.get(id).serialize());
+  }
+
+  /**
+   * Get relations arriving at an entity
+   *
+   * @param {string} entityId - Target entity ID
+   * @param {string} type - Relation type to restrict to (optional)
+   * @returns {Object[]} Serialized relations
+   */
+  getIncoming(entityId, type = null) {
+    return this._lookup(this._incoming, entityId, type).map(id => this.relations.get(id).serialize());
+  }
+
+  /**
+   * Get entities directly connected to an entity
+   *
+   * Relations of undirected types (per the schema) are followed whichever
+   * way they were stored, so they match both 'out' and 'in'.
+   *
+   * @param {string} entityId - Entity ID
+   * @param {Object} options - Neighbor options
+   * @param {string} options.direction - 'out' | 'in' | 'both' (default: 'both')
+   * @param {string[]} options.types - Relation types to follow (default: all)
+   * @returns {Object[]} Serialized neighbor entities, each listed once
+   */
+  getNeighbors(entityId, options = {}) {
+    const { direction = 'both', types = null } = options;
+    const typeList = types && types.length > 0 ? types : [null];
+    const neighbors = new Map();
+
+    const collect = (index, end, undirectedOnly) => {
+      for (const type of typeList) {
+        for (const relId of this._lookup(index, entityId, type)) {
+          const relation = this.relations.get(relId);
+          if (undirectedOnly && !this._isUndirected(relation.type)) continue;
+
+          const otherId = relation[end];
+          if (!neighbors.has(otherId) && this.entities.has(otherId)) {
+            neighbors.set(otherId, this.getEntity(otherId));
+          }
+        }
+      }
+    };
+
+    collect(this._outgoing, 'to', direction === 'in');
+    collect(this._incoming, 'from', direction === 'out');
+
+    return Array.from(neighbors.values());
+  }
+
+  /**
+   * Find a graph by the ID used in references
+   *
+   * @param {string} graphId - Graph ID
+   * @returns {Graph|null} This graph tree's root, a graph found by the resolver, or null
+   */
+  resolveGraph(graphId) {
+    const root = this._root();
+    if (graphId === root.graphId) return root;
+    return (root._resolveGraph && root._resolveGraph(graphId)) || null;
+  }
+
+  /**
+   * Resolve a reference to the entity it points at
+   *
+   * @param {Object} ref - { graphId, entityId }
+   * @returns {Object|null} Serialized entity, or null if its graph or the entity is gone
+   * @throws {Error} If `ref` is not a reference
+   */
+  resolveRef(ref) {
+    if (!isRef(ref)) {
+      throw new Error('Invalid reference: expected { graphId, entityId }');
+    }
+    const graph = this.resolveGraph(ref.graphId);
+    return graph ? graph.getEntity(ref.entityId) : null;
+  }
+
+  /**
+   * Get the references held by an entity
+   *
+   * Reference fields are those declared `{ type: 'ref' }` in the schema.
+   *
+   * @param {string} entityId - Entity ID
+   * @returns {Object[]} [{ field, ref, target }], target being the resolved entity or null
+   * @throws {Error} If the entity does not exist
+   */
+  getRefs(entityId) {
+    const entity = this.entities.get(entityId);
+    if (!entity) {
+      throw new Error(`Entity '${entityId}' not found`);
+    }
+
+    return this._refFields(entity)
+      .filter((field) => isRef(entity[field]))
+      .map((field) => ({ field, ref: entity[field], target: this.resolveRef(entity[field]) }));
+  }
+
+  /**
+   * List references in this graph whose target no longer resolves
+   *
+   * @param {Object} target - Only references to this graph / entity ({ graphId, entityId }, both optional)
+   * @returns {Object[]} [{ entityId, field, ref }]
+   */
+  getBrokenRefs(target = {}) {
+    const broken = [];
+    for (const entity of this.entities.values()) {
+      for (const field of this._refFields(entity)) {
+        const ref = entity[field];
+        if (!isRef(ref)) continue;
+        if (target.graphId && ref.graphId !== target.graphId) continue;
+        if (target.entityId && ref.entityId !== target.entityId) continue;
+        if (!this.resolveRef(ref)) {
+          broken.push({ entityId: entity.id, field, ref });
+        }
+      }
+    }
+    return broken;
+  }
+
+  /**
+   * Warn about broken references
+   *
+   * Emits graph.ref.broken for every reference getBrokenRefs() finds. Called
+   * once a referenced entity or graph has gone away, e.g. by WorkspaceManager.
+   *
+   * @param {Object} target - As for getBrokenRefs()
+   * @returns {Object[]} The broken references
+   */
+  checkRefs(target = {}) {
+    const broken = this.getBrokenRefs(target);
+    broken.forEach((item) => this._emit('graph.ref.broken', item));
+    return broken;
+  }
+
   /**
    * Serialize the graph to JSON
    *
    * @returns {Object} Serialized graph
    */
   serialize() {
-    return {
+    const data = {
       entities: Array.from(this.entities.values()).map(e => e.serialize()),
       relations: Array.from(this.relations.values()).map(r => r.serialize()),
     };
+
+    // Tombstones travel with the graph only when there are any
+    if (this.trash.count() > 0) {
+      data.trash = this.trash.serialize();
+    }
+
+    // Data without a version is taken to be version 1 when migrated
+    if (!this.parent && this.schema && this.schema.version > 1) {
+      data.schemaVersion = this.schema.version;
+    }
+
+    return data;
   }
 
   /**
    * Load a graph from serialized data
    *
+   * Data saved under an older schema version is first migrated with
+   * Schema.migrate().
+   *
+   * With `validation` set, the data is then checked with
+   * Schema.validateGraph(): 'strict' refuses data with errors, 'lenient'
+   * loads it anyway.
+   *
+   * Both reports are returned and carried by graph.loaded.
+   *
+   * @param {Object} data - Serialized graph
+   * @param {Object} options - Load options
+   * @param {string} options.validation - 'strict' | 'lenient' (default: not validated)
+   * @returns {Object} { validation, migration } - Validation report ({ valid, violations }), or
+   *   null if not validated; migration report ({ from, to, steps }), or null if nothing was migrated
+   * @throws {GSError} In strict mode, if the data has errors
+   * @throws {Error} If the mode is unknown, the graph has no schema to validate with, or the data cannot be migrated
+   */
+  load(data, options = {}) {
+    const { validation = null } = options;
+    let report = null;
+
+    const migration = this.schema ? this.schema.migrate(data) : null;
+    if (migration) {
+      data = migration.data;
+    }
+
+    if (validation) {
+      if (!VALIDATION_MODES.includes(validation)) {
+        throw new Error(
+          `Unknown validation mode '${validation}' (expected one of: ${VALIDATION_MODES.join(', ')})`
+        );
+      }
+      if (!this.schema) {
+        throw new Error('Cannot validate graph data without a schema');
+      }
+
+      report = this.schema.validateGraph(data);
+      const errors = report.violations.filter((violation) => violation.severity === 'error');
+      if (validation === 'strict' && errors.length > 0) {
+        throw new GSError('validation', `Graph data has ${errors.length} error(s): ${errors[0].message}`, {
+          module: 'Graph',
+          title: 'Invalid graph data',
+          context: { violations: report.violations },
+        });
+      }
+    }
+
+    this.hydrate(data);
+    const migrated = migration && migration.report.steps.length > 0 ? migration.report : null;
+
+    // Emit event
+    this._emit('graph.loaded', {
+      data,
+      ...(report && { validation: report }),
+      ...(migrated && { migration: migrated }),
+    });
+    return { validation: report, migration: migrated };
+  }
+
+  /**
+   * Replace graph contents from serialized data without emitting events
+   *
+   * Used by load() and by Versioning when restoring snapshots. Nested
+   * subgraphs are rebuilt as live Graph instances.
+   *
    * @param {Object} data - Serialized graph
    */
-  load(data) {
+  hydrate(data) {
+    const previous = { entities: new Map(this.entities), relations: new Map(this.relations) };
+    this._record(() => this._restoreMaps(previous.entities, previous.relations));
+
     this.entities.clear();
     this.relations.clear();
+    this._outgoing.clear();
+    this._incoming.clear();
+    this._resetNavigation();
 
     // Load entities as Entity instances
     if (Array.isArray(data.entities)) {
       data.entities.forEach((entity) => {
-        const instance = new Entity(entity);
+        const instance = this._adopt(new Entity(entity));
         this.entities.set(instance.id, instance);
       });
     }
@@ -219,11 +850,11 @@ export class Graph {
       data.relations.forEach((relation) => {
         const instance = new Relation(relation);
         this.relations.set(instance.id, instance);
+        this._index(instance);
       });
     }
 
-    // Emit event
-    this.eventBus.emit('graph.loaded', { data }, { source: 'Graph' });
+    this.trash._load(data.trash || []);
   }
 
   /**
@@ -233,6 +864,1167 @@ export class Graph {
   reset() {
     this.entities.clear();
     this.relations.clear();
-    this.currentSubgraph = null;
+    this._outgoing.clear();
+    this._incoming.clear();
+    this.trash = new Trash(this);
+    this._resetNavigation();
+  }
+
+  /**
+   * Copy part of the graph into a new standalone graph
+   *
+   * The copy shares this graph's Schema but has its own EventBus, so
+   * changing it does not affect (or notify subscribers of) this graph.
+   *
+   * @param {string[]|Object[]|QueryBuilder} selection - Entity IDs, query results, or a query to run
+   * @param {Object} options - Extraction options
+   * @param {string} options.includeRelations - 'induced' | 'incident' (default: 'induced')
+   * @param {number} options.depth - Also take entities up to this many hops away (default: 0)
+   * @param {boolean} options.serialize - Return serialized data instead of a Graph (default: false)
+   * @returns {Graph|Object} New graph, or `{ entities, relations }`
+   * @throws {Error} If the selection names an unknown entity or the scope is unknown
+   *
+   * @example
+   * const frontend = graph.extract(
+   *   query.from('repository').where(query.eq('topic', 'frontend')),
+   *   { includeRelations: 'incident' }
+   * );
+   */
+  extract(selection, options = {}) {
+    const { includeRelations = 'induced', depth = 0, serialize = false } = options;
+    if (!RELATION_SCOPES.includes(includeRelations)) {
+      throw new Error(
+        `Unknown includeRelations '${includeRelations}' (expected one of: ${RELATION_SCOPES.join(', ')})`
+      );
+    }
+
+    const selected = new Set(this._selectionIds(selection));
+
+    // Grow the selection hop by hop, following relations either way
+    let frontier = Array.from(selected);
+    for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+      const next = [];
+      for (const id of frontier) {
+        for (const neighbor of this.getNeighbors(id)) {
+          if (!selected.has(neighbor.id)) {
+            selected.add(neighbor.id);
+            next.push(neighbor.id);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    const relationIds = new Set();
+    for (const id of selected) {
+      for (const relId of this._getIncidentRelationIds(id)) {
+        const relation = this.relations.get(relId);
+        const induced = selected.has(relation.from) && selected.has(relation.to);
+        if (induced || includeRelations === 'incident') {
+          relationIds.add(relId);
+        }
+      }
+    }
+
+    // Incident relations bring the entity at their other end along
+    const entityIds = new Set(selected);
+    for (const relId of relationIds) {
+      const relation = this.relations.get(relId);
+      entityIds.add(relation.from);
+      entityIds.add(relation.to);
+    }
+
+    const data = this._copy({
+      entities: Array.from(this.entities.values())
+        .filter(entity => entityIds.has(entity.id))
+        .map(entity => entity.serialize()),
+      relations: Array.from(this.relations.values())
+        .filter(relation => relationIds.has(relation.id))
+        .map(relation => relation.serialize()),
+    });
+
+    return serialize ? data : this._detached(data);
+  }
+
+  /**
+   * Make a deep, independent copy of the graph
+   *
+   * The copy includes nested subgraphs and the trash, shares this graph's
+   * Schema and has its own EventBus.
+   *
+   * @returns {Graph}
+   */
+  clone() {
+    return this._detached(this._copy(this.serialize()));
+  }
+
+  /**
+   * Merge imported entities and relations into the graph
+   *
+   * Accepts the `{ entities, relations }` produced by a data adapter's map()
+   * (Maps or arrays). New items are added; existing ones are merged field by
+   * field. Fields last written by an import are refreshed; fields edited
+   * locally are resolved with `strategy`. Imported `metadata` keys are
+   * refreshed while keys added by the user are kept. Every field written by
+   * an import gets a `provenance[field] = { source, fetchedAt }` record.
+   * The whole merge runs as one transaction.
+   *
+   * @param {Object} mapped - { entities, relations } to merge
+   * @param {Object} options - Merge options
+   * @param {string} options.strategy - 'source-wins' | 'local-wins' | 'newest-timestamp' (default: 'local-wins')
+   * @param {string} options.source - Adapter name (default: item metadata.source, else 'import')
+   * @param {string} options.fetchedAt - ISO time of the fetch (default: now)
+   * @param {string} options.timestampField - Item field holding its last-modified time (default: 'updatedAt')
+   * @param {string} options.label - Transaction label (default: 'Upsert')
+   * @returns {Object} IDs by outcome: { entities: { added, updated, unchanged }, relations: { ... } }
+   * @throws {Error} If the strategy is unknown, any item is invalid, or an import changes an
+   *   item's type or a relation's endpoints (nothing is merged)
+   *
+   * @example
+   * const mapped = await githubAdapter.map(raw);
+   * graph.upsert(mapped, { source: 'github', strategy: 'newest-timestamp' });
+   */
+  upsert(mapped, options = {}) {
+    const {
+      strategy = 'local-wins',
+      source = null,
+      fetchedAt = new Date().toISOString(),
+      timestampField = 'updatedAt',
+      label = 'Upsert',
+    } = options;
+
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `Unknown merge strategy '${strategy}' (expected one of: ${MERGE_STRATEGIES.join(', ')})`
+      );
+    }
+
+    const context = { strategy, source, fetchedAt, timestampField };
+    const toList = (items) => (items instanceof Map ? Array.from(items.values()) : items || []);
+
+    return this.transaction(() => {
+      const summary = {
+        entities: { added: [], updated: [], unchanged: [] },
+        relations: { added: [], updated: [], unchanged: [] },
+      };
+
+      // Entities first so imported relations can reference them
+      toList(mapped.entities).forEach((item) => {
+        summary.entities[this._upsertItem('entity', item, context)].push(item.id);
+      });
+      toList(mapped.relations).forEach((item) => {
+        summary.relations[this._upsertItem('relation', item, context)].push(item.id);
+      });
+
+      return summary;
+    }, { label });
+  }
+
+  /**
+   * Run several mutations as one all-or-nothing change
+   *
+   * Mutation events are held back while `fn` runs. If it returns, a single
+   * 'graph.transaction.committed' event carries the buffered events as
+   * `changes`; if it throws, every mutation made inside is reverted, a
+   * 'graph.transaction.rolledback' event is emitted and the error is rethrown.
+   *
+   * Transactions span the whole graph tree, so changes to subgraphs are
+   * included. A transaction opened inside another joins it: a failure in the
+   * inner one reverts only its own changes before rethrowing.
+   *
+   * With `dryRun` the changes are always reverted and no events are emitted;
+   * the change set that would have been committed is returned instead.
+   *
+   * @param {Function} fn - Synchronous callback, receives this graph
+   * @param {Object} options - Transaction options
+   * @param {string} options.label - Description passed on with the committed event
+   * @param {boolean} options.dryRun - Revert after `fn` returns (default: false)
+   * @param {boolean} options.unwrap - Emit a lone change as its own event instead of a committed event (default: false)
+   * @returns {*} Whatever `fn` returns, or `{ result, changes }` for a dry run
+   * @throws {Error} Whatever `fn` throws, or if `fn` returns a promise
+   *
+   * @example
+   * graph.transaction(() => {
+   *   graph.addEntity({ id: 'org-1', type: 'organization' });
+   *   graph.addRelation({ id: 'r1', from: 'org-1', to: 'repo-1', type: 'OWNS' });
+   * }, { label: 'Import org' });
+   */
+  transaction(fn, options = {}) {
+    const root = this._root();
+    const outer = root._transaction;
+    const tx = outer || { label: options.label || null, journal: [], changes: [] };
+    const journalMark = tx.journal.length;
+    const changesMark = tx.changes.length;
+
+    root._transaction = tx;
+
+    const revert = () => {
+      while (tx.journal.length > journalMark) {
+        tx.journal.pop()();
+      }
+      return tx.changes.splice(changesMark);
+    };
+
+    let result;
+    try {
+      result = fn(this);
+      if (result && typeof result.then === 'function') {
+        throw new Error('Graph transactions must be synchronous');
+      }
+    } catch (error) {
+      revert();
+
+      if (!outer) {
+        root._transaction = null;
+        this.eventBus.emit(
+          'graph.transaction.rolledback',
+          { label: tx.label, error: error.message || error.detail },
+          { source: 'Graph', actor: this.getActor() }
+        );
+      }
+      throw error;
+    }
+
+    if (options.dryRun) {
+      const changes = revert();
+      if (!outer) {
+        root._transaction = null;
+      }
+      return { result, changes };
+    }
+
+    if (!outer) {
+      root._transaction = null;
+      if (options.unwrap && tx.changes.length === 1) {
+        const [{ type, data }] = tx.changes;
+        this.eventBus.emit(type, data, this._eventOptions());
+      } else if (tx.changes.length > 0) {
+        this.eventBus.emit(
+          'graph.transaction.committed',
+          { label: tx.label, changes: tx.changes },
+          this._eventOptions()
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a transaction is open on this graph tree
+   *
+   * @returns {boolean}
+   */
+  inTransaction() {
+    return this._root()._transaction !== null;
+  }
+
+  /**
+   * Get the subgraph owned by an entity
+   *
+   * @param {string} entityId - Entity ID
+   * @returns {Graph|null} Nested graph or null if the entity has none
+   */
+  getSubgraph(entityId) {
+    const entity = this.entities.get(entityId);
+    return entity && entity.subgraph ? entity.subgraph : null;
+  }
+
+  /**
+   * Create an empty subgraph inside an entity
+   *
+   * @param {string} entityId - Entity ID
+   * @returns {Graph} The new subgraph
+   * @throws {Error} If entity not found or already owns a subgraph
+   */
+  createSubgraph(entityId) {
+    const entity = this.entities.get(entityId);
+    if (!entity) {
+      throw new Error(`Entity '${entityId}' not found`);
+    }
+    if (entity.subgraph) {
+      throw new Error(`Entity '${entityId}' already has a subgraph`);
+    }
+
+    entity.subgraph = this._createChild(entityId);
+    this._record(() => { entity.subgraph = null; });
+
+    this._emit('graph.subgraph.created', { entityId });
+
+    return entity.subgraph;
+  }
+
+  /**
+   * Resolve a nested graph from a path of entity IDs
+   *
+   * @param {string[]} path - Entity IDs from this graph downwards
+   * @returns {Graph|null} Graph at the path, or null if any step is missing
+   */
+  resolvePath(path = []) {
+    let graph = this;
+    for (const entityId of path) {
+      graph = graph.getSubgraph(entityId);
+      if (!graph) return null;
+    }
+    return graph;
+  }
+
+  /**
+   * Enter the subgraph of an entity at the current drill-down level
+   *
+   * @param {string} entityId - Entity owning the subgraph
+   * @returns {Graph} The subgraph now in focus
+   * @throws {Error} If entity not found or has no subgraph
+   */
+  drillDown(entityId) {
+    const level = this.getCurrentGraph();
+    if (!level.entities.has(entityId)) {
+      throw new Error(`Entity '${entityId}' not found`);
+    }
+
+    const subgraph = level.getSubgraph(entityId);
+    if (!subgraph) {
+      throw new Error(`Entity '${entityId}' has no subgraph`);
+    }
+
+    this._drillPath.push(entityId);
+    this.currentSubgraph = subgraph;
+
+    this.eventBus.emit(
+      'graph.subgraph.entered',
+      { entityId, path: this.getPath(), depth: this._drillPath.length },
+      { source: 'Graph' }
+    );
+
+    return subgraph;
+  }
+
+  /**
+   * Leave the current subgraph and return to its parent level
+   *
+   * @returns {Graph} The graph now in focus (this graph when already at the top)
+   */
+  drillUp() {
+    if (this._drillPath.length === 0) {
+      return this;
+    }
+
+    const entityId = this._drillPath.pop();
+    this.currentSubgraph = this._drillPath.length > 0
+      ? this.resolvePath(this._drillPath)
+      : null;
+
+    this.eventBus.emit(
+      'graph.subgraph.exited',
+      { entityId, path: this.getPath(), depth: this._drillPath.length },
+      { source: 'Graph' }
+    );
+
+    return this.getCurrentGraph();
+  }
+
+  /**
+   * Register mutation middleware
+   *
+   * Middleware is an object with any of the hooks `before<Mutation>` and
+   * `after<Mutation>` for AddEntity, UpdateEntity, RemoveEntity, AddRelation,
+   * UpdateRelation and RemoveRelation. It applies to the whole graph tree.
+   *
+   * - before hooks get the payload (item data for adds, the patch for
+   *   updates, the options for removals) and may return a replacement
+   * - after hooks get the payload of the emitted event
+   * - both get a context `{ graph, operation, id, current, veto }`; call
+   *   `veto(detail)` (or throw a GSError) to reject the mutation
+   *
+   * A hooked mutation runs as a transaction together with any follow-up
+   * mutations its hooks make, so a veto or error anywhere reverts all of
+   * it. A mutation with no follow-ups still emits its usual event.
+   *
+   * @param {Object} middleware - Hook functions
+   * @returns {Function} Removes the middleware again
+   * @throws {Error} If the middleware has an unknown hook
+   *
+   * @example
+   * graph.use({
+   *   beforeAddEntity: (entity) => ({ ...entity, login: entity.login?.toLowerCase() }),
+   * });
+   */
+  use(middleware) {
+    for (const [key, hook] of Object.entries(middleware || {})) {
+      if (!MIDDLEWARE_HOOKS.includes(key) || typeof hook !== 'function') {
+        throw new Error(`Unknown middleware hook '${key}'`);
+      }
+    }
+
+    const root = this._root();
+    root._middleware.push(middleware);
+    return () => {
+      root._middleware = root._middleware.filter((registered) => registered !== middleware);
+    };
+  }
+
+  /**
+   * Run mutations with middleware switched off
+   *
+   * For re-applying changes that already went through middleware, such as
+   * undo/redo, where hooks would otherwise transform or repeat follow-ups.
+   *
+   * @param {Function} fn - Callback, receives this graph
+   * @returns {*} Whatever `fn` returns
+   */
+  withoutMiddleware(fn) {
+    const root = this._root();
+    root._middlewarePaused++;
+    try {
+      return fn(this);
+    } finally {
+      root._middlewarePaused--;
+    }
+  }
+
+  /**
+   * Run mutations without checking them against the schema
+   *
+   * Schema defaults are still applied. For trusted bulk imports that
+   * validate up front or not at all.
+   *
+   * @param {Function} fn - Callback, receives this graph
+   * @returns {*} Whatever `fn` returns
+   */
+  withoutValidation(fn) {
+    const root = this._root();
+    root._validationPaused++;
+    try {
+      return fn(this);
+    } finally {
+      root._validationPaused--;
+    }
+  }
+
+  /**
+   * Set who is making changes from now on
+   *
+   * The actor is stamped into createdBy/updatedBy and carried by every
+   * mutation event. Nested subgraphs use the actor of the root graph.
+   *
+   * @param {Object} actor - { type, id }, e.g. { type: 'user', id: 'alice' }
+   * @throws {Error} If the actor has no id
+   */
+  setActor(actor) {
+    if (!actor || !actor.id) {
+      throw new Error('Actor requires an id');
+    }
+    this._root()._actor = actor;
+  }
+
+  /**
+   * Get the actor stamped into audit fields and events
+   *
+   * @returns {Object} { type, id }
+   */
+  getActor() {
+    return this._root()._actor;
+  }
+
+  /**
+   * Get the drill-down path from this graph to the level in focus
+   *
+   * @returns {string[]} Entity IDs, outermost first
+   */
+  getPath() {
+    return [...this._drillPath];
+  }
+
+  /**
+   * Get the graph currently in focus (this graph or a drilled-into subgraph)
+   *
+   * @returns {Graph}
+   */
+  getCurrentGraph() {
+    return this.currentSubgraph || this;
+  }
+
+  /**
+   * Emit a mutation event from this graph
+   *
+   * Events from nested graphs carry `path` (entity IDs from the root graph)
+   * so listeners holding the root can resolve where the change happened.
+   *
+   * @private
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   * @returns {Object} The payload as emitted
+   */
+  _emit(type, data) {
+    const path = this._location();
+    const payload = path.length > 0 ? { ...data, path } : data;
+
+    // Inside a transaction the event becomes part of the committed change set
+    const tx = this._root()._transaction;
+    if (tx) {
+      tx.changes.push({ type, data: payload });
+      return payload;
+    }
+
+    this.eventBus.emit(type, payload, this._eventOptions());
+    return payload;
+  }
+
+  /**
+   * Whether mutations are checked against the schema right now
+   *
+   * @private
+   * @returns {boolean} False without a schema or inside withoutValidation()
+   */
+  _validates() {
+    return Boolean(this.schema) && this._root()._validationPaused === 0;
+  }
+
+  /**
+   * Event bus options for a change made now
+   *
+   * The schema version lets replay tell which migrations recorded events need.
+   *
+   * @private
+   * @returns {Object} { source, actor, schemaVersion }
+   */
+  _eventOptions() {
+    return { source: 'Graph', actor: this.getActor(), schemaVersion: this.schema ? this.schema.version : undefined };
+  }
+
+  /**
+   * Remember how to revert a mutation if the open transaction rolls back
+   *
+   * @private
+   * @param {Function} undo - Reverts the mutation without emitting events
+   */
+  _record(undo) {
+    const tx = this._root()._transaction;
+    if (tx) {
+      tx.journal.push(undo);
+    }
+  }
+
+  /**
+   * Get the outermost graph of this graph tree
+   *
+   * @private
+   * @returns {Graph}
+   */
+  _root() {
+    return this.parent ? this.parent._root() : this;
+  }
+
+  /**
+   * Check a relation against its schema type
+   *
+   * Its ends must have entity types the relation type allows, neither end
+   * may exceed the type's maximum inbound/outbound count, and an undirected
+   * type allows only one relation between the same two entities, whichever
+   * way round it was added.
+   *
+   * @private
+   * @param {Object} relation - Relation data, with existing endpoints
+   * @throws {Error} If an endpoint has the wrong type or too many relations, or the relation duplicates an undirected one
+   */
+  _assertRelationFits(relation) {
+    if (!this._validates() || typeof this.schema.allowsEndpoint !== 'function') return;
+    const typeDef = this.schema.getRelationType(relation.type);
+    if (!typeDef) return;
+
+    for (const [role, end] of [['source', 'from'], ['target', 'to']]) {
+      const entityType = this.entities.get(relation[end]).type;
+      if (!this.schema.allowsEndpoint(relation.type, role, entityType)) {
+        throw new Error(
+          `Relation type '${relation.type}' does not allow ${role} '${relation[end]}' of type '${entityType}'`
+        );
+      }
+    }
+
+    // Most relations of this type an entity may have (see Schema cardinality)
+    const limits = [
+      ['outbound', relation.from, this._outgoing, typeDef.outbound],
+      ['inbound', relation.to, this._incoming, typeDef.inbound],
+    ];
+    for (const [side, entityId, index, counts] of limits) {
+      if (!counts || counts.max === null || counts.max === undefined) continue;
+      const count = this._lookup(index, entityId, relation.type).filter((relId) => relId !== relation.id).length;
+      if (count >= counts.max) {
+        throw new Error(
+          `Relation type '${relation.type}' allows at most ${counts.max} ${side} relation(s) per entity; '${entityId}' already has ${count}`
+        );
+      }
+    }
+
+    if (typeDef.direction === 'undirected') {
+      const duplicate = [
+        ...this._lookup(this._outgoing, relation.from, relation.type),
+        ...this._lookup(this._incoming, relation.from, relation.type),
+      ].find((relId) => {
+        const other = this.relations.get(relId);
+        return relId !== relation.id
+          && ((other.from === relation.from && other.to === relation.to)
+            || (other.from === relation.to && other.to === relation.from));
+      });
+      if (duplicate) {
+        throw new Error(
+          `Undirected relation '${relation.type}' between '${relation.from}' and '${relation.to}' already exists as '${duplicate}'`
+        );
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} relationType - Relation type name
+   * @returns {boolean} Whether the schema declares the type undirected
+   */
+  _isUndirected(relationType) {
+    const typeDef = this.schema && typeof this.schema.getRelationType === 'function'
+      ? this.schema.getRelationType(relationType)
+      : null;
+    return Boolean(typeDef) && typeDef.direction === 'undirected';
+  }
+
+  /**
+   * Fields of an entity that the schema declares as references
+   *
+   * @private
+   * @param {Entity} entity - Entity to inspect
+   * @returns {string[]}
+   */
+  _refFields(entity) {
+    return this.schema && typeof this.schema.getRefFields === 'function'
+      ? this.schema.getRefFields(entity.type)
+      : [];
+  }
+
+  /**
+   * Replace entity and relation contents and rebuild the indexes
+   *
+   * @private
+   * @param {Map} entities - Map<entityId, Entity>
+   * @param {Map} relations - Map<relationId, Relation>
+   */
+  _restoreMaps(entities, relations) {
+    this.entities.clear();
+    this.relations.clear();
+    entities.forEach((entity, id) => this.entities.set(id, entity));
+    relations.forEach((relation, id) => this.relations.set(id, relation));
+    this._outgoing.clear();
+    this._incoming.clear();
+    this.relations.forEach((relation) => this._index(relation));
+  }
+
+  /**
+   * Get the entity path from the root graph to this graph
+   *
+   * @private
+   * @returns {string[]} Entity IDs, outermost first
+   */
+  _location() {
+    if (!this.parent) return [];
+    return [...this.parent._location(), this.parentEntityId];
+  }
+
+  /**
+   * Create an empty child graph owned by an entity of this graph
+   *
+   * @private
+   * @param {string} entityId - Owning entity ID
+   * @returns {Graph}
+   */
+  _createChild(entityId) {
+    return new Graph(this.eventBus, this.schema, {
+      deletePolicy: this.deletePolicy,
+      softDelete: this.softDelete,
+      parent: this,
+      parentEntityId: entityId,
+    });
+  }
+
+  /**
+   * Turn an entity's serialized subgraph into a live child Graph
+   *
+   * @private
+   * @param {Entity} entity - Entity about to be stored in this graph
+   * @returns {Entity} The same entity
+   */
+  _adopt(entity) {
+    if (!entity.subgraph) return entity;
+
+    if (entity.subgraph instanceof Graph) {
+      entity.subgraph.parent = this;
+      entity.subgraph.parentEntityId = entity.id;
+    } else {
+      const child = this._createChild(entity.id);
+      child.hydrate(entity.subgraph);
+      entity.subgraph = child;
+    }
+    return entity;
+  }
+
+  /**
+   * Put serialized entity data back without validation or events
+   *
+   * Used by Trash when restoring; revertible inside a transaction.
+   *
+   * @private
+   * @param {Object} data - Serialized entity
+   */
+  _insertEntity(data) {
+    const instance = this._adopt(new Entity(data));
+    this.entities.set(instance.id, instance);
+    this._record(() => this.entities.delete(instance.id));
+  }
+
+  /**
+   * Put serialized relation data back without validation or events
+   *
+   * @private
+   * @param {Object} data - Serialized relation
+   */
+  _insertRelation(data) {
+    const instance = new Relation(data);
+    this.relations.set(instance.id, instance);
+    this._index(instance);
+    this._record(() => {
+      this.relations.delete(instance.id);
+      this._unindex(instance);
+    });
+  }
+
+  /**
+   * Resolve an extract() selection to entity IDs
+   *
+   * @private
+   * @param {string[]|Object[]|QueryBuilder} selection - IDs, query results, or a query
+   * @returns {string[]} Entity IDs
+   * @throws {Error} If the selection is not a list or names an unknown entity
+   */
+  _selectionIds(selection) {
+    const items = typeof selection?.execute === 'function' ? selection.execute() : selection;
+    if (!Array.isArray(items)) {
+      throw new Error('extract() expects entity IDs, query results or a QueryBuilder');
+    }
+
+    return items.map((item) => {
+      const id = typeof item === 'string' ? item : item?.id;
+      if (!this.entities.has(id)) {
+        throw new Error(`Entity '${id}' not found`);
+      }
+      return id;
+    });
+  }
+
+  /**
+   * Build a standalone graph from serialized data
+   *
+   * @private
+   * @param {Object} data - Serialized graph (not shared with anything else)
+   * @returns {Graph}
+   */
+  _detached(data) {
+    const graph = new Graph(new EventBus(), this.schema, {
+      deletePolicy: this.deletePolicy,
+      softDelete: this.softDelete,
+      actor: this.getActor(),
+    });
+    graph.hydrate(data);
+    return graph;
+  }
+
+  /**
+   * Deep copy plain serialized data
+   *
+   * @private
+   * @param {Object} data - Serialized data
+   * @returns {Object}
+   */
+  _copy(data) {
+    return JSON.parse(JSON.stringify(data));
+  }
+
+  /**
+   * Run a mutation through the registered middleware
+   *
+   * @private
+   * @param {string} mutation - One of MUTATIONS, e.g. 'AddEntity'
+   * @param {Object} payload - Item data, patch or removal options
+   * @param {string} id - ID of the item being changed
+   * @param {Function} apply - Performs the mutation, returns the event payload
+   */
+  _mutate(mutation, payload, id, apply) {
+    const root = this._root();
+    const before = `before${mutation}`;
+    const after = `after${mutation}`;
+    const hooked = root._middlewarePaused > 0
+      ? []
+      : root._middleware.filter((middleware) => middleware[before] || middleware[after]);
+
+    if (hooked.length === 0) {
+      apply(payload);
+      return;
+    }
+
+    const operation = mutation[0].toLowerCase() + mutation.slice(1);
+    const isEntity = mutation.endsWith('Entity');
+    const context = {
+      graph: this,
+      operation,
+      id,
+      current: isEntity ? this.getEntity(id) : this.getRelation(id),
+      veto: (detail, options = {}) => {
+        throw new GSError('mutation', detail, {
+          module: 'Graph',
+          title: 'Mutation vetoed',
+          context: { operation, id },
+          ...options,
+        });
+      },
+    };
+
+    this.transaction(() => {
+      let data = payload;
+      for (const middleware of hooked) {
+        if (!middleware[before]) continue;
+        const result = middleware[before](data, context);
+        if (result !== undefined) data = result;
+      }
+
+      const emitted = apply(data);
+      hooked.forEach((middleware) => middleware[after] && middleware[after](emitted, context));
+    }, { label: operation, unwrap: true });
+  }
+
+  /**
+   * Audit fields for an item being added, keeping any it already carries
+   * (only re-added items do; the public add paths strip them)
+   *
+   * @private
+   * @param {Object} data - Item data
+   * @returns {Object} { createdAt, createdBy, updatedAt, updatedBy }
+   */
+  _created(data = {}) {
+    const { updatedAt, updatedBy } = this._updated();
+    return {
+      createdAt: data.createdAt || updatedAt,
+      createdBy: data.createdBy || updatedBy,
+      updatedAt: data.updatedAt || updatedAt,
+      updatedBy: data.updatedBy || updatedBy,
+    };
+  }
+
+  /**
+   * Audit fields for an item being changed now by the current actor
+   *
+   * @private
+   * @returns {Object} { updatedAt, updatedBy }
+   */
+  _updated() {
+    return { updatedAt: new Date().toISOString(), updatedBy: this.getActor().id };
+  }
+
+  /**
+   * Drop audit fields from item data or a patch
+   *
+   * Given the current item, a patch may repeat its audit values (e.g. a
+   * serialized copy passed back in) but not change them.
+   *
+   * @private
+   * @param {Object} data - Item data or patch
+   * @param {Object} current - Current serialized item, when checking a patch
+   * @param {string} label - Item description for errors, e.g. "entity 'e1'"
+   * @returns {Object} Data without audit fields
+   * @throws {Error} If a patch changes an audit field
+   */
+  _omitAudit(data, current = null, label = '') {
+    const result = { ...data };
+    for (const field of AUDIT_FIELDS) {
+      if (!(field in result)) continue;
+      if (current && result[field] !== current[field]) {
+        throw new Error(`Cannot change ${field} of ${label}: audit fields are managed by the graph`);
+      }
+      delete result[field];
+    }
+    return result;
+  }
+
+  /**
+   * Clear drill-down state
+   *
+   * @private
+   */
+  _resetNavigation() {
+    this._drillPath = [];
+    this.currentSubgraph = null;
+  }
+
+  /**
+   * Add or merge a single imported entity or relation
+   *
+   * @private
+   * @param {string} kind - 'entity' | 'relation'
+   * @param {Object} item - Imported data
+   * @param {Object} context - { strategy, source, fetchedAt, timestampField }
+   * @returns {string} 'added' | 'updated' | 'unchanged'
+   */
+  _upsertItem(kind, item, context) {
+    const existing = kind === 'entity' ? this.entities.get(item.id) : this.relations.get(item.id);
+    const origin = {
+      source: context.source || item.metadata?.source || 'import',
+      fetchedAt: context.fetchedAt,
+    };
+    const fields = Object.keys(item)
+      .filter((field) => !NON_MERGE_FIELDS.includes(field) && !IDENTITY_FIELDS[kind].includes(field));
+
+    if (!existing) {
+      const provenance = {};
+      fields.forEach((field) => { provenance[field] = { ...origin }; });
+
+      // Audit fields describe this graph, not the source
+      const data = { ...this._omitAudit(item), provenance };
+      if (kind === 'entity') this.addEntity(data);
+      else this.addRelation(data);
+      return 'added';
+    }
+
+    const current = existing.serialize();
+    this._assertSameIdentity(kind, current, item);
+    const provenance = { ...(current.provenance || {}) };
+    const incomingAt = new Date(item[context.timestampField] || context.fetchedAt).getTime();
+    const patch = {};
+
+    for (const field of fields) {
+      if (JSON.stringify(current[field]) === JSON.stringify(item[field])) continue;
+
+      // Fields without import provenance were set by the user
+      const prior = provenance[field];
+      const editedLocally = current[field] !== undefined && (!prior || prior.source === 'local');
+      if (editedLocally && !this._importWins(context.strategy, prior, incomingAt)) continue;
+
+      patch[field] = item[field];
+      provenance[field] = { ...origin };
+    }
+
+    // Imported metadata keys are refreshed, keys the user added are kept
+    if (item.metadata) {
+      const metadata = { ...current.metadata, ...item.metadata };
+      if (JSON.stringify(metadata) !== JSON.stringify(current.metadata || {})) {
+        patch.metadata = metadata;
+      }
+    }
+
+    if (Object.keys(patch).length === 0) {
+      return 'unchanged';
+    }
+
+    patch.provenance = provenance;
+    if (kind === 'entity') this.updateEntity(item.id, patch);
+    else this.updateRelation(item.id, patch);
+    return 'updated';
+  }
+
+  /**
+   * Check that an imported item is still the same kind of thing
+   *
+   * A bare type name matches the namespaced one it resolves to.
+   *
+   * @private
+   * @param {string} kind - 'entity' | 'relation'
+   * @param {Object} current - Serialized item in the graph
+   * @param {Object} item - Imported data
+   * @throws {Error} If the import changes the type, or a relation's endpoints
+   */
+  _assertSameIdentity(kind, current, item) {
+    const resolve = (type) => (
+      this.schema && typeof this.schema.resolveTypeName === 'function' ? this.schema.resolveTypeName(type, kind) : type
+    );
+
+    for (const field of IDENTITY_FIELDS[kind]) {
+      if (item[field] === undefined || item[field] === current[field]) continue;
+      if (field === 'type' && resolve(item.type) === resolve(current.type)) continue;
+      throw new Error(
+        `Cannot upsert ${kind} '${item.id}': ${field} would change from '${current[field]}' to '${item[field]}'`
+      );
+    }
+  }
+
+  /**
+   * Decide whether an imported value replaces a locally edited one
+   *
+   * @private
+   * @param {string} strategy - Merge strategy
+   * @param {Object} prior - Provenance of the local value (may be undefined)
+   * @param {number} incomingAt - Timestamp of the imported value (ms)
+   * @returns {boolean}
+   */
+  _importWins(strategy, prior, incomingAt) {
+    if (strategy === 'source-wins') return true;
+    if (strategy === 'local-wins') return false;
+
+    const editedAt = prior && prior.editedAt ? new Date(prior.editedAt).getTime() : 0;
+    return incomingAt > editedAt;
+  }
+
+  /**
+   * Record the fields of a patch as local edits
+   *
+   * @private
+   * @param {Object} provenance - Current provenance map
+   * @param {Object} patch - Fields being updated
+   * @returns {Object} New provenance map
+   */
+  _markLocal(provenance, patch) {
+    const editedAt = new Date().toISOString();
+    const marked = { ...provenance };
+    Object.keys(patch)
+      .filter((field) => !NON_MERGE_FIELDS.includes(field))
+      .forEach((field) => { marked[field] = { source: 'local', editedAt }; });
+    return marked;
+  }
+
+  /**
+   * Get IDs of relations that start or end at an entity
+   *
+   * @private
+   * @param {string} entityId - Entity ID
+   * @returns {string[]} Relation IDs
+   */
+  _getIncidentRelationIds(entityId) {
+    const ids = new Set([
+      ...this._lookup(this._outgoing, entityId),
+      ...this._lookup(this._incoming, entityId),
+    ]);
+    return Array.from(ids);
+  }
+
+  /**
+   * Read relation IDs for an entity from an adjacency index
+   *
+   * @private
+   * @param {Map} index - this._outgoing or this._incoming
+   * @param {string} entityId - Entity ID
+   * @param {string} type - Relation type (optional, all types when omitted);
+   *   a bare name also matches relations stored under its namespaced name and vice versa
+   * @returns {string[]} Relation IDs
+   */
+  _lookup(index, entityId, type = null) {
+    const byType = index.get(entityId);
+    if (!byType) return [];
+    if (!type) {
+      const ids = [];
+      for (const set of byType.values()) {
+        ids.push(...set);
+      }
+      return ids;
+    }
+
+    // Resolve once; a stored name can only resolve to the same type if it is
+    // that name or its bare form
+    const key = this._relationTypeKey(type);
+    const ids = [];
+    for (const [stored, set] of byType) {
+      const same = stored === type || stored === key
+        || (key.endsWith(`${NAMESPACE_SEPARATOR}${stored}`) && this._relationTypeKey(stored) === key);
+      if (same) ids.push(...set);
+    }
+    return ids;
+  }
+
+  /**
+   * Resolve a relation type name to the name the schema registered it under
+   *
+   * @private
+   * @param {string} type - Relation type, with or without pack prefix
+   * @returns {string} Registered name, or the type itself without a schema
+   */
+  _relationTypeKey(type) {
+    if (!this.schema || typeof this.schema.resolveTypeName !== 'function') return type;
+    return this.schema.resolveTypeName(type, 'relation');
+  }
+
+  /**
+   * Add a relation to the adjacency indexes
+   *
+   * @private
+   * @param {Relation} relation - Relation instance
+   */
+  _index(relation) {
+    const add = (index, entityId) => {
+      if (!index.has(entityId)) index.set(entityId, new Map());
+      const byType = index.get(entityId);
+      if (!byType.has(relation.type)) byType.set(relation.type, new Set());
+      byType.get(relation.type).add(relation.id);
+    };
+    add(this._outgoing, relation.from);
+    add(this._incoming, relation.to);
+  }
+
+  /**
+   * Remove a relation from the adjacency indexes
+   *
+   * @private
+   * @param {Relation} relation - Relation instance as it was indexed
+   */
+  _unindex(relation) {
+    const remove = (index, entityId) => {
+      const byType = index.get(entityId);
+      const ids = byType && byType.get(relation.type);
+      if (!ids) return;
+      ids.delete(relation.id);
+      if (ids.size === 0) byType.delete(relation.type);
+      if (byType.size === 0) index.delete(entityId);
+    };
+    remove(this._outgoing, relation.from);
+    remove(this._incoming, relation.to);
+  }
+
+  /**
+   * Collect an entity plus the entities that would be orphaned by its removal
+   *
+   * An outgoing target is orphaned when all of its inbound relations come from
+   * entities that are already being removed. The walk repeats until stable.
+   *
+   * @private
+   * @param {string} entityId - Root entity ID
+   * @returns {string[]} Entity IDs to remove, root first
+   */
+  _collectCascade(entityId) {
+    const removing = new Set([entityId]);
+    const queue = [entityId];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const relId of this._lookup(this._outgoing, current)) {
+        const target = this.relations.get(relId).to;
+        if (removing.has(target)) continue;
+
+        const hasOtherParent = this._lookup(this._incoming, target).some(
+          (id) => !removing.has(this.relations.get(id).from)
+        );
+        if (!hasOtherParent) {
+          removing.add(target);
+          queue.push(target);
+        }
+      }
+    }
+
+    return Array.from(removing);
+  }
+
+  /**
+   * Ensure a delete policy name is known
+   *
+   * @private
+   * @param {string} policy - Policy name
+   * @throws {Error} If policy is unknown
+   */
+  _assertDeletePolicy(policy) {
+    if (!DELETE_POLICIES.includes(policy)) {
+      throw new Error(
+        `Unknown delete policy '${policy}' (expected one of: ${DELETE_POLICIES.join(', ')})`
+      );
+    }
   }
 }
@@ -0,0 +1,374 @@
+/**
+ * PathFinder - Shortest paths over graph relations
+ *
+ * Dijkstra, or A* when given a heuristic, for the cheapest path between
+ * two entities; Yen's algorithm for the k cheapest loopless paths; and
+ * every path tied for cheapest. Relations cost 1 each unless a weight
+ * field or function says otherwise, and can be restricted by type and
+ * direction. Paths come back as { nodes, edges, cost }: the serialized
+ * entities from start to end, the relations between them, and the total
+ * weight.
+ *
+ * See: ../../doc/modules/graph/QueryEngine.md
+ * See: ../../doc/arch/core.md → "Graph Operations"
+ */
+
+/** Costs closer than this count as equal when collecting tied paths */
+const EPSILON = 1e-9;
+
+export class PathFinder {
+  /**
+   * @param {Graph} graph - Graph to search
+   */
+  constructor(graph) {
+    this.graph = graph;
+  }
+
+  /**
+   * Find the cheapest path between two entities
+   *
+   * @param {string} fromId - Start entity ID
+   * @param {string} toId - End entity ID
+   * @param {Object} options - Search options
+   * @param {string|Function} options.weight - Relation field holding its cost, or (relation) => cost (default: 1 per relation)
+   * @param {number} options.defaultWeight - Cost of relations without the weight field (default: 1)
+   * @param {string} options.direction - 'out' | 'in' | 'both' (default: 'both')
+   * @param {string[]} options.relationTypes - Relation types to follow (default: all)
+   * @param {Function} options.heuristic - (entity, target) => lower bound on the remaining cost; searches with A*
+   * @returns {Object|null} Path { nodes, edges, cost }, or null if the end cannot be reached
+   * @throws {Error} if either entity is not found or a relation has a negative or non-numeric weight
+   */
+  shortestPath(fromId, toId, options = {}) {
+    this._assertEntities(fromId, toId);
+    const found = this._search(fromId, toId, options);
+    return found ? this._toPath(found) : null;
+  }
+
+  /**
+   * Find the k cheapest loopless paths between two entities (Yen's algorithm)
+   *
+   * @param {string} fromId - Start entity ID
+   * @param {string} toId - End entity ID
+   * @param {number} k - How many paths
+   * @param {Object} options - Search options, as for shortestPath()
+   * @returns {Object[]} Up to k paths, cheapest first
+   * @throws {Error} if either entity is not found, k is not a positive integer or a weight is invalid
+   */
+  kShortestPaths(fromId, toId, k, options = {}) {
+    this._assertEntities(fromId, toId);
+    if (!Number.isInteger(k) || k < 1) {
+      throw new Error(`k must be a positive integer, got ${k}`);
+    }
+
+    const first = this._search(fromId, toId, options);
+    if (!first) return [];
+
+    const accepted = [first];
+    const candidates = [];
+    const seen = new Set([signature(first)]);
+
+    while (accepted.length < k) {
+      const previous = accepted[accepted.length - 1];
+
+      // Branch off the previous path at each of its nodes
+      for (let i = 0; i < previous.nodeIds.length - 1; i++) {
+        const rootIds = previous.nodeIds.slice(0, i + 1);
+        const blockedEdges = new Set();
+        for (const path of accepted) {
+          if (rootIds.every((id, j) => path.nodeIds[j] === id) && path.edges[i]) {
+            blockedEdges.add(path.edges[i].id);
+          }
+        }
+
+        const spur = this._search(rootIds[i], toId, options, {
+          nodes: new Set(rootIds.slice(0, -1)),
+          edges: blockedEdges,
+        });
+        if (!spur) continue;
+
+        const candidate = {
+          nodeIds: [...rootIds, ...spur.nodeIds.slice(1)],
+          edges: [...previous.edges.slice(0, i), ...spur.edges],
+          weights: [...previous.weights.slice(0, i), ...spur.weights],
+        };
+        candidate.cost = candidate.weights.reduce((total, weight) => total + weight, 0);
+
+        if (!seen.has(signature(candidate))) {
+          seen.add(signature(candidate));
+          candidates.push(candidate);
+        }
+      }
+
+      if (candidates.length === 0) break;
+      candidates.sort((a, b) => a.cost - b.cost || a.edges.length - b.edges.length);
+      accepted.push(candidates.shift());
+    }
+
+    return accepted.map((found) => this._toPath(found));
+  }
+
+  /**
+   * Find every path tied for cheapest between two entities
+   *
+   * Uses Dijkstra; options.heuristic is ignored.
+   *
+   * @param {string} fromId - Start entity ID
+   * @param {string} toId - End entity ID
+   * @param {Object} options - Search options, as for shortestPath()
+   * @returns {Object[]} Paths with the lowest cost (empty if the end cannot be reached)
+   * @throws {Error} if either entity is not found or a weight is invalid
+   */
+  allShortestPaths(fromId, toId, options = {}) {
+    this._assertEntities(fromId, toId);
+    if (fromId === toId) {
+      return [this._toPath({ nodeIds: [fromId], edges: [], cost: 0 })];
+    }
+
+    const costs = new Map([[fromId, 0]]);
+    const predecessors = new Map([[fromId, []]]);
+    const settled = new Set();
+    const queue = new PriorityQueue();
+    queue.push(fromId, 0);
+
+    while (queue.size > 0) {
+      const { item: id, priority: cost } = queue.pop();
+      if (settled.has(id)) continue;
+      if (costs.has(toId) && cost > costs.get(toId) + EPSILON) break;
+      settled.add(id);
+
+      for (const { relation, to } of this.edges(id, options)) {
+        const next = cost + this.weight(relation, options);
+        const known = costs.get(to);
+        if (known === undefined || next < known - EPSILON) {
+          costs.set(to, next);
+          predecessors.set(to, [{ from: id, relation }]);
+          queue.push(to, next);
+        } else if (Math.abs(next - known) <= EPSILON) {
+          predecessors.get(to).push({ from: id, relation });
+        }
+      }
+    }
+
+    if (!costs.has(toId)) return [];
+
+    // Walk the predecessor lists back from the end
+    const paths = [];
+    const walk = (id, nodeIds, edges) => {
+      if (id === fromId) {
+        paths.push(this._toPath({ nodeIds: [fromId, ...nodeIds], edges, cost: costs.get(toId) }));
+        return;
+      }
+      for (const { from, relation } of predecessors.get(id)) {
+        if (from !== id && !nodeIds.includes(from)) walk(from, [id, ...nodeIds], [relation, ...edges]);
+      }
+    };
+    walk(toId, [], []);
+    return paths;
+  }
+
+  /**
+   * Relations that can be followed from an entity
+   *
+   * Relations of undirected types (per the schema) are followed whichever
+   * way they were stored, as in Graph.getNeighbors().
+   *
+   * @param {string} entityId - Entity ID
+   * @param {Object} options
+   * @param {string} options.direction - 'out' | 'in' | 'both' (default: 'both')
+   * @param {string[]} options.relationTypes - Relation types to follow (default: all)
+   * @returns {Object[]} [{ relation, to }]: serialized relation and the ID of the entity it leads to
+   */
+  edges(entityId, options = {}) {
+    const { direction = 'both', relationTypes = null } = options;
+    const types = relationTypes && relationTypes.length > 0 ? relationTypes : [null];
+    const edges = [];
+
+    for (const type of types) {
+      for (const relation of this.graph.getOutgoing(entityId, type)) {
+        if (direction === 'in' && !this._isUndirected(relation.type)) continue;
+        edges.push({ relation, to: relation.to });
+      }
+      for (const relation of this.graph.getIncoming(entityId, type)) {
+        if (direction === 'out' && !this._isUndirected(relation.type)) continue;
+        edges.push({ relation, to: relation.from });
+      }
+    }
+
+    return edges.filter(({ to }) => this.graph.entities.has(to));
+  }
+
+  /**
+   * Cost of following a relation
+   *
+   * @param {Object} relation - Serialized relation
+   * @param {Object} options - { weight, defaultWeight } as for shortestPath()
+   * @returns {number}
+   * @throws {Error} if the weight is negative or not a number
+   */
+  weight(relation, options = {}) {
+    const { weight, defaultWeight = 1 } = options;
+    let value = defaultWeight;
+    if (typeof weight === 'function') {
+      value = weight(relation);
+    } else if (weight) {
+      const field = weight.split('.').reduce((current, part) => current?.[part], relation);
+      value = field === undefined || field === null ? defaultWeight : field;
+    }
+
+    if (typeof value !== 'number' || !(value >= 0)) {
+      throw new Error(`Relation '${relation.id}' has invalid weight ${JSON.stringify(value)} (expected a number >= 0)`);
+    }
+    return value;
+  }
+
+  /**
+   * Dijkstra / A* search
+   *
+   * @private
+   * @param {string} fromId - Start entity ID
+   * @param {string} toId - End entity ID
+   * @param {Object} options - Search options
+   * @param {Object} blocked - { nodes, edges }: Sets of entity and relation IDs to avoid
+   * @returns {Object|null} { nodeIds, edges, weights, cost }
+   */
+  _search(fromId, toId, options, blocked = { nodes: new Set(), edges: new Set() }) {
+    const target = this.graph.getEntity(toId);
+    const estimate = options.heuristic
+      ? (id) => options.heuristic(this.graph.getEntity(id), target)
+      : () => 0;
+
+    const costs = new Map([[fromId, 0]]);
+    const previous = new Map();
+    const settled = new Set();
+    const queue = new PriorityQueue();
+    queue.push(fromId, estimate(fromId));
+
+    while (queue.size > 0) {
+      const { item: id } = queue.pop();
+      if (settled.has(id)) continue;
+      if (id === toId) break;
+      settled.add(id);
+
+      for (const { relation, to } of this.edges(id, options)) {
+        if (blocked.nodes.has(to) || blocked.edges.has(relation.id) || settled.has(to)) continue;
+
+        const weight = this.weight(relation, options);
+        const cost = costs.get(id) + weight;
+        if (!costs.has(to) || cost < costs.get(to)) {
+          costs.set(to, cost);
+          previous.set(to, { from: id, relation, weight });
+          queue.push(to, cost + estimate(to));
+        }
+      }
+    }
+
+    if (!costs.has(toId)) return null;
+
+    const found = { nodeIds: [toId], edges: [], weights: [], cost: costs.get(toId) };
+    for (let id = toId; id !== fromId;) {
+      const step = previous.get(id);
+      found.nodeIds.unshift(step.from);
+      found.edges.unshift(step.relation);
+      found.weights.unshift(step.weight);
+      id = step.from;
+    }
+    return found;
+  }
+
+  /**
+   * @private
+   * @param {string} relationType - Relation type name
+   * @returns {boolean} Whether the schema declares the type undirected
+   */
+  _isUndirected(relationType) {
+    const typeDef = this.graph.schema && typeof this.graph.schema.getRelationType === 'function'
+      ? this.graph.schema.getRelationType(relationType)
+      : null;
+    return Boolean(typeDef) && typeDef.direction === 'undirected';
+  }
+
+  /**
+   * @private
+   * @param {...string} ids - Entity IDs
+   * @throws {Error} if one is not in the graph
+   */
+  _assertEntities(...ids) {
+    for (const id of ids) {
+      if (!this.graph.entities.has(id)) {
+        throw new Error(`Entity '${id}' not found`);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} found - { nodeIds, edges, cost }
+   * @returns {Object} Path { nodes, edges, cost }
+   */
+  _toPath(found) {
+    return {
+      nodes: found.nodeIds.map((id) => this.graph.getEntity(id)),
+      edges: found.edges,
+      cost: found.cost,
+    };
+  }
+}
+
+/**
+ * Binary min-heap of items by priority
+ */
+class PriorityQueue {
+  constructor() {
+    this.heap = [];
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * @param {*} item
+   * @param {number} priority - Lower comes out first
+   */
+  push(item, priority) {
+    const heap = this.heap;
+    heap.push({ item, priority });
+    for (let i = heap.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].priority <= heap[i].priority) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  /**
+   * @returns {Object} { item, priority } with the lowest priority
+   */
+  pop() {
+    const heap = this.heap;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      for (let i = 0; ;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left].priority < heap[smallest].priority) smallest = left;
+        if (right < heap.length && heap[right].priority < heap[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * @param {Object} found - { nodeIds, edges }
+ * @returns {string} Identity of a path, for spotting duplicates
+ */
+function signature(found) {
+  return `${found.nodeIds.join('>')}|${found.edges.map((edge) => edge.id).join('>')}`;
+}
@@ -8,6 +8,24 @@
  * See: ../../doc/arch/core.md → "Graph Operations"
  */
 
+import { isRef } from './schema.js';
+import { parseQuery, formatQuery } from './query-language.js';
+import { PathFinder } from './path-finder.js';
+
+/** Aggregate functions for aggregate(), and whether they need a field */
+export const AGGREGATE_FUNCTIONS = {
+  count: false,
+  countDistinct: true,
+  sum: true,
+  avg: true,
+  min: true,
+  max: true,
+  collect: true,
+};
+
+/** Date bucket sizes for groupBy() histogram keys */
+export const DATE_INTERVALS = ['day', 'week', 'month', 'year'];
+
 export class QueryEngine {
   /**
    * @param {Graph} graph - Graph instance to query
@@ -19,6 +37,9 @@ export class QueryEngine {
   /**
    * Start a query from all entities or specific type
    *
+   * A type also matches entities of its subtypes, e.g. from('account')
+   * finds users and organizations when both extend 'account'.
+   *
    * @param {string} entityType - Optional entity type to filter by
    * @returns {QueryBuilder}
    */
@@ -34,9 +55,67 @@ export class QueryEngine {
       offset: null,
       orderBy: null,
       distinct: false,
+      includeDeleted: false,
+      groupBy: null,
+      aggregates: null,
+      having: [],
     });
   }
 
+  /**
+   * Build a query from query language text
+   *
+   * See ./query-language.js for the syntax, e.g.
+   * 'MATCH repository WHERE stars > 100 ORDER BY stars DESC LIMIT 10'.
+   *
+   * @param {string} text - Query text
+   * @returns {QueryBuilder}
+   * @throws {QuerySyntaxError} if the text is not a valid query
+   */
+  parse(text) {
+    return QueryEngine.deserialize(parseQuery(text), this.graph);
+  }
+
+  /**
+   * Find the cheapest path between two entities
+   *
+   * See PathFinder.shortestPath() for the options (weight, direction,
+   * relationTypes, heuristic for A*).
+   *
+   * @param {string} fromId - Start entity ID
+   * @param {string} toId - End entity ID
+   * @param {Object} options - Search options
+   * @returns {Object|null} Path { nodes, edges, cost }, or null if there is none
+   */
+  shortestPath(fromId, toId, options = {}) {
+    return new PathFinder(this.graph).shortestPath(fromId, toId, options);
+  }
+
+  /**
+   * Find the k cheapest loopless paths between two entities
+   *
+   * @param {string} fromId - Start entity ID
+   * @param {string} toId - End entity ID
+   * @param {number} k - How many paths
+   * @param {Object} options - Search options, as for shortestPath()
+   * @returns {Object[]} Paths { nodes, edges, cost }, cheapest first
+   */
+  kShortestPaths(fromId, toId, k, options = {}) {
+    return new PathFinder(this.graph).kShortestPaths(fromId, toId, k, options);
+  }
+
+  /**
+   * Find every path tied for cheapest between two entities
+   *
+   * @param {string} fromId - Start entity ID
+   * @param {string} toId - End entity ID
+   * @param {Object} options - Search options, as for shortestPath()
+   * @returns {Object[]} Paths { nodes, edges, cost }
+   */
+  allShortestPaths(fromId, toId, options = {}) {
+    return new PathFinder(this.graph).allShortestPaths(fromId, toId, options);
+  }
+
   /**
    * Create equality predicate
    *
@@ -135,15 +214,85 @@ export class QueryEngine {
     return { type, args };
   }
 
+  /**
+   * Create 'count' aggregate
+   *
+   * @param {string} field - Optional field; only items where it has a value are counted
+   * @returns {Aggregate}
+   */
+  count(field = null) {
+    return field ? { fn: 'count', field } : { fn: 'count' };
+  }
+
+  /**
+   * Create 'countDistinct' aggregate (number of different values)
+   *
+   * @param {string} field - Field name
+   * @returns {Aggregate}
+   */
+  countDistinct(field) {
+    return { fn: 'countDistinct', field };
+  }
+
+  /**
+   * Create 'sum' aggregate
+   *
+   * @param {string} field - Numeric field
+   * @returns {Aggregate}
+   */
+  sum(field) {
+    return { fn: 'sum', field };
+  }
+
+  /**
+   * Create 'avg' aggregate
+   *
+   * @param {string} field - Numeric field
+   * @returns {Aggregate}
+   */
+  avg(field) {
+    return { fn: 'avg', field };
+  }
+
+  /**
+   * Create 'min' aggregate
+   *
+   * @param {string} field - Field name
+   * @returns {Aggregate}
+   */
+  min(field) {
+    return { fn: 'min', field };
+  }
+
+  /**
+   * Create 'max' aggregate
+   *
+   * @param {string} field - Field name
+   * @returns {Aggregate}
+   */
+  max(field) {
+    return { fn: 'max', field };
+  }
+
+  /**
+   * Create 'collect' aggregate (list of the values)
+   *
+   * @param {string} field - Field name
+   * @returns {Aggregate}
+   */
+  collect(field) {
+    return { fn: 'collect', field };
+  }
+
   /**
    * Deserialize a query from JSON
    *
-   * @param {string} json - Serialized query
+   * @param {string|Object} json - Serialized query, or the parsed object
    * @param {Graph} graph - Graph instance
    * @returns {QueryBuilder}
    */
   static deserialize(json, graph) {
-    const obj = JSON.parse(json);
+    const obj = typeof json === 'string' ? JSON.parse(json) : json;
     const qe = new QueryEngine(graph);
     let qb = qe.from(obj.from);
 
@@ -153,6 +302,18 @@ export class QueryEngine {
       }
     }
 
+    for (const traversal of obj.traversals || []) {
+      qb = traversal.ref ? qb.followRef(traversal.ref) : qb.traverse(traversal.relationType, traversal.direction);
+    }
+
+    for (const expansion of obj.expansions || []) {
+      qb = qb.expand(expansion);
+    }
+
+    if (obj.select) {
+      qb = qb.select(...obj.select);
+    }
+
     if (obj.orderBy) {
       qb = qb.orderBy(obj.orderBy.field, obj.orderBy.direction);
     }
@@ -169,6 +330,22 @@ export class QueryEngine {
       qb = qb.distinct();
     }
 
+    if (obj.includeDeleted) {
+      qb = qb.includeDeleted();
+    }
+
+    if (obj.groupBy) {
+      qb = qb.groupBy(...obj.groupBy);
+    }
+
+    if (obj.aggregates) {
+      qb = qb.aggregate(obj.aggregates);
+    }
+
+    for (const predicate of obj.having || []) {
+      qb = qb.having(predicate);
+    }
+
     return qb;
   }
 }
@@ -243,6 +420,22 @@ export class QueryBuilder {
     });
   }
 
+  /**
+   * Follow a reference field to the entities it points at
+   *
+   * The targets may live in other graphs; later traversals continue from
+   * there. References that no longer resolve are dropped.
+   *
+   * @param {string} field - Field declared `{ type: 'ref' }` in the schema
+   * @returns {QueryBuilder}
+   */
+  followRef(field) {
+    return new QueryBuilder(this.graph, {
+      ...this.config,
+      traversals: [...this.config.traversals, { ref: field }],
+    });
+  }
+
   /**
    * Expand to k-hop neighborhood
    *
@@ -267,7 +460,10 @@ export class QueryBuilder {
    * @param {Predicate} options.to - Target predicate
    * @param {number} options.maxDepth - Maximum path length
    * @param {string[]} options.relationTypes - Specific relations to follow
-   * @returns {QueryBuilder}
+   * @param {string} options.direction - 'out' | 'in' | 'both' (default: 'both')
+   * @param {string|Function} options.weight - Relation weight field or function for path costs (default: 1 per relation)
+   * @returns {QueryBuilder} Executes to paths { nodes, edges, cost }; use QueryEngine.shortestPath() and
+   *   friends for cheapest paths between two entities
    */
   path(options = {}) {
     return new QueryBuilder(this.graph, {
@@ -341,6 +537,95 @@ export class QueryBuilder {
     });
   }
 
+  /**
+   * Include soft-deleted entities from the trash
+   *
+   * They come back as plain objects with `deleted: true` and `deletedAt`.
+   *
+   * @returns {QueryBuilder}
+   */
+  includeDeleted() {
+    return new QueryBuilder(this.graph, {
+      ...this.config,
+      includeDeleted: true,
+    });
+  }
+
+  /**
+   * Group results, turning them into one row per group
+   *
+   * Each key is a field name or an object:
+   *   { field, via: { relationType, direction }, size, interval, as }
+   * `via` reads the field from the entities reached over that relation
+   * (an item linked to several counts in each of their groups), `size`
+   * buckets numbers into ranges of that width and `interval` ('day',
+   * 'week', 'month', 'year') buckets dates, making a histogram; the key
+   * then holds the bucket start. `as` names the key in the rows (default:
+   * the field). Rows hold the keys and the aggregates (default: count);
+   * histograms come out in bucket order, other groups in first-seen order.
+   *
+   * @param {...(string|Object)} keys - Group keys
+   * @returns {QueryBuilder}
+   * @throws {Error} if a key is malformed
+   */
+  groupBy(...keys) {
+    return new QueryBuilder(this.graph, {
+      ...this.config,
+      groupBy: keys.map((key) => this._normalizeGroupKey(key)),
+    });
+  }
+
+  /**
+   * Compute aggregates per group (or over all results, without groupBy())
+   *
+   * @param {Object} aggregates - { name: { fn, field } }, fn one of AGGREGATE_FUNCTIONS,
+   *   e.g. { totalStars: query.sum('stars'), repos: query.count() }
+   * @returns {QueryBuilder}
+   * @throws {Error} on unknown functions or a missing field
+   */
+  aggregate(aggregates) {
+    const normalized = {};
+    for (const [name, { fn, field }] of Object.entries(aggregates)) {
+      if (!(fn in AGGREGATE_FUNCTIONS)) {
+        throw new Error(`Unknown aggregate function '${fn}' (expected one of: ${Object.keys(AGGREGATE_FUNCTIONS).join(', ')})`);
+      }
+      if (AGGREGATE_FUNCTIONS[fn] && !field) {
+        throw new Error(`Aggregate '${name}' (${fn}) needs a field`);
+      }
+      normalized[name] = field ? { fn, field } : { fn };
+    }
+
+    return new QueryBuilder(this.graph, {
+      ...this.config,
+      aggregates: normalized,
+    });
+  }
+
+  /**
+   * Filter grouped rows, e.g. having(query.gt('count', 10))
+   *
+   * @param {Predicate|Expression} predicate - Filter over row keys and aggregates
+   * @returns {QueryBuilder}
+   */
+  having(predicate) {
+    return new QueryBuilder(this.graph, {
+      ...this.config,
+      having: [...this.config.having, predicate],
+    });
+  }
+
+  /**
+   * Copy the matching entities into a new standalone graph
+   *
+   * See Graph.extract() for the options.
+   *
+   * @param {Object} options - Extraction options
+   * @returns {Graph|Object} New graph, or serialized data with `serialize: true`
+   */
+  toGraph(options = {}) {
+    return this.graph.extract(this, options);
+  }
+
   /**
    * Get first result only
    *
@@ -401,6 +686,11 @@ export class QueryBuilder {
       results = this._applyDistinct(results);
     }
 
+    // Apply grouping and aggregates (rows replace entities from here on)
+    if (this.config.groupBy || this.config.aggregates) {
+      results = this._applyGrouping(results);
+    }
+
     // Apply ordering
     if (this.config.orderBy) {
       results = this._applyOrderBy(results);
@@ -446,11 +736,28 @@ export class QueryBuilder {
       offset: this.config.offset,
       orderBy: this.config.orderBy,
       distinct: this.config.distinct,
+      includeDeleted: this.config.includeDeleted,
+      groupBy: this.config.groupBy,
+      aggregates: this.config.aggregates,
+      having: this.config.having,
     };
 
     return JSON.stringify(obj);
   }
 
+  /**
+   * Write the query in the query language
+   *
+   * QueryEngine.parse() of the text gives back a query that serializes the
+   * same way.
+   *
+   * @returns {string}
+   * @throws {Error} if the query has function predicates or values the language cannot express
+   */
+  toText() {
+    return formatQuery(JSON.parse(this.serialize()));
+  }
+
   /**
    * Get initial set of entities based on from() clause
    *
@@ -458,19 +765,55 @@ export class QueryBuilder {
    * @returns {Array}
    */
   _getInitialEntities() {
-    if (this.config.from === null) {
-      return Array.from(this.graph.entities.values());
-    }
-
     const entities = [];
     for (const [, entity] of this.graph.entities) {
-      if (entity.type === this.config.from) {
+      if (this._matchesFrom(entity.type)) {
         entities.push(entity);
       }
     }
+
+    if (this.config.includeDeleted) {
+      entities.push(...this._getDeletedEntities());
+    }
     return entities;
   }
 
+  /**
+   * Get soft-deleted entities matching the from() clause
+   *
+   * @private
+   * @returns {Array}
+   */
+  _getDeletedEntities() {
+    const deleted = [];
+    for (const tombstone of this.graph.trash?.list() || []) {
+      const items = tombstone.kind === 'entity'
+        ? [tombstone.item, ...tombstone.entities]
+        : tombstone.entities;
+      for (const item of items) {
+        if (this._matchesFrom(item.type)) {
+          deleted.push({ ...item, deleted: true, deletedAt: tombstone.deletedAt });
+        }
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Check an entity type against the from() clause, including subtypes
+   *
+   * @private
+   * @param {string} type - Entity type
+   * @returns {boolean}
+   */
+  _matchesFrom(type) {
+    const { from } = this.config;
+    if (from === null || type === from) return true;
+
+    const schema = this.graph.schema;
+    return Boolean(schema && typeof schema.isSubtypeOf === 'function' && schema.isSubtypeOf(type, from));
+  }
+
   /**
    * Apply filter predicates to results
    *
@@ -565,32 +908,27 @@ export class QueryBuilder {
    * @returns {Array}
    */
   _applyTraversals(entities) {
-    let current = entities;
+    // Track which graph each entity came from, as references can cross graphs
+    let current = entities.map((entity) => ({ entity, graph: this.graph }));
 
     for (const traversal of this.config.traversals) {
       const next = [];
-      const seen = new Set();
-
-      for (const entity of current) {
-        for (const [, relation] of this.graph.relations) {
-          if (relation.type !== traversal.relationType) continue;
-
-          let target = null;
-          if (traversal.direction === 'out' && relation.from === entity.id) {
-            target = this.graph.getEntity(relation.to);
-          } else if (traversal.direction === 'in' && relation.to === entity.id) {
-            target = this.graph.getEntity(relation.from);
-          } else if (traversal.direction === 'both') {
-            if (relation.from === entity.id) {
-              target = this.graph.getEntity(relation.to);
-            } else if (relation.to === entity.id) {
-              target = this.graph.getEntity(relation.from);
-            }
-          }
-
-          if (target && !seen.has(target.id)) {
+      const seen = new Map();
+
+      for (const { entity, graph } of current) {
+        const targets = traversal.ref
+          ? this._followRef(graph, entity, traversal.ref)
+          : graph.getNeighbors(entity.id, {
+            direction: traversal.direction,
+            types: [traversal.relationType],
+          }).map((target) => ({ entity: target, graph }));
+
+        for (const target of targets) {
+          if (!seen.has(target.graph)) seen.set(target.graph, new Set());
+          const ids = seen.get(target.graph);
+          if (!ids.has(target.entity.id)) {
             next.push(target);
-            seen.add(target.id);
+            ids.add(target.entity.id);
           }
         }
       }
@@ -598,7 +936,25 @@ export class QueryBuilder {
       current = next;
     }
 
-    return current;
+    return current.map(({ entity }) => entity);
+  }
+
+  /**
+   * Resolve an entity's reference field
+   *
+   * @private
+   * @param {Graph} graph - Graph holding the entity
+   * @param {Object} entity - Entity with the reference
+   * @param {string} field - Reference field
+   * @returns {Array} [{ entity, graph }] for the target, or [] if it does not resolve
+   */
+  _followRef(graph, entity, field) {
+    const ref = entity[field];
+    if (!isRef(ref)) return [];
+
+    const target = graph.resolveGraph(ref.graphId);
+    const resolved = target && target.getEntity(ref.entityId);
+    return resolved ? [{ entity: resolved, graph: target }] : [];
   }
 
   /**
@@ -620,20 +976,13 @@ export class QueryBuilder {
         const nextVisited = new Set();
 
         for (const entity of current) {
-          for (const [, relation] of this.graph.relations) {
-            let target = null;
-
-            if (expansion.relationTypes && expansion.relationTypes.length > 0) {
-              if (!expansion.relationTypes.includes(relation.type)) continue;
-            }
+          const targets = this.graph.getNeighbors(entity.id, {
+            direction: expansion.direction,
+            types: expansion.relationTypes,
+          });
 
-            if (expansion.direction !== 'in' && relation.from === entity.id) {
-              target = this.graph.getEntity(relation.to);
-            } else if (expansion.direction !== 'out' && relation.to === entity.id) {
-              target = this.graph.getEntity(relation.from);
-            }
-
-            if (target && !visited.has(target.id) && !nextVisited.has(target.id)) {
+          for (const target of targets) {
+            if (!visited.has(target.id) && !nextVisited.has(target.id)) {
               next.push(target);
               nextVisited.add(target.id);
               visited.add(target.id);
@@ -661,14 +1010,7 @@ export class QueryBuilder {
     const paths = [];
 
     for (const start of entities) {
-      const foundPaths = this._findPaths(
-        start,
-        options.to || (() => true),
-        options.maxDepth || 5,
-        options.relationTypes || null,
-      );
-
-      paths.push(...foundPaths);
+      paths.push(...this._findPaths(start, options.to || (() => true), options.maxDepth || 5, options));
     }
 
     return paths;
@@ -681,19 +1023,20 @@ export class QueryBuilder {
    * @param {Object} start - Starting entity
    * @param {Predicate|Function} target - Target predicate or function
    * @param {number} maxDepth - Maximum path length
-   * @param {string[]} relationTypes - Relation types to follow
-   * @returns {Array}
+   * @param {Object} options - { relationTypes, direction, weight } as for path()
+   * @returns {Array} Paths { nodes, edges, cost }
    */
-  _findPaths(start, target, maxDepth, relationTypes) {
+  _findPaths(start, target, maxDepth, options) {
+    const finder = new PathFinder(this.graph);
     const paths = [];
-    const queue = [[start]];
+    const queue = [{ nodes: [start], edges: [], cost: 0 }];
 
     while (queue.length > 0) {
       const path = queue.shift();
 
-      if (path.length > maxDepth) continue;
+      if (path.nodes.length > maxDepth) continue;
 
-      const current = path[path.length - 1];
+      const current = path.nodes[path.nodes.length - 1];
 
       // Check if current matches target
       let matches = false;
@@ -703,23 +1046,18 @@ export class QueryBuilder {
         matches = this._matchesPredicate(current, target);
       }
 
-      if (matches && path.length > 1) {
-        paths.push({ nodes: path });
+      if (matches && path.nodes.length > 1) {
+        paths.push(path);
       }
 
       // Explore neighbors
-      for (const [, relation] of this.graph.relations) {
-        if (relationTypes && !relationTypes.includes(relation.type)) continue;
-
-        let next = null;
-        if (relation.from === current.id) {
-          next = this.graph.getEntity(relation.to);
-        } else if (relation.to === current.id) {
-          next = this.graph.getEntity(relation.from);
-        }
-
-        if (next && !path.some(e => e.id === next.id)) {
-          queue.push([...path, next]);
+      for (const { relation, to } of finder.edges(current.id, options)) {
+        if (!path.nodes.some(e => e.id === to)) {
+          queue.push({
+            nodes: [...path.nodes, this.graph.getEntity(to)],
+            edges: [...path.edges, relation],
+            cost: path.cost + finder.weight(relation, options),
+          });
         }
       }
     }
@@ -743,6 +1081,192 @@ export class QueryBuilder {
     });
   }
 
+  /**
+   * Apply groupBy, aggregates and having
+   *
+   * @private
+   * @param {Array} entities - Entities to group
+   * @returns {Array} Rows { ...keys, ...aggregates }
+   */
+  _applyGrouping(entities) {
+    const keys = this.config.groupBy || [];
+    const aggregates = this.config.aggregates || { count: { fn: 'count' } };
+    const groups = new Map();
+
+    if (keys.length === 0) {
+      // Aggregates over all results: one row, even for no results
+      groups.set('', { values: [], items: entities });
+    } else {
+      for (const entity of entities) {
+        for (const values of this._groupKeyValues(entity, keys)) {
+          const id = JSON.stringify(values);
+          if (!groups.has(id)) groups.set(id, { values, items: [] });
+          groups.get(id).items.push(entity);
+        }
+      }
+    }
+
+    // Histograms come out in bucket order, values outside any bucket (null) last
+    const list = Array.from(groups.values());
+    const buckets = keys.flatMap((key, i) => (key.size || key.interval ? [i] : []));
+    if (buckets.length > 0) {
+      list.sort((a, b) => {
+        for (const i of buckets) {
+          if (a.values[i] === b.values[i]) continue;
+          if (a.values[i] === null) return 1;
+          if (b.values[i] === null) return -1;
+          return a.values[i] < b.values[i] ? -1 : 1;
+        }
+        return 0;
+      });
+    }
+
+    const rows = list.map(({ values, items }) => {
+      const row = {};
+      keys.forEach((key, i) => {
+        row[typeof key === 'string' ? key : key.as || key.field] = values[i];
+      });
+      for (const [name, aggregate] of Object.entries(aggregates)) {
+        row[name] = this._aggregate(items, aggregate);
+      }
+      return row;
+    });
+
+    return rows.filter((row) => this.config.having.every((predicate) => this._matchesPredicate(row, predicate)));
+  }
+
+  /**
+   * Key tuples an entity is grouped under
+   *
+   * @private
+   * @param {Object} entity - Entity to group
+   * @param {Array} keys - Normalized group keys
+   * @returns {Array[]} One tuple per group (several when a `via` key reaches several entities)
+   */
+  _groupKeyValues(entity, keys) {
+    let tuples = [[]];
+    for (const key of keys) {
+      const values = this._groupKeyValue(entity, key);
+      tuples = tuples.flatMap((tuple) => values.map((value) => [...tuple, value]));
+    }
+    return tuples;
+  }
+
+  /**
+   * @private
+   * @param {Object} entity - Entity to group
+   * @param {string|Object} key - Normalized group key
+   * @returns {Array} Values of the key for the entity (null when it has none)
+   */
+  _groupKeyValue(entity, key) {
+    if (typeof key === 'string') {
+      return [this._getFieldValue(entity, key) ?? null];
+    }
+
+    const sources = key.via
+      ? this.graph.getNeighbors(entity.id, { direction: key.via.direction, types: [key.via.relationType] })
+      : [entity];
+    const values = new Map(sources.map((source) => {
+      const value = this._bucket(this._getFieldValue(source, key.field), key);
+      return [JSON.stringify(value), value];
+    }));
+    return values.size > 0 ? Array.from(values.values()) : [null];
+  }
+
+  /**
+   * @private
+   * @param {*} value - Field value
+   * @param {Object} key - Group key with `size` or `interval`
+   * @returns {*} Bucket start (number, or ISO date for intervals), the value itself without
+   *   bucketing, or null for values that do not fit a bucket
+   */
+  _bucket(value, key) {
+    if (value === undefined || value === null) return null;
+    if (key.size) {
+      return typeof value === 'number' ? Math.floor(value / key.size) * key.size : null;
+    }
+    if (!key.interval) return value;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (key.interval === 'week') {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7)); // weeks start on Monday
+    } else if (key.interval === 'month') {
+      start.setUTCDate(1);
+    } else if (key.interval === 'year') {
+      start.setUTCMonth(0, 1);
+    }
+    return start.toISOString().slice(0, 10);
+  }
+
+  /**
+   * @private
+   * @param {Array} items - Entities of one group
+   * @param {Object} aggregate - { fn, field }
+   * @returns {*} Aggregate value; sum is 0 and avg, min and max are null without values
+   */
+  _aggregate(items, { fn, field }) {
+    if (fn === 'count' && !field) return items.length;
+
+    const values = items
+      .map((item) => this._getFieldValue(item, field))
+      .filter((value) => value !== undefined && value !== null);
+    const numbers = values.filter((value) => typeof value === 'number');
+
+    switch (fn) {
+      case 'count':
+        return values.length;
+      case 'countDistinct':
+        return new Set(values.map((value) => JSON.stringify(value))).size;
+      case 'sum':
+        return numbers.reduce((total, value) => total + value, 0);
+      case 'avg':
+        return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+      case 'min':
+        return values.reduce((min, value) => (min === null || value < min ? value : min), null);
+      case 'max':
+        return values.reduce((max, value) => (max === null || value > max ? value : max), null);
+      case 'collect':
+        return values;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Validate a group key and put it in canonical form
+   *
+   * @private
+   * @param {string|Object} key - Field name or { field, via, size, interval, as }
+   * @returns {string|Object} The field name for plain keys, else the key with its parts in a fixed order
+   * @throws {Error} if the key is malformed
+   */
+  _normalizeGroupKey(key) {
+    if (typeof key === 'string') return key;
+    if (!key || typeof key.field !== 'string') {
+      throw new Error('Group key must be a field name or { field, via, size, interval, as }');
+    }
+    if (key.size !== undefined && !(typeof key.size === 'number' && key.size > 0)) {
+      throw new Error(`Bucket size for '${key.field}' must be a positive number`);
+    }
+    if (key.interval !== undefined && !DATE_INTERVALS.includes(key.interval)) {
+      throw new Error(`Unknown date interval '${key.interval}' (expected one of: ${DATE_INTERVALS.join(', ')})`);
+    }
+    if (key.size !== undefined && key.interval !== undefined) {
+      throw new Error(`Group key '${key.field}' cannot have both a bucket size and a date interval`);
+    }
+
+    const normalized = {
+      field: key.field,
+      ...(key.via && { via: { relationType: key.via.relationType, direction: key.via.direction || 'out' } }),
+      ...(key.size !== undefined && { size: key.size }),
+      ...(key.interval !== undefined && { interval: key.interval }),
+      ...(key.as && { as: key.as }),
+    };
+    return Object.keys(normalized).length === 1 ? key.field : normalized;
+  }
+
   /**
    * Apply ordering
    *
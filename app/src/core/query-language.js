@@ -0,0 +1,714 @@
+/**
+ * Query Language - Text queries compiled to QueryBuilder configs
+ *
+ * A readable alternative to nested predicate objects, e.g.
+ *
+ *   MATCH repository
+ *   WHERE language = "JavaScript" AND stars > 100
+ *   TRAVERSE OWNS IN
+ *   ORDER BY stars DESC
+ *   LIMIT 10
+ *
+ * parseQuery() turns the text into the object QueryBuilder.serialize()
+ * produces, so QueryEngine.deserialize() can run it; formatQuery() goes
+ * the other way and backs QueryBuilder.toText(). Clauses come in the order
+ * the engine applies them:
+ *
+ *   MATCH <type> | *
+ *   [WHERE <condition>]
+ *   [TRAVERSE <relation type> [OUT | IN | BOTH] | FOLLOW <ref field>]...
+ *   [EXPAND <depth> [OUT | IN | BOTH] [VIA <relation type>, ...] [INCLUDE START]]...
+ *   [DISTINCT] [INCLUDE DELETED]
+ *   [GROUP BY <field> [VIA <relation type> [OUT | IN | BOTH]] [BUCKET <size> | BUCKET <interval>] [AS <name>], ...]
+ *   [AGGREGATE <fn>([<field>]) [AS <name>], ...]
+ *   [HAVING <condition>]
+ *   [SELECT <field>, ...]
+ *   [ORDER BY <field> [ASC | DESC]]
+ *   [OFFSET <n>] [LIMIT <n>]
+ *
+ * Conditions compare a field (dotted paths allowed) with a value using
+ * =, !=, >, <, IN (v, ...), CONTAINS, MATCHES or EXISTS, combined with
+ * NOT, AND and OR (in that order of precedence) and parentheses. Values
+ * are JSON-style strings ("..." or '...'), numbers, true, false or null.
+ * Keywords are case-insensitive; names that clash with a keyword or are
+ * not plain identifiers go in backticks: `order`.
+ *
+ * Grouping follows QueryBuilder.groupBy() and aggregate(): BUCKET takes a
+ * number for numeric ranges or day, week, month or year for dates, and an
+ * aggregate without AS is named after its function and field, e.g.
+ * `sum(stars)` becomes sum_stars and `count()` count.
+ *
+ * See: ../../doc/modules/graph/QueryEngine.md
+ */
+
+/** Reserved words; names spelled like one must be quoted in backticks */
+const KEYWORDS = [
+  'MATCH', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'EXISTS', 'CONTAINS', 'MATCHES',
+  'TRAVERSE', 'FOLLOW', 'EXPAND', 'VIA', 'OUT', 'BOTH', 'INCLUDE', 'START', 'DELETED',
+  'DISTINCT', 'GROUP', 'BUCKET', 'AS', 'AGGREGATE', 'HAVING', 'SELECT', 'ORDER', 'BY', 'ASC', 'DESC',
+  'OFFSET', 'LIMIT', 'TRUE', 'FALSE', 'NULL',
+];
+
+/** Comparison symbols and the predicate ops they stand for */
+const COMPARISONS = { '=': 'eq', '!=': 'neq', '>': 'gt', '<': 'lt' };
+
+const DIRECTIONS = ['OUT', 'IN', 'BOTH'];
+
+const NAME_PATTERN = /^[A-Za-z_$][\w$]*(?:[.:][A-Za-z_$][\w$]*)*$/;
+
+/**
+ * Syntax error in a text query, with the position it was found at
+ */
+export class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - What was wrong
+   * @param {Object} position - { line, column, offset }; line and column start at 1
+   */
+  constructor(message, position) {
+    super(`${message} at line ${position.line}, column ${position.column}`);
+    this.name = 'QuerySyntaxError';
+    this.line = position.line;
+    this.column = position.column;
+    this.offset = position.offset;
+  }
+}
+
+/**
+ * Parse a text query into a query config
+ *
+ * @param {string} text - Query text
+ * @returns {Object} Config as produced by QueryBuilder.serialize() (parsed), for QueryEngine.deserialize()
+ * @throws {QuerySyntaxError} if the text is not a valid query
+ */
+export function parseQuery(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Query text must be a string');
+  }
+  return new Parser(tokenize(text)).query();
+}
+
+/**
+ * Write a query config as text
+ *
+ * @param {Object} config - Config as produced by QueryBuilder.serialize() (parsed)
+ * @returns {string} Query text that parseQuery() turns back into the same config
+ * @throws {Error} if the config holds something the language cannot express (function predicates, object values)
+ */
+export function formatQuery(config) {
+  const clauses = [`MATCH ${config.from ? formatName(config.from) : '*'}`];
+
+  if (config.filters && config.filters.length > 0) {
+    clauses.push(`WHERE ${config.filters.map((filter) => formatCondition(filter, 'AND')).join(' AND ')}`);
+  }
+  for (const traversal of config.traversals || []) {
+    clauses.push(traversal.ref
+      ? `FOLLOW ${formatName(traversal.ref)}`
+      : `TRAVERSE ${formatName(traversal.relationType)}${formatDirection(traversal.direction)}`);
+  }
+  for (const expansion of config.expansions || []) {
+    let clause = `EXPAND ${expansion.depth}${formatDirection(expansion.direction, null)}`;
+    if (expansion.relationTypes) clause += ` VIA ${expansion.relationTypes.map(formatName).join(', ')}`;
+    if (expansion.includeStart) clause += ' INCLUDE START';
+    clauses.push(clause);
+  }
+  if (config.distinct) clauses.push('DISTINCT');
+  if (config.includeDeleted) clauses.push('INCLUDE DELETED');
+  if (config.groupBy) clauses.push(`GROUP BY ${config.groupBy.map(formatGroupKey).join(', ')}`);
+  if (config.aggregates) {
+    const aggregates = Object.entries(config.aggregates).map(([name, { fn, field }]) => (
+      `${fn}(${field ? formatName(field) : ''}) AS ${formatName(name)}`
+    ));
+    clauses.push(`AGGREGATE ${aggregates.join(', ')}`);
+  }
+  if (config.having && config.having.length > 0) {
+    clauses.push(`HAVING ${config.having.map((predicate) => formatCondition(predicate, 'AND')).join(' AND ')}`);
+  }
+  if (config.select) clauses.push(`SELECT ${config.select.map(formatName).join(', ')}`);
+  if (config.orderBy) {
+    clauses.push(`ORDER BY ${formatName(config.orderBy.field)}${config.orderBy.direction === 'desc' ? ' DESC' : ''}`);
+  }
+  if (config.offset) clauses.push(`OFFSET ${config.offset}`);
+  if (config.limit) clauses.push(`LIMIT ${config.limit}`);
+
+  return clauses.join('\n');
+}
+
+/**
+ * Split query text into tokens
+ *
+ * @param {string} text - Query text
+ * @returns {Object[]} [{ kind: 'word' | 'name' | 'string' | 'number' | 'symbol' | 'end', value, position }]
+ * @throws {QuerySyntaxError} on characters that start no token and unterminated strings
+ */
+function tokenize(text) {
+  const tokens = [];
+  let offset = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const position = (at) => ({ line, column: at - lineStart + 1, offset: at });
+
+  while (offset < text.length) {
+    const char = text[offset];
+
+    if (char === '\n') {
+      offset++;
+      line++;
+      lineStart = offset;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      offset++;
+      continue;
+    }
+
+    const start = position(offset);
+    const rest = text.slice(offset);
+    const word = /^[A-Za-z_$][\w$]*(?:[.:][A-Za-z_$][\w$]*)*/.exec(rest);
+    const number = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(rest);
+    const symbol = /^(?:!=|[=<>(),*])/.exec(rest);
+
+    if (word) {
+      tokens.push({ kind: 'word', value: word[0], position: start });
+      offset += word[0].length;
+    } else if (number) {
+      tokens.push({ kind: 'number', value: Number(number[0]), position: start });
+      offset += number[0].length;
+    } else if (symbol) {
+      tokens.push({ kind: 'symbol', value: symbol[0], position: start });
+      offset += symbol[0].length;
+    } else if (char === '"' || char === "'" || char === '`') {
+      const end = findClosingQuote(text, offset);
+      if (end === -1) {
+        throw new QuerySyntaxError(char === '`' ? 'Unterminated quoted name' : 'Unterminated string', start);
+      }
+      const raw = text.slice(offset + 1, end);
+      tokens.push(char === '`'
+        ? { kind: 'name', value: raw, position: start }
+        : { kind: 'string', value: unescape(raw, start), position: start });
+      offset = end + 1;
+    } else {
+      throw new QuerySyntaxError(`Unexpected character '${char}'`, start);
+    }
+  }
+
+  tokens.push({ kind: 'end', value: null, position: position(offset) });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser over the token list
+ */
+class Parser {
+  /**
+   * @param {Object[]} tokens - Output of tokenize()
+   */
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  /**
+   * @returns {Object} Query config
+   */
+  query() {
+    const config = {
+      from: null,
+      filters: [],
+      traversals: [],
+      expansions: [],
+      select: null,
+      limit: null,
+      offset: null,
+      orderBy: null,
+      distinct: false,
+      includeDeleted: false,
+      groupBy: null,
+      aggregates: null,
+      having: [],
+    };
+
+    this.expectKeyword('MATCH');
+    config.from = this.acceptSymbol('*') ? null : this.name('an entity type or *');
+
+    if (this.acceptKeyword('WHERE')) {
+      config.filters = this.conjuncts();
+    }
+
+    while (this.isKeyword('TRAVERSE') || this.isKeyword('FOLLOW')) {
+      if (this.acceptKeyword('TRAVERSE')) {
+        const relationType = this.name('a relation type');
+        config.traversals.push({ relationType, direction: this.direction() || 'out' });
+      } else {
+        this.index++;
+        config.traversals.push({ ref: this.name('a reference field') });
+      }
+    }
+
+    while (this.acceptKeyword('EXPAND')) {
+      config.expansions.push(this.expansion());
+    }
+
+    if (this.acceptKeyword('DISTINCT')) config.distinct = true;
+    if (this.isKeyword('INCLUDE')) {
+      this.index++;
+      this.expectKeyword('DELETED');
+      config.includeDeleted = true;
+    }
+    if (this.acceptKeyword('GROUP')) {
+      this.expectKeyword('BY');
+      config.groupBy = [this.groupKey()];
+      while (this.acceptSymbol(',')) {
+        config.groupBy.push(this.groupKey());
+      }
+    }
+    if (this.acceptKeyword('AGGREGATE')) {
+      config.aggregates = {};
+      do {
+        const [name, aggregate] = this.aggregate();
+        config.aggregates[name] = aggregate;
+      } while (this.acceptSymbol(','));
+    }
+    if (this.acceptKeyword('HAVING')) config.having = this.conjuncts();
+    if (this.acceptKeyword('SELECT')) config.select = this.names('a field');
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      const field = this.name('a field');
+      const descending = this.acceptKeyword('DESC');
+      if (!descending) this.acceptKeyword('ASC');
+      config.orderBy = { field, direction: descending ? 'desc' : 'asc' };
+    }
+    if (this.acceptKeyword('OFFSET')) config.offset = this.count('OFFSET');
+    if (this.acceptKeyword('LIMIT')) config.limit = this.count('LIMIT');
+
+    if (this.peek().kind !== 'end') {
+      this.fail('the end of the query');
+    }
+    return config;
+  }
+
+  /**
+   * Top-level condition, split into one filter per AND operand (as where() calls add them)
+   *
+   * @returns {Array} Predicates and expressions
+   */
+  conjuncts() {
+    const condition = this.disjunction();
+    return condition.type === 'AND' && !condition.grouped ? condition.args : [ungroup(condition)];
+  }
+
+  /**
+   * disjunction := conjunction (OR conjunction)*
+   *
+   * @returns {Object} Predicate or expression
+   */
+  disjunction() {
+    const args = [this.conjunction()];
+    while (this.acceptKeyword('OR')) {
+      args.push(this.conjunction());
+    }
+    return args.length === 1 ? args[0] : { type: 'OR', args: args.map(ungroup) };
+  }
+
+  /**
+   * conjunction := negation (AND negation)*
+   *
+   * @returns {Object} Predicate or expression
+   */
+  conjunction() {
+    const args = [this.negation()];
+    while (this.acceptKeyword('AND')) {
+      args.push(this.negation());
+    }
+    return args.length === 1 ? args[0] : { type: 'AND', args: args.map(ungroup) };
+  }
+
+  /**
+   * negation := NOT negation | '(' disjunction ')' | comparison
+   *
+   * @returns {Object} Predicate or expression; parenthesized expressions are flagged `grouped`
+   */
+  negation() {
+    if (this.acceptKeyword('NOT')) {
+      return { type: 'NOT', args: [ungroup(this.negation())] };
+    }
+    if (this.acceptSymbol('(')) {
+      const inner = this.disjunction();
+      this.expectSymbol(')');
+      return inner.type ? { ...inner, grouped: true } : inner;
+    }
+    return this.comparison();
+  }
+
+  /**
+   * comparison := field (= | != | > | <) value | field IN (value, ...) | field CONTAINS string
+   *   | field MATCHES string | field EXISTS
+   *
+   * @returns {Object} Predicate
+   */
+  comparison() {
+    const field = this.name('a field, NOT or (');
+    const token = this.peek();
+
+    if (token.kind === 'symbol' && COMPARISONS[token.value]) {
+      this.index++;
+      return { op: COMPARISONS[token.value], field, value: this.value() };
+    }
+    if (this.acceptKeyword('IN')) {
+      this.expectSymbol('(');
+      const values = [this.value()];
+      while (this.acceptSymbol(',')) {
+        values.push(this.value());
+      }
+      this.expectSymbol(')');
+      return { op: 'in', field, value: values };
+    }
+    if (this.acceptKeyword('CONTAINS')) {
+      return { op: 'contains', field, value: this.string() };
+    }
+    if (this.acceptKeyword('MATCHES')) {
+      return { op: 'matches', field, value: this.string() };
+    }
+    if (this.acceptKeyword('EXISTS')) {
+      return { op: 'exists', field };
+    }
+    return this.fail('a comparison (=, !=, >, <, IN, CONTAINS, MATCHES or EXISTS)');
+  }
+
+  /**
+   * expansion := depth [direction] [VIA names] [INCLUDE START]
+   *
+   * @returns {Object} Expansion options, with only the parts given
+   */
+  expansion() {
+    const expansion = { depth: this.count('EXPAND') };
+    const direction = this.direction();
+    if (direction) expansion.direction = direction;
+    if (this.acceptKeyword('VIA')) expansion.relationTypes = this.names('a relation type');
+    if (this.isKeyword('INCLUDE') && this.isKeyword('START', 1)) {
+      this.index += 2;
+      expansion.includeStart = true;
+    }
+    return expansion;
+  }
+
+  /**
+   * groupKey := field [VIA name [direction]] [BUCKET (number | interval)] [AS name]
+   *
+   * @returns {string|Object} Field name, or the key object QueryBuilder.groupBy() normalizes to
+   */
+  groupKey() {
+    const key = { field: this.name('a field') };
+    if (this.acceptKeyword('VIA')) {
+      const relationType = this.name('a relation type');
+      key.via = { relationType, direction: this.direction() || 'out' };
+    }
+    if (this.acceptKeyword('BUCKET')) {
+      const token = this.peek();
+      if (token.kind === 'number' && token.value > 0) {
+        key.size = token.value;
+      } else if (token.kind === 'word') {
+        key.interval = token.value.toLowerCase();
+      } else {
+        this.fail('a bucket size or date interval');
+      }
+      this.index++;
+    }
+    if (this.acceptKeyword('AS')) key.as = this.name('a name');
+    return Object.keys(key).length === 1 ? key.field : key;
+  }
+
+  /**
+   * aggregate := fn '(' [field] ')' [AS name]
+   *
+   * @returns {Array} [name, { fn, field }]
+   */
+  aggregate() {
+    const fn = this.name('an aggregate function');
+    this.expectSymbol('(');
+    const field = this.peek().kind === 'symbol' ? null : this.name('a field or )');
+    this.expectSymbol(')');
+    const name = this.acceptKeyword('AS') ? this.name('a name') : [fn, field].filter(Boolean).join('_').replace(/\W/g, '_');
+    return [name, field ? { fn, field } : { fn }];
+  }
+
+  /**
+   * @returns {string|null} 'out', 'in' or 'both' if one comes next
+   */
+  direction() {
+    const direction = DIRECTIONS.find((keyword) => this.isKeyword(keyword));
+    if (!direction) return null;
+    this.index++;
+    return direction.toLowerCase();
+  }
+
+  /**
+   * @param {string} clause - Clause the number belongs to, for the message
+   * @returns {number} Non-negative integer
+   */
+  count(clause) {
+    const token = this.peek();
+    if (token.kind !== 'number' || !Number.isInteger(token.value) || token.value < 0) {
+      return this.fail(`a whole number after ${clause}`);
+    }
+    this.index++;
+    return token.value;
+  }
+
+  /**
+   * @returns {*} String, number, true, false or null
+   */
+  value() {
+    const token = this.peek();
+    if (token.kind === 'string' || token.kind === 'number') {
+      this.index++;
+      return token.value;
+    }
+    if (this.acceptKeyword('TRUE')) return true;
+    if (this.acceptKeyword('FALSE')) return false;
+    if (this.acceptKeyword('NULL')) return null;
+    return this.fail('a value (string, number, true, false or null)');
+  }
+
+  /**
+   * @returns {string}
+   */
+  string() {
+    const token = this.peek();
+    if (token.kind !== 'string') {
+      return this.fail('a string');
+    }
+    this.index++;
+    return token.value;
+  }
+
+  /**
+   * @param {string} expected - What the name stands for, for the message
+   * @returns {string} A word or a backtick-quoted name
+   */
+  name(expected) {
+    const token = this.peek();
+    if (token.kind !== 'word' && token.kind !== 'name') {
+      return this.fail(expected);
+    }
+    this.index++;
+    return token.value;
+  }
+
+  /**
+   * @param {string} expected - What each name stands for
+   * @returns {string[]} Comma-separated names
+   */
+  names(expected) {
+    const names = [this.name(expected)];
+    while (this.acceptSymbol(',')) {
+      names.push(this.name(expected));
+    }
+    return names;
+  }
+
+  /**
+   * @param {number} ahead - Tokens to look past (default: 0)
+   * @returns {Object} Token
+   */
+  peek(ahead = 0) {
+    return this.tokens[Math.min(this.index + ahead, this.tokens.length - 1)];
+  }
+
+  /**
+   * @param {string} keyword - Upper-case keyword
+   * @param {number} ahead - Tokens to look past (default: 0)
+   * @returns {boolean} true if that token is the (unquoted) keyword
+   */
+  isKeyword(keyword, ahead = 0) {
+    const token = this.peek(ahead);
+    return token.kind === 'word' && token.value.toUpperCase() === keyword;
+  }
+
+  /**
+   * @param {string} keyword - Upper-case keyword
+   * @returns {boolean} true if the keyword came next and was consumed
+   */
+  acceptKeyword(keyword) {
+    if (!this.isKeyword(keyword)) return false;
+    this.index++;
+    return true;
+  }
+
+  /**
+   * @param {string} keyword - Upper-case keyword
+   * @throws {QuerySyntaxError} if it does not come next
+   */
+  expectKeyword(keyword) {
+    if (!this.acceptKeyword(keyword)) this.fail(keyword);
+  }
+
+  /**
+   * @param {string} symbol
+   * @returns {boolean} true if the symbol came next and was consumed
+   */
+  acceptSymbol(symbol) {
+    const token = this.peek();
+    if (token.kind !== 'symbol' || token.value !== symbol) return false;
+    this.index++;
+    return true;
+  }
+
+  /**
+   * @param {string} symbol
+   * @throws {QuerySyntaxError} if it does not come next
+   */
+  expectSymbol(symbol) {
+    if (!this.acceptSymbol(symbol)) this.fail(`'${symbol}'`);
+  }
+
+  /**
+   * @param {string} expected - What should have come next
+   * @throws {QuerySyntaxError} always, positioned at the current token
+   */
+  fail(expected) {
+    const token = this.peek();
+    throw new QuerySyntaxError(`Expected ${expected} but found ${describe(token)}`, token.position);
+  }
+}
+
+/**
+ * @param {Object} condition - Predicate or expression
+ * @returns {Object} The condition without the parser's `grouped` flag
+ */
+function ungroup(condition) {
+  if (!condition.grouped) return condition;
+  const { grouped, ...rest } = condition;
+  return rest;
+}
+
+/**
+ * @param {Object} token
+ * @returns {string} Token as quoted in error messages
+ */
+function describe(token) {
+  switch (token.kind) {
+    case 'end':
+      return 'the end of the query';
+    case 'string':
+      return JSON.stringify(token.value);
+    case 'name':
+      return `\`${token.value}\``;
+    default:
+      return `'${token.value}'`;
+  }
+}
+
+/**
+ * @param {string} text - Query text
+ * @param {number} start - Offset of the opening quote
+ * @returns {number} Offset of the matching closing quote, or -1
+ */
+function findClosingQuote(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\' && quote !== '`') {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * @param {string} raw - String literal without its quotes
+ * @param {Object} position - Where the literal starts, for errors
+ * @returns {string} The string with escapes resolved
+ */
+function unescape(raw, position) {
+  const simple = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '/': '/', '\\': '\\', '"': '"', "'": "'" };
+  return raw.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+    if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+    if (escape in simple) return simple[escape];
+    throw new QuerySyntaxError(`Invalid escape '${match}' in string`, position);
+  });
+}
+
+/**
+ * @param {Object} condition - Predicate or expression
+ * @param {string} parent - Expression it sits in: 'AND' (also between filters), 'OR' or 'NOT'
+ * @returns {string} Condition text
+ */
+function formatCondition(condition, parent) {
+  if (typeof condition === 'function') {
+    throw new Error('Function predicates cannot be written as query text');
+  }
+  if (condition.type === 'NOT') {
+    return `NOT ${formatCondition(condition.args[0], 'NOT')}`;
+  }
+  if (condition.type === 'AND' || condition.type === 'OR') {
+    const text = condition.args.map((arg) => formatCondition(arg, condition.type)).join(` ${condition.type} `);
+    // Only AND inside OR binds without parentheses; the rest are kept so nesting survives a round trip
+    return parent === 'OR' && condition.type === 'AND' ? text : `(${text})`;
+  }
+
+  const field = formatName(condition.field);
+  switch (condition.op) {
+    case 'exists':
+      return `${field} EXISTS`;
+    case 'in':
+      return `${field} IN (${condition.value.map(formatValue).join(', ')})`;
+    case 'contains':
+      return `${field} CONTAINS ${formatValue(condition.value)}`;
+    case 'matches':
+      return `${field} MATCHES ${formatValue(condition.value)}`;
+    default: {
+      const symbol = Object.keys(COMPARISONS).find((key) => COMPARISONS[key] === condition.op);
+      if (!symbol) {
+        throw new Error(`Unknown predicate op '${condition.op}'`);
+      }
+      return `${field} ${symbol} ${formatValue(condition.value)}`;
+    }
+  }
+}
+
+/**
+ * @param {string|Object} key - Group key as QueryBuilder.groupBy() normalizes it
+ * @returns {string} Key text
+ */
+function formatGroupKey(key) {
+  if (typeof key === 'string') return formatName(key);
+
+  let text = formatName(key.field);
+  if (key.via) text += ` VIA ${formatName(key.via.relationType)}${formatDirection(key.via.direction)}`;
+  if (key.size !== undefined) text += ` BUCKET ${key.size}`;
+  if (key.interval !== undefined) text += ` BUCKET ${key.interval}`;
+  if (key.as) text += ` AS ${formatName(key.as)}`;
+  return text;
+}
+
+/**
+ * @param {string} direction - 'out', 'in' or 'both'
+ * @param {string|null} implied - Direction that goes without saying (default: 'out')
+ * @returns {string} ' IN', ' BOTH', ... or '' for the implied direction
+ */
+function formatDirection(direction, implied = 'out') {
+  return direction && direction !== implied ? ` ${direction.toUpperCase()}` : '';
+}
+
+/**
+ * @param {string} name - Type, relation or field name
+ * @returns {string} The name, in backticks if it is not a plain identifier or is a keyword
+ */
+function formatName(name) {
+  return NAME_PATTERN.test(name) && !KEYWORDS.includes(name.toUpperCase()) ? name : `\`${name}\``;
+}
+
+/**
+ * @param {*} value - Comparison value
+ * @returns {string} Literal
+ * @throws {Error} for values the language has no literal for
+ */
+function formatValue(value) {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (value === null || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value))) {
+    return String(value);
+  }
+  throw new Error(`Value ${JSON.stringify(value)} cannot be written as query text`);
+}
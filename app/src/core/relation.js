@@ -8,6 +8,8 @@
  * See: ../../doc/ADR.md (ADR-002: Recursive Graph, ADR-021: UUID Everywhere)
  */
 
+import { AUDIT_FIELDS } from './entity.js';
+
 /**
  * Relation - Generic graph edge
  *
@@ -17,6 +19,7 @@
  * - to: Target entity ID
  * - type: Relation type name (from schema)
  * - metadata: Custom user-generated metadata (notes, flags, etc.)
+ * - createdAt/updatedAt/createdBy/updatedBy: Audit fields set by Graph
  * - [other fields]: Any schema-defined fields
  *
  * Relations are directional (from → to). Self-loops are supported.
@@ -94,6 +97,9 @@ export class Relation {
     if (key === 'id' || key === 'from' || key === 'to' || key === 'type') {
       throw new Error(`Cannot change ${key} after relation creation`);
     }
+    if (AUDIT_FIELDS.includes(key)) {
+      throw new Error(`Cannot set ${key}: audit fields are managed by the graph`);
+    }
     this[key] = value;
   }
 
@@ -0,0 +1,272 @@
+/**
+ * Schema Inference - Draft type definitions from existing data
+ *
+ * Reads a graph snapshot ({ entities, relations }, nested subgraphs
+ * included) or a raw JSON payload and proposes entity and relation types:
+ * fields, required versus optional by how often they are present, primitive
+ * types, enums for strings with few distinct values, and relation endpoints
+ * from the types seen at each end.
+ *
+ * Raw payloads have no types, so they are named after where records sit:
+ * top-level records get `options.type`, and records nested under a key
+ * (arrays of objects, or objects with an `id`) get the singular of the key,
+ * e.g. `repositories` -> 'repository', linked to their parent by a
+ * 'HAS_REPOSITORY' relation. A top-level object holding only such
+ * collections is read as a set of collections. A raw `type` field is
+ * dropped, since `type` holds the GS type of an entity.
+ *
+ * See: ../../doc/modules/graph/schema.md
+ */
+
+import { AUDIT_FIELDS } from './entity.js';
+import { isRef } from './schema.js';
+
+/** Entity keys that are not fields of the type */
+const ENTITY_KEYS = ['type', 'metadata', 'subgraph', ...AUDIT_FIELDS];
+
+/** Relation keys that are not properties of the type */
+const RELATION_KEYS = ['id', 'from', 'to', 'type', 'metadata', ...AUDIT_FIELDS];
+
+const DEFAULT_OPTIONS = {
+  type: 'item',
+  requiredRatio: 1,
+  maxEnumValues: 10,
+};
+
+/**
+ * Propose type definitions for the data
+ *
+ * @param {Object|Array|Graph} input - Graph, graph snapshot, adapter result or raw JSON payload
+ * @param {Object} options
+ * @param {string} options.type - Type of top-level records in raw payloads (default: 'item')
+ * @param {number} options.requiredRatio - Share of records a field must be present in to be required (default: 1)
+ * @param {number} options.maxEnumValues - Most distinct values a string field may have to become an enum (default: 10)
+ * @returns {Object} Draft { entityTypes, relationTypes, stats }: definitions by type name, ready for
+ *   Schema.registerDraft(), and per type { count, fields: { name: { presence, types } } } to review them by
+ */
+export function inferSchema(input, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const observed = { entities: new Map(), relations: new Map() };
+
+  const data = input && typeof input.serialize === 'function' ? input.serialize() : input;
+  if (isSnapshot(data)) {
+    observeSnapshot(data, observed);
+  } else if (isPlainObject(data) && Object.keys(data).length > 0 && Object.values(data).every(isNested)) {
+    for (const [key, value] of Object.entries(data)) {
+      observeRecords(value, singular(key), null, observed);
+    }
+  } else {
+    observeRecords(data, settings.type, null, observed);
+  }
+
+  const draft = {
+    entityTypes: {},
+    relationTypes: {},
+    stats: { entityTypes: {}, relationTypes: {} },
+  };
+
+  for (const [name, samples] of observed.entities) {
+    const { required, optional, constraints, fields } = inferFields(samples, settings);
+    draft.entityTypes[name] = { required, optional, constraints };
+    draft.stats.entityTypes[name] = { count: samples.length, fields };
+  }
+
+  for (const [name, samples] of observed.relations) {
+    const { constraints, fields } = inferFields(samples, settings);
+    draft.relationTypes[name] = {
+      source: unique(samples.map((sample) => sample.source).filter(Boolean)),
+      target: unique(samples.map((sample) => sample.target).filter(Boolean)),
+      direction: 'directed',
+      properties: constraints,
+    };
+    draft.stats.relationTypes[name] = { count: samples.length, fields };
+  }
+
+  return draft;
+}
+
+/**
+ * Collect the entities and relations of a snapshot, subgraphs included
+ *
+ * @param {Object} data - { entities, relations } as arrays or Maps
+ * @param {Object} observed - { entities, relations }: Map<type, samples>
+ */
+function observeSnapshot(data, observed) {
+  const entities = Array.from(data.entities.values());
+  const relations = data.relations ? Array.from(data.relations.values()) : [];
+  const types = new Map(entities.map((entity) => [entity.id, entity.type]));
+
+  for (const entity of entities) {
+    if (!entity || !entity.type) continue;
+    record(observed.entities, entity.type, { fields: omit(entity, ENTITY_KEYS) });
+    if (isSnapshot(entity.subgraph)) {
+      observeSnapshot(entity.subgraph, observed);
+    }
+  }
+
+  for (const relation of relations) {
+    if (!relation || !relation.type) continue;
+    record(observed.relations, relation.type, {
+      source: types.get(relation.from),
+      target: types.get(relation.to),
+      fields: omit(relation, RELATION_KEYS),
+    });
+  }
+}
+
+/**
+ * Collect raw records of one type and the records nested in them
+ *
+ * @param {*} value - Record, or array of records
+ * @param {string} type - Type to file the records under
+ * @param {string|null} parent - Type of the record this one is nested in
+ * @param {Object} observed - { entities, relations }: Map<type, samples>
+ */
+function observeRecords(value, type, parent, observed) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => observeRecords(item, type, parent, observed));
+    return;
+  }
+  if (!isPlainObject(value)) return;
+
+  const fields = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (isNested(field)) {
+      observeRecords(field, singular(key), type, observed);
+    } else if (key !== 'type') {
+      fields[key] = field;
+    }
+  }
+
+  record(observed.entities, type, { fields });
+  if (parent) {
+    record(observed.relations, `HAS_${type.toUpperCase()}`, { source: parent, target: type, fields: {} });
+  }
+}
+
+/**
+ * Infer required/optional fields and constraints from samples of one type
+ *
+ * @param {Object[]} samples - [{ fields }]
+ * @param {Object} settings - Inference options
+ * @returns {Object} { required, optional, constraints, fields } (fields: review stats)
+ */
+function inferFields(samples, settings) {
+  const result = { required: [], optional: [], constraints: {}, fields: {} };
+
+  for (const name of unique(samples.flatMap((sample) => Object.keys(sample.fields)))) {
+    const values = samples.map((sample) => sample.fields[name]).filter((value) => value !== undefined);
+    const presence = values.length / samples.length;
+
+    (presence >= settings.requiredRatio ? result.required : result.optional).push(name);
+    result.fields[name] = { presence, types: unique(values.map(typeOf)) };
+
+    const constraint = inferConstraint(name, values, settings);
+    if (Object.keys(constraint).length > 0) {
+      result.constraints[name] = constraint;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @param {string} name - Field name
+ * @param {Array} values - Values seen for the field
+ * @param {Object} settings - Inference options
+ * @returns {Object} Constraint (empty if the values have mixed types)
+ */
+function inferConstraint(name, values, settings) {
+  const present = values.filter((value) => value !== null);
+  const types = unique(present.map(typeOf));
+  if (types.length !== 1) return {};
+
+  const constraint = { type: types[0] };
+  if (present.length < values.length) {
+    constraint.nullable = true;
+  }
+
+  // Strings that keep repeating a few values look like an enum
+  if (constraint.type === 'string' && name !== 'id') {
+    const distinct = unique(present);
+    if (distinct.length <= settings.maxEnumValues && present.length >= distinct.length * 2) {
+      constraint.enum = distinct;
+    }
+  }
+
+  return constraint;
+}
+
+/**
+ * @param {Map} samples - Map<type, samples>
+ * @param {string} type - Type name
+ * @param {Object} sample - What was seen of one record
+ */
+function record(samples, type, sample) {
+  if (!samples.has(type)) samples.set(type, []);
+  samples.get(type).push(sample);
+}
+
+/**
+ * @param {*} value
+ * @returns {string} Constraint type of the value ('ref', 'array', 'null' or typeof)
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (isRef(value)) return 'ref';
+  return typeof value;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} true for { entities } with an array or Map of entities
+ */
+function isSnapshot(value) {
+  return isPlainObject(value) && (Array.isArray(value.entities) || value.entities instanceof Map);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} true for records nested in a raw record: arrays of objects and objects with an id
+ */
+function isNested(value) {
+  if (Array.isArray(value)) return value.some(isPlainObject);
+  return isPlainObject(value) && 'id' in value;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {string} key - Collection name
+ * @returns {string} Type name for its records (e.g. 'repositories' -> 'repository')
+ */
+function singular(key) {
+  if (key.endsWith('ies')) return `${key.slice(0, -3)}y`;
+  if (/(ss|x|ch|sh)es$/.test(key) || key.endsWith('uses')) return key.slice(0, -2);
+  if (key.endsWith('s') && !key.endsWith('ss')) return key.slice(0, -1);
+  return key;
+}
+
+/**
+ * @param {Object} item - Entity or relation
+ * @param {string[]} keys - Keys to leave out
+ * @returns {Object} The remaining fields
+ */
+function omit(item, keys) {
+  return Object.fromEntries(Object.entries(item).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * @param {Array} values
+ * @returns {Array} values without duplicates, in first-seen order
+ */
+function unique(values) {
+  return Array.from(new Set(values));
+}
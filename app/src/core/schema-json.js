@@ -0,0 +1,369 @@
+/**
+ * Schema JSON - Conversion between GS schemas and JSON Schema (draft 2020-12)
+ *
+ * A GS schema is exported as one document with a `$defs` entry per type,
+ * keyed by type name. Entity types become object schemas whose properties
+ * carry the field constraints; relation types add the relation fields
+ * (id, from, to, type) and keep their endpoints, direction and cardinality
+ * in `x-gs-*` keywords. Supertypes are `allOf` references to other `$defs`;
+ * the schema version is kept in `x-gs-version`.
+ *
+ * Importing reads the same layout, so documents published by other systems
+ * can be registered as long as each `$defs` entry is an object schema.
+ * Keywords GS cannot check are ignored, and unknown formats are dropped
+ * (format is an annotation in 2020-12).
+ *
+ * See: ../../doc/modules/graph/schema.md
+ */
+
+export const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/** GS format names and their JSON Schema counterparts */
+const FORMATS = {
+  url: 'uri',
+  email: 'email',
+  'date-time': 'date-time',
+  uuid: 'uuid',
+};
+
+/** Constraint keywords with the same name and meaning in JSON Schema */
+const SHARED_KEYWORDS = ['enum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems', 'required'];
+
+/** Fields every relation has, and the schema they are exported with */
+const RELATION_FIELDS = ['id', 'from', 'to', 'type'];
+const RELATION_FIELD_SCHEMA = { type: 'string' };
+
+const REF_PREFIX = '#/$defs/';
+
+/**
+ * Export the types of a schema as a JSON Schema document
+ *
+ * Types are exported as registered, with supertypes referenced rather than
+ * merged in, so the document re-imports to the same definitions. Function
+ * defaults cannot be exported and are left out.
+ *
+ * @param {Schema} schema - Schema to export
+ * @param {Object} options
+ * @param {string} options.id - `$id` of the document (default: none)
+ * @returns {Object} JSON Schema document
+ * @throws {Error} If an entity and a relation type share a name
+ */
+export function toJSONSchema(schema, options = {}) {
+  const $defs = {};
+
+  for (const name of schema.getEntityTypes()) {
+    $defs[name] = entityToJSON(schema.getEntityType(name, { own: true }));
+  }
+  for (const name of schema.getRelationTypes()) {
+    if ($defs[name]) {
+      throw new Error(`Cannot export '${name}': it names both an entity type and a relation type`);
+    }
+    $defs[name] = relationToJSON(schema.getRelationType(name, { own: true }));
+  }
+
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    ...(options.id && { $id: options.id }),
+    'x-gs-version': schema.version,
+    $defs,
+  };
+}
+
+/**
+ * Register the types described by a JSON Schema document
+ *
+ * Reads `$defs` (or `definitions`), or a single schema named by its
+ * `title`. Entries marked `x-gs-kind: 'relation'` become relation types,
+ * all others entity types. Supertypes are registered before their subtypes.
+ *
+ * @param {Schema} schema - Schema to register the types in
+ * @param {Object} doc - JSON Schema document
+ * @returns {Object} { entityTypes, relationTypes } - Names of the registered types
+ * @throws {Error} If the document has no types, or a type cannot be registered
+ */
+export function importJSONSchema(schema, doc) {
+  if (!doc || typeof doc !== 'object') {
+    throw new Error('JSON Schema document must be an object');
+  }
+
+  const defs = doc.$defs || doc.definitions;
+  let pending;
+  if (defs && typeof defs === 'object') {
+    pending = Object.entries(defs);
+  } else if (doc.title) {
+    pending = [[doc.title, doc]];
+  } else {
+    throw new Error('JSON Schema document must have $defs or a title naming its type');
+  }
+
+  const names = new Set(pending.map(([name]) => name));
+  const result = { entityTypes: [], relationTypes: [] };
+
+  while (pending.length > 0) {
+    // Next type whose supertypes from this document are registered; if none
+    // is ready (a cycle), registering the first one reports the problem
+    const index = Math.max(0, pending.findIndex(([, def]) => supertypes(def)
+      .every((parent) => !names.has(parent) || schema.hasEntityType(parent) || schema.hasRelationType(parent))));
+    const [name, def] = pending.splice(index, 1)[0];
+
+    if (def['x-gs-kind'] === 'relation') {
+      schema.registerRelationType(name, relationFromJSON(def));
+      result.relationTypes.push(name);
+    } else {
+      schema.registerEntityType(name, entityFromJSON(def));
+      result.entityTypes.push(name);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @param {Object} type - Entity type as registered
+ * @returns {Object} Object schema
+ */
+function entityToJSON(type) {
+  const properties = {};
+  for (const field of [...type.required, ...type.optional, ...Object.keys(type.constraints)]) {
+    properties[field] = type.constraints[field] ? constraintToJSON(type.constraints[field]) : {};
+  }
+
+  return {
+    title: type.name,
+    type: 'object',
+    'x-gs-kind': 'entity',
+    ...commonToJSON(type),
+    properties,
+    ...(type.required.length > 0 && { required: [...type.required] }),
+    ...(Object.keys(type.metadata).length > 0 && { 'x-gs-metadata': type.metadata }),
+  };
+}
+
+/**
+ * @param {Object} type - Relation type as registered
+ * @returns {Object} Object schema
+ */
+function relationToJSON(type) {
+  const properties = {};
+  for (const field of RELATION_FIELDS) {
+    properties[field] = { ...RELATION_FIELD_SCHEMA };
+  }
+  for (const [field, constraint] of Object.entries(type.properties)) {
+    properties[field] = constraintToJSON(constraint);
+  }
+
+  return {
+    title: type.name,
+    type: 'object',
+    'x-gs-kind': 'relation',
+    ...commonToJSON(type),
+    properties,
+    required: [...RELATION_FIELDS],
+    'x-gs-source': type.source,
+    'x-gs-target': type.target,
+    ...(type.direction && { 'x-gs-direction': type.direction }),
+    ...(type.cardinality && { 'x-gs-cardinality': type.cardinality }),
+    ...(type.inbound && { 'x-gs-inbound': type.inbound }),
+    ...(type.outbound && { 'x-gs-outbound': type.outbound }),
+  };
+}
+
+/**
+ * @param {Object} type - Entity or relation type as registered
+ * @returns {Object} `allOf` supertype references, `x-gs-abstract` and `x-gs-presentation`
+ */
+function commonToJSON(type) {
+  return {
+    ...(type.extends.length > 0 && { allOf: type.extends.map((parent) => ({ $ref: `${REF_PREFIX}${parent}` })) }),
+    ...(type.abstract && { 'x-gs-abstract': true }),
+    ...(Object.keys(type.presentation).length > 0 && { 'x-gs-presentation': type.presentation }),
+  };
+}
+
+/**
+ * @param {Object} constraint - GS field constraint
+ * @returns {Object} Property schema
+ */
+function constraintToJSON(constraint) {
+  const result = {};
+
+  if (constraint.type === 'ref') {
+    Object.assign(result, {
+      type: 'object',
+      'x-gs-ref': true,
+      properties: {
+        graphId: constraint.graphId ? { const: constraint.graphId } : { type: 'string', minLength: 1 },
+        entityId: { type: 'string', minLength: 1 },
+      },
+      required: ['graphId', 'entityId'],
+    });
+  } else if (constraint.type) {
+    result.type = constraint.type;
+  }
+
+  for (const keyword of SHARED_KEYWORDS) {
+    if (constraint[keyword] !== undefined) result[keyword] = constraint[keyword];
+  }
+  if (constraint.format) result.format = FORMATS[constraint.format];
+  if (constraint.min !== undefined) result.minimum = constraint.min;
+  if (constraint.max !== undefined) result.maximum = constraint.max;
+  if (constraint.items) result.items = constraintToJSON(constraint.items);
+  if (constraint.properties) result.properties = mapValues(constraint.properties, constraintToJSON);
+  if (constraint.default !== undefined && typeof constraint.default !== 'function') {
+    result.default = constraint.default;
+  }
+  if (constraint.validator) result['x-gs-validator'] = constraint.validator;
+
+  if (constraint.nullable) {
+    if (result.type) result.type = [result.type, 'null'];
+    if (result.enum) result.enum = [...result.enum, null];
+  }
+
+  return result;
+}
+
+/**
+ * @param {Object} def - Object schema of an entity type
+ * @returns {Object} Entity type definition
+ */
+function entityFromJSON(def) {
+  const { properties, required } = flatten(def);
+  const constraints = {};
+  for (const [field, property] of Object.entries(properties)) {
+    const constraint = constraintFromJSON(property);
+    if (Object.keys(constraint).length > 0) constraints[field] = constraint;
+  }
+
+  return {
+    ...commonFromJSON(def),
+    required,
+    optional: Object.keys(properties).filter((field) => !required.includes(field)),
+    constraints,
+    metadata: def['x-gs-metadata'] || {},
+  };
+}
+
+/**
+ * @param {Object} def - Object schema of a relation type
+ * @returns {Object} Relation type definition
+ */
+function relationFromJSON(def) {
+  const { properties } = flatten(def);
+  const constraints = {};
+  for (const [field, property] of Object.entries(properties)) {
+    // Relation fields as exported are implied, not constraints of the type
+    if (RELATION_FIELDS.includes(field) && isRelationFieldSchema(property)) continue;
+    constraints[field] = constraintFromJSON(property);
+  }
+
+  return {
+    ...commonFromJSON(def),
+    source: def['x-gs-source'] || [],
+    target: def['x-gs-target'] || [],
+    direction: def['x-gs-direction'],
+    properties: constraints,
+    cardinality: def['x-gs-cardinality'],
+    inbound: def['x-gs-inbound'],
+    outbound: def['x-gs-outbound'],
+  };
+}
+
+/**
+ * @param {Object} def - Object schema
+ * @returns {Object} `extends`, `abstract` and `presentation` of the type definition
+ */
+function commonFromJSON(def) {
+  return {
+    extends: supertypes(def),
+    abstract: Boolean(def['x-gs-abstract']),
+    presentation: def['x-gs-presentation'] || {},
+  };
+}
+
+/**
+ * Convert a property schema into a field constraint
+ *
+ * @param {Object|boolean} property - Property schema
+ * @returns {Object} GS field constraint (empty if nothing GS can check)
+ */
+function constraintFromJSON(property) {
+  if (!property || typeof property !== 'object') return {};
+
+  const result = {};
+
+  if (property['x-gs-ref']) {
+    result.type = 'ref';
+    const graphId = property.properties?.graphId?.const;
+    if (graphId) result.graphId = graphId;
+    return result;
+  }
+
+  const types = [].concat(property.type || []);
+  const nullable = types.includes('null') || Boolean(property.enum?.includes(null));
+  const valueTypes = types
+    .filter((type) => type !== 'null')
+    .map((type) => (type === 'integer' ? 'number' : type));
+  // GS fields have a single type; unions are left unchecked
+  if (valueTypes.length === 1) result.type = valueTypes[0];
+  if (nullable) result.nullable = true;
+
+  for (const keyword of SHARED_KEYWORDS) {
+    if (property[keyword] !== undefined) result[keyword] = property[keyword];
+  }
+  if (result.enum && nullable) result.enum = result.enum.filter((value) => value !== null);
+  if (property.const !== undefined && result.enum === undefined) result.enum = [property.const];
+
+  const format = Object.keys(FORMATS).find((name) => FORMATS[name] === property.format);
+  if (format) result.format = format;
+  if (property.minimum !== undefined) result.min = property.minimum;
+  if (property.maximum !== undefined) result.max = property.maximum;
+  if (property.items && typeof property.items === 'object') result.items = constraintFromJSON(property.items);
+  if (property.properties) result.properties = mapValues(property.properties, constraintFromJSON);
+  if (property.default !== undefined) result.default = property.default;
+  if (property['x-gs-validator']) result.validator = property['x-gs-validator'];
+
+  return result;
+}
+
+/**
+ * Merge the inline `allOf` parts of a schema into its own properties
+ *
+ * `$ref` parts name supertypes and are left to supertypes().
+ *
+ * @param {Object} def - Object schema
+ * @returns {Object} { properties, required }
+ */
+function flatten(def) {
+  const parts = [def, ...(def.allOf || []).filter((part) => part && !part.$ref)];
+  return {
+    properties: Object.assign({}, ...parts.map((part) => part.properties || {})),
+    required: Array.from(new Set(parts.flatMap((part) => part.required || []))),
+  };
+}
+
+/**
+ * @param {Object} def - Object schema
+ * @returns {string[]} Type names referenced from `allOf`
+ */
+function supertypes(def) {
+  return (def.allOf || [])
+    .filter((part) => typeof part?.$ref === 'string' && part.$ref.startsWith(REF_PREFIX))
+    .map((part) => part.$ref.slice(REF_PREFIX.length));
+}
+
+/**
+ * @param {Object} property - Property schema
+ * @returns {boolean} true if it is the schema relation fields are exported with
+ */
+function isRelationFieldSchema(property) {
+  return JSON.stringify(property) === JSON.stringify(RELATION_FIELD_SCHEMA);
+}
+
+/**
+ * @param {Object} object
+ * @param {Function} fn - (value) => new value
+ * @returns {Object} Object with the same keys and mapped values
+ */
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
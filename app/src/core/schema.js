@@ -10,14 +10,80 @@
 
 import { Entity } from './entity.js';
 import { Relation } from './relation.js';
+import { toJSONSchema, importJSONSchema } from './schema-json.js';
+import { inferSchema } from './schema-inference.js';
+
+/**
+ * Check whether a value is a cross-graph reference ({ graphId, entityId })
+ *
+ * Fields hold references when their constraint is `{ type: 'ref' }`.
+ *
+ * @param {*} value - Value to inspect
+ * @returns {boolean}
+ */
+export function isRef(value) {
+  return Boolean(value)
+    && typeof value === 'object'
+    && typeof value.graphId === 'string' && value.graphId.length > 0
+    && typeof value.entityId === 'string' && value.entityId.length > 0;
+}
+
+/** Checks behind the `format` constraint on string fields */
+const FORMATS = {
+  url: (value) => {
+    try {
+      return Boolean(new URL(value));
+    } catch {
+      return false;
+    }
+  },
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value)
+    && !Number.isNaN(Date.parse(value)),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+};
+
+/**
+ * Relation cardinalities, as the most relations of the type one entity may
+ * have at each end (null: no limit). 'one-to-many' means one source per
+ * target, so each target has at most one inbound relation of the type.
+ */
+const CARDINALITIES = {
+  'one-to-one': { inbound: 1, outbound: 1 },
+  'one-to-many': { inbound: 1, outbound: null },
+  'many-to-one': { inbound: null, outbound: 1 },
+  'many-to-many': { inbound: null, outbound: null },
+};
+
+/**
+ * Values accepted in the `presentation` block of type definitions, which
+ * renderers read to style entities (nodes) and relations (edges)
+ */
+const SHAPES = ['circle', 'square', 'diamond', 'triangle', 'hexagon'];
+const EDGE_STYLES = ['solid', 'dashed', 'dotted'];
+
+/** Separates a schema pack name from the type name: 'github:repository' */
+export const NAMESPACE_SEPARATOR = ':';
+
+/**
+ * @param {Array} values
+ * @returns {Array} values without duplicates, in first-seen order
+ */
+function unique(values) {
+  return Array.from(new Set(values));
+}
 
 export class Schema {
   /**
    * @param {Object} options - Configuration options
    * @param {boolean} options.includeDefaults - Load default types (default: true)
+   * @param {number} options.version - Schema version (default: 1)
    */
   constructor(options = {}) {
-    const { includeDefaults = true } = options;
+    const { includeDefaults = true, version = 1 } = options;
+
+    /** Version of the types; graph data saved under older versions is migrated on load */
+    this.version = version;
 
     /** Map<typeName, typeDefinition> */
     this._entityTypes = new Map();
@@ -25,6 +91,18 @@ export class Schema {
     /** Map<typeName, typeDefinition> */
     this._relationTypes = new Map();
 
+    /** Map<validatorName, (value, { field, constraint }) => true | false | message> */
+    this._validators = new Map();
+
+    /** Map<fromVersion, { from, to, fn }> */
+    this._migrations = new Map();
+
+    /** Map<packName, { name, version, description, entityTypes, relationTypes }> */
+    this._packs = new Map();
+
+    /** Set<(packName) => reason | null>, consulted before a pack is unloaded */
+    this._packGuards = new Set();
+
     /** Last validation error */
     this._lastError = null;
 
@@ -36,13 +114,27 @@ export class Schema {
   /**
    * Register an entity type
    *
+   * A type can extend one or more registered types and inherits their
+   * required/optional fields, constraints and metadata; its own definition
+   * wins where they overlap. Abstract types can be extended and used in
+   * relation source/target lists, but entities cannot have them as type.
+   *
    * @param {string} name - Type name (e.g., 'User', 'Repository')
    * @param {Object} definition - Type definition
    * @param {string[]} definition.required - Required field names
    * @param {string[]} definition.optional - Optional field names (default: [])
-   * @param {Object} definition.constraints - Field-level constraints (default: {})
+   * @param {Object} definition.constraints - Field-level constraints (default: {}); `{ type: 'ref', graphId? }` declares a cross-graph reference
    * @param {Object} definition.metadata - Custom metadata (default: {})
-   * @throws {Error} if type already exists or definition is invalid
+   * @param {Object} definition.presentation - How renderers show entities of the type (default: {}):
+   *   { label, icon, color, shape, sizeField, fields }; `label` is a template such as '{login} ({name})',
+   *   `fields` the display order of fields, each a name or { name, widget }
+   * @param {string|string[]} definition.extends - Supertype name(s) (default: none)
+   * @param {boolean} definition.abstract - Type cannot be instantiated (default: false)
+   * @throws {Error} if type already exists, extends an unknown type, or definition is invalid
+   *
+   * @example
+   * schema.registerEntityType('account', { abstract: true, required: ['id', 'login'] });
+   * schema.registerEntityType('organization', { extends: 'account', optional: ['members'] });
    */
   registerEntityType(name, definition) {
     if (this._entityTypes.has(name)) {
@@ -54,23 +146,42 @@ export class Schema {
 
     this._entityTypes.set(name, {
       name,
+      extends: this._supertypes(this._entityTypes, 'Entity', name, definition.extends),
+      abstract: Boolean(definition.abstract),
       required: definition.required || [],
       optional: definition.optional || [],
       constraints: definition.constraints || {},
       metadata: definition.metadata || {},
+      presentation: definition.presentation || {},
     });
   }
 
   /**
    * Register a relation type
    *
+   * Supertypes work as for entity types: properties are inherited, and
+   * source/target/direction too unless the type sets its own.
+   *
    * @param {string} name - Type name (e.g., 'OWNS', 'COLLABORATES')
    * @param {Object} definition - Type definition
-   * @param {string[]|string} definition.source - Source entity types or '*'
-   * @param {string[]|string} definition.target - Target entity types or '*'
+   * @param {string[]|string} definition.source - Source entity types (or their supertypes) or '*'
+   * @param {string[]|string} definition.target - Target entity types (or their supertypes) or '*'
    * @param {string} definition.direction - 'directed' or 'undirected' (default: 'directed')
    * @param {Object} definition.properties - Relation properties (default: {})
-   * @throws {Error} if type already exists or definition is invalid
+   * @param {string} definition.cardinality - 'one-to-one' | 'one-to-many' | 'many-to-one' | 'many-to-many' (default)
+   * @param {Object} definition.inbound - { min, max } relations of this type per target entity
+   * @param {Object} definition.outbound - { min, max } relations of this type per source entity
+   * @param {Object} definition.presentation - How renderers show relations of the type (default: {}):
+   *   { label, color, edgeStyle: 'solid' | 'dashed' | 'dotted', thickness, fields }
+   * @param {string|string[]} definition.extends - Supertype name(s) (default: none)
+   * @param {boolean} definition.abstract - Type cannot be instantiated (default: false)
+   * @throws {Error} if type already exists, extends an unknown type, or definition is invalid
+   *
+   * @example
+   * // Every issue has exactly one creator
+   * schema.registerRelationType('CREATED', {
+   *   source: ['user'], target: ['issue'], cardinality: 'one-to-many', inbound: { min: 1 },
+   * });
    */
   registerRelationType(name, definition) {
     if (this._relationTypes.has(name)) {
@@ -79,16 +190,315 @@ export class Schema {
 
     // Validate definition
     this._validateTypeDefinition(definition);
+    if (definition.cardinality && !CARDINALITIES[definition.cardinality]) {
+      throw new Error(
+        `Unknown cardinality '${definition.cardinality}' (expected one of: ${Object.keys(CARDINALITIES).join(', ')})`
+      );
+    }
 
     this._relationTypes.set(name, {
       name,
+      extends: this._supertypes(this._relationTypes, 'Relation', name, definition.extends),
+      abstract: Boolean(definition.abstract),
       source: definition.source || [],
       target: definition.target || [],
-      direction: definition.direction || 'directed',
+      direction: definition.direction || null,
       properties: definition.properties || {},
+      cardinality: definition.cardinality || null,
+      inbound: definition.inbound || null,
+      outbound: definition.outbound || null,
+      presentation: definition.presentation || {},
+    });
+  }
+
+  /**
+   * Register a schema pack: a bundle of types under one namespace
+   *
+   * Types are registered as '<pack>:<type>'. Within the pack, supertypes
+   * and relation endpoints can name the pack's own types without the
+   * prefix. Elsewhere the prefix can be left out too, as long as only one
+   * pack has a type of that name and no unprefixed type has it.
+   *
+   * @param {string} name - Pack name (e.g., 'github'), used as namespace
+   * @param {Object} pack - Pack definition
+   * @param {Object} pack.entityTypes - Entity type definitions by name, supertypes first
+   * @param {Object} pack.relationTypes - Relation type definitions by name, supertypes first
+   * @param {string} pack.version - Pack version (default: null)
+   * @param {string} pack.description - What the pack models (default: '')
+   * @throws {Error} if the pack is registered or a type cannot be; no type of the pack is kept then
+   *
+   * @example
+   * schema.registerPack('jira', {
+   *   entityTypes: { issue: { required: ['id', 'key'] }, user: { required: ['id', 'accountId'] } },
+   *   relationTypes: { ASSIGNED: { source: ['user'], target: ['issue'] } },
+   * });
+   * schema.getRelationType('jira:ASSIGNED').source; // ['jira:user']
+   */
+  registerPack(name, pack = {}) {
+    if (!name || typeof name !== 'string' || name.includes(NAMESPACE_SEPARATOR)) {
+      throw new Error(`Schema pack name must be a non-empty string without '${NAMESPACE_SEPARATOR}'`);
+    }
+    if (this._packs.has(name)) {
+      throw new Error(`Schema pack '${name}' is already registered`);
+    }
+
+    const entityTypes = Object.entries(pack.entityTypes || {});
+    const relationTypes = Object.entries(pack.relationTypes || {});
+    const entityNames = entityTypes.map(([type]) => type);
+    const relationNames = relationTypes.map(([type]) => type);
+
+    // Qualify names of the pack's own types
+    const local = (names, types) => {
+      if (!names || names === '*') return names;
+      const qualify = (type) => (types.includes(type) ? `${name}${NAMESPACE_SEPARATOR}${type}` : type);
+      return Array.isArray(names) ? names.map(qualify) : qualify(names);
+    };
+    const register = (type, kind, fn) => {
+      if (type.includes(NAMESPACE_SEPARATOR)) {
+        throw new Error(`${kind} type '${type}' of pack '${name}' must not contain '${NAMESPACE_SEPARATOR}'`);
+      }
+      const qualified = `${name}${NAMESPACE_SEPARATOR}${type}`;
+      fn(qualified);
+      return qualified;
+    };
+
+    const registered = { entityTypes: [], relationTypes: [] };
+    try {
+      for (const [type, definition] of entityTypes) {
+        registered.entityTypes.push(register(type, 'Entity', (qualified) => this.registerEntityType(qualified, {
+          ...definition,
+          extends: local(definition.extends, entityNames),
+        })));
+      }
+      for (const [type, definition] of relationTypes) {
+        registered.relationTypes.push(register(type, 'Relation', (qualified) => this.registerRelationType(qualified, {
+          ...definition,
+          extends: local(definition.extends, relationNames),
+          source: local(definition.source, entityNames),
+          target: local(definition.target, entityNames),
+        })));
+      }
+    } catch (error) {
+      // Leave no half-registered pack behind
+      registered.relationTypes.forEach((type) => this._relationTypes.delete(type));
+      registered.entityTypes.forEach((type) => this._entityTypes.delete(type));
+      throw error;
+    }
+
+    this._packs.set(name, {
+      name,
+      version: pack.version || null,
+      description: pack.description || '',
+      ...registered,
     });
   }
 
+  /**
+   * Remove a schema pack and all of its types
+   *
+   * @param {string} name - Pack name
+   * @throws {Error} if the pack is not registered, types outside it extend or connect its types,
+   *   or a pack guard refuses
+   */
+  unloadPack(name) {
+    const pack = this._packs.get(name);
+    if (!pack) {
+      throw new Error(`Schema pack '${name}' is not registered`);
+    }
+
+    for (const guard of this._packGuards) {
+      const reason = guard(name);
+      if (reason) {
+        throw new Error(`Cannot unload schema pack '${name}': ${reason}`);
+      }
+    }
+
+    const owned = new Set([...pack.entityTypes, ...pack.relationTypes]);
+    for (const type of [...this._entityTypes.values(), ...this._relationTypes.values()]) {
+      if (owned.has(type.name)) continue;
+
+      const used = [...type.extends, ...[].concat(type.source || []), ...[].concat(type.target || [])];
+      const dependency = used.find((other) => owned.has(other) || owned.has(this._typeKey(this._entityTypes, other)));
+      if (dependency) {
+        throw new Error(`Cannot unload schema pack '${name}': type '${type.name}' depends on '${dependency}'`);
+      }
+    }
+
+    pack.entityTypes.forEach((type) => this._entityTypes.delete(type));
+    pack.relationTypes.forEach((type) => this._relationTypes.delete(type));
+    this._packs.delete(name);
+  }
+
+  /**
+   * Register a check that can refuse to unload a schema pack
+   *
+   * For code outside the schema that depends on a pack, such as data
+   * adapters that map to its types.
+   *
+   * @param {Function} guard - (packName) => reason string to refuse, or null to allow
+   * @returns {Function} Removes the guard
+   * @throws {Error} if guard is not a function
+   */
+  registerPackGuard(guard) {
+    if (typeof guard !== 'function') {
+      throw new Error('Pack guard must be a function');
+    }
+    this._packGuards.add(guard);
+    return () => this._packGuards.delete(guard);
+  }
+
+  /**
+   * List the registered schema packs
+   *
+   * @returns {Object[]} [{ name, version, description, entityTypes, relationTypes }] with namespaced type names
+   */
+  listPacks() {
+    return Array.from(this._packs.values()).map((pack) => ({
+      ...pack,
+      entityTypes: [...pack.entityTypes],
+      relationTypes: [...pack.relationTypes],
+    }));
+  }
+
+  /**
+   * Check if a schema pack is registered
+   *
+   * @param {string} name - Pack name
+   * @returns {boolean}
+   */
+  hasPack(name) {
+    return this._packs.has(name);
+  }
+
+  /**
+   * Register a named validator for use in constraints (`{ validator: 'name' }`)
+   *
+   * The validator returns true for a valid value; false or an error message
+   * otherwise.
+   *
+   * @param {string} name - Validator name
+   * @param {Function} fn - (value, { field, constraint }) => true | false | string
+   * @throws {Error} if the name is taken or fn is not a function
+   *
+   * @example
+   * schema.registerValidator('slug', (value) => /^[a-z0-9-]+$/.test(value) || 'Not a slug');
+   * schema.registerEntityType('topic', { required: ['id', 'name'], constraints: { name: { validator: 'slug' } } });
+   */
+  registerValidator(name, fn) {
+    if (this._validators.has(name)) {
+      throw new Error(`Validator '${name}' is already registered`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Validator '${name}' must be a function`);
+    }
+    this._validators.set(name, fn);
+  }
+
+  /**
+   * Register a migration of serialized graph data between schema versions
+   *
+   * Raises the schema version to `to` if it is lower, so data saved under
+   * `from` is migrated when loaded.
+   *
+   * @param {number} from - Version the migration upgrades from
+   * @param {number} to - Version it upgrades to (higher than from)
+   * @param {Function} fn - (data, { from, to }) => migrated data; gets a copy it may change in place
+   * @throws {Error} if the versions are not increasing integers, or a migration from `from` exists
+   *
+   * @example
+   * schema.addMigration(1, 2, (data) => {
+   *   data.entities.filter((e) => e.type === 'user').forEach((e) => {
+   *     e.full_name = e.fullName;
+   *     delete e.fullName;
+   *   });
+   *   return data;
+   * });
+   */
+  addMigration(from, to, fn) {
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to <= from) {
+      throw new Error(`Migration must go from a lower to a higher version (got ${from} -> ${to})`);
+    }
+    if (this._migrations.has(from)) {
+      throw new Error(`Migration from schema version ${from} is already registered`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Migration ${from} -> ${to} must be a function`);
+    }
+
+    this._migrations.set(from, { from, to, fn });
+    this.version = Math.max(this.version, to);
+  }
+
+  /**
+   * Bring serialized graph data up to the schema version
+   *
+   * Data without `schemaVersion` is taken to be version 1. Migrations run
+   * in order on a copy; the input is left untouched.
+   *
+   * @param {Object} data - Serialized graph
+   * @returns {Object} { data, report } - Migrated data (the input if already current) and
+   *   report { from, to, steps: [{ from, to, entities, relations }] }, where entities and
+   *   relations list the { added, removed, updated } IDs of each step
+   * @throws {Error} if the data is newer than the schema or no migration leads on from its version
+   */
+  migrate(data) {
+    const from = data.schemaVersion || 1;
+    const report = { from, to: this.version, steps: [] };
+
+    if (from > this.version) {
+      throw new Error(`Graph data has schema version ${from}, newer than the schema (version ${this.version})`);
+    }
+    if (from === this.version) {
+      return { data, report };
+    }
+
+    let current = JSON.parse(JSON.stringify(data));
+    for (let version = from; version < this.version;) {
+      const migration = this._migrations.get(version);
+      if (!migration) {
+        throw new Error(`No migration from schema version ${version} (schema is at version ${this.version})`);
+      }
+
+      const before = current;
+      current = migration.fn(JSON.parse(JSON.stringify(before)), { from: migration.from, to: migration.to });
+      if (!current || typeof current !== 'object') {
+        throw new Error(`Migration ${migration.from} -> ${migration.to} must return serialized graph data`);
+      }
+      report.steps.push({ from: migration.from, to: migration.to, ...this._migrationChanges(before, current) });
+      version = migration.to;
+    }
+
+    current.schemaVersion = this.version;
+    return { data: current, report };
+  }
+
+  /**
+   * Fill in default values for fields the value leaves out
+   *
+   * Defaults come from the `default` of each field constraint (relation
+   * properties for relations); a function default is called for a fresh value.
+   *
+   * @param {Object} value - Entity or relation data
+   * @param {string} context - 'entity' or 'relation' (default: inferred from value)
+   * @returns {Object} A copy of the value with defaults applied
+   */
+  applyDefaults(value, context = null) {
+    const ctx = context || this._inferContext(value);
+    const typeDef = ctx === 'relation' ? this.getRelationType(value.type) : this.getEntityType(value.type);
+    if (!typeDef) return { ...value };
+
+    const constraints = ctx === 'relation' ? typeDef.properties : typeDef.constraints;
+    const result = { ...value };
+    for (const [field, constraint] of Object.entries(constraints)) {
+      if (result[field] === undefined && constraint.default !== undefined) {
+        result[field] = typeof constraint.default === 'function'
+          ? constraint.default()
+          : JSON.parse(JSON.stringify(constraint.default));
+      }
+    }
+    return result;
+  }
+
   /**
    * Validate a value against a schema
    *
@@ -119,6 +529,43 @@ export class Schema {
     }
   }
 
+  /**
+   * Validate a whole graph and report every violation
+   *
+   * Unlike validate(), which stops at the first problem, this checks every
+   * entity and relation, nested subgraphs included, and flags relations
+   * whose endpoints are missing or of a type the relation does not allow,
+   * and entities with more or fewer relations than a relation type's
+   * cardinality allows. Given a live Graph, references that no longer resolve are reported
+   * too, as warnings.
+   *
+   * @param {Graph|Object} graph - Graph instance or serialized graph ({ entities, relations })
+   * @returns {Object} { valid, violations }, each violation being
+   *   { entityId | relationId, path?, field, rule, message, severity: 'error' | 'warning' };
+   *   `valid` is false if any violation is an error
+   */
+  validateGraph(graph) {
+    const data = graph && typeof graph.serialize === 'function' ? graph.serialize() : graph || {};
+    const violations = this._graphViolations(data, []);
+
+    if (graph && typeof graph.getBrokenRefs === 'function') {
+      for (const { entityId, field, ref } of graph.getBrokenRefs()) {
+        violations.push({
+          entityId,
+          field,
+          rule: 'ref',
+          message: `Field '${field}' references missing entity '${ref.entityId}' in graph '${ref.graphId}'`,
+          severity: 'warning',
+        });
+      }
+    }
+
+    return {
+      valid: violations.every((violation) => violation.severity !== 'error'),
+      violations,
+    };
+  }
+
   /**
    * Get last validation error
    *
@@ -128,24 +575,111 @@ export class Schema {
     return this._lastError;
   }
 
+  /**
+   * Last validation error, as read by Graph and the data adapters
+   *
+   * @returns {string|null} Error message or null
+   */
+  get lastError() {
+    return this._lastError;
+  }
+
   /**
    * Get entity type definition by name
    *
+   * Inherited fields, constraints, metadata and presentation are merged in.
+   *
    * @param {string} name - Type name
+   * @param {Object} options
+   * @param {boolean} options.own - Return the type as registered, without supertypes merged in (default: false)
    * @returns {Object|null} Type definition or null if not found
    */
-  getEntityType(name) {
-    return this._entityTypes.get(name) || null;
+  getEntityType(name, options = {}) {
+    const own = this._entityTypes.get(this._typeKey(this._entityTypes, name));
+    if (!own) return null;
+    if (options.own || own.extends.length === 0) return own;
+
+    const inherited = own.extends.map((parent) => this.getEntityType(parent));
+    const required = unique([...inherited.flatMap((type) => type.required), ...own.required]);
+    return {
+      ...own,
+      required,
+      optional: unique([...inherited.flatMap((type) => type.optional), ...own.optional])
+        .filter((field) => !required.includes(field)),
+      constraints: Object.assign({}, ...inherited.map((type) => type.constraints), own.constraints),
+      metadata: Object.assign({}, ...inherited.map((type) => type.metadata), own.metadata),
+      presentation: Object.assign({}, ...inherited.map((type) => type.presentation), own.presentation),
+    };
   }
 
   /**
    * Get relation type definition by name
    *
+   * Inherited properties are merged in; source, target, direction and
+   * cardinality come from the supertypes unless the type sets its own.
+   * `inbound` and `outbound` hold the resulting { min, max } counts per
+   * entity (max null: no limit).
+   *
    * @param {string} name - Type name
+   * @param {Object} options
+   * @param {boolean} options.own - Return the type as registered, without supertypes merged in (default: false)
    * @returns {Object|null} Type definition or null if not found
    */
-  getRelationType(name) {
-    return this._relationTypes.get(name) || null;
+  getRelationType(name, options = {}) {
+    const own = this._relationTypes.get(this._typeKey(this._relationTypes, name));
+    if (!own) return null;
+    if (options.own) return own;
+
+    const inherited = own.extends.map((parent) => this.getRelationType(parent));
+    const endpoints = (role) => {
+      if (own[role].length > 0 || inherited.length === 0) return own[role];
+      const lists = inherited.map((type) => type[role]);
+      return lists.some((list) => list === '*' || list.includes('*'))
+        ? '*'
+        : unique(lists.flat());
+    };
+    return {
+      ...own,
+      source: endpoints('source'),
+      target: endpoints('target'),
+      direction: own.direction || inherited.find((type) => type.direction)?.direction || 'directed',
+      properties: Object.assign({}, ...inherited.map((type) => type.properties), own.properties),
+      presentation: Object.assign({}, ...inherited.map((type) => type.presentation), own.presentation),
+      ...this._cardinality(own, inherited),
+    };
+  }
+
+  /**
+   * Check whether a type is, or inherits from, another type
+   *
+   * Entity types are looked up first, then relation types.
+   *
+   * @param {string} name - Type name
+   * @param {string} supertype - Possible supertype
+   * @returns {boolean}
+   */
+  isSubtypeOf(name, supertype) {
+    const types = this.hasEntityType(name) ? this._entityTypes : this._relationTypes;
+    return this._inherits(types, name, supertype);
+  }
+
+  /**
+   * Check whether a relation type allows an entity type at one of its ends
+   *
+   * Listed types match their subtypes too; '*' or an empty list allows any type.
+   *
+   * @param {string} relationType - Relation type name
+   * @param {string} role - 'source' or 'target'
+   * @param {string} entityType - Entity type at that end
+   * @returns {boolean} false if the relation type is not registered
+   */
+  allowsEndpoint(relationType, role, entityType) {
+    const typeDef = this.getRelationType(relationType);
+    if (!typeDef) return false;
+
+    const allowed = typeDef[role];
+    if (allowed === '*' || allowed.length === 0 || allowed.includes('*')) return true;
+    return [].concat(allowed).some((type) => this._inherits(this._entityTypes, entityType, type));
   }
 
   /**
@@ -166,6 +700,46 @@ export class Schema {
     return Array.from(this._relationTypes.keys());
   }
 
+  /**
+   * Get the fields of an entity type that hold cross-graph references
+   *
+   * @param {string} name - Type name
+   * @returns {string[]} Field names with a `{ type: 'ref' }` constraint
+   */
+  getRefFields(name) {
+    const typeDef = this.getEntityType(name);
+    if (!typeDef) return [];
+    return Object.entries(typeDef.constraints)
+      .filter(([, constraint]) => constraint.type === 'ref')
+      .map(([field]) => field);
+  }
+
+  /**
+   * Get the presentation hints of a type, inherited ones merged in
+   *
+   * @param {string} name - Type name
+   * @param {string} context - 'entity' or 'relation' (default: 'entity')
+   * @returns {Object} Presentation ({} if the type is not registered or has none)
+   */
+  getPresentation(name, context = 'entity') {
+    const typeDef = context === 'relation' ? this.getRelationType(name) : this.getEntityType(name);
+    return typeDef ? typeDef.presentation : {};
+  }
+
+  /**
+   * Find the registered name a type name refers to
+   *
+   * Lets callers compare a bare name such as 'OWNS' with the namespaced
+   * 'github:OWNS' it stands for.
+   *
+   * @param {string} name - Type name, with or without pack prefix
+   * @param {string} context - 'entity' or 'relation' (default: 'entity')
+   * @returns {string} Registered name, or the name itself if none or several match
+   */
+  resolveTypeName(name, context = 'entity') {
+    return this._typeKey(context === 'relation' ? this._relationTypes : this._entityTypes, name);
+  }
+
   /**
    * Check if entity type exists
    *
@@ -173,7 +747,7 @@ export class Schema {
    * @returns {boolean}
    */
   hasEntityType(name) {
-    return this._entityTypes.has(name);
+    return this._entityTypes.has(this._typeKey(this._entityTypes, name));
   }
 
   /**
@@ -183,7 +757,90 @@ export class Schema {
    * @returns {boolean}
    */
   hasRelationType(name) {
-    return this._relationTypes.has(name);
+    return this._relationTypes.has(this._typeKey(this._relationTypes, name));
+  }
+
+  /**
+   * Export the registered types as a JSON Schema (draft 2020-12) document
+   *
+   * The default types export as a reference document:
+   * `new Schema().toJSONSchema()`.
+   *
+   * @param {Object} options
+   * @param {string} options.id - `$id` of the document (default: none)
+   * @returns {Object} JSON Schema document with one `$defs` entry per type
+   * @throws {Error} If an entity and a relation type share a name
+   */
+  toJSONSchema(options = {}) {
+    return toJSONSchema(this, options);
+  }
+
+  /**
+   * Register the types described by a JSON Schema document
+   *
+   * @param {Object} doc - JSON Schema document, as produced by toJSONSchema() or a single object schema with a title
+   * @returns {Object} { entityTypes, relationTypes } - Names of the registered types
+   * @throws {Error} If the document has no types, or a type is already registered or invalid
+   */
+  importJSONSchema(doc) {
+    return importJSONSchema(this, doc);
+  }
+
+  /**
+   * Create a schema holding only the types of a JSON Schema document
+   *
+   * The schema takes the document's version (`x-gs-version`), if any.
+   *
+   * @param {Object} doc - JSON Schema document
+   * @returns {Schema}
+   * @throws {Error} If the document cannot be imported
+   *
+   * @example
+   * const schema = Schema.fromJSONSchema(await fetch('/api/schema.json').then((res) => res.json()));
+   */
+  static fromJSONSchema(doc) {
+    const schema = new Schema({ includeDefaults: false, version: doc?.['x-gs-version'] });
+    schema.importJSONSchema(doc);
+    return schema;
+  }
+
+  /**
+   * Propose type definitions for existing data
+   *
+   * The draft is meant to be reviewed (and edited) before it is registered
+   * with registerDraft().
+   *
+   * @param {Object|Array|Graph} data - Graph, graph snapshot, adapter result or raw JSON payload
+   * @param {Object} options - See inferSchema() in schema-inference.js (type, requiredRatio, maxEnumValues)
+   * @returns {Object} Draft { entityTypes, relationTypes, stats }
+   *
+   * @example
+   * const draft = Schema.infer(await fetch('/dump.json').then((res) => res.json()), { type: 'ticket' });
+   * console.table(draft.stats.entityTypes.ticket.fields);
+   * schema.registerDraft(draft);
+   */
+  static infer(data, options = {}) {
+    return inferSchema(data, options);
+  }
+
+  /**
+   * Register the entity and relation types of a draft
+   *
+   * @param {Object} draft - { entityTypes, relationTypes } as returned by Schema.infer()
+   * @returns {Object} { entityTypes, relationTypes } - Names of the registered types
+   * @throws {Error} if a type is already registered or its definition is invalid
+   */
+  registerDraft(draft) {
+    const entityTypes = Object.entries(draft.entityTypes || {});
+    const relationTypes = Object.entries(draft.relationTypes || {});
+
+    entityTypes.forEach(([name, definition]) => this.registerEntityType(name, definition));
+    relationTypes.forEach(([name, definition]) => this.registerRelationType(name, definition));
+
+    return {
+      entityTypes: entityTypes.map(([name]) => name),
+      relationTypes: relationTypes.map(([name]) => name),
+    };
   }
 
   /**
@@ -194,6 +851,7 @@ export class Schema {
   clear() {
     this._entityTypes.clear();
     this._relationTypes.clear();
+    this._packs.clear();
     this._lastError = null;
   }
 
@@ -205,27 +863,78 @@ export class Schema {
    * @returns {boolean}
    */
   _validateEntity(entity) {
+    return this._report(this._entityViolations(entity));
+  }
+
+  /**
+   * Validate relation value
+   *
+   * @private
+   * @param {Object|Relation} relation - Relation instance or plain object to validate
+   * @returns {boolean}
+   */
+  _validateRelation(relation) {
+    return this._report(this._relationViolations(relation));
+  }
+
+  /**
+   * Keep the first violation as the last error
+   *
+   * @private
+   * @param {Object[]} violations - Violations found, in check order
+   * @returns {boolean} true if there are none
+   */
+  _report(violations) {
+    this._lastError = violations.length > 0 ? violations[0].message : null;
+    return violations.length === 0;
+  }
+
+  /**
+   * Collect the schema violations of an entity
+   *
+   * A missing, unknown or abstract type ends the check, since there is
+   * nothing to check the fields against.
+   *
+   * @private
+   * @param {Object|Entity} entity - Entity instance or plain object
+   * @returns {Object[]} [{ field, rule, message }]
+   */
+  _entityViolations(entity) {
     // Handle Entity instances
-    const entityData = entity && typeof entity.serialize === 'function' 
-      ? entity.serialize() 
+    const entityData = entity && typeof entity.serialize === 'function'
+      ? entity.serialize()
       : entity;
 
     if (!entityData.type) {
-      this._lastError = 'Entity must have a "type" field';
-      return false;
+      return [{ field: 'type', rule: 'required', message: 'Entity must have a "type" field' }];
     }
 
     const typeDef = this.getEntityType(entityData.type);
     if (!typeDef) {
-      this._lastError = `Entity type '${entityData.type}' is not registered`;
-      return false;
+      return [{
+        field: 'type',
+        rule: 'registered',
+        message: this._unregistered('Entity', this._entityTypes, entityData.type),
+      }];
+    }
+    if (typeDef.abstract) {
+      return [{
+        field: 'type',
+        rule: 'abstract',
+        message: `Entity type '${entityData.type}' is abstract and cannot be instantiated`,
+      }];
     }
 
+    const violations = [];
+
     // Check required fields
     for (const field of typeDef.required) {
       if (!(field in entityData)) {
-        this._lastError = `Entity type '${entityData.type}' requires field '${field}'`;
-        return false;
+        violations.push({
+          field,
+          rule: 'required',
+          message: `Entity type '${entityData.type}' requires field '${field}'`,
+        });
       }
     }
 
@@ -234,24 +943,21 @@ export class Schema {
       if (field === 'type' || field === 'metadata') continue; // Skip type and metadata
 
       const constraint = typeDef.constraints[field];
-      if (constraint) {
-        if (!this._validateConstraint(field, value, constraint)) {
-          return false;
-        }
-      }
+      const violation = constraint && this._constraintViolation(field, value, constraint);
+      if (violation) violations.push(violation);
     }
 
-    return true;
+    return violations;
   }
 
   /**
-   * Validate relation value
+   * Collect the schema violations of a relation
    *
    * @private
-   * @param {Object|Relation} relation - Relation instance or plain object to validate
-   * @returns {boolean}
+   * @param {Object|Relation} relation - Relation instance or plain object
+   * @returns {Object[]} [{ field, rule, message }]
    */
-  _validateRelation(relation) {
+  _relationViolations(relation) {
     // Handle Relation instances
     const relationData = relation && typeof relation.serialize === 'function'
       ? relation.serialize()
@@ -259,68 +965,107 @@ export class Schema {
 
     // Check required relation fields
     const requiredFields = ['id', 'from', 'to', 'type'];
-    for (const field of requiredFields) {
-      if (!(field in relationData)) {
-        this._lastError = `Relation requires field '${field}'`;
-        return false;
-      }
+    const missing = requiredFields.filter((field) => !(field in relationData));
+    if (missing.length > 0) {
+      return missing.map((field) => ({
+        field,
+        rule: 'required',
+        message: `Relation requires field '${field}'`,
+      }));
     }
 
     const typeDef = this.getRelationType(relationData.type);
     if (!typeDef) {
-      this._lastError = `Relation type '${relationData.type}' is not registered`;
-      return false;
+      return [{
+        field: 'type',
+        rule: 'registered',
+        message: this._unregistered('Relation', this._relationTypes, relationData.type),
+      }];
+    }
+    if (typeDef.abstract) {
+      return [{
+        field: 'type',
+        rule: 'abstract',
+        message: `Relation type '${relationData.type}' is abstract and cannot be instantiated`,
+      }];
     }
 
     // Validate constraints
+    const violations = [];
     for (const [field, value] of Object.entries(relationData)) {
       if (field === 'type' || field === 'metadata') continue;
 
       const constraint = typeDef.properties && typeDef.properties[field];
-      if (constraint) {
-        if (!this._validateConstraint(field, value, constraint)) {
-          return false;
-        }
-      }
+      const violation = constraint && this._constraintViolation(field, value, constraint);
+      if (violation) violations.push(violation);
     }
 
-    return true;
+    return violations;
   }
 
   /**
-   * Validate a value against a constraint
+   * Check a value against a constraint
+   *
+   * Arrays and objects are checked element by element against `items` and
+   * `properties`; violations found there name the nested field, e.g.
+   * 'labels[2]' or 'address.city'.
    *
    * @private
    * @param {string} fieldName - Field name for error reporting
    * @param {*} value - Value to validate
    * @param {Object} constraint - Constraint definition
-   * @returns {boolean}
+   * @returns {Object|null} { field, rule, message } for the first rule broken, or null
    */
-  _validateConstraint(fieldName, value, constraint) {
+  _constraintViolation(fieldName, value, constraint) {
+    const violation = (rule, message) => ({ field: fieldName, rule, message });
+
+    // Null is a value of its own, allowed only where declared
+    if (value === null) {
+      if (constraint.nullable) return null;
+      if (constraint.type) {
+        return violation('nullable', `Field '${fieldName}' must not be null`);
+      }
+    }
+
+    // Cross-graph reference: { graphId, entityId }, optionally into one graph only
+    if (constraint.type === 'ref') {
+      if (!isRef(value)) {
+        return violation('ref', `Field '${fieldName}' must be a reference { graphId, entityId }`);
+      }
+      if (constraint.graphId && value.graphId !== constraint.graphId) {
+        return violation('ref', `Field '${fieldName}' must reference graph '${constraint.graphId}'`);
+      }
+      return null;
+    }
+
     // Type checking
     if (constraint.type) {
-      const actualType = typeof value;
+      const actualType = Array.isArray(value) ? 'array' : typeof value;
       if (actualType !== constraint.type) {
-        this._lastError = `Field '${fieldName}' must be of type '${constraint.type}' but was '${actualType}'`;
-        return false;
+        return violation('type', `Field '${fieldName}' must be of type '${constraint.type}' but was '${actualType}'`);
       }
     }
 
+    if (constraint.enum && !constraint.enum.includes(value)) {
+      return violation('enum', `Field '${fieldName}' must be one of: ${constraint.enum.join(', ')}`);
+    }
+
+    if (constraint.format && (typeof value !== 'string' || !FORMATS[constraint.format](value))) {
+      return violation('format', `Field '${fieldName}' must be a valid ${constraint.format}`);
+    }
+
     // String constraints
     if (typeof value === 'string') {
       if (constraint.minLength !== undefined && value.length < constraint.minLength) {
-        this._lastError = `Field '${fieldName}' must have minLength ${constraint.minLength}`;
-        return false;
+        return violation('minLength', `Field '${fieldName}' must have minLength ${constraint.minLength}`);
       }
       if (constraint.maxLength !== undefined && value.length > constraint.maxLength) {
-        this._lastError = `Field '${fieldName}' must have maxLength ${constraint.maxLength}`;
-        return false;
+        return violation('maxLength', `Field '${fieldName}' must have maxLength ${constraint.maxLength}`);
       }
       if (constraint.pattern) {
         const regex = new RegExp(constraint.pattern);
         if (!regex.test(value)) {
-          this._lastError = `Field '${fieldName}' must match pattern '${constraint.pattern}'`;
-          return false;
+          return violation('pattern', `Field '${fieldName}' must match pattern '${constraint.pattern}'`);
         }
       }
     }
@@ -328,16 +1073,171 @@ export class Schema {
     // Number constraints
     if (typeof value === 'number') {
       if (constraint.min !== undefined && value < constraint.min) {
-        this._lastError = `Field '${fieldName}' must be >= ${constraint.min}`;
-        return false;
+        return violation('min', `Field '${fieldName}' must be >= ${constraint.min}`);
       }
       if (constraint.max !== undefined && value > constraint.max) {
-        this._lastError = `Field '${fieldName}' must be <= ${constraint.max}`;
-        return false;
+        return violation('max', `Field '${fieldName}' must be <= ${constraint.max}`);
+      }
+    }
+
+    // Array constraints
+    if (Array.isArray(value)) {
+      if (constraint.minItems !== undefined && value.length < constraint.minItems) {
+        return violation('minItems', `Field '${fieldName}' must have at least ${constraint.minItems} item(s)`);
+      }
+      if (constraint.maxItems !== undefined && value.length > constraint.maxItems) {
+        return violation('maxItems', `Field '${fieldName}' must have at most ${constraint.maxItems} item(s)`);
+      }
+      if (constraint.uniqueItems) {
+        const keys = value.map((item) => JSON.stringify(item));
+        if (new Set(keys).size !== keys.length) {
+          return violation('uniqueItems', `Field '${fieldName}' must not contain duplicate items`);
+        }
+      }
+      if (constraint.items) {
+        for (let i = 0; i < value.length; i++) {
+          const nested = this._constraintViolation(`${fieldName}[${i}]`, value[i], constraint.items);
+          if (nested) return nested;
+        }
+      }
+    }
+
+    // Nested object constraints
+    if (constraint.type === 'object' && value !== null) {
+      for (const key of constraint.required || []) {
+        if (!(key in value)) {
+          return { field: `${fieldName}.${key}`, rule: 'required', message: `Field '${fieldName}' requires property '${key}'` };
+        }
       }
+      for (const [key, nestedConstraint] of Object.entries(constraint.properties || {})) {
+        if (value[key] === undefined) continue;
+        const nested = this._constraintViolation(`${fieldName}.${key}`, value[key], nestedConstraint);
+        if (nested) return nested;
+      }
+    }
+
+    // Custom validators, by registered name
+    for (const name of [].concat(constraint.validator || [])) {
+      const validator = this._validators.get(name);
+      if (!validator) {
+        return violation('validator', `Validator '${name}' is not registered`);
+      }
+      const result = validator(value, { field: fieldName, constraint });
+      if (result !== true) {
+        return violation(
+          'validator',
+          typeof result === 'string' ? result : `Field '${fieldName}' failed validator '${name}'`
+        );
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Collect violations of serialized graph data, recursing into subgraphs
+   *
+   * @private
+   * @param {Object} data - Serialized graph ({ entities, relations })
+   * @param {string[]} path - Entity IDs from the top-level graph (empty at the top)
+   * @returns {Object[]} Violations with severity and entityId or relationId
+   */
+  _graphViolations(data, path) {
+    const entities = data.entities || [];
+    const entityTypes = new Map(entities.map((entity) => [entity.id, entity.type]));
+    const violations = [];
+    const located = (violation) => ({
+      ...violation,
+      ...(path.length > 0 ? { path } : {}),
+      severity: 'error',
+    });
+
+    for (const entity of entities) {
+      this._entityViolations(entity).forEach((violation) => {
+        violations.push(located({ entityId: entity.id, ...violation }));
+      });
+      if (entity.subgraph && Array.isArray(entity.subgraph.entities)) {
+        violations.push(...this._graphViolations(entity.subgraph, [...path, entity.id]));
+      }
+    }
+
+    for (const relation of data.relations || []) {
+      this._relationViolations(relation).forEach((violation) => {
+        violations.push(located({ relationId: relation.id, ...violation }));
+      });
+      for (const [role, end] of [['source', 'from'], ['target', 'to']]) {
+        if (relation[end] === undefined) continue;
+
+        const entityType = entityTypes.get(relation[end]);
+        if (!entityTypes.has(relation[end])) {
+          violations.push(located({
+            relationId: relation.id,
+            field: end,
+            rule: 'endpoint',
+            message: `Relation '${relation.id}' points at missing entity '${relation[end]}'`,
+          }));
+        } else if (this.hasRelationType(relation.type) && !this.allowsEndpoint(relation.type, role, entityType)) {
+          violations.push(located({
+            relationId: relation.id,
+            field: end,
+            rule: 'endpoint-type',
+            message: `Relation type '${relation.type}' does not allow ${role} '${relation[end]}' of type '${entityType}'`,
+          }));
+        }
+      }
+    }
+
+    this._cardinalityViolations(entities, data.relations || []).forEach((violation) => {
+      violations.push(located(violation));
+    });
+
+    return violations;
+  }
+
+  /**
+   * Collect entities with too few or too many relations of a type
+   *
+   * Limits apply to entities the relation type allows at that end.
+   *
+   * @private
+   * @param {Object[]} entities - Serialized entities of one graph level
+   * @param {Object[]} relations - Serialized relations of the same level
+   * @returns {Object[]} [{ entityId, field: 'inbound' | 'outbound', rule, message }]
+   */
+  _cardinalityViolations(entities, relations) {
+    const counts = new Map();
+    const bump = (key) => counts.set(key, (counts.get(key) || 0) + 1);
+    for (const relation of relations) {
+      const type = this._typeKey(this._relationTypes, relation.type);
+      bump(`outbound:${type}:${relation.from}`);
+      bump(`inbound:${type}:${relation.to}`);
     }
 
-    return true;
+    const violations = [];
+    for (const type of this.getRelationTypes()) {
+      const typeDef = this.getRelationType(type);
+      for (const [side, role] of [['outbound', 'source'], ['inbound', 'target']]) {
+        const { min, max } = typeDef[side];
+        if (min === 0 && max === null) continue;
+
+        for (const entity of entities) {
+          if (!this.allowsEndpoint(type, role, entity.type)) continue;
+
+          const count = counts.get(`${side}:${type}:${entity.id}`) || 0;
+          if (count >= min && (max === null || count <= max)) continue;
+
+          let expected = count < min ? `at least ${min}` : `at most ${max}`;
+          if (min === max) expected = `exactly ${min}`;
+          violations.push({
+            entityId: entity.id,
+            field: side,
+            rule: 'cardinality',
+            message: `Entity '${entity.id}' has ${count} ${side} '${type}' relation(s); expected ${expected}`,
+          });
+        }
+      }
+    }
+    return violations;
   }
 
   /**
@@ -352,14 +1252,193 @@ export class Schema {
       throw new Error('Type definition must be an object');
     }
 
-    // Validate constraints
-    if (definition.constraints && typeof definition.constraints === 'object') {
-      for (const [field, constraint] of Object.entries(definition.constraints)) {
-        if (constraint === null || typeof constraint !== 'object') {
-          throw new Error(`Constraint for field '${field}' must be an object`);
+    // Validate constraints (entity fields) and properties (relation fields)
+    for (const constraints of [definition.constraints, definition.properties]) {
+      if (constraints && typeof constraints === 'object') {
+        for (const [field, constraint] of Object.entries(constraints)) {
+          this._validateConstraintDefinition(field, constraint);
         }
       }
     }
+
+    if (definition.presentation !== undefined) {
+      this._validatePresentation(definition.presentation);
+    }
+  }
+
+  /**
+   * Validate the presentation block of a type definition
+   *
+   * @private
+   * @param {Object} presentation - Presentation hints
+   * @throws {Error} if it is not an object, or has an unknown shape or edge style or malformed fields
+   */
+  _validatePresentation(presentation) {
+    if (!presentation || typeof presentation !== 'object') {
+      throw new Error('Presentation must be an object');
+    }
+    if (presentation.shape !== undefined && !SHAPES.includes(presentation.shape)) {
+      throw new Error(`Unknown shape '${presentation.shape}' (expected one of: ${SHAPES.join(', ')})`);
+    }
+    if (presentation.edgeStyle !== undefined && !EDGE_STYLES.includes(presentation.edgeStyle)) {
+      throw new Error(`Unknown edge style '${presentation.edgeStyle}' (expected one of: ${EDGE_STYLES.join(', ')})`);
+    }
+    const fields = presentation.fields || [];
+    if (!Array.isArray(fields) || !fields.every((field) => typeof field === 'string' || typeof field?.name === 'string')) {
+      throw new Error('Presentation fields must be a list of field names or { name, widget } objects');
+    }
+  }
+
+  /**
+   * Validate one field constraint, including nested item/property constraints
+   *
+   * @private
+   * @param {string} field - Field name for error messages
+   * @param {Object} constraint - Constraint definition
+   * @throws {Error} if the constraint is not an object or names an unknown format
+   */
+  _validateConstraintDefinition(field, constraint) {
+    if (constraint === null || typeof constraint !== 'object') {
+      throw new Error(`Constraint for field '${field}' must be an object`);
+    }
+    if (constraint.format && !FORMATS[constraint.format]) {
+      throw new Error(
+        `Unknown format '${constraint.format}' for field '${field}' (expected one of: ${Object.keys(FORMATS).join(', ')})`
+      );
+    }
+    if (constraint.items) {
+      this._validateConstraintDefinition(`${field}[]`, constraint.items);
+    }
+    for (const [key, nested] of Object.entries(constraint.properties || {})) {
+      this._validateConstraintDefinition(`${field}.${key}`, nested);
+    }
+  }
+
+  /**
+   * Compare graph data before and after a migration step
+   *
+   * @private
+   * @param {Object} before - Serialized graph
+   * @param {Object} after - Serialized graph
+   * @returns {Object} { entities, relations }, each { added, removed, updated } IDs
+   */
+  _migrationChanges(before, after) {
+    const compare = (previous = [], next = []) => {
+      const old = new Map(previous.map((item) => [item.id, JSON.stringify(item)]));
+      const ids = new Set(next.map((item) => item.id));
+      return {
+        added: next.filter((item) => !old.has(item.id)).map((item) => item.id),
+        removed: previous.filter((item) => !ids.has(item.id)).map((item) => item.id),
+        updated: next
+          .filter((item) => old.has(item.id) && old.get(item.id) !== JSON.stringify(item))
+          .map((item) => item.id),
+      };
+    };
+
+    return {
+      entities: compare(before.entities, after.entities),
+      relations: compare(before.relations, after.relations),
+    };
+  }
+
+  /**
+   * Resolve the cardinality and per-entity counts of a relation type
+   *
+   * @private
+   * @param {Object} own - Relation type as registered
+   * @param {Object[]} inherited - Resolved supertypes
+   * @returns {Object} { cardinality, inbound: { min, max }, outbound: { min, max } }
+   */
+  _cardinality(own, inherited) {
+    if (!own.cardinality && !own.inbound && !own.outbound && inherited.length > 0) {
+      const { cardinality, inbound, outbound } = inherited[0];
+      return { cardinality, inbound, outbound };
+    }
+
+    const cardinality = own.cardinality || inherited[0]?.cardinality || 'many-to-many';
+    const limits = CARDINALITIES[cardinality];
+    return {
+      cardinality,
+      inbound: { min: 0, max: limits.inbound, ...own.inbound },
+      outbound: { min: 0, max: limits.outbound, ...own.outbound },
+    };
+  }
+
+  /**
+   * Normalize and check the supertypes named by a type definition
+   *
+   * @private
+   * @param {Map} types - Registered types of the same kind
+   * @param {string} kind - 'Entity' or 'Relation', for error messages
+   * @param {string} name - Type being registered
+   * @param {string|string[]} supertypes - definition.extends
+   * @returns {string[]}
+   * @throws {Error} If a supertype is not registered
+   */
+  _supertypes(types, kind, name, supertypes) {
+    const parents = supertypes ? [].concat(supertypes).map((parent) => this._typeKey(types, parent)) : [];
+    for (const parent of parents) {
+      if (!types.has(parent)) {
+        throw new Error(`${kind} type '${name}' extends unknown type '${parent}'`);
+      }
+    }
+    return parents;
+  }
+
+  /**
+   * @private
+   * @param {Map} types - Registered types of one kind
+   * @param {string} name - Type name
+   * @param {string} supertype - Possible supertype
+   * @returns {boolean}
+   */
+  _inherits(types, name, supertype) {
+    const key = this._typeKey(types, name);
+    if (key === this._typeKey(types, supertype)) return true;
+    const type = types.get(key);
+    return Boolean(type) && type.extends.some((parent) => this._inherits(types, parent, supertype));
+  }
+
+  /**
+   * Find the registered name a type name refers to
+   *
+   * A name without pack prefix refers to the unprefixed type of that name,
+   * or else to the one pack type of that name.
+   *
+   * @private
+   * @param {Map} types - Registered types of one kind
+   * @param {string} name - Type name, with or without pack prefix
+   * @returns {string} Registered name, or the name itself if none or several match
+   */
+  _typeKey(types, name) {
+    const matches = this._typeMatches(types, name);
+    return matches.length === 1 ? matches[0] : name;
+  }
+
+  /**
+   * @private
+   * @param {Map} types - Registered types of one kind
+   * @param {string} name - Type name, with or without pack prefix
+   * @returns {string[]} Registered names the name could refer to
+   */
+  _typeMatches(types, name) {
+    if (types.has(name)) return [name];
+    if (typeof name !== 'string' || name.includes(NAMESPACE_SEPARATOR)) return [];
+    return Array.from(types.keys()).filter((key) => key.endsWith(`${NAMESPACE_SEPARATOR}${name}`));
+  }
+
+  /**
+   * @private
+   * @param {string} kind - 'Entity' or 'Relation'
+   * @param {Map} types - Registered types of that kind
+   * @param {string} name - Type name that did not resolve
+   * @returns {string} Error message
+   */
+  _unregistered(kind, types, name) {
+    const matches = this._typeMatches(types, name);
+    return matches.length > 1
+      ? `${kind} type '${name}' is ambiguous (${matches.join(', ')}); use its namespaced name`
+      : `${kind} type '${name}' is not registered`;
   }
 
   /**
@@ -399,84 +1478,86 @@ export class Schema {
       optional: ['metadata'],
     });
 
-    // GitHub entity types
-    this.registerEntityType('repository', {
-      required: ['id', 'name'],
-      optional: ['description', 'url', 'owner', 'isPrivate'],
-      constraints: {
-        name: { type: 'string', minLength: 1 },
+    // GitHub types, as a pack that can be unloaded to swap domains
+    this.registerPack('github', {
+      description: 'GitHub organizations, users, repositories, issues and pull requests',
+      entityTypes: {
+        repository: {
+          required: ['id', 'name'],
+          optional: ['description', 'url', 'owner', 'isPrivate'],
+          constraints: {
+            name: { type: 'string', minLength: 1 },
+            url: { type: 'string', format: 'url' },
+          },
+        },
+        user: {
+          required: ['id', 'login'],
+          optional: ['name', 'email', 'bio', 'location'],
+          constraints: {
+            login: { type: 'string', minLength: 1 },
+          },
+        },
+        organization: {
+          required: ['id', 'login'],
+          optional: ['name', 'description', 'email', 'location'],
+          constraints: {
+            login: { type: 'string', minLength: 1 },
+          },
+        },
+        issue: {
+          required: ['id', 'number', 'title'],
+          optional: ['description', 'state', 'creator'],
+          constraints: {
+            number: { type: 'number', min: 1 },
+            title: { type: 'string', minLength: 1 },
+            state: { type: 'string', enum: ['open', 'closed'] },
+          },
+        },
+        pull_request: {
+          required: ['id', 'number', 'title'],
+          optional: ['description', 'state', 'creator'],
+          constraints: {
+            number: { type: 'number', min: 1 },
+            title: { type: 'string', minLength: 1 },
+            state: { type: 'string', enum: ['open', 'closed', 'merged'] },
+          },
+        },
       },
-    });
-
-    this.registerEntityType('user', {
-      required: ['id', 'login'],
-      optional: ['name', 'email', 'bio', 'location'],
-      constraints: {
-        login: { type: 'string', minLength: 1 },
-      },
-    });
-
-    this.registerEntityType('organization', {
-      required: ['id', 'login'],
-      optional: ['name', 'description', 'email', 'location'],
-      constraints: {
-        login: { type: 'string', minLength: 1 },
-      },
-    });
-
-    this.registerEntityType('issue', {
-      required: ['id', 'number', 'title'],
-      optional: ['description', 'state', 'creator'],
-      constraints: {
-        number: { type: 'number', min: 1 },
-        title: { type: 'string', minLength: 1 },
-      },
-    });
-
-    this.registerEntityType('pull_request', {
-      required: ['id', 'number', 'title'],
-      optional: ['description', 'state', 'creator'],
-      constraints: {
-        number: { type: 'number', min: 1 },
-        title: { type: 'string', minLength: 1 },
+      relationTypes: {
+        OWNS: {
+          source: ['user', 'organization'],
+          target: ['repository'],
+          direction: 'directed',
+          cardinality: 'one-to-many',
+        },
+        COLLABORATES: {
+          source: ['user'],
+          target: ['user'],
+          direction: 'undirected',
+        },
+        CREATED: {
+          source: ['user'],
+          target: ['issue', 'pull_request'],
+          direction: 'directed',
+          cardinality: 'one-to-many',
+          inbound: { min: 1 },
+        },
+        ASSIGNED: {
+          source: ['user'],
+          target: ['issue', 'pull_request'],
+          direction: 'directed',
+        },
+        REVIEWED: {
+          source: ['user'],
+          target: ['pull_request'],
+          direction: 'directed',
+        },
+        MEMBER_OF: {
+          source: ['user'],
+          target: ['organization'],
+          direction: 'directed',
+        },
       },
     });
-
-    // GitHub relation types
-    this.registerRelationType('OWNS', {
-      source: ['user', 'organization'],
-      target: ['repository'],
-      direction: 'directed',
-    });
-
-    this.registerRelationType('COLLABORATES', {
-      source: ['user'],
-      target: ['user'],
-      direction: 'undirected',
-    });
-
-    this.registerRelationType('CREATED', {
-      source: ['user'],
-      target: ['issue', 'pull_request'],
-      direction: 'directed',
-    });
-
-    this.registerRelationType('ASSIGNED', {
-      source: ['user'],
-      target: ['issue', 'pull_request'],
-      direction: 'directed',
-    });
-
-    this.registerRelationType('REVIEWED', {
-      source: ['user'],
-      target: ['pull_request'],
-      direction: 'directed',
-    });
-
-    this.registerRelationType('MEMBER_OF', {
-      source: ['user'],
-      target: ['organization'],
-      direction: 'directed',
-    });
   }
 }
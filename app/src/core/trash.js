@@ -0,0 +1,320 @@
+/**
+ * Trash - Tombstones for soft-deleted entities and relations
+ *
+ * Soft deletes (Graph option `softDelete`, or `{ soft: true }` on removal)
+ * take items out of the live graph and keep them here so they can be
+ * restored together with everything that was removed alongside them.
+ *
+ * See: ../../doc/arch/core.md
+ */
+
+/**
+ * Tombstone - What a soft delete left behind
+ *
+ * @typedef {Object} Tombstone
+ * @property {string} id - ID of the deleted entity or relation
+ * @property {string} kind - 'entity' | 'relation'
+ * @property {string} deletedAt - ISO timestamp of the deletion
+ * @property {Object} item - Serialized entity or relation
+ * @property {Object[]} entities - Entities removed with it (cascade policy)
+ * @property {Object[]} relations - Relations removed with it
+ */
+
+/**
+ * Trash - Restorable store of tombstones owned by a Graph
+ *
+ * Available as `graph.trash`.
+ */
+export class Trash {
+  /**
+   * @param {Graph} graph - Owning graph
+   */
+  constructor(graph) {
+    this.graph = graph;
+
+    /** Map<id, Tombstone> */
+    this._tombstones = new Map();
+  }
+
+  /**
+   * List tombstones, oldest first
+   *
+   * @param {Object} options - List options
+   * @param {string} options.kind - Only 'entity' or only 'relation' tombstones
+   * @returns {Tombstone[]} Copies of the tombstones
+   */
+  list(options = {}) {
+    return Array.from(this._tombstones.values())
+      .filter(tombstone => !options.kind || tombstone.kind === options.kind)
+      .map(tombstone => this._copy(tombstone));
+  }
+
+  /**
+   * Get a tombstone by ID
+   *
+   * @param {string} id - Entity or relation ID
+   * @returns {Tombstone|null}
+   */
+  get(id) {
+    const tombstone = this._tombstones.get(id);
+    return tombstone ? this._copy(tombstone) : null;
+  }
+
+  /**
+   * Check whether an ID is in the trash
+   *
+   * @param {string} id - Entity or relation ID
+   * @returns {boolean}
+   */
+  has(id) {
+    return this._tombstones.has(id);
+  }
+
+  /**
+   * Get the number of tombstones
+   *
+   * @returns {number}
+   */
+  count() {
+    return this._tombstones.size;
+  }
+
+  /**
+   * Bring a soft-deleted item back into the graph
+   *
+   * An entity comes back with the entities and relations removed alongside
+   * it. Relations whose other end is no longer in the graph stay in the
+   * trash as their own tombstones until that entity returns.
+   *
+   * Emits 'graph.entity.restored' or 'graph.relation.restored'.
+   *
+   * @param {string} id - Entity or relation ID
+   * @returns {Object} The restored entity or relation (serialized)
+   * @throws {Error} If the ID is not in the trash or clashes with a live item
+   */
+  restore(id) {
+    const tombstone = this._tombstones.get(id);
+    if (!tombstone) {
+      throw new Error(`'${id}' is not in the trash`);
+    }
+
+    return tombstone.kind === 'entity'
+      ? this._restoreEntity(tombstone)
+      : this._restoreRelation(tombstone);
+  }
+
+  /**
+   * Permanently drop tombstones
+   *
+   * Emits 'graph.trash.purged' with the purged IDs, including the entities
+   * and relations held inside purged tombstones.
+   *
+   * @param {string|Object} target - An ID, `{ olderThan }` (Date, ISO string or ms), or nothing for all
+   * @returns {string[]} IDs of the purged tombstones
+   * @throws {Error} If an ID is given that is not in the trash
+   */
+  purge(target = {}) {
+    let ids;
+    if (typeof target === 'string') {
+      if (!this._tombstones.has(target)) {
+        throw new Error(`'${target}' is not in the trash`);
+      }
+      ids = [target];
+    } else if (target.olderThan !== undefined) {
+      const cutoff = new Date(target.olderThan).getTime();
+      ids = Array.from(this._tombstones.values())
+        .filter(tombstone => new Date(tombstone.deletedAt).getTime() < cutoff)
+        .map(tombstone => tombstone.id);
+    } else {
+      ids = Array.from(this._tombstones.keys());
+    }
+
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const purged = [];
+    for (const id of ids) {
+      const tombstone = this._tombstones.get(id);
+      purged.push(id, ...tombstone.entities.map(e => e.id), ...tombstone.relations.map(r => r.id));
+      this._delete(id);
+    }
+
+    this.graph._emit('graph.trash.purged', { ids, purged });
+    return ids;
+  }
+
+  /**
+   * Serialize tombstones for Graph.serialize()
+   *
+   * @returns {Tombstone[]}
+   */
+  serialize() {
+    return this.list();
+  }
+
+  /**
+   * Store a tombstone (called by Graph on soft delete)
+   *
+   * @private
+   * @param {Tombstone} tombstone - Tombstone to store
+   */
+  _bury(tombstone) {
+    this._tombstones.set(tombstone.id, tombstone);
+    this.graph._record(() => this._tombstones.delete(tombstone.id));
+  }
+
+  /**
+   * Remove a tombstone, revertibly within a transaction
+   *
+   * @private
+   * @param {string} id - Tombstone ID
+   */
+  _delete(id) {
+    const tombstone = this._tombstones.get(id);
+    this._tombstones.delete(id);
+    this.graph._record(() => this._tombstones.set(id, tombstone));
+  }
+
+  /**
+   * Replace all tombstones (called by Graph.hydrate())
+   *
+   * @private
+   * @param {Tombstone[]} tombstones - Serialized tombstones
+   */
+  _load(tombstones = []) {
+    const previous = new Map(this._tombstones);
+    this.graph._record(() => { this._tombstones = previous; });
+
+    this._tombstones = new Map();
+    tombstones.forEach(tombstone => this._tombstones.set(tombstone.id, this._copy(tombstone)));
+  }
+
+  /**
+   * @private
+   * @param {Tombstone} tombstone - Entity tombstone
+   * @returns {Object} Restored entity
+   */
+  _restoreEntity(tombstone) {
+    const graph = this.graph;
+    const entities = [tombstone.item, ...tombstone.entities];
+
+    for (const entity of entities) {
+      if (graph.entities.has(entity.id)) {
+        throw new Error(`Cannot restore entity '${entity.id}': an entity with that ID exists`);
+      }
+    }
+
+    entities.forEach(entity => graph._insertEntity(entity));
+
+    // Relations come back only where both ends are present again
+    const restored = [];
+    const pending = [];
+    for (const relation of tombstone.relations) {
+      const connected = graph.entities.has(relation.from) && graph.entities.has(relation.to);
+      if (connected && !graph.relations.has(relation.id)) {
+        graph._insertRelation(relation);
+        restored.push(relation);
+      } else {
+        pending.push(relation);
+      }
+    }
+
+    this._delete(tombstone.id);
+
+    // The rest wait for their missing end, or in their own tombstone if it is gone for good
+    pending.forEach(relation => {
+      const missing = graph.entities.has(relation.from) ? relation.to : relation.from;
+      const holder = this._holding(missing);
+      if (holder) {
+        this._attach(holder, relation);
+        return;
+      }
+      this._bury({
+        id: relation.id,
+        kind: 'relation',
+        deletedAt: tombstone.deletedAt,
+        item: relation,
+        entities: [],
+        relations: [],
+      });
+    });
+
+    graph._emit('graph.entity.restored', {
+      entityId: tombstone.id,
+      entity: tombstone.item,
+      cascaded: { entities: tombstone.entities, relations: restored },
+    });
+
+    return tombstone.item;
+  }
+
+  /**
+   * Find the entity tombstone an entity was removed in
+   *
+   * @private
+   * @param {string} entityId - Entity ID
+   * @returns {Tombstone|null}
+   */
+  _holding(entityId) {
+    for (const tombstone of this._tombstones.values()) {
+      if (tombstone.kind !== 'entity') continue;
+      if (tombstone.item.id === entityId || tombstone.entities.some(entity => entity.id === entityId)) {
+        return tombstone;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Add a relation to a tombstone, revertibly within a transaction
+   *
+   * @private
+   * @param {Tombstone} tombstone - Entity tombstone
+   * @param {Object} relation - Serialized relation
+   */
+  _attach(tombstone, relation) {
+    const relations = tombstone.relations;
+    tombstone.relations = [...relations, relation];
+    this.graph._record(() => { tombstone.relations = relations; });
+  }
+
+  /**
+   * @private
+   * @param {Tombstone} tombstone - Relation tombstone
+   * @returns {Object} Restored relation
+   */
+  _restoreRelation(tombstone) {
+    const graph = this.graph;
+    const relation = tombstone.item;
+
+    if (graph.relations.has(relation.id)) {
+      throw new Error(`Cannot restore relation '${relation.id}': a relation with that ID exists`);
+    }
+    for (const end of [relation.from, relation.to]) {
+      if (!graph.entities.has(end)) {
+        throw new Error(`Cannot restore relation '${relation.id}': entity '${end}' not found`);
+      }
+    }
+
+    graph._insertRelation(relation);
+    this._delete(tombstone.id);
+
+    graph._emit('graph.relation.restored', { relationId: relation.id, relation });
+
+    return relation;
+  }
+
+  /**
+   * Copy a tombstone so callers cannot change the stored one
+   *
+   * @private
+   * @param {Tombstone} tombstone - Tombstone
+   * @returns {Tombstone}
+   */
+  _copy(tombstone) {
+    return JSON.parse(JSON.stringify(tombstone));
+  }
+}
+
+export default Trash;
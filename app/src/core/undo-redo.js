@@ -25,55 +25,100 @@ export class UndoRedoManager {
    */
   setupEventListeners() {
     const bus = this.eventBus;
-    
-    // Entity events
-    bus.subscribe('graph.entity.added', (event) => this.recordCommand({
-      type: 'entity.added',
-      entityId: event.data.entity.id,
-      entity: JSON.parse(JSON.stringify(event.data.entity))
-    }));
-
-    bus.subscribe('graph.entity.updated', (event) => {
-      this.recordCommand({
-        type: 'entity.updated',
-        entityId: event.data.entityId,
-        patch: event.data.patch || {},
-        before: event.data.before || {},
-        after: event.data.after || {}
-      });
-    });
-
-    bus.subscribe('graph.entity.removed', (event) => {
-      this.recordCommand({
-        type: 'entity.removed',
-        entityId: event.data.entityId,
-        entity: event.data.entity || {}
-      });
-    });
 
-    // Relation events
-    bus.subscribe('graph.relation.added', (event) => this.recordCommand({
-      type: 'relation.added',
-      relationId: event.data.relation.id,
-      relation: JSON.parse(JSON.stringify(event.data.relation))
-    }));
+    const handlers = {
+      // Entity events
+      'graph.entity.added': (data) => this.recordCommand({
+        type: 'entity.added',
+        path: data.path,
+        entityId: data.entity.id,
+        entity: JSON.parse(JSON.stringify(data.entity))
+      }),
 
-    bus.subscribe('graph.relation.updated', (event) => {
-      this.recordCommand({
+      'graph.entity.updated': (data) => this.recordCommand({
+        type: 'entity.updated',
+        path: data.path,
+        entityId: data.entityId,
+        patch: data.patch || {},
+        before: data.before || {},
+        after: data.after || {}
+      }),
+
+      'graph.entity.removed': (data) => {
+        // Cascaded removals are undone together with the entity that caused them
+        if (data.cascadeOf) return;
+
+        this.recordCommand({
+          type: 'entity.removed',
+          path: data.path,
+          entityId: data.entityId,
+          entity: data.entity || {},
+          policy: data.policy,
+          soft: data.soft,
+          cascaded: data.cascaded || { entities: [], relations: [] }
+        });
+      },
+
+      'graph.entity.restored': (data) => this.recordCommand({
+        type: 'entity.restored',
+        path: data.path,
+        entityId: data.entityId,
+        cascaded: data.cascaded || { entities: [], relations: [] }
+      }),
+
+      // Relation events
+      'graph.relation.added': (data) => this.recordCommand({
+        type: 'relation.added',
+        path: data.path,
+        relationId: data.relation.id,
+        relation: JSON.parse(JSON.stringify(data.relation))
+      }),
+
+      'graph.relation.updated': (data) => this.recordCommand({
         type: 'relation.updated',
-        relationId: event.data.relationId,
-        patch: event.data.patch || {},
-        before: event.data.before || {},
-        after: event.data.after || {}
-      });
+        path: data.path,
+        relationId: data.relationId,
+        patch: data.patch || {},
+        before: data.before || {},
+        after: data.after || {}
+      }),
+
+      'graph.relation.removed': (data) => {
+        if (data.cascadeOf) return;
+
+        this.recordCommand({
+          type: 'relation.removed',
+          path: data.path,
+          relationId: data.relationId,
+          relation: data.relation || {},
+          soft: data.soft
+        });
+      },
+
+      'graph.relation.restored': (data) => this.recordCommand({
+        type: 'relation.restored',
+        path: data.path,
+        relationId: data.relationId
+      })
+    };
+
+    Object.entries(handlers).forEach(([type, handler]) => {
+      bus.subscribe(type, (event) => handler(event.data));
     });
 
-    bus.subscribe('graph.relation.removed', (event) => {
-      this.recordCommand({
-        type: 'relation.removed',
-        relationId: event.data.relationId,
-        relation: event.data.relation || {}
-      });
+    // A committed transaction becomes a single batch entry
+    bus.subscribe('graph.transaction.committed', (event) => {
+      if (this.isExecuting) return;
+
+      this.beginBatch(event.data.label || 'Transaction');
+      try {
+        event.data.changes.forEach((change) => {
+          const handler = handlers[change.type];
+          if (handler) handler(change.data);
+        });
+      } finally {
+        this.endBatch();
+      }
     });
   }
 
@@ -122,17 +167,26 @@ export class UndoRedoManager {
   createCommand(command) {
     const self = this;
 
+    // Commands recorded from a nested subgraph act on that subgraph
+    const graph = () => {
+      const target = self.graph.resolvePath(command.path);
+      if (!target) {
+        throw new Error(`Subgraph '${command.path.join('/')}' no longer exists`);
+      }
+      return target;
+    };
+
     switch (command.type) {
       case 'entity.added':
         return {
           label: `Add entity ${command.entityId}`,
           execute: () => {
-            if (!self.graph.entities.has(command.entityId)) {
-              self.graph.addEntity(command.entity);
+            if (!graph().entities.has(command.entityId)) {
+              graph()._readdEntity(command.entity);
             }
           },
           undo: () => {
-            self.graph.removeEntity(command.entityId);
+            graph().removeEntity(command.entityId, { soft: false });
           }
         };
 
@@ -140,7 +194,7 @@ export class UndoRedoManager {
         return {
           label: `Update entity ${command.entityId}`,
           execute: () => {
-            self.graph.updateEntity(command.entityId, command.patch);
+            graph().updateEntity(command.entityId, command.patch);
           },
           undo: () => {
             // Extract only the keys that were changed
@@ -150,7 +204,7 @@ export class UndoRedoManager {
                 reverseUpdate[key] = command.before[key];
               }
             });
-            self.graph.updateEntity(command.entityId, reverseUpdate);
+            graph().updateEntity(command.entityId, reverseUpdate);
           }
         };
 
@@ -158,13 +212,36 @@ export class UndoRedoManager {
         return {
           label: `Remove entity ${command.entityId}`,
           execute: () => {
-            if (self.graph.entities.has(command.entityId)) {
-              self.graph.removeEntity(command.entityId);
+            if (graph().entities.has(command.entityId)) {
+              graph().removeEntity(command.entityId, { policy: command.policy, soft: command.soft });
             }
           },
           undo: () => {
-            // Restore the entity
-            self.graph.addEntity(command.entity);
+            // Soft removals come back out of the trash in one piece
+            if (command.soft) {
+              graph().trash.restore(command.entityId);
+              return;
+            }
+
+            // Restore the entity, then whatever was removed along with it
+            graph()._readdEntity(command.entity);
+            command.cascaded.entities.forEach(entity => graph()._readdEntity(entity));
+            command.cascaded.relations.forEach(relation => graph()._readdRelation(relation));
+          }
+        };
+
+      case 'entity.restored':
+        return {
+          label: `Restore entity ${command.entityId}`,
+          execute: () => {
+            [command.entityId, ...command.cascaded.entities.map(e => e.id)]
+              .filter(id => graph().trash.has(id))
+              .forEach(id => graph().trash.restore(id));
+          },
+          undo: () => {
+            [command.entityId, ...command.cascaded.entities.map(e => e.id)]
+              .filter(id => graph().entities.has(id))
+              .forEach(id => graph().removeEntity(id, { soft: true }));
           }
         };
 
@@ -172,12 +249,12 @@ export class UndoRedoManager {
         return {
           label: `Add relation ${command.relationId}`,
           execute: () => {
-            if (!self.graph.relations.has(command.relationId)) {
-              self.graph.addRelation(command.relation);
+            if (!graph().relations.has(command.relationId)) {
+              graph()._readdRelation(command.relation);
             }
           },
           undo: () => {
-            self.graph.removeRelation(command.relationId);
+            graph().removeRelation(command.relationId, { soft: false });
           }
         };
 
@@ -185,7 +262,7 @@ export class UndoRedoManager {
         return {
           label: `Update relation ${command.relationId}`,
           execute: () => {
-            self.graph.updateRelation(command.relationId, command.patch);
+            graph().updateRelation(command.relationId, command.patch);
           },
           undo: () => {
             // Extract only the keys that were changed
@@ -195,7 +272,7 @@ export class UndoRedoManager {
                 reverseUpdate[key] = command.before[key];
               }
             });
-            self.graph.updateRelation(command.relationId, reverseUpdate);
+            graph().updateRelation(command.relationId, reverseUpdate);
           }
         };
 
@@ -203,13 +280,29 @@ export class UndoRedoManager {
         return {
           label: `Remove relation ${command.relationId}`,
           execute: () => {
-            if (self.graph.relations.has(command.relationId)) {
-              self.graph.removeRelation(command.relationId);
+            if (graph().relations.has(command.relationId)) {
+              graph().removeRelation(command.relationId, { soft: command.soft });
             }
           },
           undo: () => {
+            if (command.soft) {
+              graph().trash.restore(command.relationId);
+              return;
+            }
+
             // Restore the relation
-            self.graph.addRelation(command.relation);
+            graph()._readdRelation(command.relation);
+          }
+        };
+
+      case 'relation.restored':
+        return {
+          label: `Restore relation ${command.relationId}`,
+          execute: () => {
+            graph().trash.restore(command.relationId);
+          },
+          undo: () => {
+            graph().removeRelation(command.relationId, { soft: true });
           }
         };
 
@@ -235,7 +328,8 @@ export class UndoRedoManager {
     const command = this.undoStack.pop();
     
     try {
-      command.undo();
+      // Recorded changes already include what middleware did the first time
+      this.graph.withoutMiddleware(() => command.undo());
       this.redoStack.push(command);
 
       this.eventBus.emit('history.undo', {
@@ -263,7 +357,7 @@ export class UndoRedoManager {
     const command = this.redoStack.pop();
     
     try {
-      command.execute();
+      this.graph.withoutMiddleware(() => command.execute());
       this.undoStack.push(command);
 
       this.eventBus.emit('history.redo', {
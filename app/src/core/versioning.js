@@ -8,9 +8,6 @@
  * See: ../../doc/arch/core.md → "Versioning"
  */
 
-import { Entity } from './entity.js';
-import { Relation } from './relation.js';
-
 // Cross-environment UUID generator. Prefers Web Crypto `randomUUID` or
 // `getRandomValues`. Falls back to a Math.random-based UUIDv4 when needed.
 function generateUUID() {
@@ -69,6 +66,8 @@ export class Versioning {
     // Listen to graph mutations
     this.eventBus.subscribe('graph.entity.*', () => this._markDirty());
     this.eventBus.subscribe('graph.relation.*', () => this._markDirty());
+    this.eventBus.subscribe('graph.transaction.committed', () => this._markDirty());
+    this.eventBus.subscribe('graph.trash.*', () => this._markDirty());
   }
 
   /**
@@ -337,24 +336,12 @@ export class Versioning {
   /**
    * Restore graph from snapshot
    *
+   * Nested subgraphs captured in the snapshot are rebuilt by the graph.
+   *
    * @private
    * @param {Object} snapshot - Snapshot to restore
    */
   _restoreFromSnapshot(snapshot) {
-    // Clear current graph
-    this.graph.entities.clear();
-    this.graph.relations.clear();
-
-    // Restore entities as Entity instances
-    for (const entity of snapshot.entities) {
-      const instance = new Entity(entity);
-      this.graph.entities.set(instance.id, instance);
-    }
-
-    // Restore relations as Relation instances
-    for (const relation of snapshot.relations) {
-      const instance = new Relation(relation);
-      this.graph.relations.set(instance.id, instance);
-    }
+    this.graph.hydrate(snapshot);
   }
 }
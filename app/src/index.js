@@ -20,11 +20,13 @@ import { Versioning } from './core/versioning.js';
 import { QueryEngine } from './core/query-engine.js';
 import { DiffEngine } from './core/diff-engine.js';
 import { UndoRedoManager } from './core/undo-redo.js';
+import { BatchOperation } from './core/batch.js';
 
 // Phase 3: Services
 import { AnnotationService } from './services/annotation-service.js';
 import { CassettePlayer } from './services/cassette-player.js';
 import { HighlightController } from './services/highlight-controller.js';
+import { WorkspaceManager } from './services/workspace-manager.js';
 
 // Phase 4: Adapters & Storage
 import StorageManager from './adapters/storage/storage-manager.js';
@@ -56,12 +58,14 @@ export const GS = {
   // Phase 1: Graph API (entities & relations)
   graph: null,
   schema: null,
+  workspace: null,
 
   // Phase 2: Graph Operations
   query: null,
   versioning: null,
   diff: null,
   undoRedo: null,
+  batch: null,
 
   // Phase 3: Services
   annotation: null,
@@ -95,13 +99,23 @@ export const GS = {
   bootstrap: initializeGS,
 };
 
+/** Workspace opened at init; its data keeps the pre-workspace storage key */
+const DEFAULT_WORKSPACE = 'default';
+
 // Global state
 let _eventBus = null;
+let _workspaces = null;
+let _uiBridge = null;
+
+// Bound to the active workspace (see bindWorkspace())
 let _graph = null;
-let _schema = null;
 let _versioning = null;
 let _undoRedo = null;
 let _annotationService = null;
+let _queryEngine = null;
+let _storageKey = null;
+
+let _schema = null;
 let _cassettePlayer = null;
 let _highlightController = null;
 let _storageManager = null;
@@ -110,6 +124,7 @@ let _syncManager = null;
 let _eventReplayEngine = null;
 let _errorHandler = null;
 let _eventAudit = null;
+let _pendingBatch = null;
 let _initialized = false;
 
 /**
@@ -126,6 +141,41 @@ function generateUUID() {
   });
 }
 
+/**
+ * Point the facade, sync and UI at a workspace's graph and services
+ *
+ * @param {Object} workspace - Workspace from WorkspaceManager
+ */
+function bindWorkspace(workspace) {
+  _graph = workspace.graph;
+  _versioning = workspace.versioning;
+  _undoRedo = workspace.undoRedo;
+  _annotationService = workspace.annotations;
+  _queryEngine = new QueryEngine(_graph);
+  _storageKey = workspace.storageKey;
+
+  if (_syncManager) {
+    _syncManager.graph = _graph;
+  }
+  if (_uiBridge) {
+    _uiBridge.setGraph(_graph, workspace.eventBus);
+  }
+}
+
+/**
+ * Diff options that check references against the active graph
+ *
+ * @param {Object} options - Caller's diff options (take precedence)
+ * @returns {Object}
+ */
+function diffOptions(options = {}) {
+  return {
+    graphId: _graph.graphId,
+    resolveRef: (ref) => _graph.resolveRef(ref),
+    ...options,
+  };
+}
+
 /**
  * Bootstrap GS with configuration
  *
@@ -146,16 +196,15 @@ async function initializeGS(config = {}) {
     // Phase 1: Create core event bus and graph (MUST be first)
     _eventBus = new EventBus();
     _schema = new Schema();
-    _graph = new Graph(_eventBus, _schema);
 
-    // Phase 2: Initialize graph operations
-    _versioning = new Versioning(_graph, _eventBus);
-    const _queryEngine = new QueryEngine(_graph);
+    // Phases 2-3: Each workspace brings its own graph, versioning, undo
+    // stack and annotations; their events are forwarded to _eventBus
+    _workspaces = new WorkspaceManager(_schema, { bus: _eventBus });
+    _workspaces.create(DEFAULT_WORKSPACE, { storageKey: 'graph' });
+    bindWorkspace(_workspaces.open(DEFAULT_WORKSPACE));
     const _diffEngine = new DiffEngine();
-    _undoRedo = new UndoRedoManager(_graph);
 
     // Phase 3: Initialize services (after eventBus exists)
-    _annotationService = new AnnotationService(_graph, { bus: _eventBus });
     _cassettePlayer = new CassettePlayer(_eventBus);
     _highlightController = new HighlightController(_eventBus);
 
@@ -169,24 +218,61 @@ async function initializeGS(config = {}) {
     _errorHandler = new ErrorHandler(_eventBus);
     _eventAudit = new EventAudit(_eventBus);
 
+    // Optional UI, following the active workspace
+    if (config.renderer) {
+      _uiBridge = new UIBridge(_graph, _workspaces.getActive().eventBus);
+      _uiBridge.setRenderer(config.renderer, config.container || null);
+    }
+
     // Wire all modules into window.GS
     GS.events = _eventBus;
     GS.graph = {
       create: () => new Graph(_eventBus, _schema),
-      load: (data) => {
-        _graph.load(data);
-        return _graph;
-      },
+      load: (data, options) => _graph.load(data, options),
       serialize: (format = 'json') => _graph.serialize(),
       addEntity: (entity) => _graph.addEntity(entity),
       updateEntity: (entityId, patch) => _graph.updateEntity(entityId, patch),
-      removeEntity: (entityId) => _graph.removeEntity(entityId),
+      removeEntity: (entityId, options) => _graph.removeEntity(entityId, options),
       addRelation: (relation) => _graph.addRelation(relation),
       updateRelation: (relationId, patch) => _graph.updateRelation(relationId, patch),
-      removeRelation: (relationId) => _graph.removeRelation(relationId),
+      removeRelation: (relationId, options) => _graph.removeRelation(relationId, options),
       getEntity: (id) => _graph.getEntity(id),
       getRelation: (id) => _graph.getRelation(id),
+      resolveRef: (ref) => _graph.resolveRef(ref),
+      getRefs: (entityId) => _graph.getRefs(entityId),
+      getBrokenRefs: (target) => _graph.getBrokenRefs(target),
+      transaction: (fn, options) => _graph.transaction(fn, options),
+      upsert: (mapped, options) => _graph.upsert(mapped, options),
+      extract: (selection, options) => _graph.extract(selection, options),
+      clone: () => _graph.clone(),
+      use: (middleware) => _graph.use(middleware),
+      setActor: (actor) => _graph.setActor(actor),
+      getActor: () => _graph.getActor(),
+      createSubgraph: (entityId) => _graph.getCurrentGraph().createSubgraph(entityId),
+      drillDown: (entityId) => _graph.drillDown(entityId),
+      drillUp: () => _graph.drillUp(),
+      getPath: () => _graph.getPath(),
+      getCurrentGraph: () => _graph.getCurrentGraph(),
       getActiveGraph: () => _graph,
+      trash: {
+        list: (options) => _graph.trash.list(options),
+        restore: (id) => _graph.trash.restore(id),
+        purge: (target) => _graph.trash.purge(target),
+      },
+    };
+
+    GS.workspace = {
+      create: (name, options) => {
+        _workspaces.create(name, options);
+        return _workspaces.list().find((workspace) => workspace.name === name);
+      },
+      list: () => _workspaces.list(),
+      open: (name) => {
+        bindWorkspace(_workspaces.open(name));
+        return _workspaces.list().find((workspace) => workspace.name === name);
+      },
+      close: (name) => _workspaces.close(name),
+      current: () => _workspaces.activeName,
     };
 
     GS.schema = {
@@ -194,17 +280,33 @@ async function initializeGS(config = {}) {
       getActive: () => _schema,
       addEntityType: (name, def) => _schema.registerEntityType(name, def),
       addRelationType: (name, def) => _schema.registerRelationType(name, def),
+      addValidator: (name, fn) => _schema.registerValidator(name, fn),
+      addMigration: (from, to, fn) => _schema.addMigration(from, to, fn),
+      getVersion: () => _schema.version,
+      infer: (data, options) => Schema.infer(data, options),
+      registerDraft: (draft) => _schema.registerDraft(draft),
+      registerPack: (name, pack) => _schema.registerPack(name, pack),
+      unloadPack: (name) => _schema.unloadPack(name),
+      listPacks: () => _schema.listPacks(),
+      getPresentation: (typeName, context) => _schema.getPresentation(typeName, context),
+      toJSONSchema: (options) => _schema.toJSONSchema(options),
+      importJSONSchema: (doc) => _schema.importJSONSchema(doc),
       validateGraph: () => _schema.validateGraph(_graph),
     };
 
     GS.query = {
       where: (predicate) => _queryEngine.from().where(predicate),
       execute: () => _queryEngine.from().execute(),
-      diff: (oldVerId, newVerId) => _diffEngine.diff(
+      parse: (text) => _queryEngine.parse(text),
+      run: (text) => _queryEngine.parse(text).execute(),
+      diff: (oldVerId, newVerId, options) => _diffEngine.diff(
         _versioning.getVersion(oldVerId)?.snapshot,
-        _versioning.getVersion(newVerId)?.snapshot
+        _versioning.getVersion(newVerId)?.snapshot,
+        diffOptions(options)
       ),
-      shortestPath: (fromId, toId) => _queryEngine.from().path(fromId, toId),
+      shortestPath: (fromId, toId, options) => _queryEngine.shortestPath(fromId, toId, options),
+      kShortestPaths: (fromId, toId, k, options) => _queryEngine.kShortestPaths(fromId, toId, k, options),
+      allShortestPaths: (fromId, toId, options) => _queryEngine.allShortestPaths(fromId, toId, options),
     };
 
     GS.versioning = {
@@ -217,7 +319,7 @@ async function initializeGS(config = {}) {
     };
 
     GS.diff = {
-      compare: (oldGraph, newGraph) => _diffEngine.diff(oldGraph, newGraph),
+      compare: (oldGraph, newGraph, options) => _diffEngine.diff(oldGraph, newGraph, diffOptions(options)),
       reverse: (diff) => _diffEngine.reverse(diff),
       apply: (baseGraph, diff) => _diffEngine.apply(baseGraph, diff),
     };
@@ -235,6 +337,29 @@ async function initializeGS(config = {}) {
       getRedoLabel: () => _undoRedo.getRedoLabel(),
     };
 
+    const batchOf = (type, targetType, items, options) => new BatchOperation(_graph, options)
+      .addAll(items.map((data) => ({ type, targetType, data })));
+
+    GS.batch = {
+      addEntities: (entities, options) => batchOf('add', 'entity', entities, options),
+      addRelations: (relations, options) => batchOf('add', 'relation', relations, options),
+      updateEntities: (updates, options) => batchOf('update', 'entity', updates, options),
+      updateRelations: (updates, options) => batchOf('update', 'relation', updates, options),
+      removeEntities: (ids, options) => batchOf('remove', 'entity', ids, options),
+      removeRelations: (ids, options) => batchOf('remove', 'relation', ids, options),
+      begin: (options) => {
+        _pendingBatch = new BatchOperation(_graph, options);
+        return _pendingBatch;
+      },
+      status: () => (_pendingBatch ? _pendingBatch.getState() : null),
+      cancel: () => {
+        if (_pendingBatch && _pendingBatch.state === 'pending') {
+          _pendingBatch.cancel();
+        }
+        _pendingBatch = null;
+      },
+    };
+
     GS.annotation = {
       addNote: (targetId, content) => _annotationService.addNote(targetId, content),
       updateNote: (noteId, content) => _annotationService.updateNote(noteId, content),
@@ -272,12 +397,13 @@ async function initializeGS(config = {}) {
       use: (providerName) => _storageManager.setActive(providerName),
       save: async () => {
         const serialized = _graph.serialize();
-        return _storageManager.save('graph', serialized);
+        return _storageManager.save(_storageKey, serialized);
       },
       load: async () => {
-        const data = await _storageManager.load('graph');
-        if (data) _graph.load(data);
-        return data;
+        const data = await _storageManager.load(_storageKey);
+        if (!data) return null;
+        const { migration } = _graph.load(data);
+        return { data, migration };
       },
       status: () => ({
         activeAdapter: _storageManager.getActiveAdapterName(),
@@ -293,6 +419,14 @@ async function initializeGS(config = {}) {
         return _dataAdapterManager.map(rawData);
       },
       refresh: async () => _dataAdapterManager.refresh(),
+      import: async (options, mergeOptions = {}) => {
+        const rawData = await _dataAdapterManager.fetch(options);
+        const mapped = await _dataAdapterManager.map(rawData);
+        return _graph.upsert(mapped, {
+          source: _dataAdapterManager.getActiveAdapterName(),
+          ...mergeOptions,
+        });
+      },
     };
 
     GS.sync = {
@@ -304,9 +438,9 @@ async function initializeGS(config = {}) {
 
     GS.replay = {
       validate: (events) => _eventReplayEngine.validate(events),
-      replayFromStart: (events) => _eventReplayEngine.replayFromStart(events),
-      replayFromSnapshot: (snapshot, events) => _eventReplayEngine.replayFromSnapshot(snapshot, events),
-      replayUntil: (events, until) => _eventReplayEngine.replayUntil(events, until),
+      replayFromStart: (events, options) => _eventReplayEngine.replayFromStart(events, options),
+      replayFromSnapshot: (snapshot, events, options) => _eventReplayEngine.replayFromSnapshot(snapshot, events, options),
+      replayUntil: (events, until, options) => _eventReplayEngine.replayUntil(events, until, options),
       start: () => {
         // Future: full replay scrubber
       },
@@ -344,8 +478,8 @@ async function initializeGS(config = {}) {
       mode: config.mode || 'headless',
       offline: config.offline === true,
       modules: {
-        core: ['eventBus', 'graph', 'schema'],
-        operations: ['query', 'versioning', 'diff', 'undoRedo'],
+        core: ['eventBus', 'graph', 'schema', 'workspace'],
+        operations: ['query', 'versioning', 'diff', 'undoRedo', 'batch'],
         services: ['annotation', 'cassette', 'highlight'],
         adapters: ['storage', 'adapters', 'sync'],
         phase5: ['replay', 'errors', 'audit'],
@@ -389,7 +523,14 @@ function destroyGS() {
   if (_eventAudit) {
     _eventAudit.destroy?.();
   }
+  if (_uiBridge) {
+    _uiBridge.destroy();
+  }
   _eventBus = null;
+  _workspaces = null;
+  _uiBridge = null;
+  _queryEngine = null;
+  _storageKey = null;
   _graph = null;
   _schema = null;
   _versioning = null;
@@ -403,6 +544,7 @@ function destroyGS() {
   _eventReplayEngine = null;
   _errorHandler = null;
   _eventAudit = null;
+  _pendingBatch = null;
   _initialized = false;
   console.log('✅ GS destroyed');
 }
@@ -415,6 +557,7 @@ function destroyGS() {
 function getStatus() {
   return {
     initialized: _initialized,
+    workspace: _workspaces?.activeName || null,
     online: typeof navigator !== 'undefined' ? navigator.onLine : false,
     activeVersion: _versioning?.getCurrentVersion?.()?.id || null,
     activeBranch: _versioning?.getCurrentBranch?.()?.name || null,
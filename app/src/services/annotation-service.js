@@ -42,6 +42,35 @@ export class AnnotationService {
     this.eventBus.subscribe('graph.relation.removed', (event) => {
       this.archiveAnnotations(event.data.relationId);
     });
+
+    // Bring annotations back with items restored from the trash
+    this.eventBus.subscribe('graph.entity.restored', (event) => {
+      this.restoreFromEvent(event.data);
+    });
+
+    this.eventBus.subscribe('graph.relation.restored', (event) => {
+      this.restoreAnnotations(event.data.relationId);
+    });
+
+    // Purged tombstones take their archived annotations with them
+    this.eventBus.subscribe('graph.trash.purged', (event) => {
+      (event.data.purged || []).forEach((targetId) => this.purgeArchived(targetId));
+    });
+
+    // Removals inside a transaction only arrive once it commits
+    this.eventBus.subscribe('graph.transaction.committed', (event) => {
+      event.data.changes.forEach(({ type, data }) => {
+        if (type === 'graph.entity.removed') {
+          this.archiveAnnotations(data.entityId);
+        } else if (type === 'graph.relation.removed') {
+          this.archiveAnnotations(data.relationId);
+        } else if (type === 'graph.entity.restored') {
+          this.restoreFromEvent(data);
+        } else if (type === 'graph.relation.restored') {
+          this.restoreAnnotations(data.relationId);
+        }
+      });
+    });
   }
 
   /**
@@ -418,6 +447,52 @@ export class AnnotationService {
     }
   }
 
+  /**
+   * Move archived annotations of a target back into the live set
+   * @param {string} targetId - Entity or relation ID
+   * @returns {Object[]} Restored annotations
+   */
+  restoreAnnotations(targetId) {
+    const restored = this.archived.filter(a => a.targetId === targetId);
+    if (restored.length === 0) {
+      return [];
+    }
+
+    this.archived = this.archived.filter(a => a.targetId !== targetId);
+    for (const annotation of restored) {
+      this.addAnnotation(targetId, annotation);
+      this.indexAnnotation(targetId, annotation);
+    }
+
+    if (this.eventBus) {
+      this.eventBus.emit('annotation.restored', {
+        targetId,
+        annotationCount: restored.length,
+        annotations: restored
+      });
+    }
+
+    return restored;
+  }
+
+  /**
+   * Restore annotations for everything in a 'graph.entity.restored' payload
+   * @param {Object} data - Event data ({ entityId, cascaded })
+   */
+  restoreFromEvent(data) {
+    const cascaded = data.cascaded || { entities: [], relations: [] };
+    [data.entityId, ...cascaded.entities.map(e => e.id), ...cascaded.relations.map(r => r.id)]
+      .forEach(targetId => this.restoreAnnotations(targetId));
+  }
+
+  /**
+   * Permanently drop archived annotations of a target
+   * @param {string} targetId - Entity or relation ID
+   */
+  purgeArchived(targetId) {
+    this.archived = this.archived.filter(a => a.targetId !== targetId);
+  }
+
   /**
    * Internal: Add annotation to storage and index
    * @param {string} targetId - Entity or relation ID
@@ -436,6 +511,29 @@ export class AnnotationService {
     this.annotationTypeIndex.get(annotation.type).add(targetId);
   }
 
+  /**
+   * Internal: Add a tag or flag annotation to the lookup indexes
+   * @param {string} targetId - Entity or relation ID
+   * @param {Object} annotation - Annotation object
+   */
+  indexAnnotation(targetId, annotation) {
+    if (annotation.type === 'tag') {
+      if (!this.tagIndex.has(annotation.name)) {
+        this.tagIndex.set(annotation.name, new Set());
+      }
+      this.tagIndex.get(annotation.name).add(targetId);
+    } else if (annotation.type === 'flag') {
+      if (!this.flagIndex.has(annotation.name)) {
+        this.flagIndex.set(annotation.name, new Map());
+      }
+      const valueMap = this.flagIndex.get(annotation.name);
+      if (!valueMap.has(annotation.value)) {
+        valueMap.set(annotation.value, new Set());
+      }
+      valueMap.get(annotation.value).add(targetId);
+    }
+  }
+
   /**
    * Internal: Remove annotation from storage
    * @param {string} targetId - Entity or relation ID
@@ -498,23 +596,7 @@ export class AnnotationService {
       for (const [targetId, annotations] of Object.entries(data.annotations)) {
         for (const annotation of annotations) {
           this.addAnnotation(targetId, annotation);
-          
-          // Rebuild indexes
-          if (annotation.type === 'tag') {
-            if (!this.tagIndex.has(annotation.name)) {
-              this.tagIndex.set(annotation.name, new Set());
-            }
-            this.tagIndex.get(annotation.name).add(targetId);
-          } else if (annotation.type === 'flag') {
-            if (!this.flagIndex.has(annotation.name)) {
-              this.flagIndex.set(annotation.name, new Map());
-            }
-            const valueMap = this.flagIndex.get(annotation.name);
-            if (!valueMap.has(annotation.value)) {
-              valueMap.set(annotation.value, new Set());
-            }
-            valueMap.get(annotation.value).add(targetId);
-          }
+          this.indexAnnotation(targetId, annotation);
         }
       }
     }
@@ -0,0 +1,227 @@
+/**
+ * WorkspaceManager
+ *
+ * Keeps several graphs open side by side, e.g. one per investigation.
+ * Each workspace has its own EventBus, Graph, Versioning, UndoRedoManager
+ * and AnnotationService, so history and annotations never mix between
+ * workspaces, and its own storage key. Events from every workspace are
+ * forwarded to the shared bus so app-wide listeners still see them.
+ *
+ * Each workspace graph uses the workspace name as its graphId, so entities
+ * can reference entities of other open workspaces ({ graphId, entityId }).
+ * When a referenced entity is removed, or its workspace closed, the graphs
+ * holding such references emit graph.ref.broken.
+ *
+ * Event Contract (on the shared bus):
+ *   workspace.created: { name, storageKey }
+ *   workspace.opened:  { name, previous }
+ *   workspace.closed:  { name }
+ *
+ * Example:
+ *   const workspaces = new WorkspaceManager(schema, { bus });
+ *   workspaces.create('incident-42');
+ *   workspaces.open('incident-42').graph.addEntity({ id: 'u1', type: 'user' });
+ */
+
+import { EventBus } from '../core/event/bus.js';
+import { Graph } from '../core/graph.js';
+import { Versioning } from '../core/versioning.js';
+import { UndoRedoManager } from '../core/undo-redo.js';
+import { AnnotationService } from './annotation-service.js';
+
+export class WorkspaceManager {
+  /**
+   * @param {Schema} schema - Schema shared by all workspace graphs
+   * @param {Object} options
+   * @param {EventBus} options.bus - Shared bus for workspace events and forwarded graph events
+   * @param {string} options.storagePrefix - Prefix for default storage keys (default: 'workspace:')
+   */
+  constructor(schema, options = {}) {
+    this.schema = schema;
+    this.bus = options.bus || null;
+    this.storagePrefix = options.storagePrefix || 'workspace:';
+
+    // Map<name, Workspace>
+    this.workspaces = new Map();
+
+    // Map<name, unsubscribe> for event forwarding and reference checks
+    this._subscriptions = new Map();
+
+    this.activeName = null;
+  }
+
+  /**
+   * Create a workspace
+   *
+   * @param {string} name - Unique workspace name
+   * @param {Object} options
+   * @param {string} options.storageKey - Storage key (default: storagePrefix + name)
+   * @param {Object} options.graph - Graph options (deletePolicy, softDelete, actor)
+   * @returns {Object} Workspace { name, eventBus, graph, versioning, undoRedo, annotations, storageKey, createdAt }
+   * @throws {Error} If the name is empty or already taken
+   */
+  create(name, options = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Workspace name must be a non-empty string');
+    }
+    if (this.workspaces.has(name)) {
+      throw new Error(`Workspace '${name}' already exists`);
+    }
+
+    const eventBus = new EventBus();
+    const graph = new Graph(eventBus, this.schema, {
+      ...options.graph,
+      graphId: name,
+      resolveGraph: (graphId) => this.get(graphId)?.graph || null,
+    });
+    const workspace = {
+      name,
+      eventBus,
+      graph,
+      versioning: new Versioning(graph, eventBus),
+      undoRedo: new UndoRedoManager(graph),
+      annotations: new AnnotationService(graph, { bus: eventBus }),
+      storageKey: options.storageKey || `${this.storagePrefix}${name}`,
+      createdAt: new Date().toISOString(),
+    };
+
+    this.workspaces.set(name, workspace);
+    this._subscriptions.set(name, eventBus.subscribe('*', (event) => {
+      if (this.bus) {
+        this.bus.emit(event.type, event.data, { source: event.meta.source, actor: event.actor });
+      }
+      this._onEvent(name, event);
+    }));
+
+    this._emit('workspace.created', { name, storageKey: workspace.storageKey });
+    return workspace;
+  }
+
+  /**
+   * Make a workspace the active one
+   *
+   * @param {string} name - Workspace name
+   * @returns {Object} The workspace
+   * @throws {Error} If the workspace does not exist
+   */
+  open(name) {
+    const workspace = this._require(name);
+    const previous = this.activeName;
+
+    this.activeName = name;
+    this._emit('workspace.opened', { name, previous });
+    return workspace;
+  }
+
+  /**
+   * Close a workspace and drop its graph, history and annotations
+   *
+   * References into the closed workspace no longer resolve and are
+   * reported with graph.ref.broken by the graphs holding them.
+   *
+   * @param {string} name - Workspace name
+   * @throws {Error} If the workspace does not exist or is the active one
+   */
+  close(name) {
+    this._require(name);
+    if (name === this.activeName) {
+      throw new Error(`Cannot close the active workspace '${name}'; open another one first`);
+    }
+
+    this._subscriptions.get(name)();
+    this._subscriptions.delete(name);
+    this.workspaces.delete(name);
+
+    this._emit('workspace.closed', { name });
+    this._checkRefs({ graphId: name });
+  }
+
+  /**
+   * Get a workspace by name
+   *
+   * @param {string} name - Workspace name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.workspaces.get(name) || null;
+  }
+
+  /**
+   * Get the active workspace
+   *
+   * @returns {Object|null}
+   */
+  getActive() {
+    return this.activeName ? this.get(this.activeName) : null;
+  }
+
+  /**
+   * Summarize all workspaces
+   *
+   * @returns {Object[]} [{ name, active, storageKey, entityCount, relationCount, createdAt }]
+   */
+  list() {
+    return Array.from(this.workspaces.values()).map((workspace) => ({
+      name: workspace.name,
+      active: workspace.name === this.activeName,
+      storageKey: workspace.storageKey,
+      entityCount: workspace.graph.entities.size,
+      relationCount: workspace.graph.relations.size,
+      createdAt: workspace.createdAt,
+    }));
+  }
+
+  /**
+   * @private
+   * @param {string} name - Workspace name
+   * @returns {Object} The workspace
+   * @throws {Error} If the workspace does not exist
+   */
+  _require(name) {
+    const workspace = this.workspaces.get(name);
+    if (!workspace) {
+      throw new Error(`Workspace '${name}' not found`);
+    }
+    return workspace;
+  }
+
+  /**
+   * Check references to entities removed from a workspace graph
+   *
+   * Runs after the event has been forwarded, so warnings follow the removal.
+   *
+   * @private
+   * @param {string} name - Workspace the event came from
+   * @param {Object} event - Event from the workspace bus
+   */
+  _onEvent(name, event) {
+    const changes = event.type === 'graph.transaction.committed' ? event.data.changes : [event];
+    changes
+      // Only entities of the top-level graph can be referenced
+      .filter((change) => change.type === 'graph.entity.removed' && !change.data.path)
+      .forEach((change) => this._checkRefs({ graphId: name, entityId: change.data.entityId }));
+  }
+
+  /**
+   * Have every workspace graph report its broken references to a target
+   *
+   * @private
+   * @param {Object} target - { graphId, entityId }
+   */
+  _checkRefs(target) {
+    for (const workspace of this.workspaces.values()) {
+      workspace.graph.checkRefs(target);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _emit(type, data) {
+    if (this.bus) {
+      this.bus.emit(type, data, { source: 'WorkspaceManager' });
+    }
+  }
+}
+
+export default WorkspaceManager;
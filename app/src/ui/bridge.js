@@ -40,10 +40,10 @@ export class UIBridge {
 
     if (renderer && container) {
       try {
-        renderer.init(container, { mode: this.mode, theme: this.theme });
+        renderer.init(container, { mode: this.mode, theme: this.theme, schema: this.graph.schema });
         // Render initial graph snapshot if available
         if (typeof this.graph.serialize === 'function') {
-          renderer.render(this.graph.serialize());
+          renderer.render(this._snapshot());
         }
         // Subscribe to core events for incremental updates
         this.subscribeToEvents();
@@ -53,6 +53,32 @@ export class UIBridge {
     }
   }
 
+  /**
+   * Point the bridge at another graph, e.g. when switching workspaces
+   *
+   * Moves the event subscriptions to the new bus and re-renders.
+   *
+   * @param {Graph} graph - Graph to show
+   * @param {EventBus} bus - Bus the graph emits on (default: current bus)
+   */
+  setGraph(graph, bus = this.bus) {
+    this.unsubscribeFromEvents();
+    this.graph = graph;
+    this.bus = bus;
+
+    if (this.renderer && this.container) {
+      this.subscribeToEvents();
+      if (typeof this.renderer.setSchema === 'function') {
+        this.renderer.setSchema(graph.schema || null);
+      }
+      try {
+        this.renderer.render(this._snapshot());
+      } catch (err) {
+        console.error('Renderer full render failed:', err);
+      }
+    }
+  }
+
   /**
    * Get the active renderer
    */
@@ -101,7 +127,7 @@ export class UIBridge {
           this.graph.updateEntity(params.id, params.patch);
           break;
         case 'removeEntity':
-          this.graph.removeEntity(params.id);
+          this.graph.removeEntity(params.id, { policy: params.policy });
           break;
         case 'addRelation':
           this.graph.addRelation(params);
@@ -110,11 +136,7 @@ export class UIBridge {
           this.graph.updateRelation(params.id, params.patch);
           break;
         case 'removeRelation':
-          if (this.graph && typeof this.graph.removeRelation === 'function') {
-            this.graph.removeRelation(params.id);
-          } else {
-            console.warn('removeRelation not implemented on graph');
-          }
+          this.graph.removeRelation(params.id);
           break;
         default:
           console.warn(`Unknown command: ${command}`);
@@ -138,7 +160,7 @@ export class UIBridge {
           // After incremental update, provide full snapshot for renderers
           if (this.renderer && this.renderer.render && typeof this.graph.serialize === 'function') {
             try {
-              this.renderer.render(this.graph.serialize());
+              this.renderer.render(this._snapshot());
             } catch (err) {
               console.error('Renderer full render failed:', err);
             }
@@ -155,7 +177,50 @@ export class UIBridge {
       this.bus.subscribe('graph.entity.removed', onGraphChange),
       this.bus.subscribe('graph.relation.added', onGraphChange),
       this.bus.subscribe('graph.relation.updated', onGraphChange),
-      this.bus.subscribe('graph.relation.removed', onGraphChange)
+      this.bus.subscribe('graph.relation.removed', onGraphChange),
+      this.bus.subscribe('graph.entity.restored', onGraphChange),
+      this.bus.subscribe('graph.relation.restored', onGraphChange),
+      this.bus.subscribe('graph.trash.purged', onGraphChange)
+    );
+
+    // Transactions: one full render per commit; replay changes only for renderers that cannot render
+    const onTransaction = (event) => {
+      if (!this.renderer) return;
+      if (this.renderer.render && typeof this.graph.serialize === 'function') {
+        try {
+          this.renderer.render(this._snapshot());
+        } catch (err) {
+          console.error('Renderer full render failed:', err);
+        }
+        return;
+      }
+      if (this.renderer.update) {
+        try {
+          event.data.changes.forEach((change) => this.renderer.update(change));
+        } catch (err) {
+          console.error('Renderer update failed:', err);
+        }
+      }
+    };
+
+    this._unsubscribers.push(
+      this.bus.subscribe('graph.transaction.committed', onTransaction)
+    );
+
+    // Drill-down navigation: show the level now in focus
+    const onNavigate = () => {
+      if (this.renderer && this.renderer.render) {
+        try {
+          this.renderer.render(this._snapshot());
+        } catch (err) {
+          console.error('Renderer full render failed:', err);
+        }
+      }
+    };
+
+    this._unsubscribers.push(
+      this.bus.subscribe('graph.subgraph.entered', onNavigate),
+      this.bus.subscribe('graph.subgraph.exited', onNavigate)
     );
 
     // Annotation events
@@ -176,6 +241,19 @@ export class UIBridge {
     );
   }
 
+  /**
+   * Serialize the drill-down level currently in focus
+   *
+   * @private
+   * @returns {Object} Serialized graph
+   */
+  _snapshot() {
+    const level = typeof this.graph.getCurrentGraph === 'function'
+      ? this.graph.getCurrentGraph()
+      : this.graph;
+    return level.serialize();
+  }
+
   /**
    * Unsubscribe from events
    */
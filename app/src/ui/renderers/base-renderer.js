@@ -8,11 +8,18 @@
  * See: ../../doc/arch/ui.md
  */
 
+import { AUDIT_FIELDS } from '../../core/entity.js';
+
+/** Keys of an item that are not shown as fields */
+const HIDDEN_FIELDS = ['id', 'type', 'metadata', 'subgraph', 'deleted', 'provenance', ...AUDIT_FIELDS];
+
 export class BaseRenderer {
   constructor(options = {}) {
     this.container = null;
     this.mode = options.mode || 'view'; // view, edit, annotate
     this.theme = options.theme || 'light';
+    this.showDeleted = options.showDeleted || false; // draw soft-deleted items
+    this.schema = options.schema || null; // presentation hints per type
     this.highlightedElements = new Map(); // Map<elementId, kind>
     this.options = undefined;
     this._listeners = new Map();
@@ -22,13 +29,15 @@ export class BaseRenderer {
    * Initialize renderer with DOM container and options
    *
    * @param {HTMLElement} container - Target DOM element
-   * @param {Object} options - Configuration (mode, theme, etc.)
+   * @param {Object} options - Configuration (mode, theme, schema, etc.)
    */
   init(container, options = {}) {
     this.container = container;
     this.options = options;
     if (options.mode) this.mode = options.mode;
     if (options.theme) this.theme = options.theme;
+    if (options.showDeleted !== undefined) this.showDeleted = options.showDeleted;
+    if (options.schema) this.schema = options.schema;
   }
 
   /**
@@ -99,6 +108,148 @@ export class BaseRenderer {
     this._emitEvent('themeChange', { theme });
   }
 
+  /**
+   * Show or hide soft-deleted items on the next render
+   *
+   * @param {boolean} showDeleted - Whether to draw items from the trash
+   */
+  setShowDeleted(showDeleted) {
+    this.showDeleted = showDeleted;
+    this._emitEvent('showDeletedChange', { showDeleted });
+  }
+
+  /**
+   * Set the schema whose presentation hints style entities and relations
+   *
+   * @param {Schema|null} schema - Schema, or null for unstyled output
+   */
+  setSchema(schema) {
+    this.schema = schema;
+    this._emitEvent('schemaChange', { schema });
+  }
+
+  /**
+   * Presentation hints for an entity or relation, from its schema type
+   *
+   * @param {Object} item - Entity or relation
+   * @param {string} kind - 'entity' | 'relation'
+   * @returns {Object} Presentation ({} without a schema or hints)
+   */
+  _presentation(item, kind = 'entity') {
+    if (!this.schema || !item?.type) return {};
+    return this.schema.getPresentation(item.type, kind);
+  }
+
+  /**
+   * How to draw an entity
+   *
+   * @param {Object} entity - Entity
+   * @returns {Object} { label, icon, color, shape, size }; label falls back to metadata.title, then id
+   */
+  _nodeStyle(entity) {
+    const presentation = this._presentation(entity, 'entity');
+    const size = presentation.sizeField ? Number(entity[presentation.sizeField]) : NaN;
+    return {
+      label: this._formatLabel(presentation.label, entity) || entity.metadata?.title || entity.id,
+      icon: presentation.icon || null,
+      color: presentation.color || null,
+      shape: presentation.shape || 'circle',
+      size: Number.isFinite(size) ? size : null,
+    };
+  }
+
+  /**
+   * How to draw a relation
+   *
+   * @param {Object} relation - Relation
+   * @returns {Object} { label, color, style, thickness }; label falls back to the type
+   */
+  _edgeStyle(relation) {
+    const presentation = this._presentation(relation, 'relation');
+    return {
+      label: this._formatLabel(presentation.label, relation) || relation.type,
+      color: presentation.color || null,
+      style: presentation.edgeStyle || 'solid',
+      thickness: presentation.thickness || 1,
+    };
+  }
+
+  /**
+   * Fields of an entity or relation in display order
+   *
+   * Fields listed in the presentation come first, with their widget hint;
+   * the remaining fields follow in their own order. Identity, type and
+   * metadata are left out.
+   *
+   * @param {Object} item - Entity or relation
+   * @param {string} kind - 'entity' | 'relation'
+   * @returns {Object[]} [{ field, value, widget }] (widget: null without a hint)
+   */
+  _displayFields(item, kind = 'entity') {
+    const listed = (this._presentation(item, kind).fields || [])
+      .map((field) => (typeof field === 'string' ? { name: field } : field))
+      .filter((field) => item[field.name] !== undefined);
+    const names = listed.map((field) => field.name);
+    const rest = Object.keys(item).filter(
+      (field) => !names.includes(field) && !HIDDEN_FIELDS.includes(field) && !(kind === 'relation' && ['from', 'to'].includes(field))
+    );
+
+    return [
+      ...listed.map((field) => ({ field: field.name, value: item[field.name], widget: field.widget || null })),
+      ...rest.map((field) => ({ field, value: item[field], widget: null })),
+    ];
+  }
+
+  /**
+   * Fill a label template such as '{login} ({name})' from an item's fields
+   *
+   * @param {string|undefined} template - Label template
+   * @param {Object} item - Entity or relation
+   * @returns {string|null} Label, or null without a template or when every placeholder is empty
+   */
+  _formatLabel(template, item) {
+    if (!template) return null;
+    let filled = false;
+    const label = template.replace(/\{([^{}]+)\}/g, (match, path) => {
+      const value = path.split('.').reduce((value, key) => value?.[key], item);
+      if (value === undefined || value === null) return '';
+      filled = true;
+      return String(value);
+    });
+    return filled || !/\{[^{}]+\}/.test(template) ? label : null;
+  }
+
+  /**
+   * Entities and relations to draw from a snapshot
+   *
+   * Soft-deleted items (snapshot.trash) are left out unless showDeleted is
+   * set, in which case they are included with `deleted: true`.
+   *
+   * @param {Object} graphSnapshot - Serialized graph { entities, relations, trash }
+   * @returns {Object} { entities, relations }
+   */
+  _visibleItems(graphSnapshot) {
+    const { entities = [], relations = [], trash = [] } = graphSnapshot;
+    if (!this.showDeleted || trash.length === 0) {
+      return { entities, relations };
+    }
+
+    const deleted = (item) => ({ ...item, deleted: true });
+    const deletedEntities = [];
+    const deletedRelations = [];
+    trash.forEach((tombstone) => {
+      const target = tombstone.kind === 'entity' ? deletedEntities : deletedRelations;
+      target.push(deleted(tombstone.item));
+      deletedEntities.push(...tombstone.entities.map(deleted));
+      deletedRelations.push(...tombstone.relations.map(deleted));
+    });
+
+    return {
+      entities: [...entities, ...deletedEntities],
+      relations: [...relations, ...deletedRelations],
+    };
+  }
+
   /**
    * Cleanup and destroy renderer
    */
@@ -59,24 +59,13 @@ export class D3Renderer extends BaseRenderer {
     this.currentSnapshot = graphSnapshot;
     if (!graphSnapshot) return;
 
-    const { entities = [], relations = [] } = graphSnapshot;
+    const { entities, relations } = this._visibleItems(graphSnapshot);
 
     // Prepare node data from entities (always, regardless of container)
-    this.nodes = entities.map((entity) => ({
-      id: entity.id,
-      type: entity.type,
-      label: entity.metadata?.title || entity.id,
-      entity,
-    }));
+    this.nodes = entities.map((entity) => this._toNode(entity));
 
     // Prepare link data from relations
-    this.links = relations.map((relation) => ({
-      id: relation.id,
-      source: relation.from,
-      target: relation.to,
-      type: relation.type,
-      relation,
-    }));
+    this.links = relations.map((relation) => this._toLink(relation));
 
     // Render visualization only if container exists
     if (this.container) {
@@ -92,14 +81,7 @@ export class D3Renderer extends BaseRenderer {
 
     // Handle incremental updates
     if (type === 'graph.entity.added') {
-      const entity = data.entity;
-      const node = {
-        id: entity.id,
-        type: entity.type,
-        label: entity.metadata?.title || entity.id,
-        entity,
-      };
-      this.nodes.push(node);
+      this.nodes.push(this._toNode(data.entity));
       // Re-render with new nodes
       this._renderD3Graph();
     } else if (type === 'graph.entity.removed') {
@@ -111,20 +93,11 @@ export class D3Renderer extends BaseRenderer {
     } else if (type === 'graph.entity.updated') {
       const node = this.nodes.find((n) => n.id === data.entityId);
       if (node) {
-        node.label = data.after.metadata?.title || data.after.id;
-        node.entity = data.after;
+        Object.assign(node, this._toNode(data.after));
       }
       this._updateNodeVisuals();
     } else if (type === 'graph.relation.added') {
-      const relation = data.relation;
-      const link = {
-        id: relation.id,
-        source: relation.from,
-        target: relation.to,
-        type: relation.type,
-        relation,
-      };
-      this.links.push(link);
+      this.links.push(this._toLink(data.relation));
       this._renderD3Graph();
     } else if (type === 'graph.relation.removed') {
       this.links = this.links.filter((l) => l.id !== data.relationId);
@@ -159,6 +132,14 @@ export class D3Renderer extends BaseRenderer {
     }
   }
 
+  setSchema(schema) {
+    super.setSchema(schema);
+    // Restyle every node and link from the new presentation hints
+    this.nodes.forEach((node) => Object.assign(node, this._toNode(node.entity)));
+    this.links.forEach((link) => Object.assign(link, this._toLink(link.relation)));
+    this._updateNodeVisuals();
+  }
+
   setMode(mode) {
     super.setMode(mode);
     // Mode affects interaction behavior (view vs edit vs annotate)
@@ -181,6 +162,36 @@ export class D3Renderer extends BaseRenderer {
 
   // Private methods
 
+  /**
+   * Node datum for an entity, styled from its schema presentation
+   * @private
+   * @param {Object} entity
+   * @returns {Object} { id, type, label, style, entity }
+   */
+  _toNode(entity) {
+    const { label, ...style } = this._nodeStyle(entity);
+    return { id: entity.id, type: entity.type, label, style, entity };
+  }
+
+  /**
+   * Link datum for a relation, styled from its schema presentation
+   * @private
+   * @param {Object} relation
+   * @returns {Object} { id, source, target, type, label, style, relation }
+   */
+  _toLink(relation) {
+    const { label, ...style } = this._edgeStyle(relation);
+    return {
+      id: relation.id,
+      source: relation.from,
+      target: relation.to,
+      type: relation.type,
+      label,
+      style,
+      relation,
+    };
+  }
+
   /**
    * Render the D3 force-directed graph
    * @private
@@ -211,6 +222,8 @@ export class D3Renderer extends BaseRenderer {
     // - Highlight state (this.highlightedElements)
     // - Theme (this.theme)
     // - Mode (this.mode)
+    // - Schema presentation (node.style: color, shape, size, icon; link.style: color, style, thickness)
+    // - Deleted state (node.entity.deleted, when showDeleted is on)
   }
 
   /**
@@ -37,7 +37,7 @@ export class JSONRenderer extends BaseRenderer {
     this.currentSnapshot = graphSnapshot;
     if (!this.container) return;
 
-    const json = JSON.stringify(graphSnapshot, null, 2);
+    const json = JSON.stringify(this._ordered(graphSnapshot), null, 2);
     this.container.innerHTML = '';
 
     // Create pre with syntax highlighting
@@ -84,11 +84,50 @@ export class JSONRenderer extends BaseRenderer {
     }
   }
 
+  setSchema(schema) {
+    super.setSchema(schema);
+    if (this.currentSnapshot) {
+      this.render(this.currentSnapshot);
+    }
+  }
+
   destroy() {
     super.destroy();
     this.currentSnapshot = null;
     this.expanded.clear();
   }
+
+  /**
+   * Snapshot as shown: soft-deleted items only with showDeleted, and each
+   * entity's and relation's keys in display order
+   *
+   * id and type lead, then the fields in the schema's presentation order,
+   * then everything else.
+   *
+   * @private
+   * @param {Object} graphSnapshot - Serialized graph
+   * @returns {Object} Copy to print
+   */
+  _ordered(graphSnapshot) {
+    if (!graphSnapshot) return graphSnapshot;
+
+    const order = (item, kind) => {
+      if (!this.schema) return item;
+      const head = kind === 'relation' ? ['id', 'type', 'from', 'to'] : ['id', 'type'];
+      const fields = this._displayFields(item, kind).map(({ field }) => field);
+      const keys = new Set([...head, ...fields, ...Object.keys(item)]);
+      return Object.fromEntries([...keys].filter((key) => key in item).map((key) => [key, item[key]]));
+    };
+
+    const { trash, ...shown } = graphSnapshot;
+    const { entities, relations } = this._visibleItems(graphSnapshot);
+    return {
+      ...shown,
+      ...(Array.isArray(graphSnapshot.entities) && { entities: entities.map((entity) => order(entity, 'entity')) }),
+      ...(Array.isArray(graphSnapshot.relations) && { relations: relations.map((relation) => order(relation, 'relation')) }),
+      ...(this.showDeleted && trash && { trash }),
+    };
+  }
 }
 
 export default JSONRenderer;
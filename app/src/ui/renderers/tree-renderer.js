@@ -45,7 +45,7 @@ export class TreeRenderer extends BaseRenderer {
 
     this.treeEl.innerHTML = '';
 
-    const { entities = [], relations = [] } = graphSnapshot;
+    const { entities, relations } = this._visibleItems(graphSnapshot);
 
     // Render entities as tree nodes
     entities.forEach((entity) => {
@@ -63,14 +63,21 @@ export class TreeRenderer extends BaseRenderer {
       relList.style.cssText = 'list-style: none; padding-left: 20px; margin: 0;';
 
       relations.forEach((rel) => {
+        const style = this._edgeStyle(rel);
         const relLi = document.createElement('li');
         relLi.style.cssText =
           'padding: 5px 0; cursor: pointer; user-select: none;';
-        relLi.innerHTML = `
-          <span style="color: #667eea;">●</span> 
-          <strong>${rel.type}</strong>: 
-          <code>${rel.from}</code> → <code>${rel.to}</code>
-        `;
+        const dot = document.createElement('span');
+        dot.style.color = style.color || '#667eea';
+        dot.textContent = '● ';
+        const name = document.createElement('strong');
+        name.style.borderBottom = `${style.thickness}px ${style.style} ${style.color || 'transparent'}`;
+        name.textContent = style.label;
+        const from = document.createElement('code');
+        from.textContent = rel.from;
+        const to = document.createElement('code');
+        to.textContent = rel.to;
+        relLi.append(dot, name, ': ', from, ' → ', to);
         relLi.addEventListener('click', () => {
           this._emitEvent('relationClicked', { relationId: rel.id, relation: rel });
         });
@@ -82,6 +89,7 @@ export class TreeRenderer extends BaseRenderer {
   }
 
   _createEntityNode(entity) {
+    const style = this._nodeStyle(entity);
     const li = document.createElement('li');
     li.style.cssText = 'padding: 8px 0; cursor: pointer; user-select: none;';
 
@@ -98,18 +106,25 @@ export class TreeRenderer extends BaseRenderer {
         this.highlightedElements.has(entity.id) ? '#667eea' : 'transparent'
       };
       transition: background 0.2s;
+      ${entity.deleted ? 'opacity: 0.5; text-decoration: line-through;' : ''}
     `;
 
     const icon = document.createElement('span');
     icon.style.cssText =
-      'margin-right: 8px; font-weight: bold; color: #667eea;';
+      `margin-right: 8px; font-weight: bold; color: ${style.color || '#667eea'};`;
     icon.textContent = this.expandedNodes.has(entity.id) ? '▼' : '▶';
 
     const label = document.createElement('span');
-    label.textContent =
-      `[${entity.type}] ${entity.metadata?.title || entity.id}`.substring(0, 50);
+    label.textContent = `[${entity.type}] ${style.label}`.substring(0, 50);
 
     nodeDiv.appendChild(icon);
+    if (style.icon) {
+      const typeIcon = document.createElement('span');
+      typeIcon.className = 'gs-tree-type-icon';
+      typeIcon.style.cssText = 'margin-right: 6px;';
+      typeIcon.textContent = style.icon;
+      nodeDiv.appendChild(typeIcon);
+    }
     nodeDiv.appendChild(label);
 
     // Click handler
@@ -127,19 +142,24 @@ export class TreeRenderer extends BaseRenderer {
 
     li.appendChild(nodeDiv);
 
-    // Expanded content (metadata)
+    // Expanded content (fields in display order, then metadata)
     if (this.expandedNodes.has(entity.id)) {
       const meta = document.createElement('ul');
       meta.style.cssText =
         'list-style: none; padding-left: 24px; margin: 5px 0 0 0; color: #999;';
 
+      this._displayFields(entity).forEach(({ field, value, widget }) => {
+        const fieldLi = document.createElement('li');
+        fieldLi.style.cssText = 'font-size: 12px; padding: 2px 0;';
+        if (widget) fieldLi.dataset.widget = widget;
+        this._fillFieldItem(fieldLi, field, value);
+        meta.appendChild(fieldLi);
+      });
+
       Object.entries(entity.metadata || {}).forEach(([key, val]) => {
         const metaLi = document.createElement('li');
         metaLi.style.cssText = 'font-size: 12px; padding: 2px 0;';
-        metaLi.innerHTML = `<strong>${key}:</strong> ${String(val).substring(
-          0,
-          40
-        )}`;
+        this._fillFieldItem(metaLi, key, val);
         meta.appendChild(metaLi);
       });
 
@@ -149,6 +169,13 @@ export class TreeRenderer extends BaseRenderer {
     return li;
   }
 
+  _fillFieldItem(li, name, value) {
+    const label = document.createElement('strong');
+    label.textContent = `${name}:`;
+    const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    li.append(label, ` ${text.substring(0, 40)}`);
+  }
+
   _toggleNode(entityId) {
     if (this.expandedNodes.has(entityId)) {
       this.expandedNodes.delete(entityId);
@@ -165,6 +192,13 @@ export class TreeRenderer extends BaseRenderer {
     }
   }
 
+  setSchema(schema) {
+    super.setSchema(schema);
+    if (this.treeEl && this.currentSnapshot) {
+      this.render(this.currentSnapshot);
+    }
+  }
+
   highlight(targetType, targetId, kind = 'select') {
     super.highlight(targetType, targetId, kind);
     // Visual highlight
@@ -6,6 +6,7 @@
  */
 
 import DataAdapterManager from '../../../src/adapters/data/data-adapter-manager.js';
+import { Schema } from '../../../src/core/schema.js';
 
 describe('DataAdapterManager', () => {
   let manager;
@@ -384,4 +385,43 @@ describe('DataAdapterManager', () => {
       // (if implementation supports it)
     });
   });
+
+  describe('Schema packs', () => {
+    it('should refuse adapters whose schema pack is not registered', () => {
+      const schema = new Schema({ includeDefaults: false });
+      manager = new DataAdapterManager(schema);
+
+      expect(() => manager.registerAdapter('jira', { ...mockAdapter, pack: 'jira' }))
+        .toThrow("Adapter 'jira' depends on schema pack 'jira', which is not registered");
+
+      schema.registerPack('jira', { entityTypes: { issue: { required: ['id', 'key'] } } });
+      manager.registerAdapter('jira', { ...mockAdapter, pack: 'jira' });
+      manager.registerAdapter('mock', mockAdapter);
+
+      expect(manager.getRequiredPacks()).toEqual(['jira']);
+    });
+
+    it('should check the pack of the active adapter before mapping', async () => {
+      const schema = new Schema({ includeDefaults: false });
+      manager.registerAdapter('github', { ...mockAdapter, name: 'github', pack: 'github' });
+      manager.setActive('github');
+
+      await expect(manager.map({}, schema))
+        .rejects.toThrow("Adapter 'github' depends on schema pack 'github', which is not registered");
+      await expect(manager.map({}, new Schema())).resolves.toBeDefined();
+    });
+
+    it('should keep a pack that adapters depend on from being unloaded', () => {
+      const schema = new Schema();
+      manager = new DataAdapterManager(schema);
+      manager.registerAdapter('github', { ...mockAdapter, pack: 'github' });
+
+      expect(() => schema.unloadPack('github'))
+        .toThrow("Cannot unload schema pack 'github': adapter 'github' depends on it");
+      expect(schema.hasPack('github')).toBe(true);
+
+      schema.registerPack('jira', { entityTypes: { issue: { required: ['id', 'key'] } } });
+      expect(() => schema.unloadPack('jira')).not.toThrow();
+    });
+  });
 });
@@ -0,0 +1,164 @@
+/**
+ * BatchOperation Tests
+ *
+ * See: ../../doc/TESTING.md → "1. Core Logic Tests"
+ * See: ../../doc/api/batch.js
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { BatchOperation } from '../../src/core/batch.js';
+import { Graph } from '../../src/core/graph.js';
+import { Schema } from '../../src/core/schema.js';
+import { EventBus } from '../../src/core/event/bus.js';
+
+describe('BatchOperation', () => {
+  let eventBus;
+  let graph;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    const schema = new Schema({ includeDefaults: false });
+    schema.registerEntityType('repo', { required: ['id', 'type', 'name'] });
+    schema.registerRelationType('OWNS', { source: '*', target: '*' });
+    graph = new Graph(eventBus, schema);
+    graph.addEntity({ id: 'existing', type: 'repo', name: 'Existing' });
+  });
+
+  const items = () => [
+    { type: 'add', targetType: 'entity', data: { id: 'a', type: 'repo', name: 'A' } },
+    { type: 'add', targetType: 'entity', data: { id: 'bad', type: 'repo' } },
+    { type: 'add', targetType: 'relation', data: { id: 'r1', from: 'existing', to: 'a', type: 'OWNS' } },
+  ];
+
+  describe('building', () => {
+    it('should queue operations and report state', () => {
+      const batch = new BatchOperation(graph).addAll(items());
+
+      expect(batch.count()).toBe(3);
+      expect(batch.getState()).toMatchObject({ state: 'pending', pending: 3, onError: 'fail' });
+    });
+
+    it('should reject unknown operations and modes', () => {
+      expect(() => new BatchOperation(graph).add('merge', 'entity', {})).toThrow(
+        "Unknown batch operation type 'merge'"
+      );
+      expect(() => new BatchOperation(graph, { onError: 'ignore' })).toThrow(
+        "Unknown onError mode 'ignore'"
+      );
+    });
+  });
+
+  describe('execute', () => {
+    it('should roll back everything on fail-fast', async () => {
+      const result = await new BatchOperation(graph).addAll(items()).execute();
+
+      expect(result.committed).toBe(false);
+      expect(result.report.map(item => item.status)).toEqual(['accepted', 'rejected', 'aborted']);
+      expect(result).toMatchObject({ failed: 1, skipped: 0 });
+      expect(result.errors[0]).toMatchObject({ index: 1, id: 'bad' });
+      expect(result.errors[0].message).toBe("Invalid entity: Entity type 'repo' requires field 'name'");
+      expect(graph.getEntity('a')).toBeNull();
+    });
+
+    it('should keep accepted items on fail-fast when not atomic', async () => {
+      const result = await new BatchOperation(graph).addAll(items()).execute({ atomic: false });
+
+      expect(result.committed).toBe(true);
+      expect(result.successful).toBe(1);
+      expect(graph.getEntity('a')).not.toBeNull();
+      expect(graph.getRelation('r1')).toBeNull();
+    });
+
+    it('should continue past rejected items with onError skip', async () => {
+      const result = await new BatchOperation(graph, { onError: 'skip' }).addAll(items()).execute();
+
+      expect(result.report.map(item => item.status)).toEqual(['accepted', 'skipped', 'accepted']);
+      expect(result).toMatchObject({ successful: 2, failed: 0, skipped: 1 });
+      expect(result.errors.map(e => e.index)).toEqual([1]);
+      expect(result.changes).toMatchObject({ entitiesAdded: 1, relationsAdded: 1 });
+      expect(graph.getRelation('r1')).not.toBeNull();
+    });
+
+    it('should bypass schema validation with validate false', async () => {
+      const result = await new BatchOperation(graph, { validate: false })
+        .addAll(items())
+        .execute();
+
+      expect(result.report.map(item => item.status)).toEqual(['accepted', 'accepted', 'accepted']);
+      expect(graph.getEntity('bad')).not.toBeNull();
+      expect(() => graph.addEntity({ id: 'bad2', type: 'repo' })).toThrow("requires field 'name'");
+    });
+
+    it('should emit one aggregated event instead of per-item events', async () => {
+      const added = jest.fn();
+      const committed = jest.fn();
+      const executed = jest.fn();
+      eventBus.subscribe('graph.entity.added', added);
+      eventBus.subscribe('graph.transaction.committed', committed);
+      eventBus.subscribe('graph.batch.executed', executed);
+
+      await new BatchOperation(graph, { onError: 'skip', label: 'Import' }).addAll(items()).execute();
+
+      expect(added).not.toHaveBeenCalled();
+      expect(committed).toHaveBeenCalledTimes(1);
+      expect(executed).toHaveBeenCalledTimes(1);
+      expect(executed.mock.calls[0][0].data).toMatchObject({ label: 'Import', successful: 2, skipped: 1 });
+      expect(executed.mock.calls[0][0].data.report).toBeUndefined();
+    });
+
+    it('should apply updates and removals', async () => {
+      graph.addEntity({ id: 'b', type: 'repo', name: 'B' });
+
+      await new BatchOperation(graph)
+        .add('update', 'entity', { id: 'b', name: 'Renamed' })
+        .add('remove', 'entity', 'existing')
+        .execute();
+
+      expect(graph.getEntity('b').name).toBe('Renamed');
+      expect(graph.getEntity('existing')).toBeNull();
+    });
+
+    it('should refuse to run twice or after cancel', async () => {
+      const batch = new BatchOperation(graph);
+      await batch.execute();
+      await expect(batch.execute()).rejects.toThrow('Batch has already been executed');
+
+      const cancelled = new BatchOperation(graph);
+      cancelled.cancel();
+      expect(() => cancelled.add('remove', 'entity', 'existing')).toThrow(
+        'Batch has already been cancelled'
+      );
+    });
+  });
+
+  describe('validate and preview', () => {
+    it('should report every invalid item without touching the graph', () => {
+      const batch = new BatchOperation(graph)
+        .addAll(items())
+        .add('remove', 'relation', 'missing');
+
+      const { isValid, errors } = batch.validate();
+
+      expect(isValid).toBe(false);
+      expect(errors.map(e => e.index)).toEqual([1, 3]);
+      expect(graph.getEntity('a')).toBeNull();
+      expect(batch.getState().state).toBe('pending');
+    });
+
+    it('should preview the resulting changes', () => {
+      const committed = jest.fn();
+      eventBus.subscribe('graph.transaction.committed', committed);
+
+      const preview = new BatchOperation(graph, { onError: 'skip' })
+        .addAll(items())
+        .add('remove', 'entity', 'existing')
+        .preview();
+
+      expect(preview.entities.added.map(e => e.id)).toEqual(['a']);
+      expect(preview.entities.removed.map(e => e.id)).toEqual(['existing']);
+      expect(preview.relations.removed.map(r => r.id)).toEqual(['r1']);
+      expect(graph.entities.size).toBe(1);
+      expect(committed).not.toHaveBeenCalled();
+    });
+  });
+});
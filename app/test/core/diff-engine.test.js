@@ -6,7 +6,7 @@
  * See: ../../IMPLEMENTATION_PLAN.md → "Phase 2.3: DiffEngine"
  */
 
-import { describe, it, expect, beforeEach } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import { Graph } from '../../src/core/graph.js';
 import { EventBus } from '../../src/core/event/bus.js';
 import { Schema } from '../../src/core/schema.js';
@@ -20,6 +20,9 @@ describe('DiffEngine', () => {
   let diffEngine;
 
   beforeEach(() => {
+    // Graphs built separately must get the same audit timestamps
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00.000Z') });
+
     eventBus = new EventBus();
     schema = new Schema({ includeDefaults: false });
 
@@ -36,6 +39,10 @@ describe('DiffEngine', () => {
     diffEngine = new DiffEngine();
   });
 
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
   describe('Entity Diffing', () => {
     it('should detect added entities', () => {
       // graph1 is empty
@@ -506,4 +513,79 @@ describe('DiffEngine', () => {
       expect(diff.summary.totalAdded).toBe(1000);
     });
   });
+
+  describe('Nested Subgraphs', () => {
+    it('should attach a nested diff for changed subgraphs', () => {
+      graph1.addEntity({ id: 'org', type: 'repository' });
+      graph1.createSubgraph('org').addEntity({ id: 'a', type: 'user', name: 'A' });
+
+      graph2.addEntity({ id: 'org', type: 'repository' });
+      const sub = graph2.createSubgraph('org');
+      sub.addEntity({ id: 'a', type: 'user', name: 'A2' });
+      sub.addEntity({ id: 'b', type: 'user' });
+
+      const diff = diffEngine.diff(graph1.serialize(), graph2.serialize());
+      const entry = diff.entities.updated[0];
+
+      expect(entry.changedFields).toContain('subgraph');
+      expect(entry.subgraph.entities.added.map(e => e.id)).toEqual(['b']);
+      expect(entry.subgraph.entities.updated[0].changedFields).toContain('name');
+    });
+
+    it('should reverse nested diffs', () => {
+      graph1.addEntity({ id: 'org', type: 'repository' });
+      graph1.createSubgraph('org');
+      graph2.addEntity({ id: 'org', type: 'repository' });
+      graph2.createSubgraph('org').addEntity({ id: 'b', type: 'user' });
+
+      const diff = diffEngine.diff(graph1.serialize(), graph2.serialize());
+      const reversed = diffEngine.reverse(diff);
+
+      expect(reversed.entities.updated[0].subgraph.entities.removed.map(e => e.id)).toEqual(['b']);
+    });
+  });
+
+  describe('Audit Fields', () => {
+    it('should ignore audit-only changes when asked', () => {
+      graph1.addEntity({ id: 'repo-1', type: 'repository', name: 'api' });
+      const before = graph1.serialize();
+      graph1.setActor({ type: 'user', id: 'alice' });
+      graph1.updateEntity('repo-1', { name: 'api' });
+      const after = graph1.serialize();
+
+      expect(diffEngine.diff(before, after).entities.updated[0].changedFields).toEqual(
+        expect.arrayContaining(['updatedBy'])
+      );
+      expect(diffEngine.diff(before, after, { ignoreAudit: true }).summary.totalModified).toBe(0);
+    });
+  });
+
+  describe('Broken References', () => {
+    it('should report references whose target is gone', () => {
+      const owner = { graphId: 'people', entityId: 'alice' };
+      const parent = { graphId: 'tickets', entityId: 't0' };
+      const before = {
+        entities: [
+          { id: 't0', type: 'ticket' },
+          { id: 't1', type: 'ticket', owner, parent },
+        ],
+        relations: [],
+      };
+      const after = { entities: [{ id: 't1', type: 'ticket', owner, parent }], relations: [] };
+
+      // Unchecked without knowing the graph or a resolver
+      expect(diffEngine.diff(before, after).brokenRefs).toEqual([]);
+
+      const diff = diffEngine.diff(before, after, {
+        graphId: 'tickets',
+        resolveRef: (ref) => ref.entityId === 'alice' ? { id: 'alice' } : null,
+      });
+      expect(diff.brokenRefs).toEqual([{ entityId: 't1', field: 'parent', ref: parent }]);
+
+      expect(diffEngine.diff(before, after, { resolveRef: () => null }).brokenRefs).toEqual([
+        { entityId: 't1', field: 'owner', ref: owner },
+        { entityId: 't1', field: 'parent', ref: parent },
+      ]);
+    });
+  });
 });
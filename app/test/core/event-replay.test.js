@@ -0,0 +1,106 @@
+/**
+ * EventReplayEngine Tests
+ *
+ * See: ../../doc/TESTING.md → "1. Core Logic Tests"
+ * See: ../../doc/arch/core.md
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { EventReplayEngine } from '../../src/core/event-replay.js';
+import { EventBus } from '../../src/core/event/bus.js';
+import { Graph } from '../../src/core/graph.js';
+import { Schema } from '../../src/core/schema.js';
+
+describe('EventReplayEngine', () => {
+  let schema;
+  let engine;
+
+  beforeEach(() => {
+    schema = new Schema({ includeDefaults: false });
+    schema.registerEntityType('user', { required: ['id', 'type', 'login'] });
+    engine = new EventReplayEngine({ schema });
+  });
+
+  // Events a graph emitted while making changes
+  const record = (changes, recordSchema = null) => {
+    const bus = new EventBus();
+    changes(new Graph(bus, recordSchema));
+    return bus.getHistory();
+  };
+
+  it('should rebuild a graph from its events', () => {
+    const events = record((graph) => {
+      graph.addEntity({ id: 'u1', type: 'user', login: 'ada' });
+      graph.addEntity({ id: 'u2', type: 'user', login: 'alan' });
+      graph.removeEntity('u2');
+    });
+
+    const { graph, errors, migration } = engine.replayFromStart(events);
+
+    expect(errors).toEqual([]);
+    expect(migration).toBeNull();
+    expect(Array.from(graph.entities.keys())).toEqual(['u1']);
+  });
+
+  describe('schema migrations', () => {
+    beforeEach(() => {
+      schema.addMigration(1, 2, (data) => ({
+        ...data,
+        entities: data.entities.map(({ name, ...entity }) => ({ ...entity, login: name })),
+      }));
+    });
+
+    it('should migrate events recorded under an older schema version', () => {
+      const events = record((graph) => {
+        graph.addEntity({ id: 'u1', type: 'user', name: 'ada' });
+        graph.updateEntity('u1', { name: 'ada.l' });
+      });
+
+      const { graph, errors, migration } = engine.replayFromStart(events, { schemaVersion: 1 });
+
+      expect(errors).toEqual([]);
+      expect(graph.getEntity('u1').login).toBe('ada.l');
+      expect(migration.steps[0].entities.updated).toEqual(['u1']);
+    });
+
+    it('should read the schema version from the recorded events', () => {
+      const old = new Schema({ includeDefaults: false });
+      old.registerEntityType('user', { required: ['id', 'type'], optional: ['name'] });
+      const events = record((graph) => {
+        graph.addEntity({ id: 'u1', type: 'user', name: 'ada' });
+      }, old);
+
+      const { graph, errors, migration } = engine.replayFromStart(events);
+
+      expect(events[0].meta.schemaVersion).toBe(1);
+      expect(errors).toEqual([]);
+      expect(graph.getEntity('u1').login).toBe('ada');
+      expect(migration).toMatchObject({ from: 1, to: 2 });
+    });
+
+    it('should refuse events recorded under different schema versions', () => {
+      const events = record((graph) => {
+        graph.addEntity({ id: 'u1', type: 'user', login: 'ada' });
+      }, schema);
+      const older = [{ ...events[0], meta: { ...events[0].meta, schemaVersion: 1 } }];
+
+      expect(events[0].meta.schemaVersion).toBe(2);
+      expect(() => engine.replayFromStart([...older, ...events])).toThrow(
+        'Events span schema versions 1, 2; replay them from a snapshot per version'
+      );
+    });
+
+    it('should migrate an older snapshot together with the events after it', () => {
+      const snapshot = { entities: [{ id: 'u1', type: 'user', name: 'ada' }], relations: [] };
+      const events = record((graph) => {
+        graph.addEntity({ id: 'u2', type: 'user', name: 'alan' });
+      });
+
+      const { graph, errors, migration } = engine.replayFromSnapshot(snapshot, events);
+
+      expect(errors).toEqual([]);
+      expect(graph.getEntity('u2').login).toBe('alan');
+      expect(migration).toMatchObject({ from: 1, to: 2 });
+    });
+  });
+});
@@ -8,6 +8,8 @@
 import { describe, it, expect, beforeEach, jest } from '@jest/globals';
 import { Graph } from '../../src/core/graph.js';
 import { EventBus } from '../../src/core/event/bus.js';
+import { GSError } from '../../src/core/error-handler.js';
+import { Schema } from '../../src/core/schema.js';
 
 describe('Graph', () => {
   let graph;
@@ -18,6 +20,15 @@ describe('Graph', () => {
     graph = new Graph(eventBus);
   });
 
+  // Items as stored by the graph, stamped with audit fields
+  const audited = (item) => ({
+    ...item,
+    createdAt: expect.any(String),
+    updatedAt: expect.any(String),
+    createdBy: 'system',
+    updatedBy: 'system',
+  });
+
   describe('addEntity', () => {
     it('should add an entity to the graph', () => {
       const entity = {
@@ -27,7 +38,7 @@ describe('Graph', () => {
       };
       graph.addEntity(entity);
 
-      expect(graph.getEntity('e1')).toEqual(entity);
+      expect(graph.getEntity('e1')).toEqual(audited(entity));
     });
 
     it('should emit entity.added event', () => {
@@ -40,7 +51,7 @@ describe('Graph', () => {
       expect(listener).toHaveBeenCalledWith(
         expect.objectContaining({
           type: 'graph.entity.added',
-          data: expect.objectContaining({ entity }),
+          data: expect.objectContaining({ entity: audited(entity) }),
         })
       );
     });
@@ -60,7 +71,7 @@ describe('Graph', () => {
       const entity = { id: 'e1', type: 'repo', metadata: { title: 'test' } };
       graph.addEntity(entity);
 
-      expect(graph.getEntity('e1')).toEqual(entity);
+      expect(graph.getEntity('e1')).toEqual(audited(entity));
     });
 
     it('should return null for non-existent entity', () => {
@@ -141,7 +152,7 @@ describe('Graph', () => {
       const relation = { id: 'r1', from: 'e1', to: 'e2', type: 'OWNS' };
       graph.addRelation(relation);
 
-      expect(graph.getRelation('r1')).toEqual(relation);
+      expect(graph.getRelation('r1')).toEqual(audited(relation));
     });
 
     it('should validate entities exist before adding relation', () => {
@@ -163,8 +174,8 @@ describe('Graph', () => {
 
       const serialized = graph.serialize();
       expect(serialized).toEqual({
-        entities: [e1],
-        relations: [r1],
+        entities: [audited(e1)],
+        relations: [audited(r1)],
       });
     });
 
@@ -179,4 +190,858 @@ describe('Graph', () => {
       expect(graph.getEntity('e1')).toEqual(data.entities[0]);
     });
   });
+
+  describe('relation lifecycle', () => {
+    beforeEach(() => {
+      graph.addEntity({ id: 'e1', type: 'repo' });
+      graph.addEntity({ id: 'e2', type: 'repo' });
+      graph.addRelation({ id: 'r1', from: 'e1', to: 'e2', type: 'LINKS', weight: 1 });
+    });
+
+    it('should update a relation and emit relation.updated', () => {
+      const listener = jest.fn();
+      eventBus.subscribe('graph.relation.updated', listener);
+
+      graph.updateRelation('r1', { weight: 5 });
+
+      expect(graph.getRelation('r1').weight).toBe(5);
+      expect(listener.mock.calls[0][0].data).toMatchObject({
+        relationId: 'r1',
+        patch: { weight: 5 },
+        before: expect.objectContaining({ weight: 1 }),
+        after: expect.objectContaining({ weight: 5 }),
+      });
+    });
+
+    it('should reject updates pointing at missing entities', () => {
+      expect(() => graph.updateRelation('r1', { to: 'missing' })).toThrow(
+        "Target entity 'missing' not found"
+      );
+      expect(graph.getRelation('r1').to).toBe('e2');
+    });
+
+    it('should remove a relation and emit relation.removed', () => {
+      const listener = jest.fn();
+      eventBus.subscribe('graph.relation.removed', listener);
+
+      graph.removeRelation('r1');
+
+      expect(graph.getRelation('r1')).toBeNull();
+      expect(listener.mock.calls[0][0].data).toMatchObject({
+        relationId: 'r1',
+        relation: expect.objectContaining({ from: 'e1', to: 'e2' }),
+      });
+    });
+
+    it('should throw when updating or removing an unknown relation', () => {
+      expect(() => graph.updateRelation('nope', {})).toThrow("Relation 'nope' not found");
+      expect(() => graph.removeRelation('nope')).toThrow("Relation 'nope' not found");
+    });
+  });
+
+  describe('delete policies', () => {
+    beforeEach(() => {
+      graph.addEntity({ id: 'org', type: 'org' });
+      graph.addEntity({ id: 'repo', type: 'repo' });
+      graph.addEntity({ id: 'shared', type: 'repo' });
+      graph.addEntity({ id: 'other', type: 'org' });
+      graph.addRelation({ id: 'r1', from: 'org', to: 'repo', type: 'OWNS' });
+      graph.addRelation({ id: 'r2', from: 'org', to: 'shared', type: 'OWNS' });
+      graph.addRelation({ id: 'r3', from: 'other', to: 'shared', type: 'OWNS' });
+    });
+
+    it('should detach relations by default', () => {
+      graph.removeEntity('org');
+
+      expect(graph.getEntity('org')).toBeNull();
+      expect(graph.getRelation('r1')).toBeNull();
+      expect(graph.getRelation('r2')).toBeNull();
+      expect(graph.getRelation('r3')).not.toBeNull();
+      expect(graph.getEntity('repo')).not.toBeNull();
+    });
+
+    it('should cascade to entities left without other inbound relations', () => {
+      graph.removeEntity('org', { policy: 'cascade' });
+
+      expect(graph.getEntity('repo')).toBeNull();
+      expect(graph.getEntity('shared')).not.toBeNull();
+      expect(graph.getRelation('r3')).not.toBeNull();
+    });
+
+    it('should refuse removal under restrict policy', () => {
+      expect(() => graph.removeEntity('org', { policy: 'restrict' })).toThrow(
+        "Cannot remove entity 'org': 2 relation(s) still reference it"
+      );
+      expect(graph.getEntity('org')).not.toBeNull();
+      expect(graph.relations.size).toBe(3);
+    });
+
+    it('should use the graph-level default policy', () => {
+      const strict = new Graph(eventBus, null, { deletePolicy: 'restrict' });
+      strict.addEntity({ id: 'a', type: 'x' });
+      strict.addEntity({ id: 'b', type: 'x' });
+      strict.addRelation({ id: 'ab', from: 'a', to: 'b', type: 'L' });
+
+      expect(() => strict.removeEntity('a')).toThrow();
+      expect(() => new Graph(eventBus, null, { deletePolicy: 'bogus' })).toThrow(
+        "Unknown delete policy 'bogus'"
+      );
+    });
+
+    it('should mark cascaded events and summarise them on the entity event', () => {
+      const relationListener = jest.fn();
+      const entityListener = jest.fn();
+      eventBus.subscribe('graph.relation.removed', relationListener);
+      eventBus.subscribe('graph.entity.removed', entityListener);
+
+      graph.removeEntity('org', { policy: 'cascade' });
+
+      expect(relationListener).toHaveBeenCalledTimes(2);
+      relationListener.mock.calls.forEach(([event]) => {
+        expect(event.data.cascadeOf).toBe('org');
+      });
+
+      const last = entityListener.mock.calls[entityListener.mock.calls.length - 1][0];
+      expect(last.data.entityId).toBe('org');
+      expect(last.data.policy).toBe('cascade');
+      expect(last.data.cascaded.entities.map(e => e.id)).toEqual(['repo']);
+      expect(last.data.cascaded.relations.map(r => r.id).sort()).toEqual(['r1', 'r2']);
+    });
+  });
+
+  describe('subgraphs', () => {
+    beforeEach(() => {
+      graph.addEntity({
+        id: 'org',
+        type: 'org',
+        subgraph: {
+          entities: [{ id: 'team', type: 'team' }],
+          relations: [],
+        },
+      });
+      graph.addEntity({ id: 'repo', type: 'repo' });
+    });
+
+    it('should build a live nested graph from subgraph data', () => {
+      const sub = graph.getSubgraph('org');
+
+      expect(sub).toBeInstanceOf(Graph);
+      expect(sub.getEntity('team')).toEqual({ id: 'team', type: 'team' });
+      expect(graph.getSubgraph('repo')).toBeNull();
+    });
+
+    it('should round-trip nested subgraphs through serialize and load', () => {
+      graph.getSubgraph('org').createSubgraph('team').addEntity({ id: 'dev', type: 'user' });
+
+      const copy = new Graph(eventBus);
+      copy.load(graph.serialize());
+
+      expect(copy.resolvePath(['org', 'team']).getEntity('dev')).not.toBeNull();
+      expect(copy.serialize()).toEqual(graph.serialize());
+    });
+
+    it('should tag events from nested graphs with their path', () => {
+      const listener = jest.fn();
+      eventBus.subscribe('graph.entity.added', listener);
+
+      graph.getSubgraph('org').addEntity({ id: 'bot', type: 'user' });
+
+      expect(listener.mock.calls[0][0].data.path).toEqual(['org']);
+    });
+
+    it('should keep the subgraph when the owning entity is updated', () => {
+      const sub = graph.getSubgraph('org');
+
+      graph.updateEntity('org', { metadata: { title: 'Org' } });
+
+      expect(graph.getSubgraph('org')).toBe(sub);
+    });
+
+    it('should create an empty subgraph on demand', () => {
+      const listener = jest.fn();
+      eventBus.subscribe('graph.subgraph.created', listener);
+
+      const sub = graph.createSubgraph('repo');
+
+      expect(sub.entities.size).toBe(0);
+      expect(graph.getEntity('repo').subgraph).toEqual({ entities: [], relations: [] });
+      expect(listener.mock.calls[0][0].data).toEqual({ entityId: 'repo' });
+      expect(() => graph.createSubgraph('repo')).toThrow("Entity 'repo' already has a subgraph");
+    });
+
+    it('should drill down and up with navigation events', () => {
+      const entered = jest.fn();
+      const exited = jest.fn();
+      eventBus.subscribe('graph.subgraph.entered', entered);
+      eventBus.subscribe('graph.subgraph.exited', exited);
+
+      const sub = graph.drillDown('org');
+
+      expect(graph.getCurrentGraph()).toBe(sub);
+      expect(graph.getPath()).toEqual(['org']);
+      expect(entered.mock.calls[0][0].data).toEqual({ entityId: 'org', path: ['org'], depth: 1 });
+
+      expect(graph.drillUp()).toBe(graph);
+      expect(graph.getPath()).toEqual([]);
+      expect(exited.mock.calls[0][0].data).toEqual({ entityId: 'org', path: [], depth: 0 });
+
+      // Already at the top
+      expect(graph.drillUp()).toBe(graph);
+      expect(exited).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse to drill into entities without a subgraph', () => {
+      expect(() => graph.drillDown('repo')).toThrow("Entity 'repo' has no subgraph");
+      expect(() => graph.drillDown('missing')).toThrow("Entity 'missing' not found");
+    });
+  });
+
+  describe('adjacency', () => {
+    beforeEach(() => {
+      graph.addEntity({ id: 'a', type: 'user' });
+      graph.addEntity({ id: 'b', type: 'repo' });
+      graph.addEntity({ id: 'c', type: 'repo' });
+      graph.addRelation({ id: 'ab', from: 'a', to: 'b', type: 'OWNS' });
+      graph.addRelation({ id: 'ac', from: 'a', to: 'c', type: 'STARS' });
+      graph.addRelation({ id: 'cb', from: 'c', to: 'b', type: 'FORKS' });
+    });
+
+    it('should list outgoing and incoming relations by type', () => {
+      expect(graph.getOutgoing('a').map(r => r.id).sort()).toEqual(['ab', 'ac']);
+      expect(graph.getOutgoing('a', 'OWNS').map(r => r.id)).toEqual(['ab']);
+      expect(graph.getIncoming('b').map(r => r.id).sort()).toEqual(['ab', 'cb']);
+      expect(graph.getIncoming('b', 'STARS')).toEqual([]);
+      expect(graph.getOutgoing('missing')).toEqual([]);
+    });
+
+    it('should list neighbors once in either direction', () => {
+      graph.addRelation({ id: 'ab2', from: 'a', to: 'b', type: 'STARS' });
+
+      expect(graph.getNeighbors('a').map(e => e.id).sort()).toEqual(['b', 'c']);
+      expect(graph.getNeighbors('b', { direction: 'in', types: ['FORKS'] }).map(e => e.id)).toEqual(['c']);
+      expect(graph.getNeighbors('b', { direction: 'out' })).toEqual([]);
+    });
+
+    it('should follow updates and removals', () => {
+      graph.updateRelation('ab', { from: 'c' });
+      expect(graph.getOutgoing('a', 'OWNS')).toEqual([]);
+      expect(graph.getOutgoing('c', 'OWNS').map(r => r.id)).toEqual(['ab']);
+
+      graph.removeRelation('cb');
+      expect(graph.getIncoming('b', 'FORKS')).toEqual([]);
+
+      graph.removeEntity('c');
+      expect(graph.getIncoming('b')).toEqual([]);
+      expect(graph.getOutgoing('a').map(r => r.id)).toEqual([]);
+    });
+
+    it('should rebuild indexes on load and clear them on reset', () => {
+      const copy = new Graph(eventBus);
+      copy.load(graph.serialize());
+      expect(copy.getNeighbors('c').map(e => e.id).sort()).toEqual(['a', 'b']);
+
+      copy.reset();
+      expect(copy.getOutgoing('a')).toEqual([]);
+    });
+  });
+
+  describe('transactions', () => {
+    beforeEach(() => {
+      graph.addEntity({ id: 'a', type: 'user' });
+      graph.addEntity({ id: 'b', type: 'repo' });
+      graph.addRelation({ id: 'ab', from: 'a', to: 'b', type: 'OWNS' });
+    });
+
+    it('should emit one committed event with the change set', () => {
+      const committed = jest.fn();
+      const added = jest.fn();
+      eventBus.subscribe('graph.transaction.committed', committed);
+      eventBus.subscribe('graph.entity.added', added);
+
+      const result = graph.transaction(() => {
+        graph.addEntity({ id: 'c', type: 'repo' });
+        graph.addRelation({ id: 'ac', from: 'a', to: 'c', type: 'OWNS' });
+        return 'done';
+      }, { label: 'Import' });
+
+      expect(result).toBe('done');
+      expect(added).not.toHaveBeenCalled();
+      expect(committed).toHaveBeenCalledTimes(1);
+      const { data } = committed.mock.calls[0][0];
+      expect(data.label).toBe('Import');
+      expect(data.changes.map(c => c.type)).toEqual(['graph.entity.added', 'graph.relation.added']);
+    });
+
+    it('should restore the previous state when the callback throws', () => {
+      const before = graph.serialize();
+      const rolledback = jest.fn();
+      eventBus.subscribe('graph.transaction.rolledback', rolledback);
+
+      expect(() => graph.transaction(() => {
+        graph.addEntity({ id: 'c', type: 'repo' });
+        graph.updateEntity('a', { metadata: { title: 'changed' } });
+        graph.updateRelation('ab', { to: 'c' });
+        graph.removeEntity('b');
+        graph.addRelation({ id: 'bad', from: 'a', to: 'missing', type: 'OWNS' });
+      })).toThrow("Target entity 'missing' not found");
+
+      expect(graph.serialize()).toEqual(before);
+      expect(graph.getOutgoing('a').map(r => r.to)).toEqual(['b']);
+      expect(graph.getIncoming('c')).toEqual([]);
+      expect(graph.inTransaction()).toBe(false);
+      expect(rolledback.mock.calls[0][0].data.error).toBe("Target entity 'missing' not found");
+    });
+
+    it('should revert only the inner part of a failed nested transaction', () => {
+      const committed = jest.fn();
+      eventBus.subscribe('graph.transaction.committed', committed);
+
+      graph.transaction(() => {
+        graph.addEntity({ id: 'c', type: 'repo' });
+        try {
+          graph.transaction(() => {
+            graph.addEntity({ id: 'd', type: 'repo' });
+            throw new Error('inner');
+          });
+        } catch (err) {
+          // keep going
+        }
+      });
+
+      expect(graph.getEntity('c')).not.toBeNull();
+      expect(graph.getEntity('d')).toBeNull();
+      expect(committed.mock.calls[0][0].data.changes).toHaveLength(1);
+    });
+
+    it('should include subgraph changes and revert them', () => {
+      graph.createSubgraph('a');
+
+      expect(() => graph.transaction(() => {
+        graph.getSubgraph('a').addEntity({ id: 'inner', type: 'user' });
+        graph.createSubgraph('b');
+        throw new Error('abort');
+      })).toThrow('abort');
+
+      expect(graph.getSubgraph('a').entities.size).toBe(0);
+      expect(graph.getSubgraph('b')).toBeNull();
+    });
+
+    it('should reject asynchronous callbacks', () => {
+      expect(() => graph.transaction(async () => {})).toThrow(
+        'Graph transactions must be synchronous'
+      );
+    });
+  });
+
+  describe('upsert', () => {
+    const mapped = (repo = {}) => ({
+      entities: new Map([
+        ['org', { id: 'org', type: 'organization', name: 'Org', metadata: { source: 'github' } }],
+        ['repo', { id: 'repo', type: 'repository', name: 'api', stars: 1, metadata: { source: 'github' }, ...repo }],
+      ]),
+      relations: new Map([
+        ['owns', { id: 'owns', from: 'org', to: 'repo', type: 'OWNS' }],
+      ]),
+    });
+
+    it('should add new items with per-field provenance', () => {
+      const summary = graph.upsert(mapped(), { fetchedAt: '2024-01-01T00:00:00.000Z' });
+
+      expect(summary.entities.added).toEqual(['org', 'repo']);
+      expect(summary.relations.added).toEqual(['owns']);
+      expect(graph.getEntity('repo').provenance.stars).toEqual({
+        source: 'github',
+        fetchedAt: '2024-01-01T00:00:00.000Z',
+      });
+    });
+
+    it('should refresh imported fields and report unchanged items', () => {
+      graph.upsert(mapped());
+      const summary = graph.upsert(mapped({ stars: 5 }), { source: 'gh-cache' });
+
+      expect(summary.entities.updated).toEqual(['repo']);
+      expect(summary.entities.unchanged).toEqual(['org']);
+      expect(summary.relations.unchanged).toEqual(['owns']);
+      expect(graph.getEntity('repo').stars).toBe(5);
+      expect(graph.getEntity('repo').provenance.stars.source).toBe('gh-cache');
+    });
+
+    it('should keep local edits and user metadata with local-wins', () => {
+      graph.upsert(mapped());
+      graph.updateEntity('repo', {
+        name: 'renamed',
+        metadata: { ...graph.getEntity('repo').metadata, favorite: true },
+      });
+      expect(graph.getEntity('repo').provenance.name.source).toBe('local');
+
+      graph.upsert(mapped({ name: 'api-v2', stars: 9 }));
+
+      const repo = graph.getEntity('repo');
+      expect(repo.name).toBe('renamed');
+      expect(repo.stars).toBe(9);
+      expect(repo.metadata).toEqual({ source: 'github', favorite: true });
+    });
+
+    it('should overwrite local edits with source-wins', () => {
+      graph.upsert(mapped());
+      graph.updateEntity('repo', { name: 'renamed' });
+
+      graph.upsert(mapped({ name: 'api-v2' }), { strategy: 'source-wins' });
+
+      expect(graph.getEntity('repo').name).toBe('api-v2');
+      expect(graph.getEntity('repo').provenance.name.source).toBe('github');
+    });
+
+    it('should pick the newer value with newest-timestamp', () => {
+      graph.upsert(mapped());
+      graph.updateEntity('repo', { name: 'renamed' });
+
+      graph.upsert(mapped({ name: 'stale', updatedAt: '2000-01-01T00:00:00.000Z' }), {
+        strategy: 'newest-timestamp',
+      });
+      expect(graph.getEntity('repo').name).toBe('renamed');
+
+      graph.upsert(mapped({ name: 'fresh', updatedAt: '2999-01-01T00:00:00.000Z' }), {
+        strategy: 'newest-timestamp',
+      });
+      expect(graph.getEntity('repo').name).toBe('fresh');
+    });
+
+    it('should merge everything or nothing', () => {
+      const bad = mapped();
+      bad.relations.set('dangling', { id: 'dangling', from: 'org', to: 'missing', type: 'OWNS' });
+
+      expect(() => graph.upsert(bad)).toThrow("Target entity 'missing' not found");
+      expect(graph.entities.size).toBe(0);
+      expect(() => graph.upsert(mapped(), { strategy: 'mine' })).toThrow(
+        "Unknown merge strategy 'mine'"
+      );
+    });
+
+    it('should refuse imports that change what an item is', () => {
+      graph.upsert(mapped());
+      expect(graph.getEntity('repo').provenance.type).toBeUndefined();
+      expect(graph.getRelation('owns').provenance).not.toHaveProperty('from');
+
+      expect(() => graph.upsert(mapped({ type: 'fork' }), { strategy: 'source-wins' })).toThrow(
+        "Cannot upsert entity 'repo': type would change from 'repository' to 'fork'"
+      );
+      const moved = mapped();
+      moved.relations.set('owns', { id: 'owns', from: 'repo', to: 'org', type: 'OWNS' });
+      expect(() => graph.upsert(moved, { strategy: 'source-wins' })).toThrow(
+        "Cannot upsert relation 'owns': from would change from 'org' to 'repo'"
+      );
+      expect(graph.getEntity('repo').type).toBe('repository');
+    });
+  });
+
+  describe('extract and clone', () => {
+    beforeEach(() => {
+      graph.addEntity({ id: 'alice', type: 'user' });
+      graph.addEntity({ id: 'web', type: 'repo', topic: 'frontend' });
+      graph.addEntity({ id: 'app', type: 'repo', topic: 'frontend' });
+      graph.addEntity({ id: 'api', type: 'repo', topic: 'backend' });
+      graph.addRelation({ id: 'r1', from: 'alice', to: 'web', type: 'OWNS' });
+      graph.addRelation({ id: 'r2', from: 'alice', to: 'api', type: 'OWNS' });
+      graph.addRelation({ id: 'r3', from: 'web', to: 'app', type: 'DEPENDS_ON' });
+    });
+
+    const ids = (items) => items.map(item => item.id).sort();
+
+    it('should extract selected entities with the relations between them', () => {
+      const part = graph.extract(['alice', 'web']);
+
+      expect(part).toBeInstanceOf(Graph);
+      expect(part).not.toBe(graph);
+      expect(ids(part.serialize().entities)).toEqual(['alice', 'web']);
+      expect(ids(part.serialize().relations)).toEqual(['r1']);
+      expect(part.getOutgoing('alice').map(r => r.id)).toEqual(['r1']);
+    });
+
+    it('should pull in the other end of incident relations', () => {
+      const data = graph.extract(['web'], { includeRelations: 'incident', serialize: true });
+
+      expect(ids(data.entities)).toEqual(['alice', 'app', 'web']);
+      expect(ids(data.relations)).toEqual(['r1', 'r3']);
+    });
+
+    it('should expand the selection by depth', () => {
+      const data = graph.extract(['app'], { depth: 2, serialize: true });
+
+      expect(ids(data.entities)).toEqual(['alice', 'app', 'web']);
+      expect(ids(data.relations)).toEqual(['r1', 'r3']);
+    });
+
+    it('should accept query results and reject unknown entities', () => {
+      const results = Array.from(graph.entities.values()).filter(e => e.topic === 'frontend');
+
+      expect(ids(graph.extract(results).serialize().entities)).toEqual(['app', 'web']);
+      expect(() => graph.extract(['nope'])).toThrow("Entity 'nope' not found");
+      expect(() => graph.extract(['web'], { includeRelations: 'all' })).toThrow(
+        "Unknown includeRelations 'all'"
+      );
+    });
+
+    it('should clone into an independent copy sharing the schema', () => {
+      graph.updateEntity('web', { metadata: { tags: ['ui'] } });
+      const copy = graph.clone();
+      const listener = jest.fn();
+      eventBus.subscribe('graph.entity.updated', listener);
+
+      copy.updateEntity('web', { topic: 'design' });
+      copy.entities.get('web').metadata.tags.push('changed');
+
+      expect(copy.schema).toBe(graph.schema);
+      expect(graph.getEntity('web').topic).toBe('frontend');
+      expect(graph.getEntity('web').metadata.tags).toEqual(['ui']);
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('audit fields', () => {
+    it('should stamp new items with the current actor', () => {
+      graph.setActor({ type: 'user', id: 'alice' });
+      const listener = jest.fn();
+      eventBus.subscribe('graph.entity.added', listener);
+
+      graph.addEntity({ id: 'e1', type: 'repo' });
+
+      const entity = graph.getEntity('e1');
+      expect(entity).toMatchObject({ createdBy: 'alice', updatedBy: 'alice' });
+      expect(entity.updatedAt).toBe(entity.createdAt);
+      expect(listener.mock.calls[0][0].actor).toEqual({ type: 'user', id: 'alice' });
+    });
+
+    it('should restamp updatedAt/updatedBy on update', () => {
+      graph.addEntity({ id: 'e1', type: 'repo' });
+      const { createdAt } = graph.getEntity('e1');
+      graph.setActor({ type: 'user', id: 'bob' });
+
+      graph.updateEntity('e1', { name: 'renamed' });
+
+      const entity = graph.getEntity('e1');
+      expect(entity).toMatchObject({ createdAt, createdBy: 'system', updatedBy: 'bob' });
+      expect(entity.updatedAt >= entity.createdAt).toBe(true);
+    });
+
+    it('should ignore audit fields passed to addEntity/addRelation', () => {
+      graph.setActor({ type: 'user', id: 'alice' });
+      const forged = { createdAt: '2000-01-01T00:00:00.000Z', createdBy: 'mallory', updatedAt: '2000-01-01T00:00:00.000Z', updatedBy: 'mallory' };
+
+      graph.addEntity({ id: 'e1', type: 'repo', ...forged });
+      graph.addEntity({ id: 'e2', type: 'repo' });
+      graph.addRelation({ id: 'r1', from: 'e1', to: 'e2', type: 'OWNS', ...forged });
+
+      for (const item of [graph.getEntity('e1'), graph.getRelation('r1')]) {
+        expect(item).toMatchObject({ createdBy: 'alice', updatedBy: 'alice' });
+        expect(item.createdAt).not.toBe(forged.createdAt);
+      }
+    });
+
+    it('should refuse patches that change audit fields', () => {
+      graph.addEntity({ id: 'e1', type: 'repo' });
+      const current = graph.getEntity('e1');
+
+      expect(() => graph.updateEntity('e1', { createdBy: 'mallory' })).toThrow(
+        "Cannot change createdBy of entity 'e1': audit fields are managed by the graph"
+      );
+      expect(() => graph.updateEntity('e1', { ...current, name: 'ok' })).not.toThrow();
+      expect(() => graph.entities.get('e1').set('updatedAt', 'now')).toThrow(
+        'Cannot set updatedAt: audit fields are managed by the graph'
+      );
+    });
+
+    it('should keep audit fields through serialize and load', () => {
+      graph.setActor({ type: 'user', id: 'alice' });
+      graph.addEntity({ id: 'e1', type: 'repo' });
+      graph.addEntity({ id: 'e2', type: 'repo' });
+      graph.addRelation({ id: 'r1', from: 'e1', to: 'e2', type: 'OWNS' });
+
+      const copy = new Graph(new EventBus());
+      copy.load(graph.serialize());
+
+      expect(copy.getEntity('e1')).toEqual(graph.getEntity('e1'));
+      expect(copy.getRelation('r1').createdBy).toBe('alice');
+    });
+  });
+
+  describe('middleware', () => {
+    it('should let before hooks transform the payload', () => {
+      graph.use({
+        beforeAddEntity: (entity) => ({ ...entity, login: entity.login.toLowerCase() }),
+        beforeUpdateEntity: (patch) => (patch.login ? { ...patch, login: patch.login.toLowerCase() } : patch),
+      });
+      const listener = jest.fn();
+      eventBus.subscribe('graph.entity.added', listener);
+
+      graph.addEntity({ id: 'u1', type: 'user', login: 'Alice' });
+      graph.updateEntity('u1', { login: 'ALICE2' });
+
+      expect(graph.getEntity('u1').login).toBe('alice2');
+      expect(listener.mock.calls[0][0].data.entity.login).toBe('alice');
+    });
+
+    it('should veto a mutation with a GSError', () => {
+      graph.addEntity({ id: 'u1', type: 'user' });
+      graph.use({
+        beforeRemoveEntity: (options, { id, veto }) => {
+          if (id === 'u1') veto('Users cannot be removed');
+        },
+      });
+
+      let error;
+      try {
+        graph.removeEntity('u1');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(GSError);
+      expect(error).toMatchObject({ type: 'mutation', detail: 'Users cannot be removed', context: { operation: 'removeEntity', id: 'u1' } });
+      expect(graph.getEntity('u1')).not.toBeNull();
+    });
+
+    it('should commit follow-up mutations from after hooks together', () => {
+      const committed = jest.fn();
+      eventBus.subscribe('graph.transaction.committed', committed);
+      graph.addEntity({ id: 'org', type: 'organization' });
+      graph.use({
+        afterAddEntity: ({ entity }, { graph: target }) => {
+          if (entity.type === 'repo') {
+            target.addRelation({ id: `owns-${entity.id}`, from: 'org', to: entity.id, type: 'OWNS' });
+          }
+        },
+      });
+
+      graph.addEntity({ id: 'r1', type: 'repo' });
+
+      expect(graph.getRelation('owns-r1')).not.toBeNull();
+      expect(committed).toHaveBeenCalledTimes(1);
+      expect(committed.mock.calls[0][0].data.changes.map(c => c.type)).toEqual([
+        'graph.entity.added',
+        'graph.relation.added',
+      ]);
+    });
+
+    it('should roll back the mutation when a follow-up fails', () => {
+      graph.use({
+        afterAddEntity: () => {
+          throw new Error('derived relation failed');
+        },
+      });
+
+      expect(() => graph.addEntity({ id: 'r1', type: 'repo' })).toThrow('derived relation failed');
+      expect(graph.getEntity('r1')).toBeNull();
+    });
+
+    it('should stop running once removed and reject unknown hooks', () => {
+      const hook = jest.fn();
+      const remove = graph.use({ beforeAddEntity: hook });
+      remove();
+
+      graph.addEntity({ id: 'e1', type: 'repo' });
+
+      expect(hook).not.toHaveBeenCalled();
+      expect(() => graph.use({ beforeLoad: () => {} })).toThrow("Unknown middleware hook 'beforeLoad'");
+    });
+  });
+
+  describe('cross-graph references', () => {
+    let people;
+    let tickets;
+
+    beforeEach(() => {
+      const schema = new Schema({ includeDefaults: false });
+      schema.registerEntityType('person', { required: ['id', 'type'] });
+      schema.registerEntityType('ticket', {
+        required: ['id', 'type'],
+        constraints: { owner: { type: 'ref' } },
+      });
+
+      const graphs = new Map();
+      const resolveGraph = (graphId) => graphs.get(graphId) || null;
+      people = new Graph(new EventBus(), schema, { graphId: 'people', resolveGraph });
+      tickets = new Graph(eventBus, schema, { graphId: 'tickets', resolveGraph });
+      graphs.set('people', people).set('tickets', tickets);
+
+      people.addEntity({ id: 'alice', type: 'person' });
+      tickets.addEntity({ id: 't1', type: 'ticket', owner: { graphId: 'people', entityId: 'alice' } });
+    });
+
+    it('should resolve references into other graphs', () => {
+      expect(tickets.resolveGraph('people')).toBe(people);
+      expect(tickets.resolveRef({ graphId: 'people', entityId: 'alice' })).toEqual(
+        audited({ id: 'alice', type: 'person' })
+      );
+      expect(tickets.resolveRef({ graphId: 'elsewhere', entityId: 'alice' })).toBeNull();
+      expect(() => tickets.resolveRef({ entityId: 'alice' })).toThrow('Invalid reference');
+    });
+
+    it('should list the references an entity holds', () => {
+      expect(tickets.getRefs('t1')).toEqual([{
+        field: 'owner',
+        ref: { graphId: 'people', entityId: 'alice' },
+        target: expect.objectContaining({ id: 'alice' }),
+      }]);
+    });
+
+    it('should report broken references once the target is gone', () => {
+      const broken = jest.fn();
+      eventBus.subscribe('graph.ref.broken', broken);
+
+      expect(tickets.checkRefs({ graphId: 'people' })).toEqual([]);
+      people.removeEntity('alice');
+
+      expect(tickets.getRefs('t1')[0].target).toBeNull();
+      expect(tickets.checkRefs({ graphId: 'people', entityId: 'alice' })).toEqual([
+        { entityId: 't1', field: 'owner', ref: { graphId: 'people', entityId: 'alice' } },
+      ]);
+      expect(broken).toHaveBeenCalledTimes(1);
+      expect(broken.mock.calls[0][0].data.entityId).toBe('t1');
+    });
+  });
+
+  describe('load validation', () => {
+    let schema;
+    const data = {
+      entities: [{ id: 'u1', type: 'user', login: 'alice' }, { id: 'u2', type: 'user' }],
+      relations: [{ id: 'r1', from: 'u1', to: 'u3', type: 'FOLLOWS' }],
+    };
+
+    beforeEach(() => {
+      schema = new Schema({ includeDefaults: false });
+      schema.registerEntityType('user', { required: ['id', 'type', 'login'] });
+      schema.registerRelationType('FOLLOWS', { source: ['user'], target: ['user'] });
+      graph = new Graph(eventBus, schema);
+    });
+
+    it('should refuse invalid data in strict mode', () => {
+      graph.addEntity({ id: 'keep', type: 'user', login: 'kept' });
+
+      let error;
+      try {
+        graph.load(data, { validation: 'strict' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(GSError);
+      expect(error.detail).toBe("Graph data has 2 error(s): Entity type 'user' requires field 'login'");
+      expect(error.context.violations.map(v => v.rule)).toEqual(['required', 'endpoint']);
+      expect(graph.getEntity('keep')).not.toBeNull();
+    });
+
+    it('should load invalid data in lenient mode and report it', () => {
+      const loaded = jest.fn();
+      eventBus.subscribe('graph.loaded', loaded);
+
+      const { validation: report, migration } = graph.load(data, { validation: 'lenient' });
+
+      expect(report.valid).toBe(false);
+      expect(report.violations).toHaveLength(2);
+      expect(migration).toBeNull();
+      expect(graph.getEntity('u2')).not.toBeNull();
+      expect(loaded.mock.calls[0][0].data.validation).toBe(report);
+    });
+
+    it('should reject unknown validation modes', () => {
+      expect(() => graph.load(data, { validation: 'paranoid' })).toThrow("Unknown validation mode 'paranoid'");
+    });
+
+    it('should migrate data saved under an older schema version before validating it', () => {
+      schema.registerEntityType('member', { required: ['id', 'type', 'full_name'] });
+      schema.addMigration(1, 2, (old) => ({
+        ...old,
+        entities: old.entities.map(({ fullName, ...entity }) => (
+          entity.type === 'member' ? { ...entity, full_name: fullName } : entity
+        )),
+      }));
+      const loaded = jest.fn();
+      eventBus.subscribe('graph.loaded', loaded);
+
+      const { validation, migration } = graph.load({ entities: [{ id: 'm1', type: 'member', fullName: 'Ada' }] }, { validation: 'strict' });
+
+      expect(validation.valid).toBe(true);
+      expect(graph.getEntity('m1').full_name).toBe('Ada');
+      expect(loaded.mock.calls[0][0].data.migration).toBe(migration);
+      expect(migration).toEqual({
+        from: 1,
+        to: 2,
+        steps: [{
+          from: 1,
+          to: 2,
+          entities: { added: [], removed: [], updated: ['m1'] },
+          relations: { added: [], removed: [], updated: [] },
+        }],
+      });
+      expect(graph.serialize().schemaVersion).toBe(2);
+    });
+  });
+
+  describe('relation types', () => {
+    beforeEach(() => {
+      graph = new Graph(eventBus, new Schema());
+      graph.addEntity({ id: 'alice', type: 'user', login: 'alice' });
+      graph.addEntity({ id: 'bob', type: 'user', login: 'bob' });
+      graph.addEntity({ id: 'acme', type: 'organization', login: 'acme' });
+      graph.addEntity({ id: 'repo', type: 'repository', name: 'web' });
+    });
+
+    it('should reject endpoints of types the relation does not allow', () => {
+      expect(() => graph.addRelation({ id: 'r1', from: 'repo', to: 'acme', type: 'MEMBER_OF' }))
+        .toThrow("Relation type 'MEMBER_OF' does not allow source 'repo' of type 'repository'");
+
+      graph.addRelation({ id: 'r2', from: 'alice', to: 'acme', type: 'MEMBER_OF' });
+      expect(() => graph.updateRelation('r2', { to: 'bob' }))
+        .toThrow("Relation type 'MEMBER_OF' does not allow target 'bob' of type 'user'");
+      expect(graph.getRelation('r2').to).toBe('acme');
+    });
+
+    it('should reject relations beyond the cardinality of their type', () => {
+      graph.addEntity({ id: 'other', type: 'repository', name: 'api' });
+      graph.addRelation({ id: 'o1', from: 'acme', to: 'repo', type: 'OWNS' });
+
+      expect(() => graph.addRelation({ id: 'o2', from: 'alice', to: 'repo', type: 'OWNS' }))
+        .toThrow("Relation type 'OWNS' allows at most 1 inbound relation(s) per entity; 'repo' already has 1");
+
+      // Owning several repositories is fine; re-pointing keeps the limit
+      graph.addRelation({ id: 'o3', from: 'acme', to: 'other', type: 'OWNS' });
+      expect(() => graph.updateRelation('o3', { to: 'repo' })).toThrow('allows at most 1 inbound');
+      graph.updateRelation('o1', { from: 'alice' });
+      expect(graph.getRelation('o1').from).toBe('alice');
+    });
+
+    it('should allow only one undirected relation between two entities', () => {
+      graph.addRelation({ id: 'c1', from: 'alice', to: 'bob', type: 'COLLABORATES' });
+
+      expect(() => graph.addRelation({ id: 'c2', from: 'bob', to: 'alice', type: 'COLLABORATES' }))
+        .toThrow("Undirected relation 'COLLABORATES' between 'bob' and 'alice' already exists as 'c1'");
+      expect(() => graph.addRelation({ id: 'c3', from: 'alice', to: 'bob', type: 'COLLABORATES' }))
+        .toThrow('already exists');
+    });
+
+    it('should follow undirected relations in both directions', () => {
+      graph.addRelation({ id: 'c1', from: 'alice', to: 'bob', type: 'COLLABORATES' });
+      graph.addRelation({ id: 'm1', from: 'alice', to: 'acme', type: 'MEMBER_OF' });
+
+      expect(graph.getNeighbors('bob', { direction: 'out' }).map(e => e.id)).toEqual(['alice']);
+      expect(graph.getNeighbors('alice', { direction: 'in' }).map(e => e.id)).toEqual(['bob']);
+      expect(graph.getNeighbors('acme', { direction: 'out' })).toEqual([]);
+    });
+  });
+
+  describe('schema defaults', () => {
+    it('should fill in default field values on add', () => {
+      const schema = new Schema({ includeDefaults: false });
+      schema.registerEntityType('issue', {
+        required: ['id', 'type', 'state'],
+        constraints: { state: { type: 'string', enum: ['open', 'closed'], default: 'open' } },
+      });
+      graph = new Graph(eventBus, schema);
+
+      graph.addEntity({ id: 'i1', type: 'issue' });
+      expect(graph.getEntity('i1').state).toBe('open');
+      expect(() => graph.updateEntity('i1', { state: 'stale' })).toThrow('must be one of: open, closed');
+    });
+  });
 });
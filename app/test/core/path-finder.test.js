@@ -0,0 +1,134 @@
+/**
+ * PathFinder Tests
+ *
+ * See: ../../doc/modules/graph/QueryEngine.md
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { Graph } from '../../src/core/graph.js';
+import { Schema } from '../../src/core/schema.js';
+import { EventBus } from '../../src/core/event/bus.js';
+import { PathFinder } from '../../src/core/path-finder.js';
+import { QueryEngine } from '../../src/core/query-engine.js';
+
+describe('PathFinder', () => {
+  let graph;
+  let finder;
+
+  const ids = (path) => path.nodes.map((node) => node.id);
+
+  beforeEach(() => {
+    const schema = new Schema({ includeDefaults: false });
+    schema.registerEntityType('city', { required: ['id'], optional: ['x', 'y'] });
+    schema.registerRelationType('ROAD', { source: ['city'], target: ['city'], properties: { km: { type: 'number' } } });
+    schema.registerRelationType('FERRY', { source: ['city'], target: ['city'], direction: 'undirected' });
+
+    graph = new Graph(new EventBus(), schema);
+    finder = new PathFinder(graph);
+
+    //   a --4--> b --1--> d
+    //   a --1--> c --1--> b
+    //            c --5--> d
+    //   e (unreachable)
+    for (const [id, x, y] of [['a', 0, 0], ['b', 2, 0], ['c', 1, 1], ['d', 3, 0], ['e', 9, 9]]) {
+      graph.addEntity({ id, type: 'city', x, y });
+    }
+    graph.addRelation({ id: 'ab', from: 'a', to: 'b', type: 'ROAD', km: 4 });
+    graph.addRelation({ id: 'ac', from: 'a', to: 'c', type: 'ROAD', km: 1 });
+    graph.addRelation({ id: 'cb', from: 'c', to: 'b', type: 'ROAD', km: 1 });
+    graph.addRelation({ id: 'bd', from: 'b', to: 'd', type: 'ROAD', km: 1 });
+    graph.addRelation({ id: 'cd', from: 'c', to: 'd', type: 'ROAD', km: 5 });
+  });
+
+  describe('shortestPath', () => {
+    it('should find the fewest hops without a weight', () => {
+      const path = finder.shortestPath('a', 'd', { direction: 'out' });
+
+      expect(path.cost).toBe(2);
+      expect(path.nodes).toHaveLength(3);
+      expect(path.edges).toHaveLength(2);
+    });
+
+    it('should find the cheapest path by a weight field, with nodes and edges', () => {
+      const path = finder.shortestPath('a', 'd', { weight: 'km', direction: 'out' });
+
+      expect(ids(path)).toEqual(['a', 'c', 'b', 'd']);
+      expect(path.edges.map((edge) => edge.id)).toEqual(['ac', 'cb', 'bd']);
+      expect(path.cost).toBe(3);
+    });
+
+    it('should accept a weight function and an A* heuristic', () => {
+      const distance = (from, to) => Math.hypot(from.x - to.x, from.y - to.y);
+      const path = finder.shortestPath('a', 'd', {
+        weight: (relation) => relation.km,
+        heuristic: (entity, target) => distance(entity, target) / 10,
+        direction: 'out',
+      });
+
+      expect(ids(path)).toEqual(['a', 'c', 'b', 'd']);
+    });
+
+    it('should respect direction and relation types', () => {
+      expect(finder.shortestPath('d', 'a', { direction: 'out' })).toBeNull();
+      expect(ids(finder.shortestPath('d', 'a', { direction: 'in', weight: 'km' }))).toEqual(['d', 'b', 'c', 'a']);
+      expect(finder.shortestPath('a', 'e')).toBeNull();
+
+      graph.addRelation({ id: 'de', from: 'd', to: 'e', type: 'FERRY' });
+      expect(ids(finder.shortestPath('e', 'd', { direction: 'out', relationTypes: ['FERRY'] }))).toEqual(['e', 'd']);
+      expect(finder.shortestPath('a', 'e', { direction: 'out', relationTypes: ['FERRY'] })).toBeNull();
+    });
+
+    it('should reject unknown entities and invalid weights', () => {
+      expect(() => finder.shortestPath('a', 'zz')).toThrow("Entity 'zz' not found");
+      graph.updateRelation('ab', { km: -2 });
+      expect(() => finder.shortestPath('a', 'd', { weight: 'km' })).toThrow("Relation 'ab' has invalid weight -2");
+    });
+  });
+
+  describe('kShortestPaths', () => {
+    it('should return the k cheapest loopless paths in order', () => {
+      const paths = finder.kShortestPaths('a', 'd', 3, { weight: 'km', direction: 'out' });
+
+      expect(paths.map(ids)).toEqual([['a', 'c', 'b', 'd'], ['a', 'b', 'd'], ['a', 'c', 'd']]);
+      expect(paths.map((path) => path.cost)).toEqual([3, 5, 6]);
+    });
+
+    it('should stop when there are no more paths', () => {
+      expect(finder.kShortestPaths('a', 'd', 10, { direction: 'out' })).toHaveLength(3);
+      expect(finder.kShortestPaths('a', 'e', 2)).toEqual([]);
+      expect(() => finder.kShortestPaths('a', 'd', 0)).toThrow('k must be a positive integer');
+    });
+  });
+
+  describe('allShortestPaths', () => {
+    it('should return every path tied for cheapest', () => {
+      const paths = finder.allShortestPaths('a', 'd', { direction: 'out' });
+
+      expect(paths.map(ids).sort()).toEqual([['a', 'b', 'd'], ['a', 'c', 'd']]);
+      expect(paths.every((path) => path.cost === 2)).toBe(true);
+      expect(finder.allShortestPaths('a', 'd', { weight: 'km', direction: 'out' }).map(ids)).toEqual([['a', 'c', 'b', 'd']]);
+    });
+  });
+
+  describe('QueryEngine', () => {
+    it('should expose the path algorithms', () => {
+      const query = new QueryEngine(graph);
+
+      expect(ids(query.shortestPath('a', 'd', { weight: 'km', direction: 'out' }))).toEqual(['a', 'c', 'b', 'd']);
+      expect(query.kShortestPaths('a', 'd', 2, { weight: 'km', direction: 'out' })).toHaveLength(2);
+      expect(query.allShortestPaths('a', 'd', { direction: 'out' })).toHaveLength(2);
+    });
+
+    it('should return edges and costs from path() queries', () => {
+      const query = new QueryEngine(graph);
+      const paths = query
+        .from('city')
+        .where(query.eq('id', 'a'))
+        .path({ to: query.eq('id', 'd'), direction: 'out', weight: 'km' })
+        .execute();
+
+      expect(paths.map((path) => path.edges.map((edge) => edge.id))).toEqual([['ab', 'bd'], ['ac', 'cd'], ['ac', 'cb', 'bd']]);
+      expect(paths.map((path) => path.cost)).toEqual([5, 6, 3]);
+    });
+  });
+});
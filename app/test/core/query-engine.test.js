@@ -631,4 +631,220 @@ describe('QueryEngine', () => {
       expect(result1[0].login).not.toBe(result2[0].login);
     });
   });
+
+  describe('Soft-deleted entities', () => {
+    beforeEach(() => {
+      graph.addEntity({ id: 'u1', login: 'alice', type: 'User' });
+      graph.addEntity({ id: 'u2', login: 'bob', type: 'User' });
+      graph.removeEntity('u2', { soft: true });
+    });
+
+    it('should leave out tombstoned entities by default', () => {
+      expect(query.from('User').execute().map(e => e.id)).toEqual(['u1']);
+    });
+
+    it('should include tombstoned entities when asked', () => {
+      const results = query.from('User').includeDeleted().execute();
+
+      expect(results.map(e => e.id)).toEqual(['u1', 'u2']);
+      expect(results[1]).toMatchObject({ login: 'bob', deleted: true });
+      expect(JSON.parse(query.from().includeDeleted().serialize()).includeDeleted).toBe(true);
+    });
+  });
+
+  describe('toGraph', () => {
+    it('should extract query results into a standalone graph', () => {
+      graph.addEntity({ id: 'u1', login: 'alice', type: 'User' });
+      graph.addEntity({ id: 'r1', name: 'web', type: 'Repository' });
+      graph.addEntity({ id: 'r2', name: 'api', type: 'Repository' });
+      graph.addRelation({ id: 'o1', from: 'u1', to: 'r1', type: 'OWNS' });
+
+      const extracted = query
+        .from('Repository')
+        .where(query.eq('name', 'web'))
+        .toGraph({ includeRelations: 'incident' });
+
+      expect(Array.from(extracted.entities.keys())).toEqual(['u1', 'r1']);
+      expect(extracted.getRelation('o1')).not.toBeNull();
+      expect(extracted.schema).toBe(schema);
+    });
+  });
+
+  describe('followRef', () => {
+    it('should follow references into other graphs', () => {
+      schema.registerEntityType('Ticket', {
+        required: ['id'],
+        constraints: { repo: { type: 'ref' } },
+      });
+      const code = new Graph(new EventBus(), schema, { graphId: 'code' });
+      const tickets = new Graph(eventBus, schema, {
+        graphId: 'tickets',
+        resolveGraph: (graphId) => (graphId === 'code' ? code : null),
+      });
+
+      code.addEntity({ id: 'u1', login: 'alice', type: 'User' });
+      code.addEntity({ id: 'r1', name: 'web', type: 'Repository' });
+      code.addRelation({ id: 'o1', from: 'u1', to: 'r1', type: 'OWNS' });
+      tickets.addEntity({ id: 't1', type: 'Ticket', repo: { graphId: 'code', entityId: 'r1' } });
+      tickets.addEntity({ id: 't2', type: 'Ticket', repo: { graphId: 'code', entityId: 'r1' } });
+      tickets.addEntity({ id: 't3', type: 'Ticket', repo: { graphId: 'code', entityId: 'gone' } });
+
+      const tq = new QueryEngine(tickets);
+      expect(tq.from('Ticket').followRef('repo').execute().map(e => e.id)).toEqual(['r1']);
+
+      // Traversals continue in the graph the reference led to
+      const owners = tq.from('Ticket').followRef('repo').traverse('OWNS', 'in').execute();
+      expect(owners.map(e => e.id)).toEqual(['u1']);
+    });
+  });
+
+  describe('Type inheritance', () => {
+    it('should match subtype entities in from()', () => {
+      schema.registerEntityType('Account', { abstract: true, required: ['id', 'login'] });
+      schema.registerEntityType('Org', { extends: 'Account' });
+      schema.registerEntityType('Bot', { extends: 'Account' });
+      graph.addEntity({ id: 'o1', login: 'acme', type: 'Org' });
+      graph.addEntity({ id: 'b1', login: 'ci', type: 'Bot' });
+      graph.addEntity({ id: 'r1', name: 'web', type: 'Repository' });
+
+      expect(query.from('Account').execute().map(e => e.id)).toEqual(['o1', 'b1']);
+      expect(query.from('Bot').execute().map(e => e.id)).toEqual(['b1']);
+    });
+  });
+
+  describe('Namespaced relation types', () => {
+    it('should match bare and namespaced relation type names alike', () => {
+      graph = new Graph(eventBus, new Schema());
+      query = new QueryEngine(graph);
+      graph.addEntity({ id: 'o', type: 'github:organization', login: 'acme' });
+      graph.addEntity({ id: 'u', type: 'user', login: 'ada' });
+      graph.addEntity({ id: 'r1', type: 'github:repository', name: 'web' });
+      graph.addEntity({ id: 'r2', type: 'repository', name: 'cli' });
+      // As imported today, and as saved before the GitHub types moved into a pack
+      graph.addRelation({ id: 'own1', from: 'o', to: 'r1', type: 'github:OWNS' });
+      graph.addRelation({ id: 'own2', from: 'u', to: 'r2', type: 'OWNS' });
+
+      expect(graph.getOutgoing('o', 'OWNS').map(r => r.id)).toEqual(['own1']);
+      expect(graph.getOutgoing('u', 'github:OWNS').map(r => r.id)).toEqual(['own2']);
+      expect(graph.getNeighbors('r1', { types: ['OWNS'] }).map(e => e.id)).toEqual(['o']);
+      expect(query.from('repository').traverse('OWNS', 'in').execute().map(e => e.id)).toEqual(['o', 'u']);
+      expect(query.from('repository').traverse('github:OWNS', 'in').execute().map(e => e.id)).toEqual(['o', 'u']);
+      expect(query.parse('MATCH repository TRAVERSE OWNS IN').execute()).toHaveLength(2);
+    });
+
+    it('should resolve the requested type once per lookup, not once per stored type', () => {
+      graph = new Graph(eventBus, new Schema());
+      graph.addEntity({ id: 'u', type: 'user', login: 'ada' });
+      graph.addEntity({ id: 'c', type: 'user', login: 'alan' });
+      graph.addEntity({ id: 'a', type: 'repository', name: 'web' });
+      graph.addEntity({ id: 'b', type: 'repository', name: 'cli' });
+      graph.addRelation({ id: 'own1', from: 'u', to: 'a', type: 'OWNS' });
+      graph.addRelation({ id: 'col', from: 'u', to: 'c', type: 'COLLABORATES' });
+      graph.addRelation({ id: 'own2', from: 'u', to: 'b', type: 'github:OWNS' });
+      const resolve = jest.spyOn(graph.schema, 'resolveTypeName');
+
+      expect(graph.getOutgoing('u', 'github:OWNS').map(r => r.id)).toEqual(['own1', 'own2']);
+      expect(resolve).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Grouping and aggregates', () => {
+    beforeEach(() => {
+      schema.registerEntityType('Project', { required: ['id', 'name'], optional: ['language', 'stars', 'releasedAt', 'topics'] });
+      graph.addEntity({ id: 'p1', type: 'Project', name: 'gs', language: 'JavaScript', stars: 120, releasedAt: '2024-01-03T10:00:00Z', topics: 'graph' });
+      graph.addEntity({ id: 'p2', type: 'Project', name: 'ui', language: 'JavaScript', stars: 30, releasedAt: '2024-01-20T10:00:00Z', topics: 'ui' });
+      graph.addEntity({ id: 'p3', type: 'Project', name: 'core', language: 'Rust', stars: 250, releasedAt: '2024-03-02T10:00:00Z', topics: 'graph' });
+      graph.addEntity({ id: 'p4', type: 'Project', name: 'docs', stars: 5 });
+    });
+
+    it('should group by a field with aggregates', () => {
+      const rows = query
+        .from('Project')
+        .groupBy('language')
+        .aggregate({
+          projects: query.count(),
+          totalStars: query.sum('stars'),
+          avgStars: query.avg('stars'),
+          minStars: query.min('stars'),
+          maxStars: query.max('stars'),
+          names: query.collect('name'),
+          topics: query.countDistinct('topics'),
+        })
+        .execute();
+
+      expect(rows).toEqual([
+        { language: 'JavaScript', projects: 2, totalStars: 150, avgStars: 75, minStars: 30, maxStars: 120, names: ['gs', 'ui'], topics: 2 },
+        { language: 'Rust', projects: 1, totalStars: 250, avgStars: 250, minStars: 250, maxStars: 250, names: ['core'], topics: 1 },
+        { language: null, projects: 1, totalStars: 5, avgStars: 5, minStars: 5, maxStars: 5, names: ['docs'], topics: 0 },
+      ]);
+    });
+
+    it('should count per group by default and filter groups with having', () => {
+      const rows = query
+        .from('Project')
+        .groupBy('language')
+        .having(query.gt('count', 1))
+        .execute();
+
+      expect(rows).toEqual([{ language: 'JavaScript', count: 2 }]);
+    });
+
+    it('should aggregate over all results without groupBy', () => {
+      expect(query.from('Project').aggregate({ stars: query.sum('stars') }).execute()).toEqual([{ stars: 405 }]);
+      expect(query.from('Issue').aggregate({ n: query.count(), avg: query.avg('number') }).execute()).toEqual([{ n: 0, avg: null }]);
+    });
+
+    it('should bucket numbers and dates into histograms', () => {
+      const stars = query.from('Project').groupBy({ field: 'stars', size: 100 }).execute();
+      expect(stars).toEqual([{ stars: 0, count: 2 }, { stars: 100, count: 1 }, { stars: 200, count: 1 }]);
+
+      const months = query
+        .from('Project')
+        .groupBy({ field: 'releasedAt', interval: 'month', as: 'month' })
+        .execute();
+      expect(months).toEqual([{ month: '2024-01-01', count: 2 }, { month: '2024-03-01', count: 1 }, { month: null, count: 1 }]);
+
+      const weeks = query.from('Project').where(query.eq('name', 'gs')).groupBy({ field: 'releasedAt', interval: 'week' }).execute();
+      expect(weeks).toEqual([{ releasedAt: '2024-01-01', count: 1 }]);
+    });
+
+    it('should group by a field of related entities', () => {
+      graph.addEntity({ id: 'i1', type: 'Issue', number: 1, title: 'a', state: 'open' });
+      graph.addEntity({ id: 'i2', type: 'Issue', number: 2, title: 'b', state: 'open' });
+      graph.addEntity({ id: 'i3', type: 'Issue', number: 3, title: 'c', state: 'closed' });
+      graph.addRelation({ id: 'x1', from: 'i1', to: 'p1', type: 'RELATES_TO' });
+      graph.addRelation({ id: 'x2', from: 'i2', to: 'p1', type: 'RELATES_TO' });
+      graph.addRelation({ id: 'x3', from: 'i3', to: 'p3', type: 'RELATES_TO' });
+
+      const rows = query
+        .from('Issue')
+        .where(query.eq('state', 'open'))
+        .groupBy({ field: 'name', via: { relationType: 'RELATES_TO' }, as: 'project' })
+        .aggregate({ openIssues: query.count() })
+        .orderBy('openIssues', 'desc')
+        .execute();
+
+      expect(rows).toEqual([{ project: 'gs', openIssues: 2 }]);
+    });
+
+    it('should reject unknown functions and malformed keys', () => {
+      expect(() => query.from().aggregate({ x: { fn: 'median', field: 'stars' } })).toThrow("Unknown aggregate function 'median'");
+      expect(() => query.from().aggregate({ x: { fn: 'sum' } })).toThrow("Aggregate 'x' (sum) needs a field");
+      expect(() => query.from().groupBy({ field: 'releasedAt', interval: 'hour' })).toThrow("Unknown date interval 'hour'");
+      expect(() => query.from().groupBy({ field: 'stars', size: -1 })).toThrow('must be a positive number');
+    });
+
+    it('should serialize and deserialize grouping', () => {
+      const q = query
+        .from('Project')
+        .groupBy('language', { field: 'stars', size: 100 })
+        .aggregate({ total: query.sum('stars') })
+        .having(query.gt('total', 100));
+
+      const copy = QueryEngine.deserialize(q.serialize(), graph);
+      expect(copy.serialize()).toBe(q.serialize());
+      expect(copy.execute()).toEqual(q.execute());
+      expect(copy.execute()).toEqual([{ language: 'JavaScript', stars: 100, total: 120 }, { language: 'Rust', stars: 200, total: 250 }]);
+    });
+  });
 });
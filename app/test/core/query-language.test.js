@@ -0,0 +1,221 @@
+/**
+ * Query Language Tests
+ *
+ * See: ../../doc/modules/graph/QueryEngine.md
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { Graph } from '../../src/core/graph.js';
+import { Schema } from '../../src/core/schema.js';
+import { EventBus } from '../../src/core/event/bus.js';
+import { QueryEngine } from '../../src/core/query-engine.js';
+import { parseQuery, formatQuery, QuerySyntaxError } from '../../src/core/query-language.js';
+
+describe('Query Language', () => {
+  let graph;
+  let query;
+
+  beforeEach(() => {
+    const schema = new Schema({ includeDefaults: false });
+    schema.registerEntityType('repository', { required: ['id', 'name'], optional: ['language', 'stars'] });
+    schema.registerEntityType('user', { required: ['id', 'login'] });
+    schema.registerRelationType('OWNS', { source: ['user'], target: ['repository'] });
+
+    graph = new Graph(new EventBus(), schema);
+    query = new QueryEngine(graph);
+
+    graph.addEntity({ id: 'alice', type: 'user', login: 'alice' });
+    graph.addEntity({ id: 'bob', type: 'user', login: 'bob' });
+    graph.addEntity({ id: 'r1', type: 'repository', name: 'gs', language: 'JavaScript', stars: 300 });
+    graph.addEntity({ id: 'r2', type: 'repository', name: 'tiny', language: 'JavaScript', stars: 20 });
+    graph.addEntity({ id: 'r3', type: 'repository', name: 'rusty', language: 'Rust', stars: 500 });
+    graph.addRelation({ id: 'o1', from: 'alice', to: 'r1', type: 'OWNS' });
+    graph.addRelation({ id: 'o2', from: 'bob', to: 'r2', type: 'OWNS' });
+    graph.addRelation({ id: 'o3', from: 'bob', to: 'r3', type: 'OWNS' });
+  });
+
+  describe('Parsing', () => {
+    it('should parse into the config QueryBuilder.serialize() produces', () => {
+      const text = 'MATCH repository WHERE language = "JavaScript" AND stars > 100 TRAVERSE OWNS IN ORDER BY stars DESC LIMIT 10';
+      const built = query
+        .from('repository')
+        .where(query.eq('language', 'JavaScript'))
+        .where(query.gt('stars', 100))
+        .traverse('OWNS', 'in')
+        .orderBy('stars', 'desc')
+        .limit(10);
+
+      expect(JSON.stringify(parseQuery(text))).toBe(built.serialize());
+    });
+
+    it('should parse every comparison, NOT, OR and parentheses', () => {
+      const config = parseQuery(`match * where not archived exists
+        and (name contains 'g' or name matches "^t") and language in ("Rust", null) and stars != 3 and stars < -1.5`);
+
+      expect(config.from).toBeNull();
+      expect(config.filters).toEqual([
+        { type: 'NOT', args: [{ op: 'exists', field: 'archived' }] },
+        {
+          type: 'OR',
+          args: [
+            { op: 'contains', field: 'name', value: 'g' },
+            { op: 'matches', field: 'name', value: '^t' },
+          ],
+        },
+        { op: 'in', field: 'language', value: ['Rust', null] },
+        { op: 'neq', field: 'stars', value: 3 },
+        { op: 'lt', field: 'stars', value: -1.5 },
+      ]);
+    });
+
+    it('should bind AND tighter than OR', () => {
+      expect(parseQuery('MATCH * WHERE a = 1 OR b = 2 AND c = true').filters).toEqual([
+        {
+          type: 'OR',
+          args: [
+            { op: 'eq', field: 'a', value: 1 },
+            { type: 'AND', args: [{ op: 'eq', field: 'b', value: 2 }, { op: 'eq', field: 'c', value: true }] },
+          ],
+        },
+      ]);
+    });
+
+    it('should parse the remaining clauses', () => {
+      const config = parseQuery(`MATCH \`github:user\`
+        FOLLOW homeRef
+        TRAVERSE OWNS
+        EXPAND 2 BOTH VIA OWNS, FORKED INCLUDE START
+        DISTINCT INCLUDE DELETED
+        SELECT id, \`order\`
+        ORDER BY metadata.created ASC
+        OFFSET 5 LIMIT 5`);
+
+      expect(config).toEqual({
+        from: 'github:user',
+        filters: [],
+        traversals: [{ ref: 'homeRef' }, { relationType: 'OWNS', direction: 'out' }],
+        expansions: [{ depth: 2, direction: 'both', relationTypes: ['OWNS', 'FORKED'], includeStart: true }],
+        select: ['id', 'order'],
+        limit: 5,
+        offset: 5,
+        orderBy: { field: 'metadata.created', direction: 'asc' },
+        distinct: true,
+        includeDeleted: true,
+        groupBy: null,
+        aggregates: null,
+        having: [],
+      });
+    });
+
+    it('should resolve string escapes', () => {
+      const [filter] = parseQuery('MATCH * WHERE name = "say \\"hi\\"\\n\\u00e9" AND x = \'it\\\'s\'').filters;
+      expect(filter.value).toBe('say "hi"\né');
+    });
+  });
+
+  describe('Syntax errors', () => {
+    const errorFor = (text) => {
+      try {
+        parseQuery(text);
+      } catch (err) {
+        return err;
+      }
+      return null;
+    };
+
+    it('should report the line and column of the offending token', () => {
+      const err = errorFor('MATCH repository\nWHERE stars >> 3');
+
+      expect(err).toBeInstanceOf(QuerySyntaxError);
+      expect(err.line).toBe(2);
+      expect(err.column).toBe(14);
+      expect(err.message).toBe("Expected a value (string, number, true, false or null) but found '>' at line 2, column 14");
+    });
+
+    it('should report unknown characters, unterminated strings and trailing input', () => {
+      expect(errorFor('MATCH * WHERE a = 1 ;').message).toBe("Unexpected character ';' at line 1, column 21");
+      expect(errorFor('MATCH * WHERE a = "open').message).toBe('Unterminated string at line 1, column 19');
+      expect(errorFor('MATCH * LIMIT 3 WHERE a = 1').message).toBe("Expected the end of the query but found 'WHERE' at line 1, column 17");
+      expect(errorFor('FIND *').message).toBe("Expected MATCH but found 'FIND' at line 1, column 1");
+      expect(errorFor('MATCH * WHERE (a = 1').message).toBe("Expected ')' but found the end of the query at line 1, column 21");
+      expect(errorFor('MATCH * LIMIT 2.5').message).toMatch(/^Expected a whole number after LIMIT/);
+    });
+  });
+
+  describe('Execution', () => {
+    it('should run text queries through QueryEngine.parse()', () => {
+      const owners = query.parse('MATCH repository WHERE language = "JavaScript" AND stars > 100 TRAVERSE OWNS IN').execute();
+      expect(owners.map((user) => user.id)).toEqual(['alice']);
+
+      const repos = query.parse('MATCH repository WHERE language = "Rust" OR stars < 50 SELECT name ORDER BY stars DESC').execute();
+      expect(repos).toEqual([{ name: 'rusty' }, { name: 'tiny' }]);
+    });
+  });
+
+  describe('Round trip', () => {
+    it('should write a builder query as text that parses back to the same query', () => {
+      const built = query
+        .from('repository')
+        .where(query.eq('language', 'JavaScript'))
+        .or(query.gt('stars', 400))
+        .or(query.expr('AND', [query.contains('name', 'y'), query.expr('NOT', [query.exists('archived')])]))
+        .where(query.expr('AND', [query.in('name', ['gs', 'tiny']), query.matches('name', '^[a-z]+$')]))
+        .traverse('OWNS', 'in')
+        .expand({ depth: 1, relationTypes: ['OWNS'] })
+        .select('id', 'login')
+        .orderBy('login')
+        .offset(1)
+        .limit(2);
+
+      const text = built.toText();
+      expect(query.parse(text).serialize()).toBe(built.serialize());
+      expect(formatQuery(parseQuery(text))).toBe(text);
+    });
+
+    it('should quote names that clash with keywords', () => {
+      const built = query.from('order').where(query.eq('limit', 1)).orderBy('my field', 'desc');
+
+      expect(built.toText()).toBe('MATCH `order`\nWHERE `limit` = 1\nORDER BY `my field` DESC');
+      expect(query.parse(built.toText()).serialize()).toBe(built.serialize());
+    });
+
+    it('should refuse function predicates', () => {
+      expect(() => formatQuery({ from: null, filters: [() => true] })).toThrow('Function predicates cannot be written as query text');
+    });
+  });
+
+  describe('Grouping', () => {
+    it('should parse GROUP BY, AGGREGATE and HAVING', () => {
+      const config = parseQuery(`MATCH repository
+        GROUP BY language, stars BUCKET 100, name VIA OWNS IN AS owner, created BUCKET Month
+        AGGREGATE count(), sum(stars), avg(stars) AS average
+        HAVING count > 1`);
+
+      expect(config.groupBy).toEqual([
+        'language',
+        { field: 'stars', size: 100 },
+        { field: 'name', via: { relationType: 'OWNS', direction: 'in' }, as: 'owner' },
+        { field: 'created', interval: 'month' },
+      ]);
+      expect(config.aggregates).toEqual({
+        count: { fn: 'count' },
+        sum_stars: { fn: 'sum', field: 'stars' },
+        average: { fn: 'avg', field: 'stars' },
+      });
+      expect(config.having).toEqual([{ op: 'gt', field: 'count', value: 1 }]);
+    });
+
+    it('should run grouped text queries and round-trip them', () => {
+      const rows = query.parse('MATCH repository GROUP BY language AGGREGATE sum(stars) AS stars HAVING stars > 100').execute();
+      expect(rows).toEqual([{ language: 'JavaScript', stars: 320 }, { language: 'Rust', stars: 500 }]);
+
+      const built = query
+        .from('user')
+        .groupBy({ field: 'language', via: { relationType: 'OWNS' } })
+        .aggregate({ repos: query.count(), stars: query.sum('stars') })
+        .having(query.gt('repos', 1));
+      expect(built.toText()).toBe('MATCH user\nGROUP BY language VIA OWNS\nAGGREGATE count() AS repos, sum(stars) AS stars\nHAVING repos > 1');
+      expect(query.parse(built.toText()).serialize()).toBe(built.serialize());
+    });
+  });
+});
@@ -434,4 +434,691 @@ describe('Schema', () => {
       expect(schema.hasEntityType('NewType')).toBe(true);
     });
   });
+
+  describe('Reference Fields', () => {
+    beforeEach(() => {
+      schema.registerEntityType('Ticket', {
+        required: ['id', 'type'],
+        optional: ['owner', 'repo'],
+        constraints: {
+          owner: { type: 'ref' },
+          repo: { type: 'ref', graphId: 'code' },
+        },
+      });
+    });
+
+    it('should accept { graphId, entityId } values', () => {
+      expect(schema.validate({
+        id: 't1',
+        type: 'Ticket',
+        owner: { graphId: 'people', entityId: 'alice' },
+        repo: { graphId: 'code', entityId: 'r1' },
+      })).toBe(true);
+    });
+
+    it('should reject malformed references and other graphs', () => {
+      expect(schema.validate({ id: 't1', type: 'Ticket', owner: 'alice' })).toBe(false);
+      expect(schema.getLastError()).toBe("Field 'owner' must be a reference { graphId, entityId }");
+
+      expect(schema.validate({
+        id: 't1',
+        type: 'Ticket',
+        repo: { graphId: 'people', entityId: 'r1' },
+      })).toBe(false);
+      expect(schema.getLastError()).toBe("Field 'repo' must reference graph 'code'");
+    });
+
+    it('should list reference fields of a type', () => {
+      expect(schema.getRefFields('Ticket')).toEqual(['owner', 'repo']);
+      expect(schema.getRefFields('Unknown')).toEqual([]);
+    });
+  });
+
+  describe('Type Inheritance', () => {
+    beforeEach(() => {
+      schema.registerEntityType('account', {
+        abstract: true,
+        required: ['id', 'login'],
+        optional: ['email'],
+        constraints: { login: { type: 'string', minLength: 1 } },
+      });
+      schema.registerEntityType('starrable', { required: ['id'], optional: ['stars'] });
+      schema.registerEntityType('organization', {
+        extends: ['account', 'starrable'],
+        required: ['email'],
+        optional: ['members'],
+      });
+    });
+
+    it('should inherit fields and constraints from all supertypes', () => {
+      const org = schema.getEntityType('organization');
+      expect(org.required).toEqual(['id', 'login', 'email']);
+      expect(org.optional).toEqual(['stars', 'members']);
+      expect(org.constraints.login).toEqual({ type: 'string', minLength: 1 });
+
+      expect(schema.validate({ id: 'o1', type: 'organization', login: 'acme', email: 'a@b.c' })).toBe(true);
+      expect(schema.validate({ id: 'o1', type: 'organization', login: '', email: 'a@b.c' })).toBe(false);
+      expect(schema.validate({ id: 'o1', type: 'organization', login: 'acme' })).toBe(false);
+    });
+
+    it('should refuse to instantiate abstract types', () => {
+      expect(schema.validate({ id: 'a1', type: 'account', login: 'acme' })).toBe(false);
+      expect(schema.getLastError()).toBe("Entity type 'account' is abstract and cannot be instantiated");
+    });
+
+    it('should reject unknown supertypes', () => {
+      expect(() => schema.registerEntityType('bot', { extends: 'robot' }))
+        .toThrow("Entity type 'bot' extends unknown type 'robot'");
+    });
+
+    it('should answer subtype checks and match supertypes at relation ends', () => {
+      schema.registerRelationType('MEMBER_OF', { source: '*', target: ['account'], direction: 'directed' });
+      schema.registerRelationType('ADMIN_OF', { extends: 'MEMBER_OF', properties: { since: { type: 'string' } } });
+
+      expect(schema.isSubtypeOf('organization', 'account')).toBe(true);
+      expect(schema.isSubtypeOf('account', 'organization')).toBe(false);
+      expect(schema.isSubtypeOf('ADMIN_OF', 'MEMBER_OF')).toBe(true);
+
+      expect(schema.getRelationType('ADMIN_OF')).toMatchObject({ source: '*', target: ['account'], direction: 'directed' });
+      expect(schema.allowsEndpoint('ADMIN_OF', 'target', 'organization')).toBe(true);
+      expect(schema.allowsEndpoint('ADMIN_OF', 'target', 'starrable')).toBe(false);
+      expect(schema.allowsEndpoint('ADMIN_OF', 'source', 'starrable')).toBe(true);
+    });
+  });
+
+  describe('Graph Validation', () => {
+    beforeEach(() => {
+      schema.registerEntityType('User', {
+        required: ['id', 'login'],
+        constraints: { login: { type: 'string', minLength: 2 }, age: { type: 'number', min: 0 } },
+      });
+      schema.registerRelationType('FOLLOWS', { source: ['User'], target: ['User'] });
+    });
+
+    it('should report every violation instead of stopping at the first', () => {
+      const report = schema.validateGraph({
+        entities: [
+          { id: 'u1', type: 'User', login: 'alice' },
+          { id: 'u2', type: 'User', login: 'b', age: -1 },
+          { id: 'x1', type: 'Robot' },
+        ],
+        relations: [
+          { id: 'f1', from: 'u1', to: 'u9', type: 'FOLLOWS' },
+          { id: 'f2', from: 'u1', to: 'u2', type: 'LIKES' },
+        ],
+      });
+
+      expect(report.valid).toBe(false);
+      expect(report.violations).toEqual([
+        { entityId: 'u2', field: 'login', rule: 'minLength', message: "Field 'login' must have minLength 2", severity: 'error' },
+        { entityId: 'u2', field: 'age', rule: 'min', message: "Field 'age' must be >= 0", severity: 'error' },
+        { entityId: 'x1', field: 'type', rule: 'registered', message: "Entity type 'Robot' is not registered", severity: 'error' },
+        { relationId: 'f1', field: 'to', rule: 'endpoint', message: "Relation 'f1' points at missing entity 'u9'", severity: 'error' },
+        { relationId: 'f2', field: 'type', rule: 'registered', message: "Relation type 'LIKES' is not registered", severity: 'error' },
+      ]);
+    });
+
+    it('should check nested subgraphs and report their path', () => {
+      const report = schema.validateGraph({
+        entities: [{
+          id: 'u1',
+          type: 'User',
+          login: 'alice',
+          subgraph: { entities: [{ id: 'u2', type: 'User' }], relations: [] },
+        }],
+        relations: [],
+      });
+
+      expect(report.violations).toEqual([expect.objectContaining({
+        entityId: 'u2',
+        path: ['u1'],
+        rule: 'required',
+        field: 'login',
+      })]);
+    });
+
+    it('should keep validate() reporting the first problem', () => {
+      expect(schema.validate({ id: 'u2', type: 'User', login: 'b', age: -1 })).toBe(false);
+      expect(schema.getLastError()).toBe("Field 'login' must have minLength 2");
+    });
+  });
+
+  describe('Relation Endpoint Validation', () => {
+    it('should report relation ends of disallowed types', () => {
+      const report = new Schema().validateGraph({
+        entities: [
+          { id: 'r1', type: 'repository', name: 'web' },
+          { id: 'o1', type: 'organization', login: 'acme' },
+        ],
+        relations: [{ id: 'x1', from: 'r1', to: 'o1', type: 'REVIEWED' }],
+      });
+
+      expect(report.violations.map(v => [v.field, v.rule])).toEqual([
+        ['from', 'endpoint-type'],
+        ['to', 'endpoint-type'],
+      ]);
+    });
+  });
+
+  describe('Constraint Vocabulary', () => {
+    const check = (constraint, value) => {
+      const local = new Schema({ includeDefaults: false });
+      local.registerEntityType('Thing', { required: ['id'], constraints: { field: constraint } });
+      return local.validate({ id: 't', type: 'Thing', field: value }) ? null : local.getLastError();
+    };
+
+    it('should validate enums and formats', () => {
+      expect(check({ enum: ['open', 'closed'] }, 'open')).toBeNull();
+      expect(check({ enum: ['open', 'closed'] }, 'merged')).toBe("Field 'field' must be one of: open, closed");
+
+      expect(check({ format: 'url' }, 'https://github.com/acme')).toBeNull();
+      expect(check({ format: 'url' }, 'github.com/acme')).toBe("Field 'field' must be a valid url");
+      expect(check({ format: 'email' }, 'dev@acme.io')).toBeNull();
+      expect(check({ format: 'email' }, 'dev@acme')).not.toBeNull();
+      expect(check({ format: 'date-time' }, '2024-05-01T12:00:00Z')).toBeNull();
+      expect(check({ format: 'date-time' }, '2024-05-01')).not.toBeNull();
+      expect(check({ format: 'uuid' }, '123e4567-e89b-42d3-a456-426614174000')).toBeNull();
+      expect(check({ format: 'uuid' }, 'not-a-uuid')).not.toBeNull();
+
+      expect(() => schema.registerEntityType('Bad', { constraints: { at: { format: 'phone' } } }))
+        .toThrow("Unknown format 'phone' for field 'at'");
+    });
+
+    it('should validate arrays and their items', () => {
+      const labels = { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', minLength: 1 } };
+      expect(check(labels, ['bug', 'ui'])).toBeNull();
+      expect(check(labels, [])).toBe("Field 'field' must have at least 1 item(s)");
+      expect(check(labels, ['bug', 'bug'])).toBe("Field 'field' must not contain duplicate items");
+      expect(check(labels, ['bug', ''])).toBe("Field 'field[1]' must have minLength 1");
+      expect(check(labels, 'bug')).toBe("Field 'field' must be of type 'array' but was 'string'");
+    });
+
+    it('should validate nested objects', () => {
+      const address = {
+        type: 'object',
+        required: ['city'],
+        properties: { city: { type: 'string' }, zip: { type: 'string', pattern: '^[0-9]{5}$' } },
+      };
+      expect(check(address, { city: 'Berlin', zip: '10115' })).toBeNull();
+      expect(check(address, { zip: '10115' })).toBe("Field 'field' requires property 'city'");
+      expect(check(address, { city: 'Berlin', zip: 'x' })).toBe("Field 'field.zip' must match pattern '^[0-9]{5}$'");
+    });
+
+    it('should reject null unless the field is nullable', () => {
+      expect(check({ type: 'string' }, null)).toBe("Field 'field' must not be null");
+      expect(check({ type: 'string', nullable: true }, null)).toBeNull();
+    });
+
+    it('should run named custom validators', () => {
+      schema.registerValidator('even', (value) => value % 2 === 0 || `${value} is odd`);
+      schema.registerEntityType('Thing', { required: ['id'], constraints: { n: { type: 'number', validator: 'even' } } });
+
+      expect(schema.validate({ id: 't', type: 'Thing', n: 4 })).toBe(true);
+      expect(schema.validate({ id: 't', type: 'Thing', n: 3 })).toBe(false);
+      expect(schema.getLastError()).toBe('3 is odd');
+      expect(() => schema.registerValidator('even', () => true)).toThrow("Validator 'even' is already registered");
+    });
+
+    it('should apply default values', () => {
+      schema.registerEntityType('Issue', {
+        required: ['id', 'state'],
+        constraints: {
+          state: { type: 'string', enum: ['open', 'closed'], default: 'open' },
+          labels: { type: 'array', default: [] },
+        },
+      });
+
+      const first = schema.applyDefaults({ id: 'i1', type: 'Issue' });
+      const second = schema.applyDefaults({ id: 'i2', type: 'Issue', state: 'closed' });
+      expect(first).toEqual({ id: 'i1', type: 'Issue', state: 'open', labels: [] });
+      expect(second.state).toBe('closed');
+      expect(second.labels).not.toBe(first.labels);
+    });
+  });
+
+  describe('Relation Cardinality', () => {
+    it('should resolve cardinality into per-entity counts', () => {
+      schema.registerRelationType('LEADS', { cardinality: 'one-to-one' });
+      schema.registerRelationType('CO_LEADS', { extends: 'LEADS' });
+      schema.registerRelationType('TAGGED', { outbound: { max: 5 } });
+
+      expect(schema.getRelationType('LEADS')).toMatchObject({
+        cardinality: 'one-to-one',
+        inbound: { min: 0, max: 1 },
+        outbound: { min: 0, max: 1 },
+      });
+      expect(schema.getRelationType('CO_LEADS').inbound).toEqual({ min: 0, max: 1 });
+      expect(schema.getRelationType('TAGGED')).toMatchObject({
+        cardinality: 'many-to-many',
+        inbound: { min: 0, max: null },
+        outbound: { min: 0, max: 5 },
+      });
+      expect(() => schema.registerRelationType('BAD', { cardinality: 'few-to-some' }))
+        .toThrow("Unknown cardinality 'few-to-some'");
+    });
+
+    it('should flag entities with too few or too many relations', () => {
+      const report = new Schema().validateGraph({
+        entities: [
+          { id: 'alice', type: 'user', login: 'alice' },
+          { id: 'bob', type: 'user', login: 'bob' },
+          { id: 'i1', type: 'issue', number: 1, title: 'Crash' },
+          { id: 'i2', type: 'issue', number: 2, title: 'Typo' },
+        ],
+        relations: [
+          { id: 'c1', from: 'alice', to: 'i1', type: 'CREATED' },
+          { id: 'c2', from: 'bob', to: 'i1', type: 'CREATED' },
+        ],
+      });
+
+      expect(report.violations).toEqual([
+        {
+          entityId: 'i1',
+          field: 'inbound',
+          rule: 'cardinality',
+          message: "Entity 'i1' has 2 inbound 'github:CREATED' relation(s); expected exactly 1",
+          severity: 'error',
+        },
+        {
+          entityId: 'i2',
+          field: 'inbound',
+          rule: 'cardinality',
+          message: "Entity 'i2' has 0 inbound 'github:CREATED' relation(s); expected exactly 1",
+          severity: 'error',
+        },
+      ]);
+    });
+  });
+
+  describe('JSON Schema', () => {
+    it('should export the default types as a draft 2020-12 reference document', () => {
+      const doc = new Schema().toJSONSchema({ id: 'urn:gs:defaults' });
+
+      expect(doc.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+      expect(doc.$id).toBe('urn:gs:defaults');
+      expect(doc.$defs['github:repository']).toMatchObject({
+        type: 'object',
+        'x-gs-kind': 'entity',
+        required: ['id', 'name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          url: { type: 'string', format: 'uri' },
+          owner: {},
+        },
+      });
+      expect(doc.$defs['github:issue'].properties.number).toEqual({ type: 'number', minimum: 1 });
+      expect(doc.$defs['github:CREATED']).toMatchObject({
+        'x-gs-kind': 'relation',
+        required: ['id', 'from', 'to', 'type'],
+        'x-gs-source': ['github:user'],
+        'x-gs-target': ['github:issue', 'github:pull_request'],
+        'x-gs-cardinality': 'one-to-many',
+        'x-gs-inbound': { min: 1 },
+      });
+      expect(() => JSON.stringify(doc)).not.toThrow();
+    });
+
+    it('should round-trip the default types', () => {
+      const defaults = new Schema();
+      const imported = Schema.fromJSONSchema(JSON.parse(JSON.stringify(defaults.toJSONSchema())));
+
+      expect(imported.getEntityTypes()).toEqual(defaults.getEntityTypes());
+      expect(imported.getRelationTypes()).toEqual(defaults.getRelationTypes());
+      for (const name of defaults.getEntityTypes()) {
+        expect(imported.getEntityType(name)).toEqual(defaults.getEntityType(name));
+      }
+      for (const name of defaults.getRelationTypes()) {
+        expect(imported.getRelationType(name)).toEqual(defaults.getRelationType(name));
+      }
+    });
+
+    it('should round-trip inheritance and the constraint vocabulary', () => {
+      schema.registerEntityType('account', {
+        abstract: true,
+        required: ['id', 'login'],
+        metadata: { icon: 'person' },
+      });
+      schema.registerEntityType('member', {
+        extends: 'account',
+        optional: ['home', 'tags', 'address', 'role', 'joined'],
+        constraints: {
+          home: { type: 'ref', graphId: 'hq' },
+          tags: { type: 'array', items: { type: 'string', maxLength: 20 }, uniqueItems: true, default: [] },
+          address: { type: 'object', required: ['city'], properties: { city: { type: 'string' } } },
+          role: { type: 'string', enum: ['admin', 'dev'], nullable: true, validator: 'role' },
+          joined: { type: 'string', format: 'date-time' },
+        },
+      });
+      schema.registerRelationType('LINKS', { source: '*', target: '*', properties: { weight: { type: 'number', max: 1 } } });
+      schema.registerRelationType('MENTORS', {
+        extends: 'LINKS',
+        source: ['member'],
+        direction: 'undirected',
+        cardinality: 'one-to-one',
+      });
+
+      const doc = schema.toJSONSchema();
+      expect(doc.$defs.member.allOf).toEqual([{ $ref: '#/$defs/account' }]);
+      expect(doc.$defs.member.properties.role).toMatchObject({
+        type: ['string', 'null'],
+        enum: ['admin', 'dev', null],
+        'x-gs-validator': 'role',
+      });
+
+      // Subtypes listed before their supertypes still import
+      const reordered = { ...doc, $defs: { MENTORS: doc.$defs.MENTORS, ...doc.$defs } };
+      const imported = Schema.fromJSONSchema(reordered);
+
+      for (const name of schema.getEntityTypes()) {
+        expect(imported.getEntityType(name, { own: true })).toEqual(schema.getEntityType(name, { own: true }));
+      }
+      for (const name of schema.getRelationTypes()) {
+        expect(imported.getRelationType(name)).toEqual(schema.getRelationType(name));
+      }
+    });
+
+    it('should import object schemas published by other systems', () => {
+      const imported = new Schema({ includeDefaults: false });
+      const result = imported.importJSONSchema({
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'deployment',
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          replicas: { type: 'integer', minimum: 0 },
+          region: { const: 'eu' },
+          createdAt: { type: 'string', format: 'date' },
+        },
+        required: ['id', 'replicas'],
+      });
+
+      expect(result).toEqual({ entityTypes: ['deployment'], relationTypes: [] });
+      expect(imported.getEntityType('deployment')).toMatchObject({
+        required: ['id', 'replicas'],
+        optional: ['region', 'createdAt'],
+        constraints: {
+          id: { type: 'string' },
+          replicas: { type: 'number', min: 0 },
+          region: { enum: ['eu'] },
+          createdAt: { type: 'string' },
+        },
+      });
+      expect(imported.validate({ id: 'd1', type: 'deployment', replicas: -1 })).toBe(false);
+    });
+
+    it('should reject documents without types', () => {
+      expect(() => Schema.fromJSONSchema({ type: 'object' })).toThrow('must have $defs or a title');
+      expect(() => schema.importJSONSchema({ title: 'user' })).not.toThrow();
+      expect(() => schema.importJSONSchema({ title: 'user' })).toThrow("Entity type 'user' is already registered");
+    });
+  });
+
+  describe('Migrations', () => {
+    const data = {
+      entities: [
+        { id: 'u1', type: 'user', fullName: 'Ada Lovelace' },
+        { id: 'u2', type: 'user', fullName: 'Alan Turing' },
+      ],
+      relations: [{ id: 'r1', from: 'u1', to: 'u2', type: 'KNOWS' }],
+    };
+
+    beforeEach(() => {
+      schema.addMigration(1, 2, (old) => {
+        old.entities.forEach((entity) => {
+          entity.full_name = entity.fullName;
+          delete entity.fullName;
+        });
+        return old;
+      });
+      schema.addMigration(2, 4, (old) => ({
+        ...old,
+        entities: [...old.entities.filter((entity) => entity.id !== 'u2'), { id: 'o1', type: 'org' }],
+        relations: [],
+      }));
+    });
+
+    it('should raise the version as migrations are added', () => {
+      expect(new Schema().version).toBe(1);
+      expect(new Schema({ version: 3 }).version).toBe(3);
+      expect(schema.version).toBe(4);
+    });
+
+    it('should run migrations in order and report each step', () => {
+      const { data: migrated, report } = schema.migrate(data);
+
+      expect(migrated.schemaVersion).toBe(4);
+      expect(migrated.entities).toEqual([
+        { id: 'u1', type: 'user', full_name: 'Ada Lovelace' },
+        { id: 'o1', type: 'org' },
+      ]);
+      expect(data.entities[0].fullName).toBe('Ada Lovelace');
+      expect(report).toEqual({
+        from: 1,
+        to: 4,
+        steps: [
+          {
+            from: 1,
+            to: 2,
+            entities: { added: [], removed: [], updated: ['u1', 'u2'] },
+            relations: { added: [], removed: [], updated: [] },
+          },
+          {
+            from: 2,
+            to: 4,
+            entities: { added: ['o1'], removed: ['u2'], updated: [] },
+            relations: { added: [], removed: ['r1'], updated: [] },
+          },
+        ],
+      });
+    });
+
+    it('should leave current data alone', () => {
+      const current = { ...data, schemaVersion: 4 };
+      const { data: migrated, report } = schema.migrate(current);
+
+      expect(migrated).toBe(current);
+      expect(report.steps).toEqual([]);
+    });
+
+    it('should reject data it cannot migrate', () => {
+      expect(() => schema.migrate({ ...data, schemaVersion: 5 }))
+        .toThrow('Graph data has schema version 5, newer than the schema (version 4)');
+      expect(() => schema.migrate({ ...data, schemaVersion: 3 }))
+        .toThrow('No migration from schema version 3 (schema is at version 4)');
+    });
+
+    it('should reject invalid migrations', () => {
+      expect(() => schema.addMigration(2, 2, (old) => old)).toThrow('Migration must go from a lower to a higher version');
+      expect(() => schema.addMigration(1, 3, (old) => old)).toThrow('Migration from schema version 1 is already registered');
+      expect(() => schema.addMigration(4, 5)).toThrow('Migration 4 -> 5 must be a function');
+    });
+  });
+
+  describe('Schema Inference', () => {
+    it('should infer types, fields and relation endpoints from a snapshot', () => {
+      const draft = Schema.infer({
+        entities: [
+          { id: 'u1', type: 'user', login: 'ada', state: 'active', createdAt: '2024-01-01T00:00:00Z' },
+          { id: 'u2', type: 'user', login: 'alan', state: 'active', age: 41 },
+          { id: 'u3', type: 'user', login: 'grace', state: 'gone', age: null },
+          { id: 'u4', type: 'user', login: 'linus', state: 'gone' },
+          { id: 'r1', type: 'repo', name: 'engine', home: { graphId: 'hq', entityId: 'x' } },
+        ],
+        relations: [
+          { id: 'e1', from: 'u1', to: 'r1', type: 'OWNS', since: 2020 },
+          { id: 'e2', from: 'u2', to: 'u1', type: 'FOLLOWS' },
+        ],
+      });
+
+      expect(draft.entityTypes.user).toEqual({
+        required: ['id', 'login', 'state'],
+        optional: ['age'],
+        constraints: {
+          id: { type: 'string' },
+          login: { type: 'string' },
+          state: { type: 'string', enum: ['active', 'gone'] },
+          age: { type: 'number', nullable: true },
+        },
+      });
+      expect(draft.entityTypes.repo.constraints.home).toEqual({ type: 'ref' });
+      expect(draft.relationTypes.OWNS).toEqual({
+        source: ['user'],
+        target: ['repo'],
+        direction: 'directed',
+        properties: { since: { type: 'number' } },
+      });
+      expect(draft.relationTypes.FOLLOWS).toMatchObject({ source: ['user'], target: ['user'] });
+      expect(draft.stats.entityTypes.user).toEqual({
+        count: 4,
+        fields: {
+          id: { presence: 1, types: ['string'] },
+          login: { presence: 1, types: ['string'] },
+          state: { presence: 1, types: ['string'] },
+          age: { presence: 0.5, types: ['number', 'null'] },
+        },
+      });
+    });
+
+    it('should infer types and nesting relations from raw payloads', () => {
+      const draft = Schema.infer({
+        organizations: [
+          { id: 1, login: 'acme', repositories: [{ id: 10, name: 'web' }, { id: 11, name: 'api', topics: ['go'] }] },
+          { id: 2, login: 'globex', repositories: [] },
+        ],
+      }, { requiredRatio: 0.5 });
+
+      expect(Object.keys(draft.entityTypes)).toEqual(['repository', 'organization']);
+      expect(draft.entityTypes.repository.required).toEqual(['id', 'name', 'topics']);
+      expect(draft.entityTypes.repository.constraints.topics).toEqual({ type: 'array' });
+      expect(draft.relationTypes.HAS_REPOSITORY).toMatchObject({ source: ['organization'], target: ['repository'] });
+
+      const records = Schema.infer([{ key: 'A-1' }, { key: 'A-2', done: true }], { type: 'ticket' });
+      expect(records.entityTypes.ticket).toMatchObject({ required: ['key'], optional: ['done'] });
+    });
+
+    it('should register a reviewed draft', () => {
+      const draft = Schema.infer({
+        entities: [{ id: 'p1', type: 'project', title: 'Apollo' }],
+        relations: [{ id: 'e1', from: 'p1', to: 'p1', type: 'DEPENDS_ON' }],
+      });
+      draft.entityTypes.project.constraints.title.minLength = 1;
+
+      expect(schema.registerDraft(draft)).toEqual({ entityTypes: ['project'], relationTypes: ['DEPENDS_ON'] });
+      expect(schema.validate({ id: 'p2', type: 'project', title: '' })).toBe(false);
+      expect(schema.allowsEndpoint('DEPENDS_ON', 'source', 'project')).toBe(true);
+    });
+  });
+
+  describe('Schema Packs', () => {
+    const jira = {
+      version: '2.1',
+      entityTypes: {
+        item: { abstract: true, required: ['id', 'key'] },
+        issue: { extends: 'item', optional: ['summary'] },
+        user: { required: ['id', 'accountId'] },
+      },
+      relationTypes: {
+        ASSIGNED: { source: ['user'], target: ['item'] },
+      },
+    };
+
+    it('should register namespaced types and resolve pack-local names', () => {
+      schema.registerPack('jira', jira);
+
+      expect(schema.getEntityTypes()).toEqual(['jira:item', 'jira:issue', 'jira:user']);
+      expect(schema.getEntityType('jira:issue').extends).toEqual(['jira:item']);
+      expect(schema.getRelationType('jira:ASSIGNED')).toMatchObject({ source: ['jira:user'], target: ['jira:item'] });
+      expect(schema.allowsEndpoint('jira:ASSIGNED', 'target', 'jira:issue')).toBe(true);
+      expect(schema.listPacks()).toEqual([{
+        name: 'jira',
+        version: '2.1',
+        description: '',
+        entityTypes: ['jira:item', 'jira:issue', 'jira:user'],
+        relationTypes: ['jira:ASSIGNED'],
+      }]);
+    });
+
+    it('should keep colliding type names apart', () => {
+      const defaults = new Schema();
+      defaults.registerPack('jira', jira);
+
+      expect(defaults.validate({ id: 'u1', type: 'github:user', login: 'ada' })).toBe(true);
+      expect(defaults.validate({ id: 'u1', type: 'jira:user', login: 'ada' })).toBe(false);
+      expect(defaults.validate({ id: 'u1', type: 'user', login: 'ada' })).toBe(false);
+      expect(defaults.getLastError()).toBe("Entity type 'user' is ambiguous (github:user, jira:user); use its namespaced name");
+
+      // Names only one pack uses need no prefix
+      expect(defaults.validate({ id: 'r1', type: 'repository', name: 'web' })).toBe(true);
+      expect(defaults.isSubtypeOf('jira:issue', 'item')).toBe(true);
+    });
+
+    it('should unload packs unless other types depend on them', () => {
+      const defaults = new Schema();
+      defaults.registerPack('jira', jira);
+      defaults.registerRelationType('TRACKS', { source: ['*'], target: ['github:pull_request'] });
+
+      expect(() => defaults.unloadPack('github'))
+        .toThrow("Cannot unload schema pack 'github': type 'TRACKS' depends on 'github:pull_request'");
+
+      defaults.unloadPack('jira');
+      expect(defaults.hasPack('jira')).toBe(false);
+      expect(defaults.hasEntityType('jira:issue')).toBe(false);
+      expect(defaults.validate({ id: 'u1', type: 'user', login: 'ada' })).toBe(true);
+      expect(() => defaults.unloadPack('jira')).toThrow("Schema pack 'jira' is not registered");
+    });
+
+    it('should load the GitHub types as an unloadable pack', () => {
+      const defaults = new Schema();
+
+      expect(defaults.listPacks().map((pack) => pack.name)).toEqual(['github']);
+      defaults.unloadPack('github');
+      expect(defaults.getEntityTypes()).toEqual(['Entity', 'Relation']);
+      expect(defaults.getRelationTypes()).toEqual([]);
+    });
+
+    it('should register all of a pack or none of it', () => {
+      schema.registerPack('jira', jira);
+
+      expect(() => schema.registerPack('jira', jira)).toThrow("Schema pack 'jira' is already registered");
+      expect(() => schema.registerPack('broken', {
+        entityTypes: { ok: { required: ['id'] }, bad: { extends: 'missing' } },
+      })).toThrow("Entity type 'broken:bad' extends unknown type 'missing'");
+      expect(schema.hasEntityType('broken:ok')).toBe(false);
+      expect(schema.hasPack('broken')).toBe(false);
+      expect(() => schema.registerPack('a:b', {})).toThrow('Schema pack name must be a non-empty string');
+    });
+  });
+
+  describe('Presentation', () => {
+    it('should store presentation and merge it down the type hierarchy', () => {
+      schema.registerEntityType('item', { abstract: true, presentation: { icon: 'box', color: '#999' } });
+      schema.registerEntityType('issue', {
+        extends: 'item',
+        presentation: { label: '{key}: {summary}', color: '#e44', fields: ['summary', { name: 'status', widget: 'badge' }] },
+      });
+      schema.registerRelationType('BLOCKS', { source: ['issue'], target: ['issue'], presentation: { edgeStyle: 'dashed' } });
+
+      expect(schema.getPresentation('issue')).toEqual({
+        icon: 'box',
+        color: '#e44',
+        label: '{key}: {summary}',
+        fields: ['summary', { name: 'status', widget: 'badge' }],
+      });
+      expect(schema.getPresentation('BLOCKS', 'relation')).toEqual({ edgeStyle: 'dashed' });
+      expect(schema.getPresentation('unknown')).toEqual({});
+    });
+
+    it('should reject unknown shapes, edge styles and malformed fields', () => {
+      expect(() => schema.registerEntityType('a', { presentation: { shape: 'blob' } })).toThrow(/Unknown shape 'blob'/);
+      expect(() => schema.registerRelationType('B', { presentation: { edgeStyle: 'wavy' } })).toThrow(/Unknown edge style 'wavy'/);
+      expect(() => schema.registerEntityType('c', { presentation: { fields: [{ widget: 'badge' }] } })).toThrow(/Presentation fields/);
+    });
+
+    it('should round-trip presentation through JSON Schema', () => {
+      schema.registerEntityType('issue', { presentation: { label: '{key}', shape: 'square' } });
+
+      const copy = Schema.fromJSONSchema(schema.toJSONSchema());
+      expect(copy.getPresentation('issue')).toEqual({ label: '{key}', shape: 'square' });
+    });
+  });
 });
@@ -0,0 +1,127 @@
+/**
+ * Trash Tests
+ *
+ * See: ../../doc/TESTING.md → "1. Core Logic Tests"
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { Graph } from '../../src/core/graph.js';
+import { Schema } from '../../src/core/schema.js';
+import { EventBus } from '../../src/core/event/bus.js';
+
+describe('Trash', () => {
+  let eventBus;
+  let graph;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    const schema = new Schema({ includeDefaults: false });
+    schema.registerEntityType('repo', { required: ['id', 'type'] });
+    schema.registerRelationType('DEPENDS_ON', { source: '*', target: '*' });
+    graph = new Graph(eventBus, schema, { softDelete: true });
+    graph.addEntity({ id: 'a', type: 'repo' });
+    graph.addEntity({ id: 'b', type: 'repo' });
+    graph.addRelation({ id: 'r1', from: 'a', to: 'b', type: 'DEPENDS_ON' });
+  });
+
+  it('should tombstone removed entities with their relations', () => {
+    graph.removeEntity('a');
+
+    expect(graph.getEntity('a')).toBeNull();
+    expect(graph.getRelation('r1')).toBeNull();
+    expect(graph.trash.list()).toEqual([
+      expect.objectContaining({
+        id: 'a',
+        kind: 'entity',
+        item: expect.objectContaining({ id: 'a' }),
+        relations: [expect.objectContaining({ id: 'r1' })],
+      }),
+    ]);
+  });
+
+  it('should delete permanently when soft is turned off per call', () => {
+    graph.removeEntity('a', { soft: false });
+
+    expect(graph.trash.count()).toBe(0);
+  });
+
+  it('should restore an entity together with its relations', () => {
+    const restored = jest.fn();
+    eventBus.subscribe('graph.entity.restored', restored);
+    graph.removeEntity('a');
+
+    graph.trash.restore('a');
+
+    expect(graph.getEntity('a')).not.toBeNull();
+    expect(graph.getRelation('r1')).not.toBeNull();
+    expect(graph.getOutgoing('a').map(r => r.id)).toEqual(['r1']);
+    expect(graph.trash.count()).toBe(0);
+    expect(restored.mock.calls[0][0].data.cascaded.relations.map(r => r.id)).toEqual(['r1']);
+  });
+
+  it('should keep relations in the trash until both ends are back', () => {
+    graph.removeEntity('a');
+    graph.removeEntity('b');
+
+    graph.trash.restore('a');
+    expect(graph.getRelation('r1')).toBeNull();
+    expect(graph.trash.get('b').relations.map(r => r.id)).toEqual(['r1']);
+
+    graph.trash.restore('b');
+    expect(graph.getRelation('r1')).not.toBeNull();
+    expect(graph.trash.count()).toBe(0);
+  });
+
+  it('should keep a relation whose other end is gone for good in its own tombstone', () => {
+    graph.removeEntity('a');
+    graph.removeEntity('b');
+    graph.trash.purge('b');
+
+    graph.trash.restore('a');
+    expect(graph.trash.list().map(t => [t.id, t.kind])).toEqual([['r1', 'relation']]);
+  });
+
+  it('should refuse to restore over a live entity', () => {
+    graph.removeEntity('a');
+    graph.addEntity({ id: 'a', type: 'repo' });
+
+    expect(() => graph.trash.restore('a')).toThrow(
+      "Cannot restore entity 'a': an entity with that ID exists"
+    );
+    expect(() => graph.trash.restore('missing')).toThrow("'missing' is not in the trash");
+  });
+
+  it('should purge by ID and by age', () => {
+    const purged = jest.fn();
+    eventBus.subscribe('graph.trash.purged', purged);
+    graph.removeRelation('r1');
+    graph.removeEntity('a');
+
+    expect(graph.trash.purge('r1')).toEqual(['r1']);
+    expect(graph.trash.purge({ olderThan: '2000-01-01' })).toEqual([]);
+    expect(graph.trash.purge({ olderThan: Date.now() + 1000 })).toEqual(['a']);
+    expect(graph.trash.count()).toBe(0);
+    expect(purged).toHaveBeenCalledTimes(2);
+  });
+
+  it('should roll back soft deletes with their transaction', () => {
+    expect(() => graph.transaction(() => {
+      graph.removeEntity('a');
+      throw new Error('abort');
+    })).toThrow('abort');
+
+    expect(graph.trash.count()).toBe(0);
+    expect(graph.getRelation('r1')).not.toBeNull();
+  });
+
+  it('should round-trip the trash through serialize and load', () => {
+    graph.removeEntity('a');
+
+    const copy = new Graph(new EventBus(), graph.schema);
+    copy.load(graph.serialize());
+
+    expect(copy.trash.has('a')).toBe(true);
+    copy.trash.restore('a');
+    expect(copy.getRelation('r1')).not.toBeNull();
+  });
+});
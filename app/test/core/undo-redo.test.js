@@ -478,4 +478,178 @@ describe('UndoRedoManager', () => {
       expect(graph.entities.get(e3.id)).toBeUndefined();
     });
   });
+
+  describe('Cascading Removal', () => {
+    beforeEach(() => {
+      graph.addEntity({ id: 'p1', type: 'Person', name: 'Ann' });
+      graph.addEntity({ id: 't1', type: 'Task', title: 'Write docs' });
+      graph.addRelation({ id: 'r1', from: 'p1', to: 't1', type: 'test_relation' });
+      undoRedo.clear();
+    });
+
+    test('should undo a cascading removal in one step', () => {
+      graph.removeEntity('p1', { policy: 'cascade' });
+      expect(graph.entities.size).toBe(0);
+      expect(undoRedo.getUndoStackSize()).toBe(1);
+
+      undoRedo.undo();
+
+      expect(graph.entities.has('p1')).toBe(true);
+      expect(graph.entities.has('t1')).toBe(true);
+      expect(graph.relations.has('r1')).toBe(true);
+    });
+
+    test('should redo with the same policy', () => {
+      graph.removeEntity('p1', { policy: 'cascade' });
+      undoRedo.undo();
+      undoRedo.redo();
+
+      expect(graph.entities.size).toBe(0);
+      expect(graph.relations.size).toBe(0);
+    });
+
+    test('should undo and redo relation removal', () => {
+      graph.removeRelation('r1');
+      undoRedo.undo();
+      expect(graph.relations.has('r1')).toBe(true);
+
+      undoRedo.redo();
+      expect(graph.relations.has('r1')).toBe(false);
+    });
+  });
+
+  describe('Nested Subgraphs', () => {
+    beforeEach(() => {
+      graph.addEntity({ id: 'p1', type: 'Person', name: 'Ann' });
+      graph.createSubgraph('p1');
+      undoRedo.clear();
+    });
+
+    test('should undo and redo changes made inside a subgraph', () => {
+      graph.getSubgraph('p1').addEntity({ id: 't1', type: 'Task', title: 'Nested' });
+      expect(graph.entities.has('t1')).toBe(false);
+
+      undoRedo.undo();
+      expect(graph.getSubgraph('p1').entities.has('t1')).toBe(false);
+
+      undoRedo.redo();
+      expect(graph.getSubgraph('p1').entities.has('t1')).toBe(true);
+    });
+
+    test('should fail loudly when the subgraph no longer exists', () => {
+      graph.getSubgraph('p1').addEntity({ id: 't1', type: 'Task' });
+      graph.entities.get('p1').subgraph = null;
+
+      expect(() => undoRedo.undo()).toThrow("Subgraph 'p1' no longer exists");
+    });
+  });
+
+  describe('Transactions', () => {
+    test('should record a transaction as one batch entry', () => {
+      graph.transaction(() => {
+        graph.addEntity({ id: 'p1', type: 'Person', name: 'Ann' });
+        graph.addEntity({ id: 't1', type: 'Task', title: 'Docs' });
+        graph.addRelation({ id: 'r1', from: 'p1', to: 't1', type: 'test_relation' });
+      }, { label: 'Import' });
+
+      expect(undoRedo.getUndoStackSize()).toBe(1);
+      expect(undoRedo.getUndoLabel()).toBe('Import');
+
+      undoRedo.undo();
+      expect(graph.entities.size).toBe(0);
+      expect(graph.relations.size).toBe(0);
+
+      undoRedo.redo();
+      expect(graph.entities.size).toBe(2);
+      expect(graph.relations.has('r1')).toBe(true);
+    });
+
+    test('should record nothing for a rolled back transaction', () => {
+      expect(() => graph.transaction(() => {
+        graph.addEntity({ id: 'p1', type: 'Person' });
+        throw new Error('abort');
+      })).toThrow('abort');
+
+      expect(undoRedo.getUndoStackSize()).toBe(0);
+    });
+  });
+
+  describe('Soft Delete', () => {
+    test('should undo a soft removal by restoring from the trash', () => {
+      graph.addEntity({ id: 'p1', type: 'Person' });
+      graph.addEntity({ id: 't1', type: 'Task' });
+      graph.addRelation({ id: 'r1', from: 'p1', to: 't1', type: 'test_relation' });
+      graph.removeEntity('p1', { soft: true });
+
+      undoRedo.undo();
+      expect(graph.getRelation('r1')).not.toBeNull();
+      expect(graph.trash.count()).toBe(0);
+
+      undoRedo.redo();
+      expect(graph.trash.has('p1')).toBe(true);
+    });
+
+    test('should undo a restore by moving the entity back to the trash', () => {
+      graph.addEntity({ id: 'p1', type: 'Person' });
+      graph.removeEntity('p1', { soft: true });
+      graph.trash.restore('p1');
+
+      undoRedo.undo();
+      expect(graph.getEntity('p1')).toBeNull();
+      expect(graph.trash.has('p1')).toBe(true);
+
+      undoRedo.redo();
+      expect(graph.getEntity('p1')).not.toBeNull();
+    });
+
+    test('should bring back removed entities with their audit fields', () => {
+      graph.setActor({ type: 'user', id: 'alice' });
+      graph.addEntity({ id: 'p1', type: 'Person' });
+      const before = graph.getEntity('p1');
+      graph.setActor({ type: 'user', id: 'bob' });
+      graph.removeEntity('p1');
+
+      undoRedo.undo();
+      expect(graph.getEntity('p1')).toEqual(before);
+    });
+
+    test('should not leave undone additions in the trash', () => {
+      graph = new Graph(bus, schema, { softDelete: true });
+      undoRedo = new UndoRedoManager(graph, { maxUndoSize: 100 });
+      graph.addEntity({ id: 'p1', type: 'Person' });
+      graph.addEntity({ id: 't1', type: 'Task' });
+      graph.addRelation({ id: 'r1', from: 'p1', to: 't1', type: 'test_relation' });
+
+      undoRedo.undo();
+      expect(graph.getRelation('r1')).toBeNull();
+      expect(graph.trash.count()).toBe(0);
+
+      undoRedo.undo();
+      undoRedo.undo();
+      expect(graph.entities.size).toBe(0);
+      expect(graph.trash.count()).toBe(0);
+    });
+  });
+
+  describe('Middleware', () => {
+    test('should undo and redo follow-ups without running hooks again', () => {
+      graph.addEntity({ id: 'p1', type: 'Person' });
+      graph.use({
+        afterAddEntity: ({ entity }, { graph: target }) => {
+          if (entity.type === 'Task') {
+            target.addRelation({ id: `assigned-${entity.id}`, from: 'p1', to: entity.id, type: 'test_relation' });
+          }
+        },
+      });
+
+      graph.addEntity({ id: 't1', type: 'Task' });
+      undoRedo.undo();
+      expect(graph.getEntity('t1')).toBeNull();
+      expect(graph.relations.size).toBe(0);
+
+      undoRedo.redo();
+      expect(graph.getRelation('assigned-t1')).not.toBeNull();
+      expect(graph.relations.size).toBe(1);
+    });
+  });
 });
@@ -642,4 +642,60 @@ describe('Versioning & Snapshots', () => {
       }).not.toThrow();
     });
   });
+
+  describe('Nested Subgraphs', () => {
+    it('should restore subgraph contents when switching versions', () => {
+      graph.addEntity({ id: '1', type: 'test_entity' });
+      graph.createSubgraph('1').addEntity({ id: '1a', type: 'test_entity' });
+      const v1 = versioning.createVersion();
+
+      graph.getSubgraph('1').addEntity({ id: '1b', type: 'test_entity' });
+      versioning.switchToVersion(v1.id);
+
+      const sub = graph.getSubgraph('1');
+      expect(sub).toBeInstanceOf(Graph);
+      expect(sub.entities.size).toBe(1);
+      expect(sub.parent).toBe(graph);
+    });
+
+    it('should mark dirty on mutations inside a subgraph', () => {
+      graph.addEntity({ id: '1', type: 'test_entity' });
+      graph.createSubgraph('1');
+      versioning.createVersion();
+
+      graph.getSubgraph('1').addEntity({ id: '1a', type: 'test_entity' });
+
+      expect(versioning.isDirty()).toBe(true);
+    });
+  });
+
+  describe('Transactions', () => {
+    it('should mark dirty once for a committed transaction', () => {
+      versioning.createVersion();
+
+      let dirtyEventCount = 0;
+      eventBus.subscribe('version.dirty', () => {
+        dirtyEventCount++;
+      });
+
+      graph.transaction(() => {
+        graph.addEntity({ id: '1', type: 'test_entity' });
+        graph.addEntity({ id: '2', type: 'test_entity' });
+      });
+
+      expect(versioning.isDirty()).toBe(true);
+      expect(dirtyEventCount).toBe(1);
+    });
+
+    it('should stay clean when a transaction rolls back', () => {
+      versioning.createVersion();
+
+      expect(() => graph.transaction(() => {
+        graph.addEntity({ id: '1', type: 'test_entity' });
+        throw new Error('abort');
+      })).toThrow('abort');
+
+      expect(versioning.isDirty()).toBe(false);
+    });
+  });
 });
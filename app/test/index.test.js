@@ -0,0 +1,55 @@
+/**
+ * window.GS Facade Tests
+ *
+ * See: ../doc/window.GS.md
+ */
+
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import GS from '../src/index.js';
+import StorageManager from '../src/adapters/storage/storage-manager.js';
+
+describe('GS', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await GS.core.init();
+  });
+
+  afterAll(() => {
+    GS.core.destroy();
+    console.log.mockRestore();
+  });
+
+  describe('graph.load', () => {
+    it('should return the validation report in lenient mode', () => {
+      const data = {
+        entities: [{ id: 'u1', type: 'user' }],
+        relations: [{ id: 'r1', from: 'u1', to: 'ghost', type: 'FOLLOWS' }],
+      };
+
+      const { validation, migration } = GS.graph.load(data, { validation: 'lenient' });
+
+      expect(validation.valid).toBe(false);
+      expect(validation.violations.map((violation) => violation.rule)).toEqual(expect.arrayContaining(['required', 'endpoint']));
+      expect(migration).toBeNull();
+      expect(GS.graph.getEntity('u1')).not.toBeNull();
+    });
+  });
+
+  describe('storage.load', () => {
+    it('should migrate stored data and report what changed', async () => {
+      const stored = { entities: [{ id: 'u1', type: 'user', handle: 'ada' }], relations: [] };
+      const load = jest.spyOn(StorageManager.prototype, 'load').mockResolvedValue(stored);
+      GS.schema.addMigration(1, 2, (data) => ({
+        ...data,
+        entities: data.entities.map(({ handle, ...entity }) => ({ ...entity, login: handle })),
+      }));
+
+      const { data, migration } = await GS.storage.load();
+
+      expect(data).toBe(stored);
+      expect(migration).toMatchObject({ from: 1, to: 2, steps: [{ entities: { updated: ['u1'] } }] });
+      expect(GS.graph.getEntity('u1').login).toBe('ada');
+      load.mockRestore();
+    });
+  });
+});
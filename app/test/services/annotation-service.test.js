@@ -464,6 +464,43 @@ describe('AnnotationService', () => {
 
       graph.removeEntity('e1');
     });
+
+    test('should archive annotations for removals inside a transaction', () => {
+      graph.addEntity({ id: 'e1', type: 'Person' });
+      service.addNote('e1', 'To archive');
+      const archived = [];
+      bus.subscribe('annotation.archived', (event) => archived.push(event.data.targetId));
+
+      graph.transaction(() => graph.removeEntity('e1'));
+
+      expect(archived).toEqual(['e1']);
+    });
+
+    test('should restore archived annotations with a soft-deleted entity', () => {
+      graph.addEntity({ id: 'e1', type: 'Person' });
+      graph.addEntity({ id: 'e2', type: 'Person' });
+      graph.addRelation({ id: 'r1', from: 'e1', to: 'e2', type: 'test_relation' });
+      service.addNote('e1', 'Entity note');
+      service.addTag('r1', 'important');
+
+      graph.removeEntity('e1', { soft: true });
+      expect(service.getAnnotations('e1')).toHaveLength(0);
+
+      graph.trash.restore('e1');
+      expect(service.getAnnotations('e1')).toHaveLength(1);
+      expect(service.getAnnotations('r1')).toHaveLength(1);
+      expect(service.getArchived()).toHaveLength(0);
+    });
+
+    test('should drop archived annotations when the trash is purged', () => {
+      graph.addEntity({ id: 'e1', type: 'Person' });
+      service.addNote('e1', 'Entity note');
+
+      graph.removeEntity('e1', { soft: true });
+      graph.trash.purge('e1');
+
+      expect(service.getArchived()).toHaveLength(0);
+    });
   });
 
   describe('Edge Cases', () => {
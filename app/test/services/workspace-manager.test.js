@@ -0,0 +1,129 @@
+/**
+ * WorkspaceManager Tests
+ *
+ * Several graphs open side by side, each with its own history and annotations
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { WorkspaceManager } from '../../src/services/workspace-manager.js';
+import { Schema } from '../../src/core/schema.js';
+import { EventBus } from '../../src/core/event/bus.js';
+
+describe('WorkspaceManager', () => {
+  let bus;
+  let workspaces;
+
+  beforeEach(() => {
+    bus = new EventBus();
+    const schema = new Schema({ includeDefaults: false });
+    schema.registerEntityType('Person', { required: ['id', 'type'] });
+    workspaces = new WorkspaceManager(schema, { bus });
+  });
+
+  test('should create workspaces with their own storage keys', () => {
+    const created = jest.fn();
+    bus.subscribe('workspace.created', created);
+
+    workspaces.create('alpha');
+    workspaces.create('beta', { storageKey: 'beta-graph' });
+
+    expect(workspaces.list().map(w => [w.name, w.storageKey])).toEqual([
+      ['alpha', 'workspace:alpha'],
+      ['beta', 'beta-graph'],
+    ]);
+    expect(created).toHaveBeenCalledTimes(2);
+    expect(() => workspaces.create('alpha')).toThrow("Workspace 'alpha' already exists");
+  });
+
+  test('should keep graphs, undo stacks and annotations apart', () => {
+    const alpha = workspaces.create('alpha');
+    const beta = workspaces.create('beta');
+
+    alpha.graph.addEntity({ id: 'p1', type: 'Person' });
+    alpha.annotations.addNote('p1', 'Lead');
+
+    expect(beta.graph.getEntity('p1')).toBeNull();
+    expect(beta.undoRedo.canUndo()).toBe(false);
+    expect(beta.annotations.getAnnotations('p1')).toHaveLength(0);
+    expect(beta.versioning.isDirty()).toBe(false);
+
+    alpha.undoRedo.undo();
+    expect(alpha.graph.getEntity('p1')).toBeNull();
+  });
+
+  test('should forward workspace events to the shared bus', () => {
+    const added = jest.fn();
+    bus.subscribe('graph.entity.added', added);
+
+    workspaces.create('alpha').graph.addEntity({ id: 'p1', type: 'Person' });
+
+    expect(added).toHaveBeenCalledTimes(1);
+    expect(added.mock.calls[0][0].data.entity.id).toBe('p1');
+  });
+
+  test('should switch the active workspace', () => {
+    const opened = jest.fn();
+    bus.subscribe('workspace.opened', opened);
+    workspaces.create('alpha');
+    workspaces.create('beta');
+
+    workspaces.open('alpha');
+    const active = workspaces.open('beta');
+
+    expect(active.name).toBe('beta');
+    expect(workspaces.getActive()).toBe(active);
+    expect(opened.mock.calls[1][0].data).toEqual({ name: 'beta', previous: 'alpha' });
+    expect(() => workspaces.open('gamma')).toThrow("Workspace 'gamma' not found");
+  });
+
+  test('should close inactive workspaces only', () => {
+    const alpha = workspaces.create('alpha');
+    workspaces.create('beta');
+    workspaces.open('beta');
+    const added = jest.fn();
+    bus.subscribe('graph.entity.added', added);
+
+    expect(() => workspaces.close('beta')).toThrow(
+      "Cannot close the active workspace 'beta'; open another one first"
+    );
+    workspaces.close('alpha');
+
+    expect(workspaces.list().map(w => w.name)).toEqual(['beta']);
+    alpha.graph.addEntity({ id: 'p1', type: 'Person' });
+    expect(added).not.toHaveBeenCalled();
+  });
+
+  test('should warn about references broken by removals and closed workspaces', () => {
+    const broken = jest.fn();
+    bus.subscribe('graph.ref.broken', broken);
+
+    const schema = new Schema({ includeDefaults: false });
+    schema.registerEntityType('Person', { required: ['id', 'type'] });
+    schema.registerEntityType('Task', {
+      required: ['id', 'type'],
+      constraints: { assignee: { type: 'ref' } },
+    });
+    workspaces = new WorkspaceManager(schema, { bus });
+    const people = workspaces.create('people').graph;
+    const tasks = workspaces.create('tasks').graph;
+    workspaces.open('tasks');
+
+    people.addEntity({ id: 'p1', type: 'Person' });
+    people.addEntity({ id: 'p2', type: 'Person' });
+    tasks.addEntity({ id: 'k1', type: 'Task', assignee: { graphId: 'people', entityId: 'p1' } });
+    tasks.addEntity({ id: 'k2', type: 'Task', assignee: { graphId: 'people', entityId: 'p2' } });
+    expect(tasks.getRefs('k1')[0].target).toMatchObject({ id: 'p1' });
+
+    people.transaction(() => people.removeEntity('p1'));
+    expect(broken).toHaveBeenCalledTimes(1);
+    expect(broken.mock.calls[0][0].data).toEqual({
+      entityId: 'k1',
+      field: 'assignee',
+      ref: { graphId: 'people', entityId: 'p1' },
+    });
+
+    workspaces.close('people');
+    expect(broken).toHaveBeenCalledTimes(3);
+    expect(broken.mock.calls.slice(1).map(([event]) => event.data.entityId)).toEqual(['k1', 'k2']);
+  });
+});
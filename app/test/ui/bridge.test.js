@@ -94,7 +94,8 @@ describe('UIBridge', () => {
       bridge.setRenderer(renderer, container);
       expect(initSpy).toHaveBeenCalledWith(container, {
         mode: 'explore',
-        theme: 'light'
+        theme: 'light',
+        schema: graph.schema
       });
     });
 
@@ -157,8 +158,9 @@ describe('UIBridge', () => {
 
     it('should execute removeRelation command', () => {
       const rel = { id: 'r1' };
-      // Graph does not implement removeRelation; ensure command does not throw
-      expect(() => bridge.executeCommand('removeRelation', { id: rel.id })).not.toThrow();
+      const removeRelSpy = jest.spyOn(graph, 'removeRelation').mockImplementation(() => {});
+      bridge.executeCommand('removeRelation', { id: rel.id });
+      expect(removeRelSpy).toHaveBeenCalledWith('r1');
     });
 
     it('should handle unknown commands gracefully', () => {
@@ -246,6 +248,51 @@ describe('UIBridge', () => {
       graph.removeEntity(ent.id);
       expect(updateSpy).toHaveBeenCalled();
     });
+
+    it('should render once per committed transaction', () => {
+      const updateSpy = jest.spyOn(renderer, 'update');
+      const renderSpy = jest.spyOn(renderer, 'render');
+      graph.transaction(() => {
+        for (let i = 0; i < 50; i++) {
+          graph.addEntity({ id: `task-${i}`, type: 'Task' });
+        }
+      });
+
+      expect(renderSpy).toHaveBeenCalledTimes(1);
+      expect(updateSpy).not.toHaveBeenCalled();
+      expect(renderer.lastGraphSnapshot.entities).toHaveLength(50);
+    });
+
+    it('should replay transaction changes to renderers that cannot render', () => {
+      const updateSpy = jest.spyOn(renderer, 'update');
+      renderer.render = undefined;
+      graph.transaction(() => {
+        graph.addEntity({ id: 'task-a', type: 'Task' });
+        graph.addEntity({ id: 'task-b', type: 'Task' });
+      });
+
+      expect(updateSpy.mock.calls.map(([patch]) => patch.type)).toEqual(['graph.entity.added', 'graph.entity.added']);
+    });
+  });
+
+  describe('setGraph', () => {
+    it('should follow the new graph and stop listening to the old one', () => {
+      schema.registerEntityType('Task', { required: [] });
+      bridge.setRenderer(renderer, container);
+      const otherBus = new EventBus();
+      const other = new Graph(otherBus, schema);
+      other.addEntity({ id: 'task-9', type: 'Task' });
+
+      bridge.setGraph(other, otherBus);
+      expect(renderer.lastGraphSnapshot.entities.map(e => e.id)).toEqual(['task-9']);
+
+      const updateSpy = jest.spyOn(renderer, 'update');
+      graph.addEntity({ id: 'task-1', type: 'Task' });
+      expect(updateSpy).not.toHaveBeenCalled();
+
+      other.addEntity({ id: 'task-10', type: 'Task' });
+      expect(updateSpy).toHaveBeenCalled();
+    });
   });
 
   describe('integration', () => {
@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, jest } from '@jest/globals';
 import BaseRenderer from '../../../src/ui/renderers/base-renderer.js';
+import { Schema } from '../../../src/core/schema.js';
 
 class TestRenderer extends BaseRenderer {
   render(graphSnapshot) {
@@ -214,4 +215,111 @@ describe('BaseRenderer', () => {
       expect(incompleteRenderer.setMode).toBeDefined();
     });
   });
+
+  describe('showDeleted', () => {
+    const snapshot = {
+      entities: [{ id: 'a', type: 'repo' }],
+      relations: [],
+      trash: [{
+        id: 'b',
+        kind: 'entity',
+        deletedAt: '2024-01-01T00:00:00.000Z',
+        item: { id: 'b', type: 'repo' },
+        entities: [],
+        relations: [{ id: 'r1', from: 'a', to: 'b', type: 'USES' }],
+      }],
+    };
+
+    it('should leave trash items out by default', () => {
+      const { entities, relations } = renderer._visibleItems(snapshot);
+      expect(entities.map(e => e.id)).toEqual(['a']);
+      expect(relations).toEqual([]);
+    });
+
+    it('should include trash items flagged as deleted when enabled', () => {
+      renderer.setShowDeleted(true);
+
+      const { entities, relations } = renderer._visibleItems(snapshot);
+      expect(entities).toEqual([{ id: 'a', type: 'repo' }, { id: 'b', type: 'repo', deleted: true }]);
+      expect(relations).toEqual([expect.objectContaining({ id: 'r1', deleted: true })]);
+    });
+  });
+
+  describe('presentation', () => {
+    let schema;
+
+    beforeEach(() => {
+      schema = new Schema({ includeDefaults: false });
+      schema.registerEntityType('user', {
+        required: ['id', 'login'],
+        optional: ['name', 'followers', 'email'],
+        presentation: {
+          label: '{login} ({name})',
+          icon: 'person',
+          color: '#36c',
+          shape: 'square',
+          sizeField: 'followers',
+          fields: [{ name: 'email', widget: 'link' }, 'name'],
+        },
+      });
+      schema.registerRelationType('FOLLOWS', { presentation: { color: '#aaa', edgeStyle: 'dotted', thickness: 2 } });
+      renderer.setSchema(schema);
+    });
+
+    it('should style nodes from the schema', () => {
+      const user = { id: 'u1', type: 'user', login: 'octo', name: 'Octo Cat', followers: 12, email: 'o@example.com' };
+
+      expect(renderer._nodeStyle(user)).toEqual({
+        label: 'octo (Octo Cat)',
+        icon: 'person',
+        color: '#36c',
+        shape: 'square',
+        size: 12,
+      });
+    });
+
+    it('should fall back to title and id without presentation', () => {
+      expect(renderer._nodeStyle({ id: 'x', type: 'other', metadata: { title: 'X' } }).label).toBe('X');
+      expect(renderer._nodeStyle({ id: 'x', type: 'user' }).label).toBe('x');
+    });
+
+    it('should style edges from the schema', () => {
+      expect(renderer._edgeStyle({ id: 'r1', type: 'FOLLOWS', from: 'a', to: 'b' })).toEqual({
+        label: 'FOLLOWS',
+        color: '#aaa',
+        style: 'dotted',
+        thickness: 2,
+      });
+      expect(renderer._edgeStyle({ id: 'r2', type: 'OTHER' }).style).toBe('solid');
+    });
+
+    it('should list fields in display order with widget hints', () => {
+      const user = { id: 'u1', type: 'user', login: 'octo', name: 'Octo Cat', email: 'o@example.com', metadata: {} };
+
+      expect(renderer._displayFields(user)).toEqual([
+        { field: 'email', value: 'o@example.com', widget: 'link' },
+        { field: 'name', value: 'Octo Cat', widget: null },
+        { field: 'login', value: 'octo', widget: null },
+      ]);
+    });
+
+    it('should leave audit fields and provenance out of the field list', () => {
+      const user = {
+        id: 'u1', type: 'user', login: 'octo',
+        createdAt: '2024-01-01', createdBy: 'alice', updatedAt: '2024-01-02', updatedBy: 'bob',
+        provenance: { login: { source: 'github' } },
+      };
+
+      expect(renderer._displayFields(user).map(({ field }) => field)).toEqual(['login']);
+    });
+
+    it('should emit schemaChange', () => {
+      const listener = jest.fn();
+      renderer.on('schemaChange', listener);
+      renderer.setSchema(null);
+
+      expect(listener).toHaveBeenCalledWith({ schema: null });
+      expect(renderer._nodeStyle({ id: 'u1', type: 'user', login: 'octo' }).label).toBe('u1');
+    });
+  });
 });
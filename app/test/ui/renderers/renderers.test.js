@@ -1,5 +1,7 @@
 import JSONRenderer from '../../../src/ui/renderers/json-renderer.js';
 import TreeRenderer from '../../../src/ui/renderers/tree-renderer.js';
+import D3Renderer from '../../../src/ui/renderers/d3-renderer.js';
+import { Schema } from '../../../src/core/schema.js';
 
 describe('JSONRenderer', () => {
   let renderer;
@@ -24,6 +26,28 @@ describe('JSONRenderer', () => {
     expect(pre.textContent).toContain('"id": "e1"');
   });
 
+  it('hides soft-deleted items unless showDeleted is set', () => {
+    const snapshot = {
+      entities: [{ id: 'e1', type: 'Person' }],
+      relations: [],
+      trash: [{
+        id: 'e2', kind: 'entity', deletedAt: '2024-01-01T00:00:00.000Z',
+        item: { id: 'e2', type: 'Person' }, entities: [], relations: [{ id: 'r1', type: 'KNOWS', from: 'e1', to: 'e2' }],
+      }],
+    };
+    const shown = () => JSON.parse(container.querySelector('pre').textContent);
+
+    renderer.init(container, {});
+    renderer.render(snapshot);
+    expect(shown()).toEqual({ entities: [{ id: 'e1', type: 'Person' }], relations: [] });
+
+    renderer.init(container, { showDeleted: true });
+    renderer.render(snapshot);
+    expect(shown().entities.map((entity) => [entity.id, entity.deleted])).toEqual([['e1', undefined], ['e2', true]]);
+    expect(shown().relations).toEqual([{ id: 'r1', type: 'KNOWS', from: 'e1', to: 'e2', deleted: true }]);
+    expect(shown().trash).toHaveLength(1);
+  });
+
   it('updates theme styles', () => {
     renderer.init(container, { theme: 'light' });
     renderer.setTheme('dark');
@@ -89,3 +113,77 @@ describe('TreeRenderer', () => {
     }
   });
 });
+
+describe('Schema presentation across renderers', () => {
+  let schema;
+  const snapshot = {
+    entities: [{ id: 'r1', type: 'repo', stars: 5, name: 'gs', metadata: { title: 'Old title' } }],
+    relations: [],
+  };
+
+  beforeEach(() => {
+    schema = new Schema({ includeDefaults: false });
+    schema.registerEntityType('repo', { optional: ['name', 'stars'], presentation: { label: 'Repo {name}', fields: ['name'] } });
+  });
+
+  it('labels nodes from the template in D3 and tree views', () => {
+    const d3 = new D3Renderer({ schema });
+    d3.render(snapshot);
+    expect(d3.nodes[0].label).toBe('Repo gs');
+
+    const tree = new TreeRenderer();
+    const container = document.createElement('div');
+    tree.init(container, { schema });
+    tree.render(snapshot);
+    expect(container.querySelector('li div').textContent).toContain('Repo gs');
+  });
+
+  it('orders JSON fields by the display order', () => {
+    const json = new JSONRenderer();
+    const container = document.createElement('div');
+    json.init(container, { schema });
+    json.render(snapshot);
+
+    const text = container.querySelector('pre').textContent;
+    expect(text.indexOf('"name"')).toBeLessThan(text.indexOf('"stars"'));
+  });
+
+  it('shows imported values and labels in the tree as text, not markup', () => {
+    schema.registerRelationType('LINKS', { source: '*', target: '*', presentation: { label: '{note}' } });
+    const tree = new TreeRenderer();
+    const container = document.createElement('div');
+    tree.init(container, { schema });
+    tree.expandedNodes.add('r1');
+    tree.render({
+      entities: [{ id: 'r1', type: 'repo', name: '<img src=x onerror=alert(1)>', metadata: { title: '<b>t</b>' } }],
+      relations: [{ id: 'l1', type: 'LINKS', from: '<i>a</i>', to: 'r1', note: '<script>x</script>' }],
+    });
+
+    expect(container.querySelector('img, b, i, script')).toBeNull();
+    expect(container.textContent).toContain('name: <img src=x onerror=alert(1)>');
+    expect(container.textContent).toContain('<script>x</script>: <i>a</i> → r1');
+  });
+
+  it('shows object and array values in the tree as JSON', () => {
+    const tree = new TreeRenderer();
+    const container = document.createElement('div');
+    tree.init(container, {});
+    tree.expandedNodes.add('r1');
+    tree.render({
+      entities: [{ id: 'r1', type: 'repo', topics: ['ui', 'graph'], license: { key: 'mit' }, metadata: { stats: { forks: 2 } } }],
+      relations: [],
+    });
+
+    const rows = Array.from(container.querySelectorAll('li ul li')).map((li) => li.textContent);
+    expect(rows).toEqual(['topics: ["ui","graph"]', 'license: {"key":"mit"}', 'stats: {"forks":2}']);
+  });
+
+  it('restyles a rendered view when the schema changes', () => {
+    const d3 = new D3Renderer();
+    d3.render(snapshot);
+    expect(d3.nodes[0].label).toBe('Old title');
+
+    d3.setSchema(schema);
+    expect(d3.nodes[0].label).toBe('Repo gs');
+  });
+});